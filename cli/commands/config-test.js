@@ -0,0 +1,60 @@
+const path = require('path');
+const chalk = require('chalk');
+const { loadScenario, runScenario } = require('../../src/config-test');
+
+function printReport(report) {
+  const mark = report.passed ? chalk.green('✓') : chalk.red('✗');
+  console.log(`${mark} ${chalk.bold(report.name)} ${chalk.dim(`(${report.outcome})`)}`);
+
+  const iterations = Object.entries(report.iterations)
+    .map(([agentId, iteration]) => `${agentId} ×${iteration}`)
+    .join(', ');
+  if (iterations) {
+    console.log(chalk.dim(`    iterations: ${iterations}`));
+  }
+  for (const failure of report.failures) {
+    console.log(chalk.red(`    ${failure}`));
+  }
+  if (report.unusedScripts.length > 0) {
+    console.log(chalk.yellow(`    never ran: ${report.unusedScripts.join(', ')}`));
+  }
+}
+
+/**
+ * zeroshot config test - run a cluster config against scripted scenarios
+ * @param {Object} config - Cluster config (composed templates already resolved)
+ * @param {Array<String>} scenarioPaths - Scenario YAML files
+ * @param {Object} options - { json?: boolean, configName?: string }
+ * @returns {Promise<Boolean>} Whether every scenario passed
+ */
+async function configTestCommand(config, scenarioPaths, options = {}) {
+  const scenarios = scenarioPaths.map((file) => loadScenario(path.resolve(file)));
+
+  const reports = [];
+  for (const scenario of scenarios) {
+    reports.push(await runScenario(config, scenario));
+  }
+
+  if (options.json) {
+    // The full ledger stays out of the JSON output; topic counts summarize it
+    const summaries = reports.map(({ messages: _messages, ...report }) => report);
+    console.log(JSON.stringify(summaries, null, 2));
+  } else {
+    console.log('');
+    console.log(chalk.bold(`Testing: ${options.configName || config.name || 'config'}`));
+    console.log('');
+    reports.forEach(printReport);
+    const passed = reports.filter((report) => report.passed).length;
+    console.log('');
+    console.log(
+      (passed === reports.length ? chalk.green : chalk.red)(
+        `${passed}/${reports.length} scenario(s) passed`
+      )
+    );
+  }
+  return reports.every((report) => report.passed);
+}
+
+module.exports = {
+  configTestCommand,
+};
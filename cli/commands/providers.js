@@ -1,7 +1,13 @@
 const readline = require('readline');
 const { loadSettings, saveSettings } = require('../../lib/settings');
-const { VALID_PROVIDERS, normalizeProviderName } = require('../../lib/provider-names');
-const { detectProviders, getProvider } = require('../../src/providers');
+const { normalizeProviderName } = require('../../lib/provider-names');
+const {
+  detectProviders,
+  getProvider,
+  listProviders,
+  isPluginProvider,
+} = require('../../src/providers');
+const { checkCapability } = require('../../src/providers/capabilities');
 
 function question(rl, prompt) {
   return new Promise((resolve) => {
@@ -26,17 +32,19 @@ async function providersCommand() {
     const modelLabel = modelSpec?.model || '-';
     const cliPath = status.available ? await provider.getCliPath() : '-';
     const isDefault = settings.defaultProvider === name ? ' (default)' : '';
+    const isPlugin = isPluginProvider(name) ? ' (plugin)' : '';
 
     console.log(
       `${provider.displayName.padEnd(12)} ${statusIcon.padEnd(12)} ${defaultLevel.padEnd(
         14
-      )} ${modelLabel.padEnd(16)} ${cliPath}${isDefault}`
+      )} ${modelLabel.padEnd(16)} ${cliPath}${isDefault}${isPlugin}`
     );
   }
 
   console.log('\nCommands:');
   console.log('  zeroshot providers set-default <provider>  Set default provider');
   console.log('  zeroshot providers setup <provider>        Configure a provider');
+  console.log('  zeroshot settings set providerPlugins <json>  Add third-party providers');
   console.log(
     '\nNote: Authentication is managed by each CLI; zeroshot does not validate login or API keys.'
   );
@@ -44,8 +52,8 @@ async function providersCommand() {
 
 function setDefaultCommand(args) {
   const provider = normalizeProviderName(args[0]);
-  if (!VALID_PROVIDERS.includes(provider)) {
-    console.error(`Invalid provider: ${args[0]}`);
+  if (!listProviders().includes(provider)) {
+    console.error(`Invalid provider: ${args[0]}. Valid: ${listProviders().join(', ')}`);
     process.exit(1);
   }
 
@@ -59,7 +67,7 @@ function setDefaultCommand(args) {
 async function setupCommand(args) {
   const provider = normalizeProviderName(args[0]);
   if (!provider) {
-    console.error('Provider is required (claude, codex, gemini, opencode)');
+    console.error(`Provider is required (${listProviders().join(', ')})`);
     process.exit(1);
   }
 
@@ -67,14 +75,18 @@ async function setupCommand(args) {
 
   console.log(`\n${providerModule.displayName} Setup\n`);
 
+  // The api provider has no CLI, only an endpoint
+  const cliLabel = providerModule.cliCommand
+    ? `${providerModule.cliCommand} CLI`
+    : `${providerModule.displayName} endpoint`;
   const available = await providerModule.isAvailable();
   if (!available) {
-    console.log(`✗ ${providerModule.cliCommand} CLI not found`);
+    console.log(`✗ ${cliLabel} not found`);
     console.log('\nInstall with:');
     console.log(providerModule.getInstallInstructions());
     return;
   }
-  console.log(`✓ ${providerModule.cliCommand} CLI found`);
+  console.log(`✓ ${cliLabel} found`);
 
   console.log('\nAuth is user-managed; run the CLI login flow if needed:');
   console.log(providerModule.getAuthInstructions());
@@ -89,7 +101,7 @@ async function setupCommand(args) {
     levelKeys.forEach((level, i) => {
       const spec = levels[level];
       const reasoning = spec.reasoningEffort ? ` (reasoning: ${spec.reasoningEffort})` : '';
-      console.log(`  ${i + 1}) ${level} -> ${spec.model}${reasoning}`);
+      console.log(`  ${i + 1}) ${level} -> ${spec.model || '-'}${reasoning}`);
     });
 
     const maxIdxRaw = await question(rl, `\nMax level (cost ceiling) [${levelKeys.length}]: `);
@@ -113,9 +125,12 @@ async function setupCommand(args) {
     if (wantsOverrides.toLowerCase() === 'y') {
       const catalog = Object.keys(providerModule.getModelCatalog());
       for (const level of levelKeys) {
-        const modelChoice = await question(rl, `Model for ${level} (${catalog.join(', ')}): `);
+        const modelChoice = await question(
+          rl,
+          `Model for ${level} (${catalog.join(', ') || 'any model id'}): `
+        );
         if (modelChoice) levelOverrides[level] = { model: modelChoice };
-        if (provider !== 'codex') continue;
+        if (!checkCapability(provider, 'reasoningEffort')) continue;
         const reasoning = await question(rl, `Reasoning for ${level} (low|medium|high|xhigh): `);
         if (reasoning) {
           levelOverrides[level] = {
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const { replayCluster } = require('../../src/replay');
+
+function formatDecision(fired) {
+  return fired ? chalk.green('fire') : chalk.dim('skip');
+}
+
+function printEvaluation(evaluation) {
+  const marker = evaluation.diverged ? chalk.red('✗') : chalk.dim('·');
+  const label = `${evaluation.agent.padEnd(24)} ${evaluation.trigger.padEnd(22)}`;
+
+  if (evaluation.skipped) {
+    console.log(`  ${marker} ${label} ${chalk.dim(`(${evaluation.skipped})`)}`);
+    return;
+  }
+
+  let line = `  ${marker} ${label} replay ${formatDecision(evaluation.fired)}  recorded ${formatDecision(
+    evaluation.recordedFired
+  )}`;
+  if (evaluation.error) {
+    line += chalk.red(`  script error: ${evaluation.error}`);
+  }
+  console.log(line);
+
+  const hook = evaluation.hook;
+  if (!hook) return;
+  if (hook.skipped) {
+    console.log(chalk.dim(`      hook: ${hook.skipped}`));
+  } else if (hook.error) {
+    console.log(chalk.red(`      hook error: ${hook.error}`));
+  } else {
+    const verdict = hook.matchesRecorded ? chalk.green('matches') : chalk.red('differs from');
+    console.log(
+      chalk.dim(`      hook → ${hook.topic || '(nothing)'} `) +
+        verdict +
+        chalk.dim(` recorded ${hook.recordedTopic || '(nothing)'}`)
+    );
+  }
+}
+
+/**
+ * zeroshot replay - re-run trigger logic and hooks over a recorded ledger
+ * @param {String} clusterId
+ * @param {Object} options - { until?: string, agent?: string, config?: string, json?: boolean }
+ */
+async function replayCommand(clusterId, options = {}) {
+  const report = await replayCluster({
+    storageDir: path.join(os.homedir(), '.zeroshot'),
+    clusterId,
+    until: options.until,
+    config: options.config
+      ? JSON.parse(fs.readFileSync(path.resolve(options.config), 'utf8'))
+      : undefined,
+  });
+
+  if (options.agent) {
+    report.steps = report.steps
+      .map((step) => ({
+        ...step,
+        evaluations: step.evaluations.filter((e) => e.agent === options.agent),
+      }))
+      .filter((step) => step.evaluations.length > 0);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  for (const { index, message, evaluations } of report.steps) {
+    const time = new Date(message.timestamp).toLocaleTimeString();
+    console.log(
+      `${chalk.dim(`#${index}`)} ${chalk.dim(time)} ${chalk.yellow(message.topic)} ${chalk.dim(
+        `from ${message.sender}`
+      )}`
+    );
+    evaluations.forEach(printEvaluation);
+  }
+
+  const { summary } = report;
+  console.log(
+    chalk.bold(`\nReplayed ${report.replayed}/${report.total} message(s)`) +
+      chalk.dim(
+        ` · ${summary.evaluations} trigger evaluation(s) · ${summary.fired} fired` +
+          ` (${summary.recordedFired} recorded)`
+      )
+  );
+  if (summary.divergences > 0) {
+    console.log(chalk.red(`${summary.divergences} divergence(s) from the recorded run (✗)`));
+  } else {
+    console.log(chalk.green('Replay matches the recorded run'));
+  }
+}
+
+module.exports = {
+  replayCommand,
+};
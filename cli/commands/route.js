@@ -0,0 +1,116 @@
+const chalk = require('chalk');
+const GitHub = require('../../src/github');
+const { fetchInput } = require('../../src/input-sources');
+const { loadSettings } = require('../../lib/settings');
+const {
+  COMPLEXITIES,
+  TASK_TYPES,
+  routeTask,
+  collectRoutingContext,
+} = require('../../src/config-router');
+
+function splitList(value) {
+  return (value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Labels of an issue input; files and plain text have none
+ * @param {Object} input - { issue } | { source } | { file } | { text }
+ * @returns {Promise<string[]>}
+ */
+async function fetchInputLabels(input) {
+  let issue = null;
+  if (input.source) {
+    issue = await fetchInput(input.source, { settings: loadSettings() });
+  } else if (input.issue) {
+    issue = await GitHub.fetchIssue(input.issue);
+  }
+  return (issue?.labels || []).map((label) => label.name || label);
+}
+
+function describeWhen(when) {
+  const parts = Object.entries(when).map(([key, value]) =>
+    Array.isArray(value) ? `${key} in [${value.join(', ')}]` : `${key} = ${value}`
+  );
+  return parts.length > 0 ? parts.join(' and ') : 'always';
+}
+
+function printExplanation(result) {
+  for (const rule of result.rules) {
+    const set = Object.entries(rule.set)
+      .map(([key, value]) => `${key} → ${value}`)
+      .join(', ');
+    console.log(
+      chalk.dim(`    rule ${rule.source}#${rule.index}: ${describeWhen(rule.when)} ⇒ `) +
+        chalk.yellow(set)
+    );
+  }
+  for (const route of result.routes) {
+    const target = route.base ? chalk.cyan(route.base) : chalk.dim('params only');
+    const params = route.params ? chalk.dim(` ${JSON.stringify(route.params)}`) : '';
+    console.log(
+      chalk.dim(`    route ${route.source}#${route.index}: ${describeWhen(route.when)} ⇒ `) +
+        target +
+        params
+    );
+  }
+}
+
+/**
+ * zeroshot route - show which template and params a task would get
+ * @param {Object} input - Parsed task input (issue, source, file or text)
+ * @param {Object} options - { complexity?, taskType?, labels?, paths?, repo?, explain?, json? }
+ */
+async function routeCommand(input, options = {}) {
+  const labels = [...(await fetchInputLabels(input)), ...splitList(options.labels)];
+  const context = collectRoutingContext({ labels });
+  if (options.paths) context.paths = splitList(options.paths);
+  if (options.repo) context.repository = options.repo;
+
+  // Without a classification, show every one the conductor could pick
+  const complexities = options.complexity ? [options.complexity] : COMPLEXITIES;
+  const taskTypes = options.taskType ? [options.taskType] : TASK_TYPES;
+  const results = complexities.flatMap((complexity) =>
+    taskTypes.map((taskType) => ({
+      classification: { complexity, taskType },
+      ...routeTask({ complexity, taskType }, context),
+    }))
+  );
+
+  if (options.json) {
+    const { cwd: _cwd, ...facts } = context;
+    console.log(JSON.stringify({ context: facts, results }, null, 2));
+    return;
+  }
+
+  console.log('');
+  console.log(chalk.dim(`Labels: ${context.labels.join(', ') || '(none)'}`));
+  console.log(chalk.dim(`Repository: ${context.repository || '(no origin)'}`));
+  console.log(chalk.dim(`Changed paths: ${context.paths.length}`));
+  console.log('');
+  for (const result of results) {
+    const { complexity, taskType } = result.classification;
+    const adjusted =
+      result.complexity !== complexity || result.taskType !== taskType
+        ? chalk.yellow(` → ${result.complexity}:${result.taskType}`)
+        : '';
+    // task_type and complexity repeat the classification
+    const { task_type: _taskType, complexity: _complexity, ...params } = result.params;
+    console.log(
+      `${`${complexity}:${taskType}`.padEnd(18)}${adjusted} ${chalk.cyan(result.base)} ${chalk.dim(
+        JSON.stringify(params)
+      )}`
+    );
+    if (options.explain) {
+      printExplanation(result);
+    }
+  }
+  console.log('');
+}
+
+module.exports = {
+  routeCommand,
+};
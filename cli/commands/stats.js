@@ -0,0 +1,107 @@
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const { collectStats } = require('../../src/cluster-stats');
+const { parseSince } = require('../../src/ledger-search');
+
+function formatRate(rate) {
+  return rate === null ? '-' : `${Math.round(rate * 100)}%`;
+}
+
+function formatNumber(value, digits = 1) {
+  return value === null ? '-' : value.toFixed(digits);
+}
+
+function formatDuration(ms) {
+  if (ms === null) return '-';
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+function formatCost(usd) {
+  return usd === null ? '-' : `$${usd.toFixed(2)}`;
+}
+
+function printGroupTable(title, groups) {
+  console.log(chalk.bold(`\n=== ${title} ===`));
+  if (groups.length === 0) {
+    console.log(chalk.dim('No data'));
+    return;
+  }
+
+  console.log(
+    `${'Key'.padEnd(28)} ${'Runs'.padEnd(6)} ${'OK'.padEnd(5)} ${'Fail'.padEnd(5)} ${'Success'.padEnd(
+      8
+    )} ${'Iter'.padEnd(6)} ${'Duration'.padEnd(9)} ${'Avg $'.padEnd(8)} Total $`
+  );
+  console.log('-'.repeat(95));
+  for (const g of groups) {
+    console.log(
+      `${g.key.padEnd(28)} ${String(g.clusters).padEnd(6)} ${String(g.completed).padEnd(5)} ${String(
+        g.failed
+      ).padEnd(5)} ${formatRate(g.successRate).padEnd(8)} ${formatNumber(
+        g.meanIterationsToApproval
+      ).padEnd(6)} ${formatDuration(g.meanDurationMs).padEnd(9)} ${formatCost(g.meanCostUsd).padEnd(
+        8
+      )} ${formatCost(g.totalCostUsd)}`
+    );
+  }
+}
+
+function printRejections(rejections) {
+  console.log(chalk.bold('\n=== Rejections by validator ==='));
+  if (rejections.length === 0) {
+    console.log(chalk.dim('No rejections'));
+    return;
+  }
+
+  for (const entry of rejections) {
+    console.log(`${chalk.cyan(entry.validator.padEnd(28))} ${entry.rejections} rejection(s)`);
+    for (const { reason, count } of entry.topReasons) {
+      const short = reason.replace(/\s+/g, ' ').slice(0, 100);
+      console.log(chalk.dim(`  ${String(count).padStart(3)}× ${short}`));
+    }
+  }
+}
+
+/**
+ * zeroshot stats - aggregate metrics over every cluster ledger in ~/.zeroshot
+ * @param {Object} options - { since?: string, json?: boolean }
+ */
+function statsCommand(options = {}) {
+  const report = collectStats({
+    storageDir: path.join(os.homedir(), '.zeroshot'),
+    since: options.since ? parseSince(options.since) : undefined,
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  const { overall } = report;
+  console.log(
+    chalk.bold(`\n${overall.clusters} cluster(s)`) +
+      chalk.dim(
+        ` · ${overall.completed} completed · ${overall.failed} failed · ${overall.incomplete} incomplete` +
+          ` · success ${formatRate(overall.successRate)} · total ${formatCost(overall.totalCostUsd)}`
+      )
+  );
+
+  printGroupTable('By template', report.byTemplate);
+  printGroupTable('By complexity:taskType', report.byComplexity);
+  printGroupTable('By provider (implementation agent)', report.byProvider);
+  printGroupTable('By model (implementation agent)', report.byModel);
+  printRejections(report.rejections);
+
+  console.log(
+    chalk.dim(
+      '\nSuccess = completed / (completed + failed). Iter = worker iterations on completed runs.'
+    )
+  );
+}
+
+module.exports = {
+  statsCommand,
+};
@@ -0,0 +1,84 @@
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const { whyAgent } = require('../../src/trigger-trace');
+
+function formatVerdict(verdict) {
+  if (verdict.startsWith('fired')) return chalk.green(verdict);
+  if (verdict.startsWith('trigger threw')) return chalk.red(verdict);
+  if (verdict.startsWith('dropped')) return chalk.yellow(verdict);
+  return chalk.dim(verdict);
+}
+
+function formatQuery({ method, criteria, result }) {
+  const args = criteria ? JSON.stringify(criteria) : '';
+  let outcome = result;
+  if (method === 'findLast') outcome = result || 'nothing';
+  else if (method !== 'count') outcome = `${result} message(s)`;
+  return `ledger.${method}(${args}) → ${outcome}`;
+}
+
+function printEntry(entry) {
+  const time = new Date(entry.message.timestamp).toLocaleTimeString();
+  console.log(
+    `${chalk.dim(time)} ${chalk.yellow(entry.message.topic)} ${chalk.dim(
+      `from ${entry.message.sender}`
+    )}  ${formatVerdict(entry.verdict)}`
+  );
+  if (!entry.evaluation) return;
+  if (entry.evaluation.durationMs !== null) {
+    console.log(chalk.dim(`    evaluated in ${entry.evaluation.durationMs}ms`));
+  }
+  for (const query of entry.evaluation.queries || []) {
+    console.log(chalk.dim(`    ${formatQuery(query)}`));
+  }
+}
+
+/**
+ * zeroshot why - explain why an agent did or did not wake up
+ * @param {String} clusterId
+ * @param {String} agentId
+ * @param {Object} options - { last?: number, json?: boolean }
+ */
+function whyCommand(clusterId, agentId, options = {}) {
+  const report = whyAgent({
+    storageDir: path.join(os.homedir(), '.zeroshot'),
+    clusterId,
+    agentId,
+    last: options.last || 20,
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  console.log(chalk.bold(`Triggers of ${agentId}:`));
+  if (report.triggers.length === 0) {
+    console.log(chalk.dim('  (none)'));
+  }
+  for (const trigger of report.triggers) {
+    console.log(`  ${chalk.cyan(trigger.topic)} → ${trigger.action}  ${chalk.dim(trigger.logic)}`);
+  }
+  console.log('');
+
+  if (report.entries.length === 0) {
+    console.log(chalk.dim('No message matched any of these triggers.'));
+  }
+  report.entries.forEach(printEntry);
+
+  const unmatched = Object.entries(report.unmatched);
+  if (unmatched.length > 0) {
+    const topics = unmatched.map(([topic, count]) => `${topic} (${count})`).join(', ');
+    console.log(chalk.dim(`\nPublished but not listened to: ${topics}`));
+  }
+  if (!report.traced) {
+    console.log(
+      chalk.dim('\nNo trigger trace for this cluster - run with --trace-triggers for details.')
+    );
+  }
+}
+
+module.exports = {
+  whyCommand,
+};
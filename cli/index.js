@@ -46,12 +46,29 @@ const {
   DEFAULT_SETTINGS,
 } = require('../lib/settings');
 const { normalizeProviderName } = require('../lib/provider-names');
-const { getProvider, parseProviderChunk } = require('../src/providers');
+const { getProvider, listProviders, parseProviderChunk } = require('../src/providers');
 const { MOUNT_PRESETS, resolveEnvs } = require('../lib/docker-config');
 const { requirePreflight } = require('../src/preflight');
+const {
+  loadRepoSettings,
+  createTemplateResolver,
+  listConfigs,
+  listAgentDefinitions,
+  findConfigFile,
+} = require('../src/repo-config');
+const { parseInputRef } = require('../src/input-sources');
 const { providersCommand, setDefaultCommand, setupCommand } = require('./commands/providers');
+const { statsCommand } = require('./commands/stats');
+const { replayCommand } = require('./commands/replay');
+const { whyCommand } = require('./commands/why');
+const { configTestCommand } = require('./commands/config-test');
+const { routeCommand } = require('./commands/route');
 // Setup wizard removed - use: zeroshot settings set <key> <value>
 const { checkForUpdates } = require('./lib/update-checker');
+const {
+  validateClassificationFlags,
+  buildClassificationCheckpoint,
+} = require('./lib/classification-checkpoint');
 const { StatusFooter, AGENT_STATE, ACTIVE_STATES } = require('../src/status-footer');
 
 const program = new Command();
@@ -205,7 +222,10 @@ function normalizeRunOptions(options) {
 
 function detectRunInput(inputArg) {
   const input = {};
-  if (inputArg.match(/^https?:\/\/github\.com\/[\w-]+\/[\w-]+\/issues\/\d+/)) {
+  const sourceRef = parseInputRef(inputArg);
+  if (sourceRef) {
+    input.source = sourceRef;
+  } else if (inputArg.match(/^https?:\/\/github\.com\/[\w-]+\/[\w-]+\/issues\/\d+/)) {
     input.issue = inputArg;
   } else if (/^\d+$/.test(inputArg)) {
     input.issue = inputArg;
@@ -228,6 +248,7 @@ function resolveProviderOverride(options, settings) {
 function runClusterPreflight({ input, options, providerOverride }) {
   requirePreflight({
     requireGh: !!input.issue,
+    requirePr: !!options.pr,
     requireDocker: options.docker,
     requireGit: options.worktree,
     quiet: process.env.ZEROSHOT_DAEMON === '1',
@@ -266,10 +287,12 @@ function buildDaemonEnv(options, clusterId, targetCwd) {
     ZEROSHOT_DOCKER: options.docker ? '1' : '',
     ZEROSHOT_DOCKER_IMAGE: options.dockerImage || '',
     ZEROSHOT_PR: options.pr ? '1' : '',
+    ZEROSHOT_MERGE: options.ship ? '1' : '',
     ZEROSHOT_WORKTREE: options.worktree ? '1' : '',
     ZEROSHOT_WORKERS: options.workers?.toString() || '',
     ZEROSHOT_MODEL: options.model || '',
     ZEROSHOT_PROVIDER: options.provider || '',
+    ZEROSHOT_TRACE_TRIGGERS: options.traceTriggers ? '1' : '',
     ZEROSHOT_CWD: targetCwd,
   };
 }
@@ -296,13 +319,18 @@ function resolveClusterId(generateName) {
 }
 
 function resolveConfigName(options, settings) {
-  return options.config || settings.defaultConfig;
+  return options.config || loadRepoSettings().defaultConfig || settings.defaultConfig;
 }
 
 function resolveConfigPath(configName) {
   if (path.isAbsolute(configName) || configName.startsWith('./') || configName.startsWith('../')) {
     return path.resolve(process.cwd(), configName);
   }
+  // Repo .zeroshot/templates shadow the bundled cluster-templates
+  const found = findConfigFile(configName);
+  if (found) {
+    return found;
+  }
   if (configName.endsWith('.json')) {
     return path.join(PACKAGE_ROOT, 'cluster-templates', configName);
   }
@@ -385,7 +413,7 @@ function applyModelOverrideToConfig(config, modelOverride, providerOverride, set
   const provider = getProvider(providerName);
   const catalog = provider.getModelCatalog();
 
-  if (catalog && !catalog[modelOverride]) {
+  if (catalog && Object.keys(catalog).length > 0 && !catalog[modelOverride]) {
     console.warn(
       chalk.yellow(
         `Warning: model override "${modelOverride}" is not in the ${providerName} catalog`
@@ -412,6 +440,67 @@ function applyModelOverrideToConfig(config, modelOverride, providerOverride, set
   console.log(chalk.dim(`Model override: ${modelOverride} (all agents)`));
 }
 
+function parseBudgetOption(flag, value, { integer = false } = {}) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const parsed = Number(value);
+  const valid = integer ? Number.isInteger(parsed) && parsed > 0 : parsed > 0;
+  if (!valid) {
+    console.error(
+      chalk.red(
+        `Error: ${flag} must be a positive ${integer ? 'integer' : 'number'}, got "${value}"`
+      )
+    );
+    process.exit(1);
+  }
+  return parsed;
+}
+
+/**
+ * Merge --budget-usd / --budget-tokens into config.budget (CLI flags win over the config file).
+ * The budget lives on the cluster config so it is persisted and enforced again on resume.
+ */
+function applyBudgetToConfig(config, options) {
+  const maxUsd = parseBudgetOption('--budget-usd', options.budgetUsd);
+  const maxTokens = parseBudgetOption('--budget-tokens', options.budgetTokens, { integer: true });
+  if (maxUsd === undefined && maxTokens === undefined) {
+    return;
+  }
+
+  config.budget = { ...(config.budget || {}) };
+  if (maxUsd !== undefined) config.budget.maxUsd = maxUsd;
+  if (maxTokens !== undefined) config.budget.maxTokens = maxTokens;
+
+  const { formatBudgetUsage, normalizeBudget } = require('../src/budget');
+  const limits = formatBudgetUsage(normalizeBudget(config.budget), { costUsd: 0, tokens: 0 });
+  console.log(chalk.dim(`Budget: ${limits}`));
+}
+
+/**
+ * Set config.fallbackProviders from --fallback-providers (agents' own lists still win)
+ */
+function applyFallbackProvidersToConfig(config, options) {
+  if (!options.fallbackProviders) {
+    return;
+  }
+
+  const providers = options.fallbackProviders
+    .split(',')
+    .map((name) => normalizeProviderName(name.trim()))
+    .filter(Boolean);
+  const unknown = providers.filter((name) => !listProviders().includes(name));
+  if (unknown.length > 0) {
+    console.error(
+      `Error: Unknown fallback provider: ${unknown.join(', ')}. Valid: ${listProviders().join(', ')}`
+    );
+    process.exit(1);
+  }
+
+  config.fallbackProviders = providers;
+  console.log(chalk.dim(`Fallback providers: ${providers.join(', ')}`));
+}
+
 function buildStartOptions({ clusterId, options, settings, providerOverride, modelOverride }) {
   const targetCwd = process.env.ZEROSHOT_CWD || detectGitRepoRoot();
   return {
@@ -421,8 +510,9 @@ function buildStartOptions({ clusterId, options, settings, providerOverride, mod
     isolationImage: options.dockerImage || process.env.ZEROSHOT_DOCKER_IMAGE || undefined,
     worktree: options.worktree || process.env.ZEROSHOT_WORKTREE === '1',
     autoPr: options.pr || process.env.ZEROSHOT_PR === '1',
-    autoMerge: process.env.ZEROSHOT_MERGE === '1',
+    autoMerge: options.ship || process.env.ZEROSHOT_MERGE === '1',
     autoPush: process.env.ZEROSHOT_PUSH === '1',
+    traceTriggers: options.traceTriggers || process.env.ZEROSHOT_TRACE_TRIGGERS === '1',
     modelOverride: modelOverride || undefined,
     providerOverride: providerOverride || undefined,
     noMounts: options.noMounts || false,
@@ -854,9 +944,40 @@ function printClusterAgents(status) {
   console.log('');
 }
 
+// Best-of-N scoreboard (src/best-of.js summary), best candidate first
+function formatBestOfLines(bestOf) {
+  const lines = [];
+  for (const candidate of bestOf.candidates) {
+    const selected = candidate.candidateId === bestOf.winner;
+    const provider = candidate.provider ? ` (${candidate.provider})` : '';
+    const verdict = candidate.failed
+      ? chalk.red('failed')
+      : `${candidate.approvals}/${candidate.validators} approved, ${candidate.errors} errors`;
+    const diff =
+      candidate.added !== undefined ? chalk.dim(` +${candidate.added}/-${candidate.removed}`) : '';
+    const line = `${candidate.candidateId}${provider}  score ${candidate.score.toFixed(2)}  ${verdict}${diff}`;
+    lines.push(
+      selected ? `${chalk.green('✓')} ${chalk.bold(line)} ${chalk.green('selected')}` : `  ${line}`
+    );
+  }
+  return lines;
+}
+
+function printClusterBestOf(status) {
+  if (!status.bestOf) {
+    return;
+  }
+  const state = status.bestOf.state === 'selected' ? '' : chalk.yellow(' (scoring)');
+  console.log(`\nBest-of candidates:${state}`);
+  for (const line of formatBestOfLines(status.bestOf)) {
+    console.log(`  ${line}`);
+  }
+}
+
 function printClusterStatusHuman(status, tokensByRole, clusterId) {
   printClusterStatusHeader(status, clusterId);
   printClusterTokenUsage(tokensByRole);
+  printClusterBestOf(status);
   printClusterAgents(status);
 }
 
@@ -1940,11 +2061,14 @@ async function killRunningTasks(runningTasks, isProcessRunning) {
   }
 }
 
-function deleteClusterData(orchestrator, clusters) {
+async function deleteClusterData(orchestrator, clusters) {
   if (clusters.length === 0) {
     return;
   }
   console.log(chalk.bold('Deleting cluster data...'));
+  for (const cluster of clusters) {
+    await orchestrator.deleteCheckpoints(cluster.id);
+  }
   const clustersFile = path.join(orchestrator.storageDir, 'clusters.json');
   const clustersDir = path.join(orchestrator.storageDir, 'clusters');
 
@@ -2287,6 +2411,8 @@ Automation levels (cascading: --ship → --pr → --worktree):
   ${chalk.yellow('zeroshot run 123 --pr')}       → Worktree + PR (human reviews)
   ${chalk.yellow('zeroshot run 123 --ship')}     → Worktree + PR + auto-merge (full automation)
   ${chalk.yellow('zeroshot task run')}           → Single-agent background task (simpler, faster)
+  The PR is opened without an agent: commit, push, PR body from the validator evidence.
+  GitLab remotes get a merge request (GITLAB_TOKEN or glab); --ship waits for the pipeline.
 
 Shell completion:
   ${chalk.dim('zeroshot --completion >> ~/.bashrc && source ~/.bashrc')}
@@ -2319,9 +2445,20 @@ program
   .option('--workers <n>', 'Max sub-agents for worker to spawn in parallel', parseInt)
   .option(
     '--provider <provider>',
-    'Override all agents to use a provider (claude, codex, gemini, opencode)'
+    'Override all agents to use a provider (claude, codex, gemini, opencode, or a plugin)'
   )
   .option('--model <model>', 'Override all agent models (provider-specific model id)')
+  .option(
+    '--fallback-providers <list>',
+    'Providers to retry on when a task hits a rate limit, overload, auth error or outage (comma-separated)'
+  )
+  .option('--budget-usd <amount>', 'Fail the cluster once it has spent this many USD')
+  .option('--budget-tokens <n>', 'Fail the cluster once it has used this many input+output tokens')
+  .option('--trace-triggers', 'Record every trigger evaluation (see zeroshot why)')
+  .option('--complexity <level>', "Override the conductor's complexity (TRIVIAL ... CRITICAL)")
+  .option('--task-type <type>', "Override the conductor's task type (INQUIRY, TASK, DEBUG)")
+  .option('--classify-only', 'Print the classification and chosen template, then exit')
+  .option('--confirm', 'Pause after classification until you accept or override it')
   .option('-d, --detach', 'Run in background (default: attach to first agent)')
   .option('--mount <spec...>', 'Add Docker mount (host:container[:ro]). Repeatable.')
   .option('--no-mounts', 'Disable all Docker credential mounts')
@@ -2336,12 +2473,17 @@ Input formats:
   123                              GitHub issue number (uses current repo)
   org/repo#123                     GitHub issue with explicit repo
   https://github.com/.../issues/1  Full GitHub issue URL
+  gitlab:group/project#12          GitLab issue (GITLAB_TOKEN, ZEROSHOT_GITLAB_URL)
+  jira:PROJ-123                    Jira issue (JIRA_EMAIL + JIRA_API_TOKEN, ZEROSHOT_JIRA_URL)
+  linear:ENG-42                    Linear issue (LINEAR_API_KEY)
+  feature.md                       Markdown file
   "Implement feature X"            Plain text task description
 `
   )
   .action(async (inputArg, options) => {
     try {
       normalizeRunOptions(options);
+      validateClassificationFlags(options);
       const input = detectRunInput(inputArg);
       const settings = loadSettings();
       const providerOverride = resolveProviderOverride(options, settings);
@@ -2358,11 +2500,12 @@ Input formats:
       const clusterId = resolveClusterId(generateName);
 
       // === LOAD CONFIG ===
-      // Priority: CLI --config > settings.defaultConfig
+      // Priority: CLI --config > .zeroshot/config.json defaultConfig > settings.defaultConfig
       const configName = resolveConfigName(options, settings);
       const configPath = resolveConfigPath(configName);
       const orchestrator = await getOrchestrator();
       const config = loadClusterConfig(orchestrator, configPath, settings, providerOverride);
+      const classification = buildClassificationCheckpoint(options, config);
       trackActiveCluster(clusterId, orchestrator);
       printForegroundStartInfo(options, clusterId, configName);
 
@@ -2371,6 +2514,8 @@ Input formats:
 
       const modelOverride = resolveModelOverride(options);
       applyModelOverrideToConfig(config, modelOverride, providerOverride, settings);
+      applyBudgetToConfig(config, options);
+      applyFallbackProvidersToConfig(config, options);
 
       const startOptions = buildStartOptions({
         clusterId,
@@ -2379,6 +2524,7 @@ Input formats:
         providerOverride,
         modelOverride,
       });
+      startOptions.classification = classification;
 
       // Start cluster
       const cluster = await orchestrator.start(config, input, startOptions);
@@ -2414,6 +2560,7 @@ taskCmd
     'stream-json'
   )
   .option('--json-schema <schema>', 'JSON schema for structured output')
+  .option('--mcp-config <json|path>', 'MCP servers for the task ({ "name": { command | url } })')
   .option('--silent-json-output', 'Log ONLY final structured output')
   .action(async (prompt, options) => {
     try {
@@ -2800,6 +2947,128 @@ program
     }
   });
 
+// Search command - full-text search across all cluster ledgers
+program
+  .command('search <query...>')
+  .description('Full-text search message content across all clusters')
+  .option('-c, --cluster <id>', 'Only search this cluster')
+  .option('-t, --topic <topic>', 'Only match this topic (e.g. VALIDATION_RESULT)')
+  .option('--since <when>', 'Only messages newer than a duration (30m, 2h, 7d) or a date')
+  .option('-n, --limit <n>', 'Maximum number of results', '20')
+  .option('--json', 'Output results as JSON')
+  .action((queryParts, options) => {
+    try {
+      const { searchLedgers, parseSince } = require('../src/ledger-search');
+      const limit = parseInt(options.limit, 10);
+      if (!Number.isInteger(limit) || limit <= 0) {
+        throw new Error(`Invalid --limit: ${options.limit}`);
+      }
+
+      // Private-use chars as snippet markers so highlighting survives arbitrary content
+      const results = searchLedgers({
+        storageDir: path.join(os.homedir(), '.zeroshot'),
+        text: queryParts.join(' '),
+        clusterId: options.cluster,
+        topic: options.topic,
+        since: options.since ? parseSince(options.since) : undefined,
+        limit,
+        highlight: options.json ? ['', ''] : ['\uE000', '\uE001'],
+      });
+
+      if (options.json) {
+        console.log(JSON.stringify(results, null, 2));
+        return;
+      }
+
+      if (results.length === 0) {
+        console.log(chalk.dim('No matches.'));
+        return;
+      }
+
+      for (const message of results) {
+        const time = new Date(message.timestamp).toLocaleString();
+        console.log(
+          `${chalk.cyan(message.cluster_id)} ${chalk.dim(time)} ${chalk.yellow(message.topic)} ${chalk.dim(`from ${message.sender}`)}`
+        );
+        const snippet = message.snippet
+          .replace(/\s+/g, ' ')
+          .replace(/\uE000([^\uE001]*)\uE001/g, (_, hit) => chalk.bold.red(hit));
+        console.log(`  ${snippet}\n`);
+      }
+      console.log(chalk.dim(`${results.length} match(es)`));
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Stats command - cross-cluster analytics over historical ledgers
+program
+  .command('stats')
+  .description('Success rate, iterations, rejections, duration and cost across all clusters')
+  .option('--since <when>', 'Only clusters started within a duration (30d, 2w) or since a date')
+  .option('--json', 'Output full report (including per-cluster records) as JSON')
+  .action((options) => {
+    try {
+      statsCommand(options);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Replay command - re-evaluate triggers and hooks over a recorded ledger
+program
+  .command('replay <cluster-id>')
+  .description('Re-run trigger logic and hooks over recorded messages (no provider calls)')
+  .option('--until <msg-or-time>', 'Stop after this message id or timestamp (epoch ms or ISO)')
+  .option('--agent <id>', 'Only show evaluations for this agent')
+  .option('--config <file>', 'Replay against a different cluster config (e.g. a fixed trigger)')
+  .option('--json', 'Output the replay report as JSON')
+  .action(async (clusterId, options) => {
+    try {
+      await replayCommand(clusterId, options);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Why command - explain an agent's trigger decisions
+program
+  .command('why <cluster-id> <agent-id>')
+  .description('Explain why an agent did or did not wake up for recent messages')
+  .option('--last <n>', 'Messages with a matching trigger to explain (default: 20)', parseInt)
+  .option('--json', 'Output the explanation as JSON')
+  .action((clusterId, agentId, options) => {
+    try {
+      whyCommand(clusterId, agentId, options);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Route command - preview how a task would be routed to a template
+program
+  .command('route <task>')
+  .description('Show which cluster template and params a task would be routed to')
+  .option('--explain', 'Show the routing rules and routes that matched')
+  .option('--complexity <level>', 'Only this complexity (TRIVIAL, SIMPLE, STANDARD, CRITICAL)')
+  .option('--task-type <type>', 'Only this task type (INQUIRY, TASK, DEBUG)')
+  .option('--labels <list>', 'Extra issue labels (comma-separated)')
+  .option('--paths <list>', 'Changed paths to route on instead of the git working tree')
+  .option('--repo <owner/name>', 'Repository to route on instead of the origin remote')
+  .option('--json', 'Output the routing as JSON')
+  .action(async (task, options) => {
+    try {
+      await routeCommand(detectRunInput(task), options);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
 // Export command (cluster-only)
 program
   .command('export <cluster-id>')
@@ -2915,11 +3184,109 @@ program
 
 // === TASK-SPECIFIC COMMANDS ===
 
+/**
+ * Stream a resumed (or forked) cluster's messages until it stops.
+ * The cluster runs in this process, so Ctrl+C stops it.
+ * @param {Object} orchestrator
+ * @param {string} id - Cluster ID
+ */
+async function streamClusterUntilDone(orchestrator, id) {
+  console.log('');
+  console.log(chalk.dim('Streaming logs... (Ctrl+C to stop cluster)'));
+  console.log('');
+
+  // Get the cluster's message bus for streaming
+  const resumedCluster = orchestrator.getCluster(id);
+  if (!resumedCluster || !resumedCluster.messageBus) {
+    console.error(chalk.red('Failed to get message bus for resumed cluster'));
+    process.exit(1);
+  }
+
+  // Track senders that have output (for periodic flushing)
+  const sendersWithOutput = new Set();
+  // Track messages we've already processed (to avoid duplicates between history and subscription)
+  const processedMessageIds = new Set();
+
+  // Message handler - processes messages, deduplicates by ID
+  const handleMessage = (msg) => {
+    if (msg.cluster_id !== id) return;
+    if (processedMessageIds.has(msg.id)) return;
+    processedMessageIds.add(msg.id);
+
+    if (msg.topic === 'AGENT_OUTPUT' && msg.sender) {
+      sendersWithOutput.add(msg.sender);
+    }
+    printMessage(msg, false, false, true);
+  };
+
+  // Subscribe to NEW messages
+  const unsubscribe = resumedCluster.messageBus.subscribe(handleMessage);
+
+  // Periodic flush of text buffers (streaming text may not have newlines)
+  const flushInterval = setInterval(() => {
+    for (const sender of sendersWithOutput) {
+      const prefix = getColorForSender(sender)(`${sender.padEnd(15)} |`);
+      flushLineBuffer(prefix, sender);
+    }
+  }, 250);
+
+  // Wait for cluster to complete
+  await new Promise((resolve) => {
+    const checkInterval = setInterval(() => {
+      try {
+        const status = orchestrator.getStatus(id);
+        if (status.state !== 'running') {
+          clearInterval(checkInterval);
+          clearInterval(flushInterval);
+          // Final flush
+          for (const sender of sendersWithOutput) {
+            const prefix = getColorForSender(sender)(`${sender.padEnd(15)} |`);
+            flushLineBuffer(prefix, sender);
+          }
+          unsubscribe();
+          resolve();
+        }
+      } catch {
+        // Cluster may have been removed
+        clearInterval(checkInterval);
+        clearInterval(flushInterval);
+        unsubscribe();
+        resolve();
+      }
+    }, 500);
+
+    // Handle Ctrl+C: Stop cluster since foreground mode has no daemon
+    // CRITICAL: In foreground mode, the cluster runs IN this process.
+    // If we exit without stopping, the cluster becomes a zombie (state=running but no process).
+    process.on('SIGINT', async () => {
+      console.log(chalk.dim('\n\n--- Interrupted ---'));
+      clearInterval(checkInterval);
+      clearInterval(flushInterval);
+      unsubscribe();
+
+      // Stop the cluster properly so state is updated
+      try {
+        console.log(chalk.dim(`Stopping cluster ${id}...`));
+        await orchestrator.stop(id);
+        console.log(chalk.dim(`Cluster ${id} stopped.`));
+      } catch (stopErr) {
+        console.error(chalk.red(`Failed to stop cluster: ${stopErr.message}`));
+      }
+
+      process.exit(0);
+    });
+  });
+
+  console.log(chalk.dim(`\nCluster ${id} completed.`));
+}
+
 // Resume task or cluster
 program
   .command('resume <id> [prompt]')
   .description('Resume a failed task or cluster')
   .option('-d, --detach', 'Resume in background (daemon mode)')
+  .option('--budget-usd <amount>', 'New USD budget for the cluster (e.g. after budget_exceeded)')
+  .option('--budget-tokens <n>', 'New input+output token budget for the cluster')
   .action(async (id, prompt, options) => {
     try {
       // Try cluster first, then task (both use same ID format: "adjective-noun-number")
@@ -2947,15 +3314,20 @@ program
           provider: providerName,
         });
 
-        // Resume cluster
+        // Resume cluster (budget flags override the persisted limits)
+        const resumeConfig = { budget: cluster.config?.budget };
+        applyBudgetToConfig(resumeConfig, options);
         console.log(chalk.cyan(`Resuming cluster ${id}...`));
-        const result = await orchestrator.resume(id, prompt);
+        const result = await orchestrator.resume(id, prompt, { budget: resumeConfig.budget });
 
         console.log(chalk.green(`✓ Cluster resumed`));
         if (result.resumeType === 'failure') {
           console.log(`  Resume type: ${chalk.yellow('From failure')}`);
           console.log(`  Resumed agent: ${result.resumedAgent}`);
           console.log(`  Previous error: ${result.previousError}`);
+        } else if (result.resumeType === 'pr_flow') {
+          console.log(`  Resume type: ${chalk.yellow('Retrying PR flow')}`);
+          console.log(`  Previous error: ${result.previousError}`);
         } else {
           console.log(`  Resume type: ${chalk.cyan('Clean continuation')}`);
           if (result.resumedAgents && result.resumedAgents.length > 0) {
@@ -2973,93 +3345,7 @@ program
         }
 
         // === FOREGROUND MODE: Stream logs in real-time (same as 'run' command) ===
-        console.log('');
-        console.log(chalk.dim('Streaming logs... (Ctrl+C to stop cluster)'));
-        console.log('');
-
-        // Get the cluster's message bus for streaming
-        const resumedCluster = orchestrator.getCluster(id);
-        if (!resumedCluster || !resumedCluster.messageBus) {
-          console.error(chalk.red('Failed to get message bus for resumed cluster'));
-          process.exit(1);
-        }
-
-        // Track senders that have output (for periodic flushing)
-        const sendersWithOutput = new Set();
-        // Track messages we've already processed (to avoid duplicates between history and subscription)
-        const processedMessageIds = new Set();
-
-        // Message handler - processes messages, deduplicates by ID
-        const handleMessage = (msg) => {
-          if (msg.cluster_id !== id) return;
-          if (processedMessageIds.has(msg.id)) return;
-          processedMessageIds.add(msg.id);
-
-          if (msg.topic === 'AGENT_OUTPUT' && msg.sender) {
-            sendersWithOutput.add(msg.sender);
-          }
-          printMessage(msg, false, false, true);
-        };
-
-        // Subscribe to NEW messages
-        const unsubscribe = resumedCluster.messageBus.subscribe(handleMessage);
-
-        // Periodic flush of text buffers (streaming text may not have newlines)
-        const flushInterval = setInterval(() => {
-          for (const sender of sendersWithOutput) {
-            const prefix = getColorForSender(sender)(`${sender.padEnd(15)} |`);
-            flushLineBuffer(prefix, sender);
-          }
-        }, 250);
-
-        // Wait for cluster to complete
-        await new Promise((resolve) => {
-          const checkInterval = setInterval(() => {
-            try {
-              const status = orchestrator.getStatus(id);
-              if (status.state !== 'running') {
-                clearInterval(checkInterval);
-                clearInterval(flushInterval);
-                // Final flush
-                for (const sender of sendersWithOutput) {
-                  const prefix = getColorForSender(sender)(`${sender.padEnd(15)} |`);
-                  flushLineBuffer(prefix, sender);
-                }
-                unsubscribe();
-                resolve();
-              }
-            } catch {
-              // Cluster may have been removed
-              clearInterval(checkInterval);
-              clearInterval(flushInterval);
-              unsubscribe();
-              resolve();
-            }
-          }, 500);
-
-          // Handle Ctrl+C: Stop cluster since foreground mode has no daemon
-          // CRITICAL: In foreground mode, the cluster runs IN this process.
-          // If we exit without stopping, the cluster becomes a zombie (state=running but no process).
-          process.on('SIGINT', async () => {
-            console.log(chalk.dim('\n\n--- Interrupted ---'));
-            clearInterval(checkInterval);
-            clearInterval(flushInterval);
-            unsubscribe();
-
-            // Stop the cluster properly so state is updated
-            try {
-              console.log(chalk.dim(`Stopping cluster ${id}...`));
-              await orchestrator.stop(id);
-              console.log(chalk.dim(`Cluster ${id} stopped.`));
-            } catch (stopErr) {
-              console.error(chalk.red(`Failed to stop cluster: ${stopErr.message}`));
-            }
-
-            process.exit(0);
-          });
-        });
-
-        console.log(chalk.dim(`\nCluster ${id} completed.`));
+        await streamClusterUntilDone(orchestrator, id);
       } else {
         let providerName = settings.defaultProvider;
         try {
@@ -3089,6 +3375,122 @@ program
     }
   });
 
+// Fork cluster - branch a new cluster off an earlier point in a ledger
+program
+  .command('fork <cluster-id> [prompt]')
+  .description("Start a new cluster from a point in another cluster's ledger")
+  .requiredOption('--at <msg-id>', 'Message ID to fork at (inclusive)')
+  .option('--config <file>', 'Cluster config for the fork (default: the source config)')
+  .option('--budget-usd <amount>', 'Fail the fork once it has spent this many USD')
+  .option('--budget-tokens <n>', 'Fail the fork once it has used this many input+output tokens')
+  .option('-d, --detach', 'Run the fork in background (daemon mode)')
+  .action(async (clusterId, prompt, options) => {
+    try {
+      const orchestrator = await Orchestrator.create();
+      const source = orchestrator.getCluster(clusterId);
+      if (!source) {
+        throw new Error(`Cluster not found: ${clusterId}`);
+      }
+
+      const config = options.config ? orchestrator.loadConfig(options.config) : undefined;
+      const effectiveConfig = config || source.config;
+      requirePreflight({
+        requireGh: false,
+        requireDocker: source.isolation?.enabled || false,
+        quiet: false,
+        provider:
+          effectiveConfig.forceProvider ||
+          effectiveConfig.defaultProvider ||
+          loadSettings().defaultProvider,
+      });
+
+      const forkBudget = { budget: effectiveConfig.budget };
+      applyBudgetToConfig(forkBudget, options);
+
+      console.log(chalk.cyan(`Forking cluster ${clusterId} at ${options.at}...`));
+      const result = await orchestrator.fork(clusterId, {
+        at: options.at,
+        config,
+        prompt,
+        budget: forkBudget.budget,
+      });
+
+      console.log(chalk.green(`✓ Forked into ${result.id}`));
+      console.log(`  Commit: ${result.forkedFrom.commit.slice(0, 12)}`);
+      if (result.resumedAgents.length > 0) {
+        console.log(`  Resumed agents: ${result.resumedAgents.join(', ')}`);
+      } else {
+        console.log(`  Republished ISSUE_OPENED to start the workflow`);
+      }
+
+      if (options.detach) {
+        console.log('');
+        console.log(chalk.dim(`Follow logs with: zeroshot logs ${result.id} -f`));
+        return;
+      }
+
+      await streamClusterUntilDone(orchestrator, result.id);
+    } catch (error) {
+      console.error(chalk.red('Error forking:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Diff command - what an iteration changed, from per-iteration git checkpoints
+program
+  .command('diff <cluster-id>')
+  .description('Show workspace changes recorded by per-iteration checkpoints')
+  .option('--iteration <n>', 'Only what this iteration changed', (value) => parseInt(value, 10))
+  .option('--agent <id>', 'Agent whose checkpoints to use (default: implementation agents)')
+  .option('--stat', 'Show a diffstat instead of the patch')
+  .action(async (clusterId, options) => {
+    try {
+      const orchestrator = await Orchestrator.create({ quiet: true });
+      const result = await orchestrator.diff(clusterId, {
+        iteration: options.iteration,
+        agent: options.agent,
+        gitArgs: options.stat ? ['--stat'] : [],
+      });
+
+      const { agentId, iteration } = result.checkpoint;
+      console.log(
+        chalk.dim(
+          `${result.from.slice(0, 12)}..${result.to.slice(0, 12)} (${agentId} iteration ${iteration})`
+        )
+      );
+      console.log(result.diff || chalk.dim('No changes'));
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Rollback command - reset a stopped cluster's workspace to an iteration's checkpoint
+program
+  .command('rollback <cluster-id>')
+  .description("Reset a stopped cluster's workspace to the checkpoint of an iteration")
+  .requiredOption('--iteration <n>', 'Iteration to roll back to', (value) => parseInt(value, 10))
+  .option('--agent <id>', 'Agent whose checkpoints to use (default: implementation agents)')
+  .action(async (clusterId, options) => {
+    try {
+      const orchestrator = await Orchestrator.create({ quiet: true });
+      const checkpoint = await orchestrator.rollback(clusterId, {
+        iteration: options.iteration,
+        agent: options.agent,
+      });
+
+      console.log(
+        chalk.green(
+          `✓ Workspace reset to ${checkpoint.agentId} iteration ${checkpoint.iteration} (${checkpoint.sha.slice(0, 12)})`
+        )
+      );
+      console.log(chalk.dim(`Continue with: zeroshot resume ${clusterId} [prompt]`));
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
 // Finish cluster - convert to single-agent completion task
 program
   .command('finish <id>')
@@ -3171,7 +3573,7 @@ program
 
       await killRunningClusters(orchestrator, purgeData.runningClusters);
       await killRunningTasks(purgeData.runningTasks, purgeData.isProcessRunning);
-      deleteClusterData(orchestrator, purgeData.clusters);
+      await deleteClusterData(orchestrator, purgeData.clusters);
       await deleteTaskData(purgeData.tasks);
 
       console.log(chalk.bold.green('\nAll runs purged.'));
@@ -3254,6 +3656,45 @@ program
     }
   });
 
+// Serve command - browser dashboard over HTTP + WebSocket
+program
+  .command('serve')
+  .description('Serve a web dashboard to monitor clusters in a browser')
+  .option('-p, --port <port>', 'Port to listen on', '4600')
+  .option('--host <host>', 'Interface to bind (use 0.0.0.0 to expose on the network)', '127.0.0.1')
+  .action(async (options) => {
+    try {
+      const port = parseInt(options.port, 10);
+      if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new Error(`Invalid port: ${options.port}`);
+      }
+
+      const DashboardServer = require('../src/dashboard/server');
+      const server = new DashboardServer({
+        orchestrator: await getOrchestrator(),
+        port,
+        host: options.host,
+      });
+      const { url } = await server.start();
+
+      console.log(chalk.green(`Dashboard running at ${url}`));
+      if (options.host !== '127.0.0.1' && options.host !== 'localhost') {
+        console.log(chalk.yellow('Warning: dashboard has no authentication and exposes logs'));
+      }
+      console.log(chalk.dim('Press Ctrl+C to stop'));
+
+      const shutdown = async () => {
+        await server.stop();
+        process.exit(0);
+      };
+      process.on('SIGINT', shutdown);
+      process.on('SIGTERM', shutdown);
+    } catch (error) {
+      console.error('Error starting dashboard:', error.message);
+      process.exit(1);
+    }
+  });
+
 // Watch command - interactive TUI dashboard
 program
   .command('watch')
@@ -3401,29 +3842,33 @@ function formatSettingsList(settings, showUsage = false) {
   }
 }
 
-function listConfigFiles() {
-  return fs
-    .readdirSync(path.join(PACKAGE_ROOT, 'cluster-templates'))
-    .filter((file) => file.endsWith('.json'));
-}
-
-function printAvailableConfigs(files) {
-  files.forEach((file) => console.log(chalk.dim(`  - ${file.replace('.json', '')}`)));
+function printAvailableConfigs() {
+  listConfigs().forEach((entry) => console.log(chalk.dim(`  - ${entry.name}`)));
 }
 
 function resolveConfigPathForShow(name) {
-  const configName = name.endsWith('.json') ? name : `${name}.json`;
-  const configPath = path.join(PACKAGE_ROOT, 'cluster-templates', configName);
-  if (fs.existsSync(configPath)) {
+  if (name.endsWith('.json') && fs.existsSync(name)) {
+    return { configPath: path.resolve(name), displayName: path.basename(name, '.json') };
+  }
+  const configPath = findConfigFile(name);
+  if (configPath) {
     return { configPath, displayName: name.replace('.json', '') };
   }
 
-  console.error(chalk.red(`Config not found: ${configName}`));
+  console.error(chalk.red(`Config not found: ${name.endsWith('.json') ? name : `${name}.json`}`));
   console.log(chalk.dim('\nAvailable configs:'));
-  printAvailableConfigs(listConfigFiles());
+  printAvailableConfigs();
   process.exit(1);
 }
 
+/**
+ * Read a cluster config, resolving extends/overrides/fragments so commands
+ * see the same agent graph `zeroshot run` would
+ */
+function readClusterConfig(configPath) {
+  return createTemplateResolver().loadFile(configPath);
+}
+
 function printConfigHeader(name) {
   console.log('');
   console.log(chalk.bold.cyan('═'.repeat(80)));
@@ -3437,37 +3882,25 @@ function printConfigFooter() {
   console.log('');
 }
 
-function getAgentsDir() {
-  return path.join(PACKAGE_ROOT, 'src', 'agents');
-}
-
 function printAgentsJson(agents) {
   console.log(JSON.stringify({ agents, error: null }, null, 2));
 }
 
-function reportMissingAgentsDir(options) {
-  if (options.json) {
-    printAgentsJson([]);
-  } else {
-    console.log(chalk.dim('No agents directory found.'));
-  }
-}
-
 function reportNoAgents(options) {
   if (options.json) {
     printAgentsJson([]);
   } else {
-    console.log(chalk.dim('No agent definitions found in src/agents/'));
+    console.log(chalk.dim('No agent definitions found in .zeroshot/agents/ or src/agents/'));
   }
 }
 
-function parseAgentFile(file, agentsDir) {
+function parseAgentFile(entry) {
   try {
-    const agentPath = path.join(agentsDir, file);
-    const agent = JSON.parse(fs.readFileSync(agentPath, 'utf8'));
+    const agent = JSON.parse(fs.readFileSync(entry.path, 'utf8'));
     return {
-      file: file.replace('.json', ''),
-      id: agent.id || file.replace('.json', ''),
+      file: entry.name,
+      source: entry.source,
+      id: agent.id || entry.name,
       role: agent.role || 'unspecified',
       model: agent.model || 'default',
       triggers: agent.triggers?.length || 0,
@@ -3475,15 +3908,15 @@ function parseAgentFile(file, agentsDir) {
       output: agent.output || null,
     };
   } catch (err) {
-    console.error(chalk.yellow(`Warning: Could not parse ${file}: ${err.message}`));
+    console.error(chalk.yellow(`Warning: Could not parse ${entry.path}: ${err.message}`));
     return null;
   }
 }
 
-function loadAgentDefinitions(files, agentsDir) {
+function loadAgentDefinitions(entries) {
   const agents = [];
-  for (const file of files) {
-    const agent = parseAgentFile(file, agentsDir);
+  for (const entry of entries) {
+    const agent = parseAgentFile(entry);
     if (agent) {
       agents.push(agent);
     }
@@ -3516,6 +3949,23 @@ function getTriggerTopics(triggers) {
     .filter(Boolean);
 }
 
+function printTriggerConditions(triggers) {
+  const { explainCondition } = require('../src/trigger-conditions');
+  for (const trigger of triggers) {
+    if (typeof trigger !== 'object' || !trigger.topic) {
+      continue;
+    }
+    const action = trigger.action === 'stop_cluster' ? chalk.red(' → stop cluster') : '';
+    if (trigger.condition) {
+      console.log(
+        chalk.dim(`      ${trigger.topic} when `) + explainCondition(trigger.condition) + action
+      );
+    } else if (trigger.logic?.script) {
+      console.log(chalk.dim(`      ${trigger.topic} when JavaScript logic returns true`) + action);
+    }
+  }
+}
+
 function printAgentDetails(agent) {
   const color = getColorForSender(agent.id);
   console.log(color.bold(`  ${agent.id}`));
@@ -3528,6 +3978,7 @@ function printAgentDetails(agent) {
   if (agent.triggers && agent.triggers.length > 0) {
     const triggerTopics = getTriggerTopics(agent.triggers);
     console.log(chalk.dim(`    Triggers: ${triggerTopics.join(', ')}`));
+    printTriggerConditions(agent.triggers);
   } else {
     console.log(chalk.dim(`    Triggers: none (manual only)`));
   }
@@ -3790,7 +4241,7 @@ providersCmd.action(async () => {
 
 providersCmd
   .command('set-default <provider>')
-  .description('Set default provider (claude, codex, gemini, opencode)')
+  .description('Set default provider (claude, codex, gemini, opencode, or a plugin)')
   .action(async (provider) => {
     await setDefaultCommand([provider]);
   });
@@ -3852,22 +4303,25 @@ configCmd
   .description('List available cluster configs')
   .action(() => {
     try {
-      const configsDir = path.join(PACKAGE_ROOT, 'cluster-templates');
-      const files = fs.readdirSync(configsDir).filter((f) => f.endsWith('.json'));
+      const configs = listConfigs();
 
-      if (files.length === 0) {
-        console.log(chalk.dim('No configs found in examples/'));
+      if (configs.length === 0) {
+        console.log(chalk.dim('No configs found in cluster-templates/'));
         return;
       }
 
       console.log(chalk.bold('\nAvailable configs:\n'));
-      for (const file of files) {
-        const configPath = path.join(configsDir, file);
-        const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-        const agentCount = config.agents?.length || 0;
-        const name = file.replace('.json', '');
+      for (const entry of configs) {
+        const config = JSON.parse(fs.readFileSync(entry.path, 'utf8'));
+        const agentCount = config.extends
+          ? `extends ${config.extends}`
+          : `${config.agents?.length || 0} agents`;
+        let source = '';
+        if (entry.source === 'repo') {
+          source = chalk.yellow(entry.shadows ? ' (repo, overrides built-in)' : ' (repo)');
+        }
 
-        console.log(`  ${chalk.cyan(name.padEnd(30))} ${chalk.dim(`${agentCount} agents`)}`);
+        console.log(`  ${chalk.cyan(entry.name.padEnd(30))} ${chalk.dim(agentCount)}${source}`);
       }
       console.log('');
     } catch (error) {
@@ -3882,7 +4336,7 @@ configCmd
   .action((name) => {
     try {
       const { configPath, displayName } = resolveConfigPathForShow(name);
-      const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      const config = readClusterConfig(configPath);
 
       printConfigHeader(displayName);
       printAgentsSection(config.agents);
@@ -3903,27 +4357,22 @@ configCmd
     try {
       const { validateConfig, formatValidationResult } = require('../src/config-validator');
 
-      // Resolve path (support relative paths and built-in names)
+      // Resolve path (support relative paths, repo and built-in names)
       let fullPath;
       if (fs.existsSync(configPath)) {
         fullPath = path.resolve(configPath);
       } else {
-        // Try examples directory
-        const configName = configPath.endsWith('.json') ? configPath : `${configPath}.json`;
-        fullPath = path.join(PACKAGE_ROOT, 'cluster-templates', configName);
-        if (!fs.existsSync(fullPath)) {
+        fullPath = findConfigFile(configPath);
+        if (!fullPath) {
           console.error(chalk.red(`Config not found: ${configPath}`));
-          console.log(chalk.dim('\nAvailable built-in configs:'));
-          const files = fs
-            .readdirSync(path.join(PACKAGE_ROOT, 'cluster-templates'))
-            .filter((f) => f.endsWith('.json'));
-          files.forEach((f) => console.log(chalk.dim(`  - ${f.replace('.json', '')}`)));
+          console.log(chalk.dim('\nAvailable configs:'));
+          printAvailableConfigs();
           process.exit(1);
         }
       }
 
-      // Load and validate
-      const config = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+      // Load (resolving composed templates) and validate
+      const config = readClusterConfig(fullPath);
       const result = validateConfig(config);
 
       // Apply strict mode
@@ -3955,6 +4404,26 @@ configCmd
     }
   });
 
+configCmd
+  .command('test <configPath> <scenarios...>')
+  .description(
+    'Run a cluster config against scenarios with scripted agent outputs (no provider calls)'
+  )
+  .option('--json', 'Output as JSON')
+  .action(async (configPath, scenarios, options) => {
+    try {
+      const { configPath: fullPath } = resolveConfigPathForShow(configPath);
+      const passed = await configTestCommand(readClusterConfig(fullPath), scenarios, {
+        ...options,
+        configName: path.basename(fullPath),
+      });
+      process.exit(passed ? 0 : 1);
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
 // Agent library commands
 const agentsCmd = program.command('agents').description('View available agent definitions');
 
@@ -3966,19 +4435,14 @@ agentsCmd
   .option('--json', 'Output as JSON')
   .action((options) => {
     try {
-      const agentsDir = getAgentsDir();
-      if (!fs.existsSync(agentsDir)) {
-        reportMissingAgentsDir(options);
-        return;
-      }
-
-      const files = fs.readdirSync(agentsDir).filter((file) => file.endsWith('.json'));
-      if (files.length === 0) {
+      // Repo .zeroshot/agents shadow the bundled definitions
+      const entries = listAgentDefinitions();
+      if (entries.length === 0) {
         reportNoAgents(options);
         return;
       }
 
-      const agents = loadAgentDefinitions(files, agentsDir);
+      const agents = loadAgentDefinitions(entries);
       agents.sort((a, b) => a.id.localeCompare(b.id));
 
       if (options.json) {
@@ -3993,8 +4457,9 @@ agentsCmd
 
       console.log(chalk.bold('\nAvailable agent definitions:\n'));
       for (const agent of agents) {
+        const source = agent.source === 'repo' ? chalk.yellow(' (repo)') : '';
         console.log(
-          `  ${chalk.cyan(agent.id.padEnd(25))} ${chalk.dim('role:')} ${agent.role.padEnd(20)} ${chalk.dim('model:')} ${agent.model}`
+          `  ${chalk.cyan(agent.id.padEnd(25))} ${chalk.dim('role:')} ${agent.role.padEnd(20)} ${chalk.dim('model:')} ${agent.model}${source}`
         );
       }
       console.log('');
@@ -4016,33 +4481,26 @@ agentsCmd
   .option('--json', 'Output as JSON')
   .action((name, options) => {
     try {
-      const agentsDir = path.join(PACKAGE_ROOT, 'src', 'agents');
-
-      // Support both with and without .json extension
-      const agentName = name.endsWith('.json') ? name : `${name}.json`;
-      const agentPath = path.join(agentsDir, agentName);
-
-      if (!fs.existsSync(agentPath)) {
-        // Try with -agent.json suffix
-        const altPath = path.join(agentsDir, `${name}-agent.json`);
-        if (fs.existsSync(altPath)) {
-          const agent = JSON.parse(fs.readFileSync(altPath, 'utf8'));
-          outputAgent(agent, options);
-          return;
-        }
+      const entries = listAgentDefinitions();
 
+      // Support both with and without .json extension, and the -agent suffix
+      const agentName = name.replace(/\.json$/, '');
+      const entry =
+        entries.find((e) => e.name === agentName) ||
+        entries.find((e) => e.name === `${agentName}-agent`);
+
+      if (!entry) {
         if (options.json) {
           console.log(JSON.stringify({ error: `Agent not found: ${name}` }, null, 2));
         } else {
           console.error(chalk.red(`Agent not found: ${name}`));
           console.log(chalk.dim('\nAvailable agents:'));
-          const files = fs.readdirSync(agentsDir).filter((f) => f.endsWith('.json'));
-          files.forEach((f) => console.log(chalk.dim(`  - ${f.replace('.json', '')}`)));
+          entries.forEach((e) => console.log(chalk.dim(`  - ${e.name}`)));
         }
         process.exit(1);
       }
 
-      const agent = JSON.parse(fs.readFileSync(agentPath, 'utf8'));
+      const agent = JSON.parse(fs.readFileSync(entry.path, 'utf8'));
       outputAgent(agent, options);
     } catch (error) {
       if (options.json) {
@@ -4343,9 +4801,12 @@ function formatTokenUsage(tokensByRole) {
       chalk.dim(' out)')
   );
 
-  // Cost line (if available)
-  if (cost > 0) {
-    lines.push(chalk.dim('Cost: ') + chalk.green('$' + cost.toFixed(4)));
+  // Cost line (if available); tasks on models without a known rate are not in it
+  const unpriced = total.unpricedCount
+    ? chalk.yellow(` (${total.unpricedCount} task(s) unpriced - see modelPricing setting)`)
+    : '';
+  if (cost > 0 || unpriced) {
+    lines.push(chalk.dim('Cost: ') + chalk.green('$' + cost.toFixed(4)) + unpriced);
   }
 
   // Per-role breakdown (compact)
@@ -4504,6 +4965,10 @@ function formatLifecycleEvent(data) {
       icon = chalk.green('✓');
       eventText = `task #${data.iteration} completed`;
       break;
+    case 'PROVIDER_FAILOVER':
+      icon = chalk.yellow('⇄');
+      eventText = `${data.fromProvider} ${data.reason} → retrying on ${chalk.cyan(data.toProvider)} (${chalk.dim(data.toLevel)})`;
+      break;
     default:
       icon = chalk.dim('•');
       eventText = event || 'unknown event';
@@ -4609,7 +5074,9 @@ function handleValidationResultRender({ msg, prefix, timestamp, lines }) {
   const data = msg.content?.data || {};
   const approved = data.approved === true || data.approved === 'true';
   const icon = approved ? chalk.green('✓ APPROVED') : chalk.red('✗ REJECTED');
-  lines.push(`${prefix} ${chalk.gray(timestamp)} ${chalk.bold.magenta('VALIDATION_RESULT')}`);
+  // Also renders CANDIDATE_SCORED, a validator's verdict on one best-of candidate
+  const title = data.candidateId ? `${msg.topic} ${data.candidateId}` : msg.topic;
+  lines.push(`${prefix} ${chalk.gray(timestamp)} ${chalk.bold.magenta(title)}`);
   lines.push(`${prefix}   ${icon} ${chalk.dim(data.summary || '')}`);
 
   if (!approved) {
@@ -4642,6 +5109,17 @@ function handleClusterCompleteRender({ prefix, timestamp, lines }) {
   lines.push(chalk.bold.green('─'.repeat(80)));
 }
 
+function handleCandidateSelectedRender({ msg, prefix, timestamp, lines }) {
+  const data = msg.content?.data || {};
+  lines.push(`${prefix} ${chalk.gray(timestamp)} ${chalk.bold.magenta('CANDIDATE_SELECTED')}`);
+  for (const line of formatBestOfLines({
+    winner: data.winner,
+    candidates: data.candidates || [],
+  })) {
+    lines.push(`${prefix}   ${line}`);
+  }
+}
+
 function handleAgentErrorRender({ msg, prefix, timestamp, lines }) {
   lines.push('');
   lines.push(chalk.bold.red('─'.repeat(80)));
@@ -4722,6 +5200,8 @@ const RENDER_TOPIC_HANDLERS = {
   ISSUE_OPENED: handleIssueOpenedRender,
   IMPLEMENTATION_READY: handleImplementationReadyRender,
   VALIDATION_RESULT: handleValidationResultRender,
+  CANDIDATE_SCORED: handleValidationResultRender,
+  CANDIDATE_SELECTED: handleCandidateSelectedRender,
   PR_CREATED: handlePrCreatedRender,
   CLUSTER_COMPLETE: handleClusterCompleteRender,
   AGENT_ERROR: handleAgentErrorRender,
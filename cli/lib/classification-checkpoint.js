@@ -0,0 +1,166 @@
+/**
+ * Classification checkpoint - `zeroshot run` flags acting on the conductor's classification
+ *
+ * - --complexity / --task-type replace what the conductor picked
+ * - --classify-only prints the classification and chosen template, then stops
+ * - --confirm pauses the cluster after classification until the user accepts,
+ *   changes or aborts it
+ *
+ * The orchestrator applies the result before load_config (src/classification-review.js).
+ */
+
+const readline = require('readline');
+const chalk = require('chalk');
+const { COMPLEXITIES, TASK_TYPES } = require('../../src/config-router');
+const { validateClassification } = require('../../src/classification-review');
+const { isConductorConfig } = require('../../src/config-validator');
+
+/**
+ * Check the classification flags before anything is started
+ * @param {Object} options - Commander options of `zeroshot run`
+ * @throws {Error} On unknown values or flags that need a terminal combined with --detach
+ */
+function validateClassificationFlags(options) {
+  if (options.complexity) options.complexity = options.complexity.toUpperCase();
+  if (options.taskType) options.taskType = options.taskType.toUpperCase();
+  const errors = validateClassification({
+    complexity: options.complexity,
+    taskType: options.taskType,
+  });
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+
+  const interactive = options.classifyOnly ? '--classify-only' : options.confirm && '--confirm';
+  if (interactive && options.detach) {
+    throw new Error(`${interactive} needs the terminal and cannot be combined with --detach`);
+  }
+  if (options.confirm && !process.stdin.isTTY) {
+    throw new Error('--confirm needs an interactive terminal (stdin is not a TTY)');
+  }
+  if (options.classifyOnly) {
+    // Nothing gets implemented, so there is nothing to isolate or open a PR for
+    options.pr = options.ship = options.worktree = options.docker = false;
+  }
+}
+
+function describeConfig(config) {
+  if (!config || typeof config !== 'object') {
+    return chalk.cyan(String(config));
+  }
+  const { complexity: _c, task_type: _t, ...params } = config.params || {};
+  return `${chalk.cyan(config.base)} ${chalk.dim(JSON.stringify(params))}`;
+}
+
+/**
+ * Print a classification as handed to the review callback
+ * @param {Object} classification - { complexity, taskType, reasoning, config, conductor }
+ */
+function printClassification(classification) {
+  const { complexity, taskType, reasoning, config, conductor } = classification;
+  const overridden =
+    conductor.complexity !== complexity || conductor.taskType !== taskType
+      ? chalk.yellow(` (conductor: ${conductor.complexity}:${conductor.taskType})`)
+      : '';
+  console.log('');
+  console.log(chalk.bold(`Classification: ${complexity}:${taskType}`) + overridden);
+  if (reasoning) {
+    console.log(chalk.dim(`Reasoning: ${reasoning}`));
+  }
+  console.log(`Template: ${describeConfig(config)}`);
+  console.log('');
+}
+
+/**
+ * Parse an answer like "CRITICAL", "task" or "critical:debug"
+ * @param {string} answer
+ * @returns {{ complexity?: string, taskType?: string }|null} null if a word is unknown
+ */
+function parseClassificationAnswer(answer) {
+  const decision = {};
+  for (const word of answer
+    .toUpperCase()
+    .split(/[\s:,]+/)
+    .filter(Boolean)) {
+    if (COMPLEXITIES.includes(word)) {
+      decision.complexity = word;
+    } else if (TASK_TYPES.includes(word)) {
+      decision.taskType = word;
+    } else {
+      return null;
+    }
+  }
+  return decision;
+}
+
+/**
+ * Ask the user to accept, change or abort a classification
+ * @param {Object} classification
+ * @returns {Promise<{ complexity: string, taskType: string }|null>} null to abort
+ */
+async function promptClassification(classification) {
+  printClassification(classification);
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const ask = (question) => new Promise((resolve) => rl.question(question, resolve));
+  try {
+    for (;;) {
+      const answer = (
+        await ask(
+          chalk.yellow('Accept? [Y]es / n(o, abort) / new classification (e.g. CRITICAL:TASK) ')
+        )
+      ).trim();
+      if (answer === '' || /^y(es)?$/i.test(answer)) {
+        return { complexity: classification.complexity, taskType: classification.taskType };
+      }
+      if (/^no?$|^abort$/i.test(answer)) {
+        return null;
+      }
+      const decision = parseClassificationAnswer(answer);
+      if (decision) {
+        return decision;
+      }
+      console.log(
+        chalk.red(`Expected yes, no, or any of ${[...COMPLEXITIES, ...TASK_TYPES].join(', ')}`)
+      );
+    }
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * Orchestrator start option for the classification flags
+ * @param {Object} options - Commander options of `zeroshot run` (validated)
+ * @param {Object} config - Cluster config being started
+ * @returns {Object|undefined} { complexity?, taskType?, review? }, or undefined if no flag is set
+ */
+function buildClassificationCheckpoint(options, config) {
+  const { complexity, taskType, classifyOnly, confirm } = options;
+  if (!complexity && !taskType && !classifyOnly && !confirm) {
+    return undefined;
+  }
+  if (!isConductorConfig(config)) {
+    throw new Error(
+      '--complexity, --task-type, --classify-only and --confirm need a conductor config ' +
+        '(e.g. conductor-bootstrap)'
+    );
+  }
+
+  let review;
+  if (classifyOnly) {
+    review = (classification) => {
+      printClassification(classification);
+      return null;
+    };
+  } else if (confirm) {
+    review = promptClassification;
+  }
+  return { complexity, taskType, review };
+}
+
+module.exports = {
+  validateClassificationFlags,
+  buildClassificationCheckpoint,
+  parseClassificationAnswer,
+  printClassification,
+};
@@ -34,6 +34,10 @@ function formatAgentLifecycle(msg, prefix, print = console.log) {
       icon = chalk.green('✓');
       eventText = `task #${data.iteration} completed`;
       break;
+    case 'PROVIDER_FAILOVER':
+      icon = chalk.yellow('⇄');
+      eventText = `${data.fromProvider} ${data.reason} → retrying on ${chalk.cyan(data.toProvider)} (${chalk.dim(data.toLevel)})`;
+      break;
     default:
       icon = chalk.dim('•');
       eventText = event || 'unknown event';
@@ -147,6 +147,10 @@ function setupCompletion() {
     reply(['--port']);
   });
 
+  complete.on('serve', ({ reply }) => {
+    reply(['--port', '--host']);
+  });
+
   complete.on('watch', ({ reply }) => {
     reply(['--filter', '--refresh-rate', 'running', 'stopped', 'all']);
   });
@@ -164,6 +168,7 @@ function setupCompletion() {
       'resume',
       'export',
       'ui',
+      'serve',
       'watch',
     ]);
   });
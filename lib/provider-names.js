@@ -6,9 +6,10 @@ const PROVIDER_ALIASES = {
   codex: 'codex',
   gemini: 'gemini',
   opencode: 'opencode',
+  api: 'api',
 };
 
-const VALID_PROVIDERS = ['claude', 'codex', 'gemini', 'opencode'];
+const VALID_PROVIDERS = ['claude', 'codex', 'gemini', 'opencode', 'api'];
 
 function normalizeProviderName(name) {
   if (!name || typeof name !== 'string') return name;
@@ -7,11 +7,16 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { validateMountConfig, validateEnvPassthrough } = require('./docker-config');
-const {
-  VALID_PROVIDERS,
-  normalizeProviderName,
-  normalizeProviderSettings,
-} = require('./provider-names');
+const { normalizeProviderName, normalizeProviderSettings } = require('./provider-names');
+
+/**
+ * Built-in and plugin provider names
+ * Lazy require to avoid circular dependency
+ * @returns {string[]}
+ */
+function listProviderNames() {
+  return require('../src/providers').listProviders();
+}
 
 /**
  * Get settings file path (dynamically reads env var for testing)
@@ -112,6 +117,23 @@ const DEFAULT_SETTINGS = {
   // Container home directory - where $HOME resolves in container paths
   // Default: /home/node (matches zeroshot-cluster-base image)
   dockerContainerHome: '/home/node',
+  // GitHub Enterprise host for --pr/--ship (GH_HOST overrides), e.g. "github.acme.com"
+  githubHost: null,
+  // Non-GitHub task sources (zeroshot run gitlab:group/proj#12, jira:PROJ-123, linear:ENG-42)
+  // Example: { "gitlab": { "baseUrl": "https://gitlab.example.com" }, "jira": { "baseUrl": "https://acme.atlassian.net" } }
+  inputSources: {},
+  // Routing table checked before the built-in one (see src/config-router.js)
+  // Example: { "rules": [{ "when": { "labels": ["security"] }, "set": { "complexity": "CRITICAL" } }] }
+  routing: null,
+  // Third-party providers: npm packages or module paths (relative to this file's directory)
+  // Example: ["zeroshot-provider-aider", "./providers/internal-agent.js"] (see src/providers/plugins.js)
+  providerPlugins: [],
+  // MCP servers every agent gets (agents add their own or turn one off with false)
+  // Example: { "browser": { "command": "npx", "args": ["@playwright/mcp"] } } (see src/providers/mcp-servers.js)
+  mcpServers: {},
+  // Negotiated rates (USD per million tokens), used over the built-in catalog and CLI-reported cost
+  // Example: { "claude": { "claude-sonnet-4": { "input": 2.4, "output": 12 } }, "codex": { "*": { ... } } }
+  modelPricing: {},
 };
 
 function mapLegacyModelToLevel(model) {
@@ -132,7 +154,7 @@ function mergeProviderSettings(current, overrides) {
   const providerDefaults = getProviderDefaults();
   const merged = {};
 
-  for (const provider of VALID_PROVIDERS) {
+  for (const provider of listProviderNames()) {
     merged[provider] = {
       ...(providerDefaults[provider] || {}),
       ...(current[provider] || {}),
@@ -256,7 +278,7 @@ function validateProviderSettings(value) {
   const { getProvider } = require('../src/providers');
 
   for (const [providerName, settings] of Object.entries(normalizedSettings || {})) {
-    if (!VALID_PROVIDERS.includes(providerName)) {
+    if (!listProviderNames().includes(providerName)) {
       return `Unknown provider in providerSettings: ${providerName}`;
     }
 
@@ -273,6 +295,74 @@ function validateProviderSettings(value) {
   return null;
 }
 
+/**
+ * Validate providerPlugins by loading every plugin
+ * @returns {string|null} Error message if invalid, null if valid
+ */
+function validateProviderPlugins(value) {
+  if (!Array.isArray(value) || value.some((spec) => typeof spec !== 'string' || !spec.trim())) {
+    return 'providerPlugins must be an array of package names or paths';
+  }
+
+  // Lazy require to avoid circular dependency
+  const { loadProviderPlugins } = require('../src/providers/plugins');
+  const { errors } = loadProviderPlugins(value, path.dirname(getSettingsFile()));
+  return errors.length > 0 ? errors.join('; ') : null;
+}
+
+/**
+ * Validate inputSources structure: { <source>: { baseUrl?: string, ... } }
+ * @returns {string|null} Error message if invalid, null if valid
+ */
+function validateInputSources(value) {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    return 'inputSources must be an object';
+  }
+
+  // Lazy require to avoid circular dependency
+  const { listInputSources } = require('../src/input-sources');
+
+  for (const [sourceName, config] of Object.entries(value)) {
+    if (!listInputSources().includes(sourceName)) {
+      return `Unknown input source in inputSources: ${sourceName}. Valid: ${listInputSources().join(', ')}`;
+    }
+    if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+      return `inputSources.${sourceName} must be an object`;
+    }
+    if (config.baseUrl !== undefined && !/^https?:\/\/\S+$/.test(config.baseUrl)) {
+      return `inputSources.${sourceName}.baseUrl must be an http(s) URL`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate mcpServers (see src/providers/mcp-servers.js)
+ * @returns {string|null} Error message if invalid, null if valid
+ */
+function validateMcpServersSetting(value) {
+  const { validateMcpServers } = require('../src/providers/mcp-servers');
+  return validateMcpServers(value);
+}
+
+/**
+ * Validate modelPricing (see src/providers/pricing.js)
+ * @returns {string|null} Error message if invalid, null if valid
+ */
+function validateModelPricingSetting(value) {
+  const { validateModelPricing } = require('../src/providers/pricing');
+  return validateModelPricing(value, listProviderNames());
+}
+
+const OBJECT_SETTING_VALIDATORS = {
+  providerSettings: validateProviderSettings,
+  providerPlugins: validateProviderPlugins,
+  inputSources: validateInputSources,
+  mcpServers: validateMcpServersSetting,
+  modelPricing: validateModelPricingSetting,
+};
+
 /**
  * Validate a setting value
  * @returns {string|null} Error message if invalid, null if valid
@@ -300,13 +390,21 @@ function validateSetting(key, value) {
 
   if (key === 'defaultProvider') {
     const normalized = normalizeProviderName(value);
-    if (!VALID_PROVIDERS.includes(normalized)) {
-      return `Invalid provider: ${value}. Valid providers: ${VALID_PROVIDERS.join(', ')}`;
+    const providers = listProviderNames();
+    if (!providers.includes(normalized)) {
+      return `Invalid provider: ${value}. Valid providers: ${providers.join(', ')}`;
     }
   }
 
-  if (key === 'providerSettings') {
-    return validateProviderSettings(value);
+  if (OBJECT_SETTING_VALIDATORS[key]) {
+    return OBJECT_SETTING_VALIDATORS[key](value);
+  }
+
+  if (key === 'routing' && value !== null) {
+    // Lazy require to avoid circular dependency
+    const { validateRoutingTable } = require('../src/config-router');
+    const errors = validateRoutingTable(value);
+    return errors.length > 0 ? errors.join('; ') : null;
   }
 
   if (key === 'dockerMounts') {
@@ -320,6 +418,21 @@ function validateSetting(key, value) {
   return null;
 }
 
+/**
+ * Parse a JSON string for object-valued settings (objects pass through)
+ * @private
+ */
+function parseJsonSetting(key, value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw new Error(`Invalid JSON for ${key}: ${value}`);
+  }
+}
+
 /**
  * Coerce value to correct type based on default value type
  */
@@ -363,20 +476,21 @@ function coerceValue(key, value) {
   }
 
   if (key === 'providerSettings') {
-    if (typeof value === 'string') {
-      try {
-        return normalizeProviderSettings(JSON.parse(value));
-      } catch {
-        throw new Error(`Invalid JSON for providerSettings: ${value}`);
-      }
-    }
-    return normalizeProviderSettings(value);
+    return normalizeProviderSettings(parseJsonSetting(key, value));
   }
 
   if (key === 'defaultProvider') {
     return normalizeProviderName(value);
   }
 
+  if (['inputSources', 'mcpServers', 'modelPricing'].includes(key)) {
+    return parseJsonSetting(key, value);
+  }
+
+  if (key === 'routing') {
+    return value === 'null' ? null : parseJsonSetting(key, value);
+  }
+
   return value;
 }
 
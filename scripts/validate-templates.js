@@ -10,6 +10,7 @@
 const fs = require('fs');
 const path = require('path');
 const { validateConfig } = require('../src/config-validator');
+const TemplateResolver = require('../src/template-resolver');
 
 const TEMPLATES_DIR = path.join(__dirname, '../cluster-templates');
 
@@ -33,13 +34,18 @@ function validateTemplate(filePath) {
 
   try {
     const content = fs.readFileSync(filePath, 'utf-8');
-    const config = JSON.parse(content);
+    let config = JSON.parse(content);
 
-    // Skip non-cluster configs (like package.json)
-    if (!config.agents && !config.name) {
+    // Skip non-cluster configs (like package.json) and agent fragments
+    if (!config.agents && !config.name && !config.extends) {
       return { valid: true, skipped: true };
     }
 
+    // Validate the composed agent graph (placeholders stay unresolved)
+    if (TemplateResolver.isComposed(config)) {
+      config = new TemplateResolver(TEMPLATES_DIR).compose(config, path.dirname(filePath));
+    }
+
     const result = validateConfig(config);
 
     if (!result.valid) {
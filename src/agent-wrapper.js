@@ -71,6 +71,8 @@ class AgentWrapper {
     this.unsubscribe = null;
     /** @type {number | null} */
     this.lastTaskEndTime = null; // Track when last task completed (for context filtering)
+    /** @type {{ provider: string, modelSpec: Object } | null} */
+    this.providerFailover = null; // Fallback provider the current task moved to (see provider-failover)
 
     // LIVENESS DETECTION - Track output freshness to detect stuck agents
     /** @type {number | null} */
@@ -122,6 +124,10 @@ class AgentWrapper {
   }
 
   _resolveProvider() {
+    if (this.providerFailover) {
+      return this.providerFailover.provider;
+    }
+
     const settings = loadSettings();
     const clusterConfig = this.cluster?.config || {};
 
@@ -136,6 +142,10 @@ class AgentWrapper {
   }
 
   _resolveModelSpec() {
+    if (this.providerFailover) {
+      return this.providerFailover.modelSpec;
+    }
+
     const settings = loadSettings();
     const providerName = this._resolveProvider();
     const provider = getProvider(providerName);
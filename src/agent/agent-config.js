@@ -177,7 +177,7 @@ function buildNormalizedConfig(config, modelConfig, promptConfig) {
 
 function assertTestModeSafety(config, options) {
   const executesTask = config.triggers?.some(
-    (trigger) => !trigger.action || trigger.action === 'execute_task'
+    (trigger) => !trigger.action || ['execute_task', 'fan_out', 'best_of'].includes(trigger.action)
   );
   const hasMock = options.mockSpawnFn || options.taskRunner;
 
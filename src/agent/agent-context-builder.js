@@ -86,7 +86,7 @@ function buildOutputStyleSection() {
 function buildGitOperationsSection() {
   let context = `## 🚫 GIT OPERATIONS - FORBIDDEN\n\n`;
   context += `NEVER commit, push, or create PRs. You only modify files.\n`;
-  context += `The git-pusher agent handles ALL git operations AFTER validators approve.\n\n`;
+  context += `zeroshot handles ALL git operations AFTER validators approve.\n\n`;
   context += `- ❌ NEVER run: git add, git commit, git push, gh pr create\n`;
   context += `- ❌ NEVER suggest committing changes\n`;
   context += `- ✅ Only modify files and publish your completion message when done\n\n`;
@@ -213,9 +213,31 @@ async function parseTransformResultData({ context, agent, script, scriptUsesResu
   return null;
 }
 
+/**
+ * Labels of the cluster's original ISSUE_OPENED (the conductor republishes it without data)
+ * @param {Object} agent
+ * @returns {string[]}
+ */
+function getIssueLabels(agent) {
+  if (!agent.messageBus || !agent.cluster?.id) return [];
+  const [issue] = agent.messageBus.query({
+    cluster_id: agent.cluster.id,
+    topic: 'ISSUE_OPENED',
+    limit: 1,
+  });
+  return issue?.content?.data?.labels || [];
+}
+
 function buildTransformSandbox({ resultData, context, agent }) {
+  const { getConfig, collectRoutingContext } = require('../config-router');
   const helpers = {
-    getConfig: require('../config-router').getConfig,
+    // Routing tables can match the issue's labels and the repo's changed paths
+    getConfig: (complexity, taskType) =>
+      getConfig(
+        complexity,
+        taskType,
+        collectRoutingContext({ cwd: agent.config?.cwd, labels: getIssueLabels(agent) })
+      ),
   };
 
   return {
@@ -5,7 +5,7 @@
  * Provides:
  * - Agent startup and shutdown
  * - Message handling and routing
- * - Trigger action execution (execute_task, stop_cluster)
+ * - Trigger action execution (execute_task, stop_cluster, fan_out, best_of)
  * - Task execution with retry logic
  * - Liveness monitoring with multi-indicator stuck detection
  *
@@ -13,8 +13,16 @@
  */
 
 const { buildContext } = require('./agent-context-builder');
-const { findMatchingTrigger, evaluateTrigger } = require('./agent-trigger-evaluator');
+const {
+  findMatchingTrigger,
+  evaluateTrigger,
+  evaluateTriggerTraced,
+  recordTriggerOutcome,
+} = require('./agent-trigger-evaluator');
 const { executeHook } = require('./agent-hook-executor');
+const { createCheckpoint } = require('../git-checkpoints');
+const { normalizeSubtasks } = require('../fan-out');
+const { priceTokenUsage } = require('../providers/pricing');
 const {
   analyzeProcessHealth,
   isPlatformSupported,
@@ -114,33 +122,48 @@ async function handleMessage(agent, message) {
     return; // No trigger for this message type
   }
 
+  const agentContext = {
+    id: agent.id,
+    role: agent.role,
+    iteration: agent.iteration,
+    cluster_id: agent.cluster.id,
+  };
+
   // Now check state - LOG if we're dropping a message we SHOULD handle
   if (!agent.running) {
     console.warn(`[${agent.id}] ⚠️ DROPPING message (not running): ${message.topic}`);
+    recordTriggerOutcome(agent.messageBus, {
+      agent: agentContext,
+      trigger: matchingTrigger,
+      message,
+      outcome: 'dropped_stopped',
+    });
     return;
   }
   if (agent.state !== 'idle') {
     console.warn(
       `[${agent.id}] ⚠️ DROPPING message (busy, state=${agent.state}): ${message.topic}`
     );
+    recordTriggerOutcome(agent.messageBus, {
+      agent: agentContext,
+      trigger: matchingTrigger,
+      message,
+      outcome: 'dropped_busy',
+      error: `state=${agent.state}`,
+    });
     return;
   }
 
   // Evaluate trigger logic
   agent.state = 'evaluating_logic';
 
-  const agentContext = {
-    id: agent.id,
-    role: agent.role,
-    iteration: agent.iteration,
-    cluster_id: agent.cluster.id,
-  };
-
-  const shouldExecute = evaluateTrigger({
+  const evaluate = agent.messageBus.triggerTracing ? evaluateTriggerTraced : evaluateTrigger;
+  const shouldExecute = evaluate({
     trigger: matchingTrigger,
     message,
     agent: agentContext,
     logicEngine: agent.logicEngine,
+    messageBus: agent.messageBus,
   });
 
   if (!shouldExecute) {
@@ -188,12 +211,65 @@ async function executeTriggerAction(agent, trigger, message) {
     });
     agent.state = 'completed';
     agent._log(`Agent ${agent.id}: Cluster completion triggered`);
+  } else if (action === 'fan_out') {
+    await fanOutOrExecute(agent, message);
+  } else if (action === 'best_of') {
+    await bestOfOrExecute(agent, message);
   } else {
     console.warn(`Unknown action: ${action}`);
     agent.state = 'idle';
   }
 }
 
+/**
+ * fan_out action: hand the plan's subtasks to the orchestrator (see fan-out.js)
+ * Runs the task normally when there is nothing to split or no worktree to split it in.
+ * @param {AgentWrapper} agent - Agent instance
+ * @param {Object} message - Triggering message (PLAN_READY)
+ */
+async function fanOutOrExecute(agent, message) {
+  const subtasks = normalizeSubtasks(message.content?.data?.subtasks);
+  if (subtasks.length < 2 || !agent.cluster?.worktree?.path) {
+    await executeTask(agent, message);
+    return;
+  }
+
+  agent._publish({
+    topic: 'FANOUT_REQUESTED',
+    receiver: 'system',
+    content: {
+      text: `Splitting ${subtasks.length} subtasks across parallel workers`,
+      data: { agentId: agent.id, subtasks, planMessageId: message.id },
+    },
+  });
+  agent.state = 'idle';
+  agent._log(`Agent ${agent.id}: Fan-out requested (${subtasks.length} subtasks)`);
+}
+
+/**
+ * best_of action: have the orchestrator run competing candidates (see best-of.js)
+ * Runs the task normally when there is no worktree to give each candidate.
+ * @param {AgentWrapper} agent - Agent instance
+ * @param {Object} message - Triggering message
+ */
+async function bestOfOrExecute(agent, message) {
+  if (!agent.cluster?.worktree?.path) {
+    await executeTask(agent, message);
+    return;
+  }
+
+  agent._publish({
+    topic: 'CANDIDATES_REQUESTED',
+    receiver: 'system',
+    content: {
+      text: `Requesting independent candidates for ${message.topic}`,
+      data: { agentId: agent.id, triggerMessageId: message.id },
+    },
+  });
+  agent.state = 'idle';
+  agent._log(`Agent ${agent.id}: Best-of candidates requested`);
+}
+
 async function runOnStartHook({ agent, triggeringMessage }) {
   await executeHook({
     hook: agent.config.hooks?.onStart,
@@ -315,7 +391,48 @@ async function executeProviderTask({ agent, triggeringMessage, context }) {
   return result;
 }
 
-function publishTaskCompleted(agent, result) {
+/**
+ * Host path of the agent's isolated workspace (worktree or Docker copy), or null
+ * when the agent works in the caller's checkout
+ */
+function getIsolatedWorkspace(agent) {
+  if (agent.worktree?.enabled) {
+    return agent.worktree.path;
+  }
+  if (agent.isolation?.enabled) {
+    return agent.isolation.manager?.isolatedDirs?.get(agent.isolation.clusterId)?.path || null;
+  }
+  return null;
+}
+
+// Roles that review or route work and leave the files alone
+const READ_ONLY_ROLES = new Set(['validator', 'conductor', 'orchestrator']);
+
+/**
+ * Snapshot the isolated workspace so every iteration can be diffed or rolled back.
+ * Only agents that can change files are checkpointed. A failed checkpoint is
+ * logged but never fails the task.
+ * @returns {Promise<String|null>} Checkpoint SHA
+ */
+async function createTaskCheckpoint(agent) {
+  const workspace = READ_ONLY_ROLES.has(agent.role) ? null : getIsolatedWorkspace(agent);
+  if (!workspace) {
+    return null;
+  }
+
+  try {
+    return await createCheckpoint(workspace, {
+      clusterId: agent.cluster.id,
+      agentId: agent.id,
+      iteration: agent.iteration,
+    });
+  } catch (error) {
+    console.warn(`⚠️ [${agent.id}] Checkpoint failed: ${error.message}`);
+    return null;
+  }
+}
+
+function publishTaskCompleted(agent, result, checkpoint) {
   // Set state to idle BEFORE publishing lifecycle event
   // (so lifecycle message includes correct state)
   agent.state = 'idle';
@@ -328,6 +445,7 @@ function publishTaskCompleted(agent, result) {
     success: true,
     taskId: agent.currentTaskId,
     tokenUsage: result.tokenUsage || null,
+    checkpoint,
   });
 }
 
@@ -336,24 +454,32 @@ function publishTokenUsage(agent, result) {
     return;
   }
 
-  // Get actual model used from API response (more accurate than config)
-  const actualModel = result.tokenUsage.modelUsage
-    ? Object.keys(result.tokenUsage.modelUsage)[0]
-    : agent._selectModel();
+  // Provider and model the task actually ran on (failover may have switched them);
+  // the CLI's own report of the model wins over the config
+  const provider = agent._resolveProvider();
+  const actualModel =
+    (result.tokenUsage.modelUsage && Object.keys(result.tokenUsage.modelUsage)[0]) ||
+    result.tokenUsage.model ||
+    agent._resolveModelSpec().model ||
+    null;
+  const { totalCostUsd, costSource } = priceTokenUsage(provider, actualModel, result.tokenUsage);
 
   agent.messageBus.publish({
     cluster_id: agent.cluster.id,
     topic: 'TOKEN_USAGE',
     sender: agent.id,
     content: {
-      text: `${agent.id} used ${result.tokenUsage.inputTokens} input + ${result.tokenUsage.outputTokens} output tokens (${actualModel})`,
+      text: `${agent.id} used ${result.tokenUsage.inputTokens} input + ${result.tokenUsage.outputTokens} output tokens (${provider}/${actualModel || 'default'})`,
       data: {
         agentId: agent.id,
         role: agent.role,
-        model: agent._selectModel(),
         iteration: agent.iteration,
         taskId: agent.currentTaskId, // Causal linking for message ordering
         ...result.tokenUsage,
+        provider,
+        model: actualModel,
+        totalCostUsd,
+        costSource,
       },
     },
   });
@@ -402,7 +528,8 @@ async function runOnCompleteHookWithRetry({ agent, triggeringMessage, result })
 }
 
 async function handleTaskSuccess({ agent, triggeringMessage, result }) {
-  publishTaskCompleted(agent, result);
+  const checkpoint = await createTaskCheckpoint(agent);
+  publishTaskCompleted(agent, result, checkpoint);
   publishTokenUsage(agent, result);
   await runOnCompleteHookWithRetry({ agent, triggeringMessage, result });
 }
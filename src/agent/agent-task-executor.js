@@ -22,6 +22,13 @@ const { resolveClaudeAuth } = require('../../lib/settings/claude-auth.js');
 
 // Schema utilities for normalizing LLM output
 const { normalizeEnumValues } = require('./schema-utils');
+const {
+  classifyProviderFailure,
+  getProviderErrorText,
+  resolveFallbackProviders,
+  resolveEquivalentModelSpec,
+} = require('./provider-failover');
+const { resolveMcpServers } = require('../providers/mcp-servers');
 
 /**
  * Build Claude-specific environment variables for task spawning
@@ -197,9 +204,9 @@ let dangerousGitHookInstalled = false;
 
 /**
  * Extract token usage from NDJSON output.
- * Looks for the 'result' event line which contains usage data.
+ * Sums every 'result' event: Claude and Codex emit one, Opencode one per step.
  *
- * @param {string} output - Full NDJSON output from Claude CLI
+ * @param {string} output - Full NDJSON output from the provider CLI
  * @returns {Object|null} Token usage data or null if not found
  */
 function extractTokenUsage(output, providerName = 'claude') {
@@ -207,20 +214,26 @@ function extractTokenUsage(output, providerName = 'claude') {
 
   const provider = getProvider(providerName);
   const events = parseChunkWithProvider(provider, output);
-  const resultEvent = events.find((event) => event.type === 'result');
+  const resultEvents = events.filter((event) => event.type === 'result');
 
-  if (!resultEvent) {
+  if (resultEvents.length === 0) {
     return null;
   }
 
+  const sum = (field) => resultEvents.reduce((total, event) => total + (event[field] || 0), 0);
+  const reported = resultEvents.filter((event) => typeof event.cost === 'number');
+  const last = resultEvents[resultEvents.length - 1];
+
   return {
-    inputTokens: resultEvent.inputTokens || 0,
-    outputTokens: resultEvent.outputTokens || 0,
-    cacheReadInputTokens: resultEvent.cacheReadInputTokens || 0,
-    cacheCreationInputTokens: resultEvent.cacheCreationInputTokens || 0,
-    totalCostUsd: resultEvent.cost || null,
-    durationMs: resultEvent.duration || null,
-    modelUsage: resultEvent.modelUsage || null,
+    inputTokens: sum('inputTokens'),
+    outputTokens: sum('outputTokens'),
+    cacheReadInputTokens: sum('cacheReadInputTokens'),
+    cacheCreationInputTokens: sum('cacheCreationInputTokens'),
+    // null = the CLI reported no cost (see src/providers/pricing.js)
+    totalCostUsd: reported.length > 0 ? sum('cost') : null,
+    durationMs: last.duration || null,
+    modelUsage: last.modelUsage || null,
+    model: last.model || null,
   };
 }
 
@@ -381,12 +394,72 @@ function ensureDangerousGitHook() {
 }
 
 /**
- * Spawn claude-zeroshots process and stream output via message bus
+ * Spawn claude-zeroshots process and stream output via message bus.
+ * Rate limits, overloads, auth errors and outages move the agent to its next
+ * fallbackProviders entry and rerun the same context there.
  * @param {Object} agent - Agent instance
  * @param {String} context - Context to pass to Claude
  * @returns {Promise<Object>} Result object { success, output, error }
  */
 async function spawnClaudeTask(agent, context) {
+  // Every task starts on the agent's own provider
+  agent.providerFailover = null;
+  const primaryProvider = agent._resolveProvider ? agent._resolveProvider() : 'claude';
+  const fallbacks = resolveFallbackProviders(agent, primaryProvider);
+
+  for (let attempt = 0; ; attempt++) {
+    let result = null;
+    let thrown = null;
+    try {
+      result = await spawnProviderTask(agent, context);
+    } catch (error) {
+      thrown = error;
+    }
+
+    const errorText = thrown ? thrown.message : getFailureContext(agent, result);
+    const reason = attempt < fallbacks.length ? classifyProviderFailure(errorText) : null;
+    if (!reason) {
+      if (thrown) throw thrown;
+      return result;
+    }
+    switchToFallbackProvider(agent, fallbacks[attempt], reason, errorText);
+  }
+}
+
+// Only the provider's own error output is classified, never the transcript
+function getFailureContext(agent, result) {
+  if (!result || result.success) {
+    return null;
+  }
+  const provider = agent._resolveProvider ? agent._resolveProvider() : 'claude';
+  return getProviderErrorText(provider, result.output);
+}
+
+/**
+ * Point the agent at the next provider for the rest of this task and record
+ * the switch in the ledger
+ */
+function switchToFallbackProvider(agent, toProvider, reason, errorText) {
+  const fromProvider = agent._resolveProvider();
+  const fromSpec = resolveAgentModelSpec(agent);
+  const modelSpec = resolveEquivalentModelSpec(fromProvider, fromSpec, toProvider);
+  agent.providerFailover = { provider: toProvider, modelSpec };
+
+  agent._log(
+    `[Agent ${agent.id}] ⚠️ ${fromProvider} failed (${reason}); retrying on ${toProvider} at ${modelSpec.level}`
+  );
+  agent._publishLifecycle('PROVIDER_FAILOVER', {
+    iteration: agent.iteration,
+    fromProvider,
+    fromLevel: fromSpec?.level || null,
+    toProvider,
+    toLevel: modelSpec.level,
+    reason,
+    error: errorText,
+  });
+}
+
+async function spawnProviderTask(agent, context) {
   const providerName = agent._resolveProvider ? agent._resolveProvider() : 'claude';
   const modelSpec = resolveAgentModelSpec(agent);
 
@@ -512,9 +585,23 @@ function buildTaskRunArgs({ agent, providerName, modelSpec, runOutputFormat }) {
     args.push('--json-schema', schema);
   }
 
+  const mcpServers = resolveAgentMcpServers(agent);
+  if (mcpServers) {
+    args.push('--mcp-config', JSON.stringify({ mcpServers }));
+  }
+
   return args;
 }
 
+/**
+ * MCP servers for the agent: the mcpServers setting overlaid with its own
+ * @returns {Object|null} null when the agent has none
+ */
+function resolveAgentMcpServers(agent) {
+  const servers = resolveMcpServers(agent.config.mcpServers, loadSettings().mcpServers);
+  return Object.keys(servers).length > 0 ? servers : null;
+}
+
 function maybeLogStreamJsonNotice(agent, runOutputFormat) {
   if (agent.config.jsonSchema && runOutputFormat !== 'json' && !agent.quiet) {
     agent._log(
@@ -1123,6 +1210,12 @@ async function spawnClaudeTaskIsolated(agent, context) {
     }
   }
 
+  // The config file goes in the cluster config dir, which is mounted into the container
+  const mcpServers = resolveAgentMcpServers(agent);
+  if (mcpServers) {
+    command.push('--mcp-config', manager.writeMcpConfig(clusterId, agent.id, mcpServers));
+  }
+
   // Add explicit output instructions when we run stream-json for a jsonSchema agent
   let finalContext = context;
   if (
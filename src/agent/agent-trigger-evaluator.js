@@ -3,7 +3,8 @@
  *
  * Provides:
  * - Trigger matching based on message topics
- * - Logic evaluation via LogicEngine
+ * - Logic and declarative condition evaluation via LogicEngine
+ * - Optional tracing of each evaluation for `zeroshot why`
  * - Trigger action determination
  */
 
@@ -43,6 +44,10 @@ function findMatchingTrigger({ triggers, message }) {
  * @returns {boolean} Whether trigger logic passed
  */
 function evaluateTrigger({ trigger, message, agent, logicEngine }) {
+  if (trigger.condition) {
+    return logicEngine.evaluateCondition(trigger.condition, agent, message);
+  }
+
   if (!trigger.logic || !trigger.logic.script) {
     return true; // No logic = always true
   }
@@ -51,10 +56,92 @@ function evaluateTrigger({ trigger, message, agent, logicEngine }) {
   return logicEngine.evaluate(trigger.logic.script, agent, message);
 }
 
+/**
+ * Record a trigger outcome (no-op unless the message bus is tracing)
+ * @param {Object} messageBus
+ * @param {Object} entry
+ * @param {Object} entry.agent - { id, cluster_id }
+ * @param {Object} entry.trigger - Matched trigger
+ * @param {Object} entry.message - Evaluated message
+ * @param {String} entry.outcome - fired | rejected | error | dropped_busy | dropped_stopped
+ * @param {Number} [entry.durationMs]
+ * @param {String} [entry.error]
+ * @param {Array<Object>} [entry.queries]
+ */
+function recordTriggerOutcome(
+  messageBus,
+  { agent, trigger, message, outcome, durationMs, error, queries }
+) {
+  if (!messageBus.triggerTracing) {
+    return;
+  }
+  messageBus.recordTriggerEvaluation({
+    cluster_id: agent.cluster_id,
+    agent_id: agent.id,
+    trigger_topic: trigger.topic,
+    message,
+    outcome,
+    duration_ms: durationMs,
+    error,
+    queries,
+  });
+}
+
+/**
+ * evaluateTrigger() that also records the evaluation. Errors behave as in live
+ * evaluation: script errors are logged and count as false, condition errors throw.
+ * @param {Object} params
+ * @param {Object} params.trigger
+ * @param {Object} params.message
+ * @param {Object} params.agent - Agent context (id, role, iteration, cluster_id)
+ * @param {Object} params.logicEngine
+ * @param {Object} params.messageBus
+ * @returns {Boolean} Whether the trigger fired
+ */
+function evaluateTriggerTraced({ trigger, message, agent, logicEngine, messageBus }) {
+  const queries = [];
+  const started = Date.now();
+  let result = true;
+  let error = null;
+
+  try {
+    if (trigger.condition) {
+      result = logicEngine.evaluateCondition(trigger.condition, agent, message, queries);
+    } else if (trigger.logic?.script) {
+      ({ result, error } = logicEngine.evaluateDetailed(
+        trigger.logic.script,
+        agent,
+        message,
+        queries
+      ));
+      if (error) {
+        console.error(`Logic evaluation error for agent ${agent.id}:`, error.message);
+      }
+    }
+  } catch (err) {
+    result = false;
+    error = err;
+    throw err;
+  } finally {
+    let outcome = result ? 'fired' : 'rejected';
+    if (error) outcome = 'error';
+    recordTriggerOutcome(messageBus, {
+      agent,
+      trigger,
+      message,
+      outcome,
+      durationMs: Date.now() - started,
+      error: error ? error.message : null,
+      queries,
+    });
+  }
+  return result;
+}
+
 /**
  * Get trigger action type
  * @param {Object} trigger - Trigger object
- * @returns {string} Action type ('execute_task' or 'stop_cluster')
+ * @returns {string} Action type ('execute_task', 'stop_cluster', 'fan_out' or 'best_of')
  */
 function getTriggerAction(trigger) {
   return trigger.action || 'execute_task';
@@ -63,5 +150,7 @@ function getTriggerAction(trigger) {
 module.exports = {
   findMatchingTrigger,
   evaluateTrigger,
+  evaluateTriggerTraced,
+  recordTriggerOutcome,
   getTriggerAction,
 };
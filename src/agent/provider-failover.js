@@ -0,0 +1,145 @@
+/**
+ * Provider failover - rerun a task on another provider when the current one is
+ * rate limited, overloaded, refusing credentials or down
+ *
+ * Agents (or whole clusters) list `fallbackProviders`. When a task fails with
+ * one of the failures below, AgentTaskExecutor moves the agent to the next
+ * provider at the equivalent model level and reruns the same context. The
+ * switch lasts until the agent's next task, which starts on its own provider again.
+ */
+
+const { getProvider, listProviders } = require('../providers');
+const { normalizeProviderName } = require('../../lib/provider-names');
+const { loadSettings } = require('../../lib/settings');
+const { stripTimestamp } = require('./output-extraction');
+
+// Checked in order against the provider CLI's own error output
+const FAILURE_PATTERNS = [
+  {
+    reason: 'rate_limit',
+    pattern: /\b429\b|rate[ _-]?limit|too many requests|quota|usage limit|resource[ _]exhausted/i,
+  },
+  { reason: 'overloaded', pattern: /\b529\b|overloaded/i },
+  {
+    reason: 'auth',
+    pattern:
+      /\b40[13]\b|unauthori[sz]ed|authentication|invalid[ _-]?api[ _-]?key|not logged in|please (run )?log ?in|credit balance/i,
+  },
+  {
+    reason: 'outage',
+    pattern:
+      /\b50[234]\b|service unavailable|bad gateway|internal server error|ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|socket hang up/i,
+  },
+];
+
+/**
+ * Classify a task failure as one another provider could get past
+ * @param {string|null} errorText - Provider error text (see getProviderErrorText)
+ * @returns {string|null} 'rate_limit' | 'overloaded' | 'auth' | 'outage', or null
+ */
+function classifyProviderFailure(errorText) {
+  if (!errorText) return null;
+  const match = FAILURE_PATTERNS.find(({ pattern }) => pattern.test(errorText));
+  return match ? match.reason : null;
+}
+
+// Watcher lines that are not the provider's (the footer's timestamp can look like a 50x)
+const WATCHER_LINE = /^(Finished:|={10,}|\[(SYSTEM|ATTACH|DETACH)\])/;
+
+/**
+ * What the provider CLI itself said about a failed task: the errors on its
+ * result events and the lines it wrote outside its JSON stream (stderr, exit
+ * code). The agent's transcript is left out - it quotes code, logs and test
+ * output that would match the failure patterns.
+ * @param {string} providerName - Provider the task ran on
+ * @param {string} output - Task log output
+ * @returns {string|null}
+ */
+function getProviderErrorText(providerName, output) {
+  if (!output) return null;
+  const provider = getProvider(providerName);
+  const lines = [];
+  for (const line of output.split('\n')) {
+    const content = stripTimestamp(line);
+    if (!content || WATCHER_LINE.test(content)) continue;
+    const parsed = provider.parseEvent(content);
+    if (!parsed) {
+      if (!content.startsWith('{')) lines.push(content);
+      continue;
+    }
+    for (const event of [].concat(parsed)) {
+      if (event.type === 'result' && event.error) lines.push(String(event.error));
+    }
+  }
+  return lines.length > 0 ? lines.join('\n') : null;
+}
+
+/**
+ * Providers to fail over to, in order: the agent's list, else the cluster's.
+ * The provider the agent runs on and unknown names are left out.
+ * @param {Object} agent - AgentWrapper instance
+ * @param {string} primaryProvider - Provider the task started on
+ * @returns {string[]}
+ */
+function resolveFallbackProviders(agent, primaryProvider) {
+  const configured =
+    agent.config.fallbackProviders || agent.cluster?.config?.fallbackProviders || [];
+  const known = listProviders();
+  const fallbacks = [];
+  for (const name of configured) {
+    const provider = normalizeProviderName(name);
+    if (provider !== primaryProvider && known.includes(provider) && !fallbacks.includes(provider)) {
+      fallbacks.push(provider);
+    }
+  }
+  return fallbacks;
+}
+
+/**
+ * Rank of a model spec on its provider's level ladder. Specs pinned to a model
+ * use that model's catalog rank; unknown models count as the default level.
+ */
+function getSpecRank(provider, modelSpec) {
+  const levels = provider.getLevelMapping();
+  if (modelSpec?.level && levels[modelSpec.level]) {
+    return levels[modelSpec.level].rank;
+  }
+  const catalogRank = provider.getModelCatalog()[modelSpec?.model]?.rank;
+  return catalogRank || levels[provider.getDefaultLevel()]?.rank || 1;
+}
+
+/**
+ * The fallback provider's model spec at the level equivalent to the one that
+ * failed, kept within that provider's minLevel/maxLevel settings
+ * @param {string} fromProvider
+ * @param {Object} fromSpec - Model spec the failed task ran with
+ * @param {string} toProvider
+ * @returns {Object} Model spec with level
+ */
+function resolveEquivalentModelSpec(fromProvider, fromSpec, toProvider) {
+  const rank = getSpecRank(getProvider(fromProvider), fromSpec);
+  const target = getProvider(toProvider);
+  const levels = target.getLevelMapping();
+  const settings = loadSettings().providerSettings?.[toProvider] || {};
+  const minRank = levels[settings.minLevel]?.rank ?? -Infinity;
+  const maxRank = levels[settings.maxLevel]?.rank ?? Infinity;
+
+  // Closest rank inside the bounds; on a tie the cheaper level wins
+  const candidates = Object.keys(levels)
+    .filter((level) => levels[level].rank >= minRank && levels[level].rank <= maxRank)
+    .sort(
+      (a, b) =>
+        Math.abs(levels[a].rank - rank) - Math.abs(levels[b].rank - rank) ||
+        levels[a].rank - levels[b].rank
+    );
+  const level = candidates[0] || target.getDefaultLevel();
+  const spec = target.resolveModelSpec(level, settings.levelOverrides || {});
+  return { ...spec, level };
+}
+
+module.exports = {
+  classifyProviderFailure,
+  getProviderErrorText,
+  resolveFallbackProviders,
+  resolveEquivalentModelSpec,
+};
@@ -0,0 +1,276 @@
+/**
+ * Best-of-N - Independent worker attempts, scored by the validators
+ *
+ * A worker whose task trigger uses `"action": "best_of"` has K copies of itself
+ * implement the same task, optionally on different providers:
+ *
+ *   { "id": "worker", "bestOf": { "candidates": 3, "providers": ["claude", "codex"] },
+ *     "triggers": [{ "topic": "PLAN_READY", "action": "best_of" }, ...] }
+ *
+ * 1. The worker publishes CANDIDATES_REQUESTED (outside a --worktree cluster it
+ *    just runs the task itself)
+ * 2. The orchestrator gives each candidate its own git worktree and copy of the
+ *    worker (providers are assigned round-robin), and starts them all with
+ *    CANDIDATE_ASSIGNED. Each copy publishes CANDIDATE_READY when done
+ * 3. Every validator gets a copy per candidate, working in that candidate's
+ *    worktree, started with CANDIDATE_REVIEW. Copies publish CANDIDATE_SCORED
+ * 4. The best-scored candidate's branch is merged into the cluster worktree,
+ *    the rest are discarded, and CANDIDATE_SELECTED records every score. The
+ *    orchestrator then publishes IMPLEMENTATION_READY and validation runs as
+ *    usual. Rejections go back to the single worker.
+ *
+ * Best-of state lives in memory; a cluster resumed mid-run is resumed by its
+ * single worker.
+ */
+
+const { listProviders } = require('./providers');
+const { normalizeProviderName } = require('../lib/provider-names');
+
+const BESTOF_DEFAULTS = { candidates: 3, providers: [] };
+
+/**
+ * Best-of settings of a worker config, with defaults
+ * @param {Object} agentConfig
+ * @returns {{ candidates: number, providers: string[] }}
+ */
+function getBestOfSettings(agentConfig) {
+  const settings = { ...BESTOF_DEFAULTS, ...(agentConfig.bestOf || {}) };
+  // Template params arrive as strings ("{{candidates}}", "claude,codex")
+  settings.candidates = Number(settings.candidates);
+  if (typeof settings.providers === 'string') {
+    settings.providers = settings.providers.split(',');
+  }
+  settings.providers = (settings.providers || []).map((p) => String(p).trim()).filter(Boolean);
+  return settings;
+}
+
+/**
+ * Check a bestOf block against the cluster config
+ * @param {Object} agent - Agent config with bestOf and/or a best_of trigger
+ * @param {Object[]} agents - All agent configs of the cluster
+ * @returns {string[]} Errors
+ */
+function validateBestOf(agent, agents) {
+  const errors = [];
+  const prefix = `Agent '${agent.id}'`;
+  if (!(agent.triggers || []).some((trigger) => trigger.action === 'best_of')) {
+    errors.push(`${prefix}: bestOf is set but no trigger has "action": "best_of"`);
+  }
+  const { candidates, providers } = getBestOfSettings(agent);
+  const placeholder = (value) => /\{\{\w+\}\}/.test(String(value));
+  if (!placeholder(agent.bestOf?.candidates) && (!Number.isInteger(candidates) || candidates < 2)) {
+    errors.push(`${prefix}: bestOf.candidates must be an integer >= 2`);
+  }
+  if (!placeholder(agent.bestOf?.providers)) {
+    const known = listProviders();
+    for (const provider of providers) {
+      if (!known.includes(normalizeProviderName(provider))) {
+        errors.push(
+          `${prefix}: bestOf.providers has unknown provider '${provider}' (expected ${known.join(', ')})`
+        );
+      }
+    }
+  }
+  if (!agents.some((candidate) => candidate.role === 'validator')) {
+    errors.push(`${prefix}: bestOf needs at least one validator to score the candidates`);
+  }
+  return errors;
+}
+
+/**
+ * Config for one candidate: a copy of the worker that implements the whole task
+ * @param {Object} workerConfig - The best-of worker's config
+ * @param {Object} options - { id, cwd, provider, total }
+ * @returns {Object} Agent config (runs once, in its own worktree)
+ */
+function buildCandidateWorker(workerConfig, { id, cwd, provider, total }) {
+  const instruction =
+    `\n\n## INDEPENDENT CANDIDATE\n\n` +
+    `You are one of ${total} workers implementing this task independently, each in its ` +
+    `own git worktree. Validators score every attempt and only the best one is kept, so ` +
+    `implement the complete task. Do not commit; the orchestrator commits your worktree ` +
+    `when you finish.`;
+
+  const prompt = workerConfig.prompt;
+  const basePrompt =
+    typeof prompt === 'object' && prompt !== null ? prompt.initial || prompt.system : prompt;
+
+  const { bestOf: _bestOf, triggers: _triggers, hooks: _hooks, ...rest } = workerConfig;
+  return {
+    ...rest,
+    id,
+    candidateOf: workerConfig.id,
+    cwd,
+    ...(provider ? { provider } : {}),
+    prompt: `${basePrompt || ''}${instruction}`,
+    // Runs once, but every retry of that run counts as an iteration
+    maxIterations: workerConfig.maxRetries ?? 1,
+    // One CANDIDATE_ASSIGNED starts every candidate
+    triggers: [{ topic: 'CANDIDATE_ASSIGNED', action: 'execute_task' }],
+    hooks: {
+      onComplete: {
+        action: 'publish_message',
+        config: {
+          topic: 'CANDIDATE_READY',
+          content: { text: '{{result.summary}}', data: { candidateId: id } },
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Config for a validator's copy that scores one candidate in its worktree
+ * The copy publishes the validator's own result fields as CANDIDATE_SCORED.
+ * @param {Object} validatorConfig
+ * @param {Object} options - { id, cwd, candidateId, base, summary }
+ * @returns {Object} Agent config
+ */
+function buildCandidateReviewer(validatorConfig, { id, cwd, candidateId, base, summary }) {
+  const instruction =
+    `\n\n## SCORING CANDIDATE ${candidateId}\n\n` +
+    `Several workers implemented this task independently. You are reviewing ` +
+    `${candidateId}, whose changes are committed in your working directory ` +
+    `(\`git diff ${base}..HEAD\`). Its summary:\n\n${summary || '(none)'}\n\n` +
+    `Judge it exactly as you would judge IMPLEMENTATION_READY.`;
+
+  const prompt = validatorConfig.prompt;
+  const basePrompt =
+    typeof prompt === 'object' && prompt !== null ? prompt.initial || prompt.system : prompt;
+  const content = validatorConfig.hooks?.onComplete?.config?.content || {};
+
+  const { triggers: _triggers, hooks: _hooks, ...rest } = validatorConfig;
+  return {
+    ...rest,
+    id,
+    candidateOf: validatorConfig.id,
+    cwd,
+    prompt: `${basePrompt || ''}${instruction}`,
+    maxIterations: 1,
+    triggers: [{ topic: 'CANDIDATE_REVIEW', action: 'execute_task' }],
+    hooks: {
+      onComplete: {
+        action: 'publish_message',
+        config: {
+          topic: 'CANDIDATE_SCORED',
+          content: {
+            text: content.text || '{{result.summary}}',
+            data: { ...(content.data || {}), candidateId, validatorId: validatorConfig.id },
+          },
+        },
+      },
+    },
+  };
+}
+
+function isApproved(data) {
+  return data?.approved === true || data?.approved === 'true';
+}
+
+function countErrors(data) {
+  let errors = data?.errors;
+  if (typeof errors === 'string') {
+    try {
+      errors = JSON.parse(errors);
+    } catch {
+      return errors.trim() ? 1 : 0;
+    }
+  }
+  return Array.isArray(errors) ? errors.length : 0;
+}
+
+/**
+ * Rank candidates by their validators' verdicts
+ * Score is the share of validators that approved (a numeric `score` between 0
+ * and 1 in a result is used as is). Ties go to fewer errors, then the smaller diff.
+ * @param {Object[]} candidates - { candidateId, provider, failed?, added?, removed? }
+ * @param {Object[]} results - CANDIDATE_SCORED content.data
+ * @returns {Object[]} Candidates with score, approvals, validators and errors, best first
+ */
+function rankCandidates(candidates, results) {
+  const scored = candidates.map((candidate, index) => {
+    const own = results.filter((result) => result.candidateId === candidate.candidateId);
+    const scores = own.map((result) => {
+      const explicit = Number(result.score);
+      return result.score !== undefined && explicit >= 0 && explicit <= 1
+        ? explicit
+        : Number(isApproved(result));
+    });
+    const total = scores.reduce((sum, score) => sum + score, 0);
+    return {
+      ...candidate,
+      score: candidate.failed || own.length === 0 ? 0 : total / own.length,
+      approvals: own.filter(isApproved).length,
+      validators: own.length,
+      errors: own.reduce((sum, result) => sum + countErrors(result), 0),
+      index,
+    };
+  });
+
+  const size = (candidate) => (candidate.added || 0) + (candidate.removed || 0);
+  scored.sort(
+    (a, b) =>
+      Number(Boolean(a.failed)) - Number(Boolean(b.failed)) ||
+      b.score - a.score ||
+      a.errors - b.errors ||
+      size(a) - size(b) ||
+      a.index - b.index
+  );
+  return scored.map(({ index: _index, ...candidate }) => candidate);
+}
+
+/**
+ * Lines added and removed between two commits
+ * @param {Function} git - Runner from pr-flow.createLocalGitRunner()
+ * @param {string} base
+ * @param {string} head
+ * @returns {Promise<{ added: number, removed: number }>}
+ */
+async function diffStats(git, base, head) {
+  const numstat = await git(['diff', '--numstat', `${base}..${head}`]);
+  let added = 0;
+  let removed = 0;
+  for (const line of numstat.split('\n').filter(Boolean)) {
+    const [plus, minus] = line.split('\t');
+    // Binary files show "-"
+    added += Number(plus) || 0;
+    removed += Number(minus) || 0;
+  }
+  return { added, removed };
+}
+
+/**
+ * Best-of results recorded in a cluster's ledger, for status and export
+ * @param {Object[]} messages - Cluster messages, oldest first
+ * @returns {Object|null} { state: 'running'|'selected', winner, candidates }
+ */
+function summarizeBestOf(messages) {
+  let summary = null;
+  for (const message of messages) {
+    const data = message.content?.data || {};
+    if (message.topic === 'CANDIDATE_ASSIGNED') {
+      summary = { state: 'running', winner: null, candidates: data.candidates || [], results: [] };
+    } else if (!summary) {
+      continue;
+    } else if (message.topic === 'CANDIDATE_SCORED') {
+      summary.results.push(data);
+    } else if (message.topic === 'CANDIDATE_SELECTED') {
+      summary = { state: 'selected', winner: data.winner, candidates: data.candidates || [] };
+    }
+  }
+  if (summary?.state === 'running') {
+    const { results, ...rest } = summary;
+    return { ...rest, candidates: rankCandidates(summary.candidates, results) };
+  }
+  return summary;
+}
+
+module.exports = {
+  getBestOfSettings,
+  validateBestOf,
+  buildCandidateWorker,
+  buildCandidateReviewer,
+  rankCandidates,
+  diffStats,
+  summarizeBestOf,
+};
@@ -0,0 +1,161 @@
+/**
+ * Budget - Hard per-cluster spend ceilings
+ *
+ * Provides:
+ * - Normalization of `budget` blocks from cluster configs and CLI flags
+ * - Spend computation from the ledger's TOKEN_USAGE aggregate
+ * - Threshold evaluation (warning / exceeded)
+ *
+ * Spend is never tracked in memory: it is recomputed from TOKEN_USAGE messages
+ * every time, so a resumed cluster keeps counting from where it left off.
+ */
+
+const DEFAULT_WARN_AT = 0.8;
+
+/**
+ * Normalize a budget block into { maxUsd, maxTokens, warnAt }
+ * @param {Object|null|undefined} budget - Raw budget ({ maxUsd?, maxTokens?, warnAt? })
+ * @returns {Object|null} Normalized budget, or null if no limit is set
+ */
+function normalizeBudget(budget) {
+  if (!budget || typeof budget !== 'object') {
+    return null;
+  }
+
+  const maxUsd = Number.isFinite(budget.maxUsd) && budget.maxUsd > 0 ? budget.maxUsd : null;
+  const maxTokens =
+    Number.isFinite(budget.maxTokens) && budget.maxTokens > 0 ? Math.floor(budget.maxTokens) : null;
+
+  if (maxUsd === null && maxTokens === null) {
+    return null;
+  }
+
+  const warnAt =
+    Number.isFinite(budget.warnAt) && budget.warnAt > 0 && budget.warnAt <= 1
+      ? budget.warnAt
+      : DEFAULT_WARN_AT;
+
+  return { maxUsd, maxTokens, warnAt };
+}
+
+/**
+ * Validate a budget block (used by config-validator)
+ * @param {any} budget - Raw budget block from a cluster config
+ * @returns {string[]} Error messages (empty if valid)
+ */
+function validateBudget(budget) {
+  const errors = [];
+  if (budget === undefined || budget === null) {
+    return errors;
+  }
+
+  if (typeof budget !== 'object' || Array.isArray(budget)) {
+    errors.push('budget must be an object ({ maxUsd?, maxTokens?, warnAt? })');
+    return errors;
+  }
+
+  const known = ['maxUsd', 'maxTokens', 'warnAt'];
+  for (const key of Object.keys(budget)) {
+    if (!known.includes(key)) {
+      errors.push(`budget.${key} is not a recognized field (valid: ${known.join(', ')})`);
+    }
+  }
+
+  if (budget.maxUsd !== undefined && !(Number.isFinite(budget.maxUsd) && budget.maxUsd > 0)) {
+    errors.push(`budget.maxUsd must be a positive number, got ${JSON.stringify(budget.maxUsd)}`);
+  }
+
+  if (
+    budget.maxTokens !== undefined &&
+    !(Number.isInteger(budget.maxTokens) && budget.maxTokens > 0)
+  ) {
+    errors.push(
+      `budget.maxTokens must be a positive integer, got ${JSON.stringify(budget.maxTokens)}`
+    );
+  }
+
+  if (
+    budget.warnAt !== undefined &&
+    !(Number.isFinite(budget.warnAt) && budget.warnAt > 0 && budget.warnAt <= 1)
+  ) {
+    errors.push(`budget.warnAt must be a fraction in (0, 1], got ${JSON.stringify(budget.warnAt)}`);
+  }
+
+  if (budget.maxUsd === undefined && budget.maxTokens === undefined) {
+    errors.push('budget must set at least one of maxUsd or maxTokens');
+  }
+
+  return errors;
+}
+
+/**
+ * Compute current spend from a getTokensByRole() aggregate
+ * Tokens count input + output; cache reads/writes are billed via cost, not the token ceiling.
+ * @param {Object} tokensByRole - Result of ledger.getTokensByRole()
+ * @returns {{ costUsd: number, tokens: number }}
+ */
+function computeBudgetUsage(tokensByRole) {
+  const total = tokensByRole?._total || {};
+  return {
+    costUsd: total.totalCostUsd || 0,
+    tokens: (total.inputTokens || 0) + (total.outputTokens || 0),
+  };
+}
+
+/**
+ * Evaluate spend against a normalized budget
+ * @param {Object} budget - Normalized budget (see normalizeBudget)
+ * @param {{ costUsd: number, tokens: number }} usage - Current spend
+ * @returns {{ status: 'ok'|'warning'|'exceeded', ratio: number, limits: string[] }}
+ *   ratio is the highest spend/limit fraction; limits names the dimensions at or over status
+ */
+function evaluateBudget(budget, usage) {
+  const ratios = [];
+  if (budget.maxUsd !== null) {
+    ratios.push({ limit: 'usd', ratio: usage.costUsd / budget.maxUsd });
+  }
+  if (budget.maxTokens !== null) {
+    ratios.push({ limit: 'tokens', ratio: usage.tokens / budget.maxTokens });
+  }
+
+  const ratio = Math.max(...ratios.map((r) => r.ratio));
+  const exceeded = ratios.filter((r) => r.ratio >= 1).map((r) => r.limit);
+  if (exceeded.length > 0) {
+    return { status: 'exceeded', ratio, limits: exceeded };
+  }
+
+  const warned = ratios.filter((r) => r.ratio >= budget.warnAt).map((r) => r.limit);
+  if (warned.length > 0) {
+    return { status: 'warning', ratio, limits: warned };
+  }
+
+  return { status: 'ok', ratio, limits: [] };
+}
+
+/**
+ * Human-readable spend summary, e.g. "$4.12 / $5.00, 812,000 / 1,000,000 tokens"
+ * @param {Object} budget - Normalized budget
+ * @param {{ costUsd: number, tokens: number }} usage - Current spend
+ * @returns {string}
+ */
+function formatBudgetUsage(budget, usage) {
+  const parts = [];
+  if (budget.maxUsd !== null) {
+    parts.push(`$${usage.costUsd.toFixed(2)} / $${budget.maxUsd.toFixed(2)}`);
+  }
+  if (budget.maxTokens !== null) {
+    parts.push(
+      `${usage.tokens.toLocaleString('en-US')} / ${budget.maxTokens.toLocaleString('en-US')} tokens`
+    );
+  }
+  return parts.join(', ');
+}
+
+module.exports = {
+  DEFAULT_WARN_AT,
+  normalizeBudget,
+  validateBudget,
+  computeBudgetUsage,
+  evaluateBudget,
+  formatBudgetUsage,
+};
@@ -0,0 +1,110 @@
+/**
+ * Classification review - a checkpoint between the conductor and load_config
+ *
+ * The conductor classifies the task (complexity × taskType) and publishes
+ * CLUSTER_OPERATIONS with a load_config operation. Before those operations run,
+ * the orchestrator can:
+ * - Override the complexity and/or taskType (--complexity, --task-type)
+ * - Hand the classification to a review callback (--classify-only, --confirm),
+ *   which accepts it, changes it, or stops the cluster (returns null)
+ *
+ * When the classification changes, load_config is re-routed through
+ * config-router.js so repo and settings routing tables still apply.
+ */
+
+const { COMPLEXITIES, TASK_TYPES, getConfig } = require('./config-router');
+
+/**
+ * Check complexity/taskType values given by a user
+ * @param {{ complexity?: string, taskType?: string }} classification
+ * @returns {string[]} Errors (empty when valid)
+ */
+function validateClassification({ complexity, taskType } = {}) {
+  const errors = [];
+  if (complexity !== undefined && !COMPLEXITIES.includes(complexity)) {
+    errors.push(`Unknown complexity '${complexity}' (expected ${COMPLEXITIES.join(', ')})`);
+  }
+  if (taskType !== undefined && !TASK_TYPES.includes(taskType)) {
+    errors.push(`Unknown task type '${taskType}' (expected ${TASK_TYPES.join(', ')})`);
+  }
+  return errors;
+}
+
+/**
+ * The conductor's classification, if this CLUSTER_OPERATIONS message carries one
+ * @param {Object} message - CLUSTER_OPERATIONS message
+ * @param {Array} operations - Its parsed operations
+ * @returns {Object|null} { complexity, taskType, reasoning, config }
+ */
+function readConductorClassification(message, operations) {
+  const data = message.content?.data || {};
+  const loadConfig = operations.find((op) => op.action === 'load_config');
+  if (!data.complexity || !data.taskType || !loadConfig) {
+    return null;
+  }
+  return {
+    complexity: data.complexity,
+    taskType: data.taskType,
+    // Conductor transforms put "[COMPLEXITY:TYPE] reasoning" in the text
+    reasoning: data.reasoning || (message.content?.text || '').replace(/^.*?\] /, ''),
+    config: loadConfig.config,
+  };
+}
+
+/**
+ * Apply overrides and the review callback to a conductor classification
+ * @param {Object} options
+ * @param {Object} options.message - CLUSTER_OPERATIONS message
+ * @param {Array} options.operations - Its parsed operations
+ * @param {Object} options.checkpoint - { complexity?, taskType?, review?(classification) }
+ * @param {Object} [options.routingContext] - From config-router.collectRoutingContext()
+ * @returns {Promise<Object>} { operations, classification } - operations is null to stop the cluster
+ */
+async function reviewClassification({ message, operations, checkpoint, routingContext }) {
+  const conductor = readConductorClassification(message, operations);
+  if (!conductor) {
+    return { operations, classification: null };
+  }
+
+  const route = (complexity, taskType) =>
+    complexity === conductor.complexity && taskType === conductor.taskType
+      ? conductor.config
+      : getConfig(complexity, taskType, routingContext);
+
+  const complexity = checkpoint.complexity || conductor.complexity;
+  const taskType = checkpoint.taskType || conductor.taskType;
+  let classification = {
+    complexity,
+    taskType,
+    reasoning: conductor.reasoning,
+    config: route(complexity, taskType),
+    conductor: { complexity: conductor.complexity, taskType: conductor.taskType },
+  };
+
+  if (typeof checkpoint.review === 'function') {
+    const decision = await checkpoint.review(classification);
+    if (!decision) {
+      return { operations: null, classification };
+    }
+    const errors = validateClassification(decision);
+    if (errors.length > 0) {
+      throw new Error(`Invalid classification: ${errors.join('; ')}`);
+    }
+    const next = {
+      complexity: decision.complexity || classification.complexity,
+      taskType: decision.taskType || classification.taskType,
+    };
+    classification = { ...classification, ...next, config: route(next.complexity, next.taskType) };
+  }
+
+  const rewritten = operations.map((op) =>
+    op.action === 'load_config' ? { ...op, config: classification.config } : op
+  );
+  return { operations: rewritten, classification };
+}
+
+module.exports = {
+  validateClassification,
+  readConductorClassification,
+  reviewClassification,
+};
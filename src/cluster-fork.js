@@ -0,0 +1,94 @@
+/**
+ * Cluster fork - Helpers for branching a new cluster off a recorded ledger point
+ *
+ * Orchestrator.fork() copies the source ledger up to the fork message, recreates
+ * isolation at the git commit the source workspace had at that time, and resumes
+ * from the last workflow trigger before the fork point.
+ */
+
+/**
+ * Messages up to and including the fork message
+ * @param {Array<Object>} messages - Source ledger, in order
+ * @param {String} messageId - Fork point
+ * @returns {Array<Object>}
+ */
+function messagesUntil(messages, messageId) {
+  const index = messages.findIndex((m) => m.id === messageId);
+  if (index === -1) {
+    throw new Error(`Message ${messageId} not found in the source cluster's ledger`);
+  }
+  return messages.slice(0, index + 1);
+}
+
+/**
+ * Copy messages into the fork's ledger, keeping ids and timestamps
+ * @param {Array<Object>} messages
+ * @param {Object} ledger - Fork ledger
+ * @param {String} clusterId - Fork cluster ID
+ */
+function copyMessages(messages, ledger, clusterId) {
+  for (const message of messages) {
+    ledger.appendRecorded({ ...message, cluster_id: clusterId });
+  }
+}
+
+function lifecycleEvent(message) {
+  return message.topic === 'AGENT_LIFECYCLE' ? message.content?.data?.event : null;
+}
+
+/**
+ * Agents of the source config that were running at the fork point. Agents the
+ * conductor spawned later are dropped so it can spawn them again in the fork.
+ * @param {Array<Object>} agents - Source config agents
+ * @param {Array<Object>} messages - Messages up to the fork point
+ * @returns {Array<Object>}
+ */
+function agentsAtForkPoint(agents, messages) {
+  const started = new Set(
+    messages.filter((m) => lifecycleEvent(m) === 'STARTED').map((m) => m.sender)
+  );
+  // Ledgers without lifecycle events: keep every agent
+  if (started.size === 0) {
+    return agents;
+  }
+  return agents.filter((agent) => started.has(agent.id));
+}
+
+/**
+ * Last iteration each agent started before the fork point
+ * @param {Array<Object>} messages
+ * @returns {Map<String, Number>}
+ */
+function iterationsAtForkPoint(messages) {
+  const iterations = new Map();
+  for (const message of messages) {
+    if (lifecycleEvent(message) === 'TASK_STARTED') {
+      iterations.set(message.sender, message.content.data.iteration || 0);
+    }
+  }
+  return iterations;
+}
+
+/**
+ * Latest commit on ref that was committed at or before the fork message
+ * @param {Function} git - Runner from createLocalGitRunner()
+ * @param {String} ref - Branch or HEAD of the source workspace
+ * @param {Number} timestamp - Fork message timestamp (ms)
+ * @returns {Promise<String>} Commit SHA
+ */
+async function findCommitAt(git, ref, timestamp) {
+  const before = new Date(timestamp).toISOString();
+  const commit = (await git(['rev-list', '-1', `--before=${before}`, ref])).trim();
+  if (!commit) {
+    throw new Error(`No commit on ${ref} at or before ${before}`);
+  }
+  return commit;
+}
+
+module.exports = {
+  messagesUntil,
+  copyMessages,
+  agentsAtForkPoint,
+  iterationsAtForkPoint,
+  findCommitAt,
+};
@@ -0,0 +1,248 @@
+/**
+ * Cluster stats - Cross-cluster analytics over historical ledgers
+ *
+ * Reduces each cluster ledger to one record (template, tier, provider/model,
+ * outcome, iterations, duration, cost, rejections), then aggregates records
+ * per template, complexity tier, provider and model.
+ *
+ * Everything is derived from ledger messages so it works for clusters that
+ * were killed and removed from clusters.json:
+ * - Template/tier: conductor's CLUSTER_OPERATIONS load_config ({ base, params })
+ * - Provider/model: the implementation agent's TASK_STARTED lifecycle events
+ * - Outcome: CLUSTER_COMPLETE / CLUSTER_FAILED
+ * - Cost: TOKEN_USAGE (ledger.getTokensByRole)
+ */
+
+const Ledger = require('./ledger');
+const { listLedgerFiles } = require('./ledger-search');
+
+const CUSTOM_TEMPLATE = 'custom';
+const UNKNOWN = 'unknown';
+const TOP_REASONS = 3;
+
+/**
+ * Find the template the conductor loaded, if any
+ * @private
+ */
+function findLoadedTemplate(ledger, clusterId) {
+  const ops = ledger.query({ cluster_id: clusterId, topic: 'CLUSTER_OPERATIONS' });
+  for (const message of ops) {
+    const data = message.content?.data || {};
+    let operations = data.operations;
+    if (typeof operations === 'string') {
+      try {
+        operations = JSON.parse(operations);
+      } catch {
+        operations = [];
+      }
+    }
+
+    const load = (operations || []).find((op) => op.action === 'load_config');
+    if (!load) continue;
+
+    const config = load.config;
+    return {
+      template: typeof config === 'string' ? config : config?.base || CUSTOM_TEMPLATE,
+      complexity: data.complexity || config?.params?.complexity || UNKNOWN,
+      taskType: data.taskType || config?.params?.task_type || UNKNOWN,
+    };
+  }
+
+  return { template: CUSTOM_TEMPLATE, complexity: UNKNOWN, taskType: UNKNOWN };
+}
+
+/**
+ * Provider, model and iteration count of the implementation agent
+ * @private
+ */
+function findWorkerRun(ledger, clusterId) {
+  const started = ledger
+    .query({ cluster_id: clusterId, topic: 'AGENT_LIFECYCLE' })
+    .map((m) => m.content?.data || {})
+    .filter((data) => data.event === 'TASK_STARTED');
+
+  const workerRuns = started.filter((data) => data.role === 'implementation');
+  const runs = workerRuns.length > 0 ? workerRuns : started;
+  const last = runs[runs.length - 1];
+
+  return {
+    provider: last?.provider || UNKNOWN,
+    model: last?.model || UNKNOWN,
+    iterations: runs.reduce((max, data) => Math.max(max, data.iteration || 0), 0),
+  };
+}
+
+/**
+ * Rejected validations with their reasons
+ * @private
+ */
+function findRejections(ledger, clusterId) {
+  return ledger
+    .query({ cluster_id: clusterId, topic: 'VALIDATION_RESULT' })
+    .filter((m) => {
+      const approved = m.content?.data?.approved;
+      return approved === false || approved === 'false';
+    })
+    .map((m) => {
+      const errors = m.content?.data?.errors;
+      const firstError = Array.isArray(errors) ? errors.find((e) => typeof e === 'string') : null;
+      return {
+        validator: m.sender,
+        reason: (firstError || m.content?.text || 'no reason given').trim(),
+      };
+    });
+}
+
+/**
+ * Reduce one cluster ledger to a stats record
+ * @param {Ledger} ledger - Open ledger
+ * @param {String} clusterId - Cluster ID
+ * @returns {Object|null} Record, or null if the ledger has no messages for the cluster
+ */
+function collectClusterRecord(ledger, clusterId) {
+  const first = ledger.query({ cluster_id: clusterId, limit: 1 })[0];
+  if (!first) {
+    return null;
+  }
+
+  const complete = ledger.findLast({ cluster_id: clusterId, topic: 'CLUSTER_COMPLETE' });
+  const failed = complete
+    ? null
+    : ledger.findLast({ cluster_id: clusterId, topic: 'CLUSTER_FAILED' });
+  const end = complete || failed || ledger.findLast({ cluster_id: clusterId });
+
+  let outcome = 'incomplete';
+  if (complete) outcome = 'completed';
+  else if (failed) outcome = 'failed';
+
+  const totals = ledger.getTokensByRole(clusterId)._total || {};
+
+  return {
+    clusterId,
+    startedAt: first.timestamp,
+    ...findLoadedTemplate(ledger, clusterId),
+    ...findWorkerRun(ledger, clusterId),
+    outcome,
+    failureReason: failed?.content?.data?.reason || null,
+    durationMs: end.timestamp - first.timestamp,
+    costUsd: totals.totalCostUsd || 0,
+    rejections: findRejections(ledger, clusterId),
+  };
+}
+
+/**
+ * Metrics for a group of cluster records
+ * @private
+ */
+function summarize(records) {
+  const completed = records.filter((r) => r.outcome === 'completed');
+  const finished = records.filter((r) => r.outcome !== 'incomplete');
+  const mean = (values) =>
+    values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+
+  return {
+    clusters: records.length,
+    completed: completed.length,
+    failed: finished.length - completed.length,
+    incomplete: records.length - finished.length,
+    successRate: finished.length > 0 ? completed.length / finished.length : null,
+    meanIterationsToApproval: mean(completed.map((r) => r.iterations)),
+    meanDurationMs: mean(finished.map((r) => r.durationMs)),
+    totalCostUsd: records.reduce((sum, r) => sum + r.costUsd, 0),
+    meanCostUsd: mean(records.map((r) => r.costUsd)),
+  };
+}
+
+/**
+ * Group records by a key and summarize each group, largest first
+ * @private
+ */
+function groupBy(records, keyFn) {
+  const groups = new Map();
+  for (const record of records) {
+    const key = keyFn(record);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  }
+  return Array.from(groups.entries())
+    .map(([key, group]) => ({ key, ...summarize(group) }))
+    .sort((a, b) => b.clusters - a.clusters || a.key.localeCompare(b.key));
+}
+
+/**
+ * Rejection counts and most common reasons per validator
+ * @private
+ */
+function summarizeRejections(records) {
+  const byValidator = new Map();
+  for (const record of records) {
+    for (const { validator, reason } of record.rejections) {
+      if (!byValidator.has(validator)) byValidator.set(validator, new Map());
+      const reasons = byValidator.get(validator);
+      reasons.set(reason, (reasons.get(reason) || 0) + 1);
+    }
+  }
+
+  return Array.from(byValidator.entries())
+    .map(([validator, reasons]) => ({
+      validator,
+      rejections: Array.from(reasons.values()).reduce((sum, n) => sum + n, 0),
+      topReasons: Array.from(reasons.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, TOP_REASONS)
+        .map(([reason, count]) => ({ reason, count })),
+    }))
+    .sort((a, b) => b.rejections - a.rejections);
+}
+
+/**
+ * Aggregate cluster records into the stats report
+ * @param {Array} records - Results of collectClusterRecord()
+ * @returns {Object} { overall, byTemplate, byComplexity, byProvider, byModel, rejections }
+ */
+function aggregateStats(records) {
+  return {
+    overall: summarize(records),
+    byTemplate: groupBy(records, (r) => r.template),
+    byComplexity: groupBy(records, (r) => `${r.complexity}:${r.taskType}`),
+    byProvider: groupBy(records, (r) => r.provider),
+    byModel: groupBy(records, (r) => r.model),
+    rejections: summarizeRejections(records),
+  };
+}
+
+/**
+ * Walk every cluster ledger in a storage dir and build the stats report
+ * @param {Object} options
+ * @param {String} options.storageDir - Directory holding <clusterId>.db files
+ * @param {Number} [options.since] - Only clusters started at/after this epoch ms
+ * @returns {Object} Report from aggregateStats(), plus the per-cluster records
+ */
+function collectStats({ storageDir, since }) {
+  const records = [];
+
+  for (const entry of listLedgerFiles(storageDir)) {
+    let ledger;
+    try {
+      ledger = new Ledger(entry.dbPath);
+      const record = collectClusterRecord(ledger, entry.clusterId);
+      if (record && (!since || record.startedAt >= since)) {
+        records.push(record);
+      }
+    } catch (error) {
+      console.error(`[stats] Skipping ${entry.clusterId}: ${error.message}`);
+    } finally {
+      if (ledger) {
+        ledger.close();
+      }
+    }
+  }
+
+  return { ...aggregateStats(records), records };
+}
+
+module.exports = {
+  collectClusterRecord,
+  aggregateStats,
+  collectStats,
+};
@@ -0,0 +1,173 @@
+/**
+ * GitHubClient - Pull requests and checks for --pr / --ship
+ *
+ * Implements the same interface as GitLabClient so the PR flow is host-agnostic.
+ *
+ * Transport:
+ * - REST with a bearer token when GITHUB_TOKEN / GH_TOKEN is set
+ * - otherwise `gh api`, which reuses gh's stored login
+ */
+
+const { joinUrl, requestJson } = require('../lib/http-json');
+const { execFile } = require('../lib/safe-exec');
+const { waitForPipeline } = require('./pipeline');
+
+const PASSING_CONCLUSIONS = new Set(['success', 'neutral', 'skipped']);
+
+class GitHubClient {
+  /**
+   * @param {Object} options
+   * @param {String} options.projectPath - owner/repo
+   * @param {String} [options.host='github.com'] - Host for `gh api --hostname`
+   * @param {String} [options.apiUrl='https://api.github.com']
+   * @param {String|null} [options.token] - Token for REST; null uses gh
+   */
+  constructor({
+    projectPath,
+    host = 'github.com',
+    apiUrl = 'https://api.github.com',
+    token = null,
+  }) {
+    this.projectPath = projectPath;
+    this.owner = projectPath.split('/')[0];
+    this.host = host;
+    this.apiUrl = apiUrl;
+    this.token = token;
+    this.repoApiPath = `repos/${projectPath}`;
+  }
+
+  /**
+   * Send an API request via REST or gh
+   * @private
+   */
+  async _api(method, apiPath, body) {
+    if (this.token) {
+      return requestJson(joinUrl(this.apiUrl, `/${apiPath}`), {
+        method,
+        headers: {
+          Accept: 'application/vnd.github+json',
+          Authorization: `Bearer ${this.token}`,
+          'User-Agent': 'zeroshot',
+        },
+        body,
+      });
+    }
+
+    const args = ['api', '--hostname', this.host, '-X', method, apiPath];
+    for (const [key, value] of Object.entries(body || {})) {
+      args.push('-f', `${key}=${value}`);
+    }
+    try {
+      const { stdout } = await execFile('gh', args, { timeout: 60000 });
+      return stdout.trim() ? JSON.parse(stdout) : null;
+    } catch (error) {
+      const detail = (error.stderr || error.message || '').trim();
+      throw new Error(`gh api ${method} ${apiPath} failed: ${detail}`);
+    }
+  }
+
+  /**
+   * Repository default branch (pull request base)
+   * @returns {Promise<String>}
+   */
+  async getDefaultBranch() {
+    const repo = await this._api('GET', this.repoApiPath);
+    return repo.default_branch;
+  }
+
+  /**
+   * Open pull request for a head branch, if one exists
+   * @param {String} sourceBranch
+   * @returns {Promise<Object|null>} { number, url }
+   */
+  async findMergeRequest(sourceBranch) {
+    const head = encodeURIComponent(`${this.owner}:${sourceBranch}`);
+    const existing = await this._api('GET', `${this.repoApiPath}/pulls?head=${head}&state=open`);
+    const pr = Array.isArray(existing) ? existing[0] : null;
+    return pr ? { number: pr.number, url: pr.html_url } : null;
+  }
+
+  /**
+   * Create a pull request, reusing an already-open one for the branch
+   * @param {Object} options
+   * @param {String} options.sourceBranch
+   * @param {String} [options.targetBranch] - Defaults to the repository default branch
+   * @param {String} options.title
+   * @param {String} [options.description]
+   * @returns {Promise<Object>} { number, url, created }
+   */
+  async createMergeRequest({ sourceBranch, targetBranch, title, description = '' }) {
+    const existing = await this.findMergeRequest(sourceBranch);
+    if (existing) {
+      return { ...existing, created: false };
+    }
+
+    const pr = await this._api('POST', `${this.repoApiPath}/pulls`, {
+      head: sourceBranch,
+      base: targetBranch || (await this.getDefaultBranch()),
+      title,
+      body: description,
+    });
+    return { number: pr.number, url: pr.html_url, created: true };
+  }
+
+  /**
+   * Combined status of the pull request's head commit (check runs + commit statuses)
+   * @param {Number} number - Pull request number
+   * @returns {Promise<String|null>} 'pending', 'success', 'failure', or null if nothing reports
+   */
+  async getPipelineStatus(number) {
+    const pr = await this._api('GET', `${this.repoApiPath}/pulls/${number}`);
+    const sha = pr.head.sha;
+    const [checks, combined] = await Promise.all([
+      this._api('GET', `${this.repoApiPath}/commits/${sha}/check-runs?per_page=100`),
+      this._api('GET', `${this.repoApiPath}/commits/${sha}/status`),
+    ]);
+
+    const states = (checks?.check_runs || []).map((run) => {
+      if (run.status !== 'completed') return 'pending';
+      return PASSING_CONCLUSIONS.has(run.conclusion) ? 'success' : 'failure';
+    });
+    if (combined?.statuses?.length > 0) {
+      states.push(combined.state === 'error' ? 'failure' : combined.state);
+    }
+
+    if (states.length === 0) return null;
+    if (states.includes('failure')) return 'failure';
+    if (states.includes('pending')) return 'pending';
+    return 'success';
+  }
+
+  /**
+   * Poll the head commit's checks until they finish
+   * @param {Number} number - Pull request number
+   * @param {Object} [options] - intervalMs, timeoutMs, graceMs, onStatus (see ./pipeline)
+   * @returns {Promise<String>} 'success' or 'none' (no CI configured)
+   * @throws {Error} If a check fails or the wait times out
+   */
+  waitForPipeline(number, options = {}) {
+    return waitForPipeline({
+      ...options,
+      getStatus: () => this.getPipelineStatus(number),
+      isPending: (status) => status === 'pending',
+      label: `#${number}`,
+    });
+  }
+
+  /**
+   * Merge a pull request (merge commit)
+   * @param {Number} number - Pull request number
+   * @returns {Promise<Object>} { merged, url }
+   */
+  async merge(number) {
+    const result = await this._api('PUT', `${this.repoApiPath}/pulls/${number}/merge`, {
+      merge_method: 'merge',
+    });
+    return {
+      merged: result?.merged === true,
+      url: `https://${this.host}/${this.projectPath}/pull/${number}`,
+    };
+  }
+}
+
+module.exports = GitHubClient;
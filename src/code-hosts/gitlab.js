@@ -0,0 +1,148 @@
+/**
+ * GitLabClient - Merge requests and pipelines for --pr / --ship
+ *
+ * Transport:
+ * - REST v4 with PRIVATE-TOKEN when GITLAB_TOKEN is set
+ * - otherwise `glab api`, which reuses glab's stored login for the host
+ */
+
+const { URL } = require('url');
+const { joinUrl, requestJson } = require('../lib/http-json');
+const { execFile } = require('../lib/safe-exec');
+const { waitForPipeline } = require('./pipeline');
+
+const PIPELINE_PENDING = new Set([
+  'created',
+  'waiting_for_resource',
+  'preparing',
+  'pending',
+  'running',
+  'scheduled',
+]);
+
+class GitLabClient {
+  /**
+   * @param {Object} options
+   * @param {String} options.baseUrl - e.g. https://gitlab.example.com
+   * @param {String} options.projectPath - e.g. group/subgroup/project
+   * @param {String|null} [options.token] - Personal/project access token (REST); null uses glab
+   */
+  constructor({ baseUrl, projectPath, token = null }) {
+    this.baseUrl = baseUrl;
+    this.projectPath = projectPath;
+    this.token = token;
+    this.projectApiPath = `projects/${encodeURIComponent(projectPath)}`;
+  }
+
+  /**
+   * Send an API request via REST or glab
+   * @private
+   */
+  async _api(method, apiPath, body) {
+    if (this.token) {
+      return requestJson(joinUrl(this.baseUrl, `/api/v4/${apiPath}`), {
+        method,
+        headers: { 'PRIVATE-TOKEN': this.token },
+        body,
+      });
+    }
+
+    const args = ['api', '--hostname', new URL(this.baseUrl).host, '-X', method, apiPath];
+    for (const [key, value] of Object.entries(body || {})) {
+      args.push('-f', `${key}=${value}`);
+    }
+    try {
+      const { stdout } = await execFile('glab', args, { timeout: 60000 });
+      return stdout.trim() ? JSON.parse(stdout) : null;
+    } catch (error) {
+      const detail = (error.stderr || error.message || '').trim();
+      throw new Error(`glab api ${method} ${apiPath} failed: ${detail}`);
+    }
+  }
+
+  /**
+   * Project default branch (merge request target)
+   * @returns {Promise<String>}
+   */
+  async getDefaultBranch() {
+    const project = await this._api('GET', this.projectApiPath);
+    return project.default_branch;
+  }
+
+  /**
+   * Open merge request for a source branch, if one exists
+   * @param {String} sourceBranch
+   * @returns {Promise<Object|null>} { number, url }
+   */
+  async findMergeRequest(sourceBranch) {
+    const query = `source_branch=${encodeURIComponent(sourceBranch)}&state=opened`;
+    const existing = await this._api('GET', `${this.projectApiPath}/merge_requests?${query}`);
+    const mr = Array.isArray(existing) ? existing[0] : null;
+    return mr ? { number: mr.iid, url: mr.web_url } : null;
+  }
+
+  /**
+   * Create a merge request, reusing an already-open one for the branch
+   * @param {Object} options
+   * @param {String} options.sourceBranch
+   * @param {String} [options.targetBranch] - Defaults to the project default branch
+   * @param {String} options.title
+   * @param {String} [options.description]
+   * @returns {Promise<Object>} { number, url, created }
+   */
+  async createMergeRequest({ sourceBranch, targetBranch, title, description = '' }) {
+    const existing = await this.findMergeRequest(sourceBranch);
+    if (existing) {
+      return { ...existing, created: false };
+    }
+
+    const mr = await this._api('POST', `${this.projectApiPath}/merge_requests`, {
+      source_branch: sourceBranch,
+      target_branch: targetBranch || (await this.getDefaultBranch()),
+      title,
+      description,
+      remove_source_branch: true,
+    });
+    return { number: mr.iid, url: mr.web_url, created: true };
+  }
+
+  /**
+   * Status of the merge request's head pipeline
+   * @param {Number} iid - Merge request IID
+   * @returns {Promise<String|null>} GitLab pipeline status, or null if there is none
+   */
+  async getPipelineStatus(iid) {
+    const mr = await this._api('GET', `${this.projectApiPath}/merge_requests/${iid}`);
+    return mr.head_pipeline?.status || mr.pipeline?.status || null;
+  }
+
+  /**
+   * Poll the head pipeline until it finishes
+   * @param {Number} iid - Merge request IID
+   * @param {Object} [options] - intervalMs, timeoutMs, graceMs, onStatus (see ./pipeline)
+   * @returns {Promise<String>} 'success' or 'none' (no CI configured)
+   * @throws {Error} If the pipeline fails, is canceled, or times out
+   */
+  waitForPipeline(iid, options = {}) {
+    return waitForPipeline({
+      ...options,
+      getStatus: () => this.getPipelineStatus(iid),
+      isPending: (status) => PIPELINE_PENDING.has(status),
+      label: `!${iid}`,
+    });
+  }
+
+  /**
+   * Merge a merge request
+   * @param {Number} iid - Merge request IID
+   * @returns {Promise<Object>} { merged, url }
+   */
+  async merge(iid) {
+    const mr = await this._api('PUT', `${this.projectApiPath}/merge_requests/${iid}/merge`, {
+      should_remove_source_branch: true,
+    });
+    return { merged: mr.state === 'merged', url: mr.web_url };
+  }
+}
+
+module.exports = GitLabClient;
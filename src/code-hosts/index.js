@@ -0,0 +1,168 @@
+/**
+ * Code hosts - Where `--pr` / `--ship` open and merge the change
+ *
+ * Detects the hosting platform from the `origin` remote:
+ * - github: github.com, or the configured GitHub Enterprise host
+ *   (GH_HOST / githubHost setting) - pull requests via REST or gh
+ * - gitlab: gitlab.com, hosts containing "gitlab", or the host of the
+ *   configured GitLab base URL (ZEROSHOT_GITLAB_URL / inputSources.gitlab.baseUrl)
+ * - git: anything else, including local-path remotes - the branch is pushed,
+ *   no review request is opened
+ */
+
+const { URL } = require('url');
+const { execFile } = require('../lib/safe-exec');
+const GitHubClient = require('./github');
+const GitLabClient = require('./gitlab');
+
+/**
+ * Parse a git remote URL into host and project path
+ * Supports https://host/group/proj(.git), ssh://git@host:port/group/proj.git
+ * and scp-style git@host:group/proj.git
+ * @param {String} remoteUrl
+ * @returns {{ host: String, projectPath: String }|null}
+ */
+function parseRemoteUrl(remoteUrl) {
+  if (!remoteUrl) return null;
+  const trimmed = remoteUrl.trim();
+
+  const scp = trimmed.match(/^(?:[\w.-]+@)?([\w.-]+):(?!\/\/)(.+?)(?:\.git)?\/?$/);
+  if (scp && !/^[a-z+]+:\/\//i.test(trimmed)) {
+    return { host: scp[1].toLowerCase(), projectPath: scp[2] };
+  }
+
+  try {
+    const url = new URL(trimmed);
+    const projectPath = url.pathname.replace(/^\/+/, '').replace(/(?:\.git)?\/?$/, '');
+    if (!url.hostname || !projectPath) return null;
+    return { host: url.hostname.toLowerCase(), projectPath };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Configured GitLab base URL (self-hosted instances), if any
+ * @private
+ */
+function configuredGitLabUrl(settings, env) {
+  return env.ZEROSHOT_GITLAB_URL || settings.inputSources?.gitlab?.baseUrl || null;
+}
+
+/**
+ * Configured GitHub Enterprise host, if any. GH_HOST is the variable gh reads.
+ * @private
+ */
+function configuredGitHubHost(settings, env) {
+  const host = env.GH_HOST || settings.githubHost;
+  if (!host) return null;
+  return host
+    .replace(/^https?:\/\//, '')
+    .replace(/\/+$/, '')
+    .toLowerCase();
+}
+
+/**
+ * Resolve the code host for a remote URL
+ * @param {String} remoteUrl - `git remote get-url origin` output
+ * @param {Object} [options]
+ * @param {Object} [options.settings] - Loaded settings
+ * @param {Object} [options.env=process.env]
+ * @returns {{ platform: 'github'|'gitlab'|'git', host: String|null, projectPath: String|null, baseUrl: String|null, remoteUrl: String|null }}
+ */
+function resolveCodeHost(remoteUrl, { settings = {}, env = process.env } = {}) {
+  const parsed = parseRemoteUrl(remoteUrl);
+  if (!parsed) {
+    // Missing origin, or a local path / file:// remote
+    return {
+      platform: 'git',
+      host: null,
+      projectPath: null,
+      baseUrl: null,
+      remoteUrl: remoteUrl ? remoteUrl.trim() : null,
+    };
+  }
+
+  const { host, projectPath } = parsed;
+  const base = { host, projectPath, remoteUrl: remoteUrl.trim() };
+
+  if (host === 'github.com' || host === configuredGitHubHost(settings, env)) {
+    return { platform: 'github', ...base, baseUrl: `https://${host}` };
+  }
+
+  const gitlabUrl = configuredGitLabUrl(settings, env);
+  const gitlabHost = gitlabUrl ? new URL(gitlabUrl).hostname.toLowerCase() : null;
+  if (host === gitlabHost) {
+    return { platform: 'gitlab', ...base, baseUrl: gitlabUrl.replace(/\/+$/, '') };
+  }
+  if (host === 'gitlab.com' || host.includes('gitlab')) {
+    return { platform: 'gitlab', ...base, baseUrl: `https://${host}` };
+  }
+
+  return { platform: 'git', ...base, baseUrl: null };
+}
+
+/**
+ * Detect the code host of a working directory's `origin` remote
+ * @param {String} cwd - Repository directory
+ * @param {Object} [options] - Passed to resolveCodeHost()
+ * @returns {Promise<Object>} See resolveCodeHost()
+ */
+async function detectCodeHost(cwd, options = {}) {
+  let remoteUrl = null;
+  try {
+    const { stdout } = await execFile('git', ['remote', 'get-url', 'origin'], { cwd });
+    remoteUrl = stdout.trim();
+  } catch {
+    // No origin remote - treated as a generic git host
+  }
+  return resolveCodeHost(remoteUrl, options);
+}
+
+/**
+ * Token for a GitHub host's REST API. Enterprise hosts use gh's enterprise
+ * variables so a github.com token is never sent to them.
+ * @param {Object} codeHost - Result of resolveCodeHost()
+ * @param {Object} [env=process.env]
+ * @returns {String|null} null when gh's stored login should be used
+ */
+function githubToken(codeHost, env = process.env) {
+  if (codeHost.host === 'github.com') {
+    return env.GITHUB_TOKEN || env.GH_TOKEN || null;
+  }
+  return env.GH_ENTERPRISE_TOKEN || env.GITHUB_ENTERPRISE_TOKEN || null;
+}
+
+/**
+ * Create the merge request client for a code host
+ * @param {Object} codeHost - Result of resolveCodeHost()
+ * @param {Object} [options]
+ * @param {Object} [options.env=process.env]
+ * @returns {GitHubClient|GitLabClient|null} null when the host has no review-request API (generic git)
+ */
+function createCodeHostClient(codeHost, { env = process.env } = {}) {
+  if (codeHost.platform === 'github') {
+    return new GitHubClient({
+      projectPath: codeHost.projectPath,
+      host: codeHost.host,
+      ...(codeHost.host !== 'github.com' && { apiUrl: `${codeHost.baseUrl}/api/v3` }),
+      token: githubToken(codeHost, env),
+    });
+  }
+  if (codeHost.platform === 'gitlab') {
+    return new GitLabClient({
+      baseUrl: codeHost.baseUrl,
+      projectPath: codeHost.projectPath,
+      token: env.GITLAB_TOKEN || null,
+    });
+  }
+  return null;
+}
+
+module.exports = {
+  parseRemoteUrl,
+  resolveCodeHost,
+  detectCodeHost,
+  createCodeHostClient,
+  githubToken,
+};
@@ -0,0 +1,58 @@
+/**
+ * Pipeline polling shared by the code host clients (--ship)
+ */
+
+const PIPELINE_POLL_MS = 15000;
+const PIPELINE_TIMEOUT_MS = 60 * 60 * 1000;
+// Pipelines are created asynchronously after push; wait this long before
+// concluding the project has no CI for the change
+const PIPELINE_GRACE_MS = 60000;
+
+/**
+ * Poll a pipeline status until it finishes
+ * @param {Object} options
+ * @param {Function} options.getStatus - () => Promise<String|null>, null when there is no pipeline
+ * @param {Function} options.isPending - (status) => Boolean
+ * @param {String} options.label - Change reference for error messages (e.g. !12, #12)
+ * @param {Number} [options.intervalMs=15000]
+ * @param {Number} [options.timeoutMs=3600000]
+ * @param {Number} [options.graceMs=60000] - How long to wait for a pipeline to appear
+ * @param {Function} [options.onStatus] - Called with each new status
+ * @returns {Promise<String>} 'success' or 'none' (no CI configured)
+ * @throws {Error} If the pipeline fails, is canceled, or times out
+ */
+async function waitForPipeline({
+  getStatus,
+  isPending,
+  label,
+  intervalMs = PIPELINE_POLL_MS,
+  timeoutMs = PIPELINE_TIMEOUT_MS,
+  graceMs = PIPELINE_GRACE_MS,
+  onStatus,
+}) {
+  const startedAt = Date.now();
+  let lastStatus;
+
+  for (;;) {
+    const status = await getStatus();
+    if (status !== lastStatus && onStatus) {
+      onStatus(status);
+    }
+    lastStatus = status;
+
+    if (status === 'success') return 'success';
+    if (status === null && Date.now() - startedAt >= graceMs) return 'none';
+    if (status !== null && !isPending(status)) {
+      throw new Error(`Pipeline for ${label} finished with status "${status}"`);
+    }
+    if (Date.now() - startedAt >= timeoutMs) {
+      throw new Error(`Pipeline for ${label} still "${status}" after ${timeoutMs / 60000} minutes`);
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+}
+
+module.exports = {
+  waitForPipeline,
+};
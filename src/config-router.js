@@ -1,80 +1,388 @@
 /**
- * Config Router - Maps 2D classification to parameterized templates
+ * Config Router - Maps a classified task to a parameterized template
  *
- * Single source of truth for: Complexity × TaskType → { base, params }
+ * Single source of truth for: Complexity × TaskType (+ labels, changed paths,
+ * repository) → { base, params }
  * Used by both logic-engine.js (trigger evaluation) and agent-wrapper.js (transform scripts)
+ *
+ * The mapping is a routing table:
+ *
+ *   {
+ *     "rules": [
+ *       { "when": { "labels": ["security"] }, "set": { "complexity": "CRITICAL" } }
+ *     ],
+ *     "routes": [
+ *       { "when": { "paths": ["services/payments/**"] }, "params": { "validator_count": 4 } },
+ *       { "when": { "complexity": "SIMPLE" }, "base": "worker-validator", "params": { ... } }
+ *     ]
+ *   }
+ *
+ * - rules adjust the conductor's classification first; every matching rule applies in order
+ * - routes are checked in order; the first matching route with a base decides the
+ *   template, and routes without one only contribute params (earlier routes win)
+ * - "when" matches complexity and taskType (value or list), labels (any of,
+ *   case-insensitive), paths (any changed path matches any glob) and repository
+ *   (owner/name globs); an empty "when" always matches
+ *
+ * Tables are layered: .zeroshot/config-router.json, then the `routing` setting,
+ * then DEFAULT_ROUTING_TABLE. Their routes are checked in that order; their
+ * rules run in reverse, so the repo has the last word on the classification.
  */
 
+const { execFileSync } = require('child_process');
 const { DEFAULT_MAX_ITERATIONS } = require('./agent/agent-config');
+const { loadRepoRoutingTable } = require('./repo-config');
+
+const COMPLEXITIES = ['TRIVIAL', 'SIMPLE', 'STANDARD', 'CRITICAL'];
+const TASK_TYPES = ['INQUIRY', 'TASK', 'DEBUG'];
+
+const FULL_WORKFLOW_LEVELS = {
+  planner_level: 'level2',
+  worker_level: 'level2',
+  validator_level: 'level2',
+};
+
+const DEFAULT_ROUTING_TABLE = {
+  rules: [],
+  routes: [
+    {
+      when: { complexity: 'TRIVIAL' },
+      base: 'single-worker',
+      params: { worker_level: 'level1', max_tokens: 50000 },
+    },
+    {
+      when: { taskType: 'DEBUG', complexity: 'CRITICAL' },
+      base: 'debug-workflow',
+      params: {
+        investigator_level: 'level3',
+        fixer_level: 'level2',
+        tester_level: 'level2',
+        max_tokens: 150000,
+      },
+    },
+    {
+      when: { taskType: 'DEBUG' },
+      base: 'debug-workflow',
+      params: {
+        investigator_level: 'level2',
+        fixer_level: 'level2',
+        tester_level: 'level2',
+        max_tokens: 100000,
+      },
+    },
+    {
+      when: { complexity: 'SIMPLE' },
+      base: 'worker-validator',
+      params: { worker_level: 'level2', validator_level: 'level2', max_tokens: 100000 },
+    },
+    {
+      when: { complexity: 'STANDARD' },
+      base: 'full-workflow',
+      params: { ...FULL_WORKFLOW_LEVELS, validator_count: 2, max_tokens: 100000 },
+    },
+    {
+      when: { complexity: 'CRITICAL' },
+      base: 'full-workflow',
+      params: {
+        ...FULL_WORKFLOW_LEVELS,
+        planner_level: 'level3',
+        validator_count: 4,
+        max_tokens: 150000,
+      },
+    },
+    {
+      when: {},
+      base: 'full-workflow',
+      params: { ...FULL_WORKFLOW_LEVELS, validator_count: 1, max_tokens: 100000 },
+    },
+  ],
+};
+
+const WHEN_KEYS = ['complexity', 'taskType', 'labels', 'paths', 'repository'];
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
 
 /**
- * Get cluster config based on complexity and task type
- * @param {string} complexity - TRIVIAL, SIMPLE, STANDARD, CRITICAL
- * @param {string} taskType - INQUIRY, TASK, DEBUG
- * @returns {{ base: string, params: object }}
+ * Glob → RegExp: ** crosses directories, * and ? stay within one path segment
+ * @param {string} glob
+ * @returns {RegExp}
  */
-function getConfig(complexity, taskType) {
-  const getBase = () => {
-    if (taskType === 'DEBUG' && complexity !== 'TRIVIAL') {
-      return 'debug-workflow';
+function globToRegExp(glob) {
+  let pattern = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" also matches zero directories
+      pattern += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
     }
-    if (complexity === 'TRIVIAL') {
-      return 'single-worker';
+  }
+  return new RegExp(`^${pattern}$`);
+}
+
+const MATCHERS = {
+  complexity: (expected, facts) => toList(expected).includes(facts.complexity),
+  taskType: (expected, facts) => toList(expected).includes(facts.taskType),
+  labels: (expected, facts) => {
+    const labels = facts.labels.map((label) => label.toLowerCase());
+    return toList(expected).some((label) => labels.includes(label.toLowerCase()));
+  },
+  paths: (expected, facts) => {
+    const globs = toList(expected).map(globToRegExp);
+    return facts.paths.some((file) => globs.some((glob) => glob.test(file)));
+  },
+  repository: (expected, facts) =>
+    Boolean(facts.repository) &&
+    toList(expected).some((glob) => globToRegExp(glob).test(facts.repository)),
+};
+
+function matchesWhen(when, facts) {
+  return Object.entries(when || {}).every(([key, expected]) => MATCHERS[key](expected, facts));
+}
+
+function validateClassification(value, location, errors) {
+  for (const [key, allowed] of [
+    ['complexity', COMPLEXITIES],
+    ['taskType', TASK_TYPES],
+  ]) {
+    if (value[key] === undefined) continue;
+    const invalid = toList(value[key]).filter((item) => !allowed.includes(item));
+    if (invalid.length > 0) {
+      errors.push(`${location}.${key}: ${invalid.join(', ')} (valid: ${allowed.join(', ')})`);
     }
-    if (complexity === 'SIMPLE') {
-      return 'worker-validator';
+  }
+}
+
+function validateWhen(when, location, errors) {
+  if (when === undefined) return;
+  if (typeof when !== 'object' || when === null || Array.isArray(when)) {
+    errors.push(`${location} must be an object`);
+    return;
+  }
+  for (const [key, value] of Object.entries(when)) {
+    if (!WHEN_KEYS.includes(key)) {
+      errors.push(`${location}: unknown key '${key}' (valid: ${WHEN_KEYS.join(', ')})`);
+    } else if (toList(value).some((item) => typeof item !== 'string')) {
+      errors.push(`${location}.${key} must be a string or a list of strings`);
     }
-    return 'full-workflow';
-  };
+  }
+  validateClassification(when, location, errors);
+}
 
-  const getLevel = (role) => {
-    if (complexity === 'CRITICAL' && role === 'planner') return 'level3';
-    if (complexity === 'TRIVIAL') return 'level1';
-    return 'level2';
-  };
+/**
+ * Validate a routing table
+ * @param {any} table
+ * @param {string} [source] - Prefix for error messages
+ * @returns {string[]} Errors (empty when valid)
+ */
+function validateRoutingTable(table, source = 'routing') {
+  if (typeof table !== 'object' || table === null || Array.isArray(table)) {
+    return [`${source} must be an object with rules and/or routes`];
+  }
+  /** @type {string[]} */
+  const errors = [];
+  for (const key of Object.keys(table)) {
+    if (!['rules', 'routes'].includes(key)) {
+      errors.push(`${source}: unknown key '${key}' (valid: rules, routes)`);
+    }
+  }
+  for (const key of ['rules', 'routes']) {
+    if (table[key] !== undefined && !Array.isArray(table[key])) {
+      errors.push(`${source}.${key} must be an array`);
+    }
+  }
+  if (errors.length > 0) return errors;
 
-  const getValidatorCount = () => {
-    if (complexity === 'TRIVIAL') return 0;
-    if (complexity === 'SIMPLE') return 1;
-    if (complexity === 'STANDARD') return 2;
-    if (complexity === 'CRITICAL') return 4;
-    return 1;
-  };
+  (table.rules || []).forEach((rule, i) => {
+    const location = `${source}.rules[${i}]`;
+    validateWhen(rule?.when, `${location}.when`, errors);
+    const set = rule?.set;
+    if (typeof set !== 'object' || set === null || Object.keys(set).length === 0) {
+      errors.push(`${location}.set must set complexity and/or taskType`);
+      return;
+    }
+    const unknown = Object.keys(set).filter((key) => !['complexity', 'taskType'].includes(key));
+    if (unknown.length > 0) {
+      errors.push(`${location}.set: unknown key(s) ${unknown.join(', ')}`);
+    }
+    if (Object.values(set).some((value) => typeof value !== 'string')) {
+      errors.push(`${location}.set values must be strings`);
+    }
+    validateClassification(set, `${location}.set`, errors);
+  });
 
-  const getMaxTokens = () => {
-    if (complexity === 'TRIVIAL') return 50000;
-    if (complexity === 'SIMPLE') return 100000;
-    if (complexity === 'STANDARD') return 100000;
-    if (complexity === 'CRITICAL') return 150000;
-    return 100000;
-  };
+  (table.routes || []).forEach((route, i) => {
+    const location = `${source}.routes[${i}]`;
+    validateWhen(route?.when, `${location}.when`, errors);
+    if (route?.base !== undefined && typeof route.base !== 'string') {
+      errors.push(`${location}.base must be a template name`);
+    }
+    const params = route?.params;
+    if (params !== undefined && (typeof params !== 'object' || Array.isArray(params))) {
+      errors.push(`${location}.params must be an object`);
+    }
+    if (route?.base === undefined && params === undefined) {
+      errors.push(`${location} needs a base and/or params`);
+    }
+  });
+  return errors;
+}
 
-  const base = getBase();
+/**
+ * Routing tables in route order: repo, settings, built-in
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Target repo (for .zeroshot/config-router.json)
+ * @param {Object} [options.settings] - Loaded settings (default: loadSettings())
+ * @returns {Array<{ source: string, table: Object }>}
+ */
+function loadRoutingTables({ cwd, settings } = {}) {
+  // Lazy require: lib/settings validates the routing setting with this module
+  const effectiveSettings = settings || require('../lib/settings').loadSettings();
+  const tables = [
+    { source: '.zeroshot/config-router.json', table: loadRepoRoutingTable(cwd) },
+    { source: 'settings.routing', table: effectiveSettings.routing },
+  ].filter((entry) => entry.table);
 
-  const params = {
-    task_type: taskType,
-    complexity,
-    max_tokens: getMaxTokens(),
-    max_iterations: DEFAULT_MAX_ITERATIONS,
+  for (const { source, table } of tables) {
+    const errors = validateRoutingTable(table, source);
+    if (errors.length > 0) {
+      throw new Error(`Invalid routing table:\n  ${errors.join('\n  ')}`);
+    }
+  }
+  return [...tables, { source: 'built-in', table: DEFAULT_ROUTING_TABLE }];
+}
+
+/**
+ * Route a classified task, recording every rule and route that matched
+ * @param {{ complexity: string, taskType: string }} classification - From the conductor
+ * @param {Object} [context]
+ * @param {string} [context.cwd] - Target repo
+ * @param {string[]} [context.labels] - Issue labels
+ * @param {string[]} [context.paths] - Changed file paths (repo-relative)
+ * @param {string|null} [context.repository] - owner/name of the origin remote
+ * @param {Array<{ source: string, table: Object }>} [context.tables] - Default: loadRoutingTables()
+ * @returns {{ base: string, params: Object, complexity: string, taskType: string, rules: Object[], routes: Object[] }}
+ */
+function routeTask(classification, context = {}) {
+  const tables = context.tables || loadRoutingTables({ cwd: context.cwd });
+  const facts = {
+    complexity: classification.complexity,
+    taskType: classification.taskType,
+    labels: context.labels || [],
+    paths: context.paths || [],
+    repository: context.repository || null,
   };
 
-  if (base === 'single-worker') {
-    params.worker_level = getLevel('worker');
-  } else if (base === 'worker-validator') {
-    params.worker_level = getLevel('worker');
-    params.validator_level = getLevel('validator');
-  } else if (base === 'debug-workflow') {
-    params.investigator_level = getLevel('planner');
-    params.fixer_level = getLevel('worker');
-    params.tester_level = getLevel('validator');
-  } else if (base === 'full-workflow') {
-    params.planner_level = getLevel('planner');
-    params.worker_level = getLevel('worker');
-    params.validator_level = getLevel('validator');
-    params.validator_count = getValidatorCount();
+  const rules = [];
+  for (const { source, table } of [...tables].reverse()) {
+    (table.rules || []).forEach((rule, index) => {
+      if (!matchesWhen(rule.when, facts)) return;
+      rules.push({ source, index, when: rule.when || {}, set: rule.set });
+      Object.assign(facts, rule.set);
+    });
+  }
+
+  const routes = [];
+  let base = null;
+  let routeParams = {};
+  for (const { source, table } of tables) {
+    for (const [index, route] of (table.routes || []).entries()) {
+      if (base || !matchesWhen(route.when, facts)) continue;
+      routes.push({
+        source,
+        index,
+        when: route.when || {},
+        base: route.base,
+        params: route.params,
+      });
+      routeParams = { ...route.params, ...routeParams };
+      base = route.base || null;
+    }
+  }
+  if (!base) {
+    throw new Error(`No route with a base template for ${facts.complexity}:${facts.taskType}`);
   }
 
+  return {
+    base,
+    params: {
+      task_type: facts.taskType,
+      complexity: facts.complexity,
+      max_iterations: DEFAULT_MAX_ITERATIONS,
+      ...routeParams,
+    },
+    complexity: facts.complexity,
+    taskType: facts.taskType,
+    rules,
+    routes,
+  };
+}
+
+/**
+ * Get cluster config based on complexity and task type
+ * @param {string} complexity - TRIVIAL, SIMPLE, STANDARD, CRITICAL
+ * @param {string} taskType - INQUIRY, TASK, DEBUG
+ * @param {Object} [context] - See routeTask()
+ * @returns {{ base: string, params: object }}
+ */
+function getConfig(complexity, taskType, context = {}) {
+  const { base, params } = routeTask({ complexity, taskType }, context);
   return { base, params };
 }
 
-module.exports = { getConfig };
+function git(cwd, args) {
+  try {
+    return execFileSync('git', args, {
+      cwd,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      timeout: 5000,
+    }).trim();
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Facts about the target repo for routing: origin repository and changed paths
+ * (uncommitted, untracked and committed since the default branch)
+ * @param {Object} [options]
+ * @param {string} [options.cwd]
+ * @param {string[]} [options.labels] - Issue labels, passed through
+ * @returns {{ cwd: string, labels: string[], paths: string[], repository: string|null }}
+ */
+function collectRoutingContext({ cwd = process.cwd(), labels = [] } = {}) {
+  const { parseRemoteUrl } = require('./code-hosts');
+  const remote = parseRemoteUrl(git(cwd, ['remote', 'get-url', 'origin']));
+
+  const defaultBranch = git(cwd, ['rev-parse', '--abbrev-ref', 'origin/HEAD']);
+  const mergeBase = defaultBranch ? git(cwd, ['merge-base', defaultBranch, 'HEAD']) : '';
+  const outputs = [
+    git(cwd, ['diff', '--name-only', 'HEAD']),
+    git(cwd, ['ls-files', '--others', '--exclude-standard']),
+    mergeBase ? git(cwd, ['diff', '--name-only', mergeBase, 'HEAD']) : '',
+  ];
+  const paths = [...new Set(outputs.flatMap((output) => output.split('\n')).filter(Boolean))];
+
+  return { cwd, labels, paths, repository: remote?.projectPath || null };
+}
+
+module.exports = {
+  COMPLEXITIES,
+  TASK_TYPES,
+  DEFAULT_ROUTING_TABLE,
+  validateRoutingTable,
+  loadRoutingTables,
+  routeTask,
+  getConfig,
+  collectRoutingContext,
+  globToRegExp,
+};
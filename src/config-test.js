@@ -0,0 +1,376 @@
+/**
+ * Config test - `zeroshot config test <config> <scenario.yaml>`
+ *
+ * Runs a cluster config end to end with scripted agent outputs instead of
+ * provider calls, then checks assertions over the resulting ledger:
+ *
+ *   name: Validator rejects twice, then approves
+ *   task: Add a login page
+ *   agents:
+ *     worker:
+ *       output: { summary: Implemented }        # same output every iteration
+ *     validator:
+ *       - output: { approved: false, errors: [Missing tests] }
+ *       - output: { approved: false, errors: [Still missing] }
+ *       - output: { approved: true }
+ *   expect:
+ *     outcome: completed        # completed | failed | deadlock (default: completed)
+ *     maxIterations: 3          # no agent runs more than 3 iterations
+ *     published: [IMPLEMENTATION_READY]
+ *     notPublished: [PLAN_READY]
+ *     counts: { VALIDATION_RESULT: 3 }
+ *     calls: { validator: 3 }
+ *
+ * Each agent's script is one step or a list of steps, one per task it runs;
+ * the last step repeats once the list is exhausted. A step is
+ * { output: <object|string> } or { fail: "<error>" }.
+ *
+ * The cluster ends when it publishes CLUSTER_COMPLETE or CLUSTER_FAILED, or
+ * deadlocks: every agent idle and nothing published for idleMs.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const TaskRunner = require('./task-runner');
+const Ledger = require('./ledger');
+const Orchestrator = require('./orchestrator');
+const { validateConfig } = require('./config-validator');
+
+const OUTCOMES = ['completed', 'failed', 'deadlock'];
+const SCENARIO_KEYS = ['name', 'task', 'timeoutMs', 'idleMs', 'agents', 'expect'];
+const EXPECT_KEYS = ['outcome', 'maxIterations', 'published', 'notPublished', 'counts', 'calls'];
+const DEFAULT_TIMEOUT_MS = 60000;
+const DEFAULT_IDLE_MS = 2000;
+const POLL_MS = 50;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateStep(step, prefix, errors) {
+  const kinds = ['output', 'fail'].filter((key) => isPlainObject(step) && key in step);
+  if (kinds.length !== 1 || Object.keys(step).length !== 1) {
+    errors.push(`${prefix} must be { output: <object|string> } or { fail: "<error>" }`);
+  } else if (kinds[0] === 'fail' && typeof step.fail !== 'string') {
+    errors.push(`${prefix}.fail must be an error message`);
+  }
+}
+
+function validateTopicList(value, prefix, errors) {
+  if (!Array.isArray(value) || !value.every((topic) => typeof topic === 'string')) {
+    errors.push(`${prefix} must be a list of topics`);
+  }
+}
+
+function validateCountMap(value, prefix, errors) {
+  if (!isPlainObject(value) || !Object.values(value).every(Number.isInteger)) {
+    errors.push(`${prefix} must map names to whole numbers`);
+  }
+}
+
+function validateExpect(expect, errors) {
+  if (!isPlainObject(expect)) {
+    errors.push('expect must be an object');
+    return;
+  }
+  for (const key of Object.keys(expect)) {
+    if (!EXPECT_KEYS.includes(key)) {
+      errors.push(`expect has unknown key '${key}' (allowed: ${EXPECT_KEYS.join(', ')})`);
+    }
+  }
+  if (expect.outcome !== undefined && !OUTCOMES.includes(expect.outcome)) {
+    errors.push(`expect.outcome must be one of ${OUTCOMES.join(', ')}`);
+  }
+  if (
+    expect.maxIterations !== undefined &&
+    !(Number.isInteger(expect.maxIterations) && expect.maxIterations > 0)
+  ) {
+    errors.push('expect.maxIterations must be a positive whole number');
+  }
+  for (const key of ['published', 'notPublished']) {
+    if (expect[key] !== undefined) validateTopicList(expect[key], `expect.${key}`, errors);
+  }
+  for (const key of ['counts', 'calls']) {
+    if (expect[key] !== undefined) validateCountMap(expect[key], `expect.${key}`, errors);
+  }
+}
+
+/**
+ * Check a scenario's structure
+ * @param {*} scenario
+ * @returns {Array<String>} Errors
+ */
+function validateScenario(scenario) {
+  if (!isPlainObject(scenario)) {
+    return ['Scenario must be an object'];
+  }
+  const errors = [];
+  for (const key of Object.keys(scenario)) {
+    if (!SCENARIO_KEYS.includes(key)) {
+      errors.push(`Scenario has unknown key '${key}' (allowed: ${SCENARIO_KEYS.join(', ')})`);
+    }
+  }
+  for (const key of ['timeoutMs', 'idleMs']) {
+    if (scenario[key] !== undefined && !(Number.isInteger(scenario[key]) && scenario[key] > 0)) {
+      errors.push(`${key} must be a positive number of milliseconds`);
+    }
+  }
+  if (!isPlainObject(scenario.agents)) {
+    errors.push('agents must map agent ids to scripted outputs');
+  } else {
+    for (const [agentId, script] of Object.entries(scenario.agents)) {
+      const steps = Array.isArray(script) ? script : [script];
+      if (steps.length === 0) {
+        errors.push(`agents.${agentId} must have at least one step`);
+      }
+      steps.forEach((step, i) =>
+        validateStep(
+          step,
+          Array.isArray(script) ? `agents.${agentId}[${i}]` : `agents.${agentId}`,
+          errors
+        )
+      );
+    }
+  }
+  if (scenario.expect !== undefined) {
+    validateExpect(scenario.expect, errors);
+  }
+  return errors;
+}
+
+/**
+ * Read a YAML (or JSON) scenario file
+ * @param {String} file
+ * @returns {Object} Validated scenario
+ */
+function loadScenario(file) {
+  const scenario = yaml.load(fs.readFileSync(file, 'utf8'));
+  const errors = validateScenario(scenario);
+  if (errors.length > 0) {
+    throw new Error(`Invalid scenario ${path.basename(file)}:\n  - ${errors.join('\n  - ')}`);
+  }
+  return { name: path.basename(file, path.extname(file)), ...scenario };
+}
+
+/**
+ * TaskRunner that plays back each agent's scripted steps
+ * @private
+ */
+class ScriptedTaskRunner extends TaskRunner {
+  constructor(scripts) {
+    super();
+    this.scripts = scripts;
+    this.calls = {};
+    this.unscripted = new Set();
+  }
+
+  run(_context, { agentId }) {
+    const call = this.calls[agentId] || 0;
+    this.calls[agentId] = call + 1;
+
+    const script = this.scripts[agentId];
+    if (!script) {
+      this.unscripted.add(agentId);
+      return Promise.resolve({
+        success: false,
+        output: '',
+        error: `No scripted output for agent '${agentId}'`,
+      });
+    }
+
+    const steps = Array.isArray(script) ? script : [script];
+    const step = steps[Math.min(call, steps.length - 1)];
+    if ('fail' in step) {
+      return Promise.resolve({ success: false, output: '', error: step.fail });
+    }
+    const output = typeof step.output === 'string' ? step.output : JSON.stringify(step.output);
+    return Promise.resolve({ success: true, output, error: null });
+  }
+}
+
+/**
+ * Wait until the cluster completes, fails, deadlocks or times out
+ * @private
+ */
+async function waitForOutcome(cluster, { timeoutMs, idleMs }) {
+  const deadline = Date.now() + timeoutMs;
+  let lastCount = -1;
+  let quietSince = Date.now();
+
+  while (Date.now() < deadline) {
+    const messages = cluster.messageBus.getAll(cluster.id);
+    if (messages.some((m) => m.topic === 'CLUSTER_COMPLETE')) return 'completed';
+    if (messages.some((m) => m.topic === 'CLUSTER_FAILED')) return 'failed';
+
+    const busy = cluster.agents.some((agent) => agent.state !== 'idle');
+    if (busy || messages.length !== lastCount) {
+      lastCount = messages.length;
+      quietSince = Date.now();
+    } else if (Date.now() - quietSince >= idleMs) {
+      return 'deadlock';
+    }
+    await new Promise((resolve) => setTimeout(resolve, POLL_MS));
+  }
+  return 'timeout';
+}
+
+/**
+ * Wait for the orchestrator's auto-stop, including its final clusters.json
+ * save (the lock directory exists while a save holds it)
+ * @private
+ */
+async function waitForStop(cluster, storageDir, timeoutMs = 5000) {
+  const lockPath = path.join(storageDir, 'clusters.json.lock');
+  const deadline = Date.now() + timeoutMs;
+  let unlockedPolls = 0;
+  while (unlockedPolls < 2 && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, POLL_MS));
+    const unlocked = cluster.state === 'stopped' && !fs.existsSync(lockPath);
+    unlockedPolls = unlocked ? unlockedPolls + 1 : 0;
+  }
+}
+
+/**
+ * Highest iteration each agent started, from TASK_STARTED lifecycle events
+ * @private
+ */
+function iterationsByAgent(messages) {
+  const iterations = {};
+  for (const message of messages) {
+    const data = message.content?.data;
+    if (message.topic === 'AGENT_LIFECYCLE' && data?.event === 'TASK_STARTED') {
+      iterations[message.sender] = Math.max(iterations[message.sender] || 0, data.iteration || 0);
+    }
+  }
+  return iterations;
+}
+
+function countBy(items, key) {
+  const counts = {};
+  for (const item of items) {
+    counts[item[key]] = (counts[item[key]] || 0) + 1;
+  }
+  return counts;
+}
+
+function checkCounts(expected, actual, describe, failures) {
+  for (const [name, count] of Object.entries(expected || {})) {
+    if ((actual[name] || 0) !== count) {
+      failures.push(`expected ${describe(name)} ${count} time(s), got ${actual[name] || 0}`);
+    }
+  }
+}
+
+/**
+ * Compare a finished run against the scenario's expectations
+ * @private
+ */
+function checkExpectations(expect, { outcome, topics, iterations, calls, unscripted }) {
+  const failures = [];
+  const expectedOutcome = expect.outcome || 'completed';
+  if (outcome !== expectedOutcome) {
+    failures.push(`expected the cluster to end ${expectedOutcome}, it ended ${outcome}`);
+  }
+
+  if (expect.maxIterations) {
+    for (const [agentId, iteration] of Object.entries(iterations)) {
+      if (iteration > expect.maxIterations) {
+        failures.push(
+          `${agentId} ran ${iteration} iterations (expected at most ${expect.maxIterations})`
+        );
+      }
+    }
+  }
+
+  for (const topic of expect.published || []) {
+    if (!topics[topic]) failures.push(`${topic} was never published`);
+  }
+  for (const topic of expect.notPublished || []) {
+    if (topics[topic]) failures.push(`${topic} was published ${topics[topic]} time(s)`);
+  }
+  checkCounts(expect.counts, topics, (topic) => `${topic} to be published`, failures);
+  checkCounts(expect.calls, calls, (agentId) => `${agentId} to run`, failures);
+
+  for (const agentId of unscripted) {
+    failures.push(`${agentId} ran a task but the scenario has no script for it`);
+  }
+  return failures;
+}
+
+/**
+ * Run a cluster config against a scenario without calling any provider
+ * @param {Object} config - Cluster config
+ * @param {Object} scenario - Scenario from loadScenario()
+ * @returns {Promise<Object>} { name, passed, outcome, failures, topics, iterations, calls, unusedScripts, messages }
+ */
+async function runScenario(config, scenario) {
+  const validation = validateConfig(config);
+  if (!validation.valid) {
+    throw new Error(`Invalid cluster config:\n  - ${validation.errors.join('\n  - ')}`);
+  }
+
+  const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zeroshot-config-test-'));
+  const runner = new ScriptedTaskRunner(scenario.agents);
+  let outcome;
+  let messages;
+  try {
+    const orchestrator = new Orchestrator({ quiet: true, storageDir, taskRunner: runner });
+    const { id: clusterId } = await orchestrator.start(config, {
+      text: scenario.task || `Scenario: ${scenario.name}`,
+    });
+    try {
+      outcome = await waitForOutcome(orchestrator.getCluster(clusterId), {
+        timeoutMs: scenario.timeoutMs || DEFAULT_TIMEOUT_MS,
+        idleMs: scenario.idleMs || DEFAULT_IDLE_MS,
+      });
+    } finally {
+      // Nothing reads clusters.json after the run - stop persisting it
+      orchestrator.close();
+      // Let the auto-stop after CLUSTER_COMPLETE/CLUSTER_FAILED finish first
+      if (outcome === 'completed' || outcome === 'failed') {
+        await waitForStop(orchestrator.getCluster(clusterId), storageDir);
+      }
+      await orchestrator.kill(clusterId).catch(() => {});
+    }
+
+    // kill() closes the cluster's ledger - read it back from disk
+    const ledger = new Ledger(path.join(storageDir, `${clusterId}.db`));
+    try {
+      messages = ledger.getAll(clusterId);
+    } finally {
+      ledger.close();
+    }
+  } finally {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  }
+
+  const topics = countBy(messages, 'topic');
+  const iterations = iterationsByAgent(messages);
+  const failures = checkExpectations(scenario.expect || {}, {
+    outcome,
+    topics,
+    iterations,
+    calls: runner.calls,
+    unscripted: runner.unscripted,
+  });
+
+  return {
+    name: scenario.name,
+    passed: failures.length === 0,
+    outcome,
+    failures,
+    topics,
+    iterations,
+    calls: runner.calls,
+    unusedScripts: Object.keys(scenario.agents).filter((agentId) => !runner.calls[agentId]),
+    messages,
+  };
+}
+
+module.exports = {
+  validateScenario,
+  loadScenario,
+  runScenario,
+};
@@ -12,9 +12,17 @@
  */
 
 const { loadSettings } = require('../lib/settings');
-const { VALID_PROVIDERS, normalizeProviderName } = require('../lib/provider-names');
-const { getProvider } = require('./providers');
-const { CAPABILITIES } = require('./providers/capabilities');
+const { normalizeProviderName } = require('../lib/provider-names');
+const { getProvider, listProviders } = require('./providers');
+const { getCapabilities, checkCapability } = require('./providers/capabilities');
+const { validateMcpServers } = require('./providers/mcp-servers');
+const { validateBudget } = require('./budget');
+const { validateCondition, conditionReferences } = require('./trigger-conditions');
+const { validateExpression } = require('./template-expression');
+const { validateFanOut } = require('./fan-out');
+const { validateBestOf } = require('./best-of');
+
+const TRIGGER_ACTIONS = ['execute_task', 'stop_cluster', 'fan_out', 'best_of'];
 
 /**
  * Check if config is a conductor-bootstrap style config
@@ -80,6 +88,14 @@ function validateConfig(config, depth = 0) {
   errors.push(...logicResult.errors);
   warnings.push(...logicResult.warnings);
 
+  const conditionResult = validateTriggerConditions(config, conductorMode);
+  errors.push(...conditionResult.errors);
+  warnings.push(...conditionResult.warnings);
+
+  const expressionResult = validateTemplateConditions(config);
+  errors.push(...expressionResult.errors);
+  warnings.push(...expressionResult.warnings);
+
   // === PHASE 5: Template variable validation ===
   const templateResult = validateTemplateVariables(config, depth);
   errors.push(...templateResult.errors);
@@ -145,12 +161,19 @@ function validateTrigger(trigger, triggerPrefix, errors) {
     errors.push(`${triggerPrefix}.topic is required`);
   }
 
-  if (trigger.action && !['execute_task', 'stop_cluster'].includes(trigger.action)) {
+  if (trigger.action && !TRIGGER_ACTIONS.includes(trigger.action)) {
     errors.push(
-      `${triggerPrefix}.action must be 'execute_task' or 'stop_cluster', got '${trigger.action}'`
+      `${triggerPrefix}.action must be one of ${TRIGGER_ACTIONS.join(', ')}, got '${trigger.action}'`
     );
   }
 
+  if (trigger.condition !== undefined) {
+    if (trigger.logic) {
+      errors.push(`${triggerPrefix} cannot have both logic and condition - use one`);
+    }
+    errors.push(...validateCondition(trigger.condition, `${triggerPrefix}.condition`));
+  }
+
   if (trigger.logic) {
     if (!trigger.logic.script) {
       errors.push(`${triggerPrefix}.logic.script is required when logic is specified`);
@@ -218,6 +241,8 @@ function validateBasicStructure(config, depth = 0) {
   const errors = [];
   const warnings = [];
 
+  errors.push(...validateBudget(config.budget));
+
   if (!config.agents || !Array.isArray(config.agents)) {
     errors.push('agents array is required');
     return { errors, warnings };
@@ -322,6 +347,12 @@ function buildMessageFlowGraph(config) {
     recordAgentOutputs(agent, topicProducers, agentOutputTopics);
   }
 
+  // Fan-out merges are driven by the orchestrator (src/fan-out.js)
+  if (config.agents.some((agent) => agent.triggers?.some((t) => t.action === 'fan_out'))) {
+    ensureTopicList(topicProducers, 'MERGE_CONFLICT').push('orchestrator');
+    ensureTopicList(topicConsumers, 'MERGE_RESOLVED').push('orchestrator');
+  }
+
   return {
     topicProducers,
     topicConsumers,
@@ -401,6 +432,13 @@ function reportUnproducedTopics(topicConsumers, topicProducers, errors) {
   }
 }
 
+/**
+ * Trigger gated by a logic script or a declarative condition
+ */
+function isConditionalTrigger(trigger) {
+  return Boolean(trigger.logic?.script || trigger.condition);
+}
+
 function reportSelfTriggeringAgents(config, agentInputTopics, agentOutputTopics, errors) {
   for (const agent of config.agents) {
     const inputs = agentInputTopics.get(agent.id) || [];
@@ -410,7 +448,9 @@ function reportSelfTriggeringAgents(config, agentInputTopics, agentOutputTopics,
       continue;
     }
 
-    const triggerHasLogic = agent.triggers?.some((t) => t.topic === selfTrigger && t.logic?.script);
+    const triggerHasLogic = agent.triggers?.some(
+      (t) => t.topic === selfTrigger && isConditionalTrigger(t)
+    );
     const hookHasLogic = agent.hooks?.onComplete?.logic?.script;
 
     if (!triggerHasLogic && !hookHasLogic) {
@@ -439,7 +479,8 @@ function reportTwoAgentCycles(config, agentInputTopics, agentOutputTopics, warni
 
       if (aToB && bToA) {
         const hasEscapeLogic =
-          agentA.triggers?.some((t) => t.logic) || agentB.triggers?.some((t) => t.logic);
+          agentA.triggers?.some(isConditionalTrigger) ||
+          agentB.triggers?.some(isConditionalTrigger);
         if (!hasEscapeLogic) {
           warnings.push(
             `Circular dependency: '${agentA.id}' ↔ '${agentB.id}'. ` +
@@ -529,7 +570,13 @@ function recordAgentRole(roles, agent) {
 }
 
 function agentExecutesTask(agent) {
-  return agent.triggers?.some((t) => t.action === 'execute_task' || (!t.action && !t.logic));
+  return agent.triggers?.some(
+    (t) =>
+      t.action === 'execute_task' ||
+      t.action === 'fan_out' ||
+      t.action === 'best_of' ||
+      (!t.action && !isConditionalTrigger(t))
+  );
 }
 
 function validateOrchestratorTriggers(agent, warnings) {
@@ -643,6 +690,12 @@ function validateAgents(config) {
     validateMaxIterations(agent, warnings);
     validateImplementationIterations(agent, warnings);
     validateModelSpec(agent, errors);
+    if (agent.fanOut || agent.triggers?.some((t) => t.action === 'fan_out')) {
+      errors.push(...validateFanOut(agent, config.agents));
+    }
+    if (agent.bestOf || agent.triggers?.some((t) => t.action === 'best_of')) {
+      errors.push(...validateBestOf(agent, config.agents));
+    }
   }
 
   // Check for role references in logic scripts
@@ -733,6 +786,121 @@ function validateLogicScripts(config) {
   return { errors, warnings };
 }
 
+// Published by the orchestrator or agent runtime, not by agent hooks
+const RUNTIME_TOPICS = new Set([
+  'ISSUE_OPENED',
+  'CLUSTER_RESUMED',
+  'AGENT_LIFECYCLE',
+  'AGENT_OUTPUT',
+  'AGENT_ERROR',
+  'TOKEN_USAGE',
+]);
+
+/**
+ * Phase 4: Check declarative trigger conditions against the config
+ * Structure is checked in Phase 1; this flags references to roles, agents and
+ * topics that do not exist, which would make the condition a constant.
+ * @param {Object} config - Cluster configuration
+ * @param {Boolean} conductorMode - Agents are spawned later, skip reference checks
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+function validateTriggerConditions(config, conductorMode = false) {
+  const errors = [];
+  const warnings = [];
+  if (conductorMode || !Array.isArray(config.agents)) {
+    return { errors, warnings };
+  }
+
+  const roles = new Set(config.agents.map((agent) => agent.role));
+  const agentIds = new Set(config.agents.map((agent) => agent.id));
+  const { topicProducers, topicConsumers } = buildMessageFlowGraph(config);
+
+  for (const agent of config.agents) {
+    for (const trigger of agent.triggers || []) {
+      if (!trigger.condition || validateCondition(trigger.condition, 'condition').length > 0) {
+        continue;
+      }
+
+      const refs = conditionReferences(trigger.condition);
+      for (const role of refs.roles) {
+        if (!roles.has(role)) {
+          warnings.push(
+            `Agent '${agent.id}' condition references role '${role}' but no agent has that role. ` +
+              `Available roles: [${Array.from(roles).join(', ')}]`
+          );
+        }
+      }
+      for (const id of refs.agents) {
+        if (!agentIds.has(id) && id !== 'system') {
+          warnings.push(`Agent '${agent.id}' condition references unknown agent '${id}'`);
+        }
+      }
+      for (const topic of refs.topics) {
+        if (
+          !RUNTIME_TOPICS.has(topic) &&
+          !topicProducers.has(topic) &&
+          !topicConsumers.has(topic)
+        ) {
+          warnings.push(
+            `Agent '${agent.id}' condition reads topic '${topic}' which no agent publishes. ` +
+              'The condition can never see a matching message.'
+          );
+        }
+      }
+    }
+  }
+
+  return { errors, warnings };
+}
+
+function collectIfConditions(value, conditions) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(/\{\{#if\s+([^}]+)\}\}/g)) {
+      conditions.push(match[1].trim());
+    }
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach((child) => collectIfConditions(child, conditions));
+  }
+  return conditions;
+}
+
+/**
+ * Phase 4: Check template conditions (agent "condition" and {{#if ...}} blocks)
+ * Unresolved templates carry these until TemplateResolver evaluates them; a
+ * syntax error or an undeclared param there would otherwise only fail at resolve time.
+ * @param {Object} config - Cluster configuration (raw template or resolved config)
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+function validateTemplateConditions(config) {
+  const errors = [];
+  const warnings = [];
+  if (!Array.isArray(config.agents)) {
+    return { errors, warnings };
+  }
+
+  // Names are only checked when the template declares its params
+  const knownParams =
+    config.params && typeof config.params === 'object' ? Object.keys(config.params) : null;
+
+  for (const agent of config.agents) {
+    const conditions = collectIfConditions(agent, []);
+    if (typeof agent.condition === 'string') {
+      conditions.unshift(agent.condition.trim());
+    } else if (agent.condition !== undefined) {
+      errors.push(`Agent '${agent.id}': condition must be a string`);
+    }
+    for (const condition of conditions) {
+      errors.push(
+        ...validateExpression(condition, knownParams).map(
+          (message) => `Agent '${agent.id}': ${message}`
+        )
+      );
+    }
+  }
+
+  return { errors, warnings };
+}
+
 /**
  * Phase 5: Validate template variables against jsonSchema
  * Ensures {{result.*}} references in hooks match defined schema properties
@@ -1372,7 +1540,9 @@ function detectNAgentCycles(config) {
     const agentsById = new Map(
       config.agents.filter((agent) => agent.type !== 'subcluster').map((agent) => [agent.id, agent])
     );
-    const hasEscapeLogic = cycle.some((id) => agentsById.get(id)?.triggers?.some((t) => t.logic));
+    const hasEscapeLogic = cycle.some((id) =>
+      agentsById.get(id)?.triggers?.some(isConditionalTrigger)
+    );
     const cycleStr = cycle.join(' → ');
 
     if (!hasEscapeLogic) {
@@ -1433,6 +1603,12 @@ function buildTopicProducers(agents) {
     }
     topicProducers.get(outputTopic).push(agent.id);
   }
+  if (agents.some((agent) => agent.triggers?.some((t) => t.action === 'fan_out'))) {
+    topicProducers.set('MERGE_CONFLICT', [
+      ...(topicProducers.get('MERGE_CONFLICT') || []),
+      'orchestrator',
+    ]);
+  }
 
   return topicProducers;
 }
@@ -1729,8 +1905,10 @@ function validateProviderSettings(provider, providerSettings) {
         `Invalid model override (must be non-empty string) for provider "${provider}"`
       );
     }
-    if (override?.reasoningEffort && !['codex', 'opencode'].includes(provider)) {
-      throw new Error(`reasoningEffort overrides are only supported for Codex and Opencode`);
+    if (override?.reasoningEffort && !checkCapability(provider, 'reasoningEffort')) {
+      throw new Error(
+        `reasoningEffort overrides are only supported for providers with the reasoningEffort capability, not ${provider}`
+      );
     }
     if (
       override?.reasoningEffort &&
@@ -1745,13 +1923,18 @@ function validateProviderSettings(provider, providerSettings) {
 
 function resolveAgentProvider(agent, config, settings, errors) {
   const provider = resolveProviderName(agent, config, settings);
-  if (!VALID_PROVIDERS.includes(provider)) {
+  if (!listProviders().includes(provider)) {
     errors.push(`Agent "${agent.id}" references unknown provider "${provider}"`);
     return null;
   }
   return provider;
 }
 
+// An empty catalog (api provider) accepts whatever model the endpoint serves
+function isKnownModel(catalog, model) {
+  return Object.keys(catalog).length === 0 || !!catalog[model];
+}
+
 function buildProviderContext(provider, settings) {
   const providerModule = getProvider(provider);
   const levels = providerModule.getLevelMapping();
@@ -1774,7 +1957,7 @@ function buildProviderContext(provider, settings) {
 
 function validateJsonSchemaSupport(agent, provider, warnings) {
   if (!agent.jsonSchema) return;
-  const cap = CAPABILITIES[provider]?.jsonSchema;
+  const cap = getCapabilities(provider)?.jsonSchema;
   if (cap === 'experimental') {
     warnings.push(
       `Agent "${agent.id}" uses jsonSchema with ${provider} provider - ` +
@@ -1799,7 +1982,7 @@ function validateModelSelection(agent, context, warnings) {
   const { provider, catalog, minLevel, maxLevel, rank } = context;
 
   if (agent.model) {
-    if (!catalog[agent.model]) {
+    if (!isKnownModel(catalog, agent.model)) {
       warnings.push(
         `Agent "${agent.id}" uses model "${agent.model}" which is not valid for ${provider}`
       );
@@ -1833,7 +2016,7 @@ function validateModelRulesSupport(agent, provider, catalog, levels, warnings) {
         `Agent "${agent.id}" uses modelLevel "${rule.modelLevel}" in modelRules which is not valid for ${provider}`
       );
     }
-    if (rule.model && !catalog[rule.model]) {
+    if (rule.model && !isKnownModel(catalog, rule.model)) {
       warnings.push(
         `Agent "${agent.id}" uses model "${rule.model}" in modelRules which is not valid for ${provider}`
       );
@@ -1854,11 +2037,45 @@ function validateReasoningEffortSupport(agent, provider, warnings) {
   }
 }
 
+function validateFallbackProviders(owner, fallbackProviders, errors) {
+  if (fallbackProviders === undefined) {
+    return;
+  }
+  if (!Array.isArray(fallbackProviders)) {
+    errors.push(`${owner} fallbackProviders must be an array of provider names`);
+    return;
+  }
+  for (const name of fallbackProviders) {
+    if (!listProviders().includes(normalizeProviderName(name))) {
+      errors.push(`${owner} lists unknown fallback provider "${name}"`);
+    }
+  }
+}
+
+function validateMcpServersSupport(agent, provider, errors, warnings) {
+  if (agent.mcpServers === undefined) {
+    return;
+  }
+  const error = validateMcpServers(agent.mcpServers, `Agent "${agent.id}" mcpServers`, {
+    allowDisable: true,
+  });
+  if (error) {
+    errors.push(error);
+  } else if (
+    Object.values(agent.mcpServers).some((server) => server !== false) &&
+    !checkCapability(provider, 'mcpServers')
+  ) {
+    warnings.push(
+      `Agent "${agent.id}" declares mcpServers but ${provider} does not support MCP servers; they are ignored`
+    );
+  }
+}
+
 function validateProviderFeatures(config, settings) {
   const errors = [];
   const warnings = [];
 
-  const providersToValidate = VALID_PROVIDERS;
+  const providersToValidate = listProviders();
 
   for (const provider of providersToValidate) {
     try {
@@ -1868,6 +2085,8 @@ function validateProviderFeatures(config, settings) {
     }
   }
 
+  validateFallbackProviders('Cluster', config.fallbackProviders, errors);
+
   if (!config.agents || !Array.isArray(config.agents)) {
     return { errors, warnings };
   }
@@ -1877,6 +2096,7 @@ function validateProviderFeatures(config, settings) {
       continue;
     }
 
+    validateFallbackProviders(`Agent "${agent.id}"`, agent.fallbackProviders, errors);
     const provider = resolveAgentProvider(agent, config, settings, errors);
     if (!provider) continue;
 
@@ -1894,6 +2114,7 @@ function validateProviderFeatures(config, settings) {
     validateModelSelection(agent, modelSelectionContext, warnings);
     validateModelRulesSupport(agent, provider, catalog, levels, warnings);
     validateReasoningEffortSupport(agent, provider, warnings);
+    validateMcpServersSupport(agent, provider, errors, warnings);
   }
 
   return { errors, warnings };
@@ -1906,6 +2127,8 @@ module.exports = {
   analyzeMessageFlow,
   validateAgents,
   validateLogicScripts,
+  validateTriggerConditions,
+  validateTemplateConditions,
   isValidIterationPattern,
   formatValidationResult,
   // Phase 5: Template variable validation
@@ -0,0 +1,351 @@
+/**
+ * DashboardServer - Local HTTP + WebSocket server for watching clusters in a browser
+ *
+ * Provides:
+ * - GET /                    Single-page dashboard (index.html)
+ * - GET /api/clusters        Cluster list with state and cost
+ * - GET /api/clusters/:id    Cluster snapshot (agents, validations, tokens, recent messages)
+ * - WS  /ws?cluster=<id>     Snapshot on connect, then live ledger messages
+ *
+ * Live messages go through MessageBus.addWebSocketClient(); messages written by a
+ * daemonized cluster in another process are relayed with MessageBus.relayToWebSocket().
+ *
+ * The ledger holds the full transcript, so requests must name the dashboard as their
+ * Host (no DNS rebinding) and WebSocket upgrades from a browser must come from the
+ * dashboard's own origin (no cross-site WebSocket hijacking).
+ */
+
+const http = require('http');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { URL } = require('url');
+const { WebSocketServer } = require('ws');
+
+const INDEX_HTML = path.join(__dirname, 'index.html');
+const SNAPSHOT_MESSAGE_LIMIT = 200;
+
+/**
+ * Latest value per key from newest-first messages
+ * @private
+ */
+function latestBy(messages, keyFn) {
+  const latest = new Map();
+  for (const message of messages) {
+    const key = keyFn(message);
+    if (key && !latest.has(key)) {
+      latest.set(key, message);
+    }
+  }
+  return latest;
+}
+
+/**
+ * Summarize a cluster for the list view
+ * @param {import('../orchestrator')} orchestrator
+ * @param {Object} summary - Entry from orchestrator.listClusters()
+ * @returns {Object}
+ */
+function buildClusterSummary(orchestrator, summary) {
+  const cluster = orchestrator.getCluster(summary.id);
+  const tokens = cluster.messageBus.getTokensByRole(summary.id)._total || {};
+  return {
+    ...summary,
+    outcome: getClusterOutcome(cluster.messageBus, summary.id),
+    costUsd: tokens.totalCostUsd || 0,
+    tokens: (tokens.inputTokens || 0) + (tokens.outputTokens || 0),
+  };
+}
+
+/**
+ * Final outcome recorded in the ledger, if any
+ * Cluster state in clusters.json lags behind a daemon that is still shutting down;
+ * the ledger is authoritative.
+ * @private
+ */
+function getClusterOutcome(messageBus, clusterId) {
+  const complete = messageBus.findLast({ cluster_id: clusterId, topic: 'CLUSTER_COMPLETE' });
+  if (complete) {
+    return { status: 'completed', reason: complete.content?.data?.reason || null };
+  }
+  const failed = messageBus.findLast({ cluster_id: clusterId, topic: 'CLUSTER_FAILED' });
+  if (failed) {
+    return { status: 'failed', reason: failed.content?.data?.reason || null };
+  }
+  return null;
+}
+
+/**
+ * Build the full snapshot sent to a browser when it opens a cluster
+ * Agent states come from the latest AGENT_LIFECYCLE per agent, since the agents
+ * themselves run in the cluster's own process.
+ * @param {import('../orchestrator')} orchestrator
+ * @param {String} clusterId
+ * @param {Object} [options]
+ * @param {Number} [options.messageLimit] - Number of recent messages to include
+ * @returns {Object}
+ */
+function buildClusterSnapshot(orchestrator, clusterId, options = {}) {
+  const messageLimit = options.messageLimit ?? SNAPSHOT_MESSAGE_LIMIT;
+  const status = orchestrator.getStatus(clusterId);
+  const { messageBus, config } = orchestrator.getCluster(clusterId);
+
+  const lifecycle = latestBy(
+    messageBus.query({ cluster_id: clusterId, topic: 'AGENT_LIFECYCLE', order: 'desc' }),
+    (m) => m.content?.data?.agent || m.sender
+  );
+  const agents = status.agents.map((agent) => {
+    const data = lifecycle.get(agent.id)?.content?.data;
+    return {
+      ...agent,
+      state: data?.state || agent.state,
+      iteration: data?.iteration ?? agent.iteration,
+      lastEvent: data?.event || null,
+    };
+  });
+
+  const validations = Array.from(
+    latestBy(
+      messageBus.query({ cluster_id: clusterId, topic: 'VALIDATION_RESULT', order: 'desc' }),
+      (m) => m.sender
+    ).values()
+  ).map((m) => ({
+    validator: m.sender,
+    approved: m.content?.data?.approved === true || m.content?.data?.approved === 'true',
+    summary: m.content?.data?.summary || m.content?.text || '',
+    timestamp: m.timestamp,
+  }));
+
+  const messages = messageBus
+    .query({ cluster_id: clusterId, order: 'desc', limit: messageLimit })
+    .reverse();
+
+  return {
+    ...status,
+    agents,
+    budget: config?.budget || null,
+    outcome: getClusterOutcome(messageBus, clusterId),
+    tokensByRole: messageBus.getTokensByRole(clusterId),
+    validations,
+    messages,
+  };
+}
+
+class DashboardServer {
+  /**
+   * @param {Object} options
+   * @param {import('../orchestrator')} options.orchestrator - Loaded orchestrator
+   * @param {Number} options.port - Port to listen on (0 for an ephemeral port)
+   * @param {String} options.host - Interface to bind
+   * @param {Number} [options.pollIntervalMs] - Cross-process relay interval
+   */
+  constructor(options) {
+    if (!options.orchestrator) {
+      throw new Error('DashboardServer requires an orchestrator');
+    }
+    if (options.port === undefined || options.port === null) {
+      throw new Error('DashboardServer requires a port');
+    }
+    if (!options.host) {
+      throw new Error('DashboardServer requires a host');
+    }
+
+    this.orchestrator = options.orchestrator;
+    this.port = options.port;
+    this.host = options.host;
+    this.pollIntervalMs = options.pollIntervalMs ?? 500;
+    this.relays = new Map(); // clusterId -> stop function
+    this.httpServer = null;
+    this.wsServer = null;
+    this.stopWatchingClusters = null;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<{ url: string, port: number }>}
+   */
+  start() {
+    this.httpServer = http.createServer((req, res) => this._handleRequest(req, res));
+    this.wsServer = new WebSocketServer({ noServer: true });
+    this.httpServer.on('upgrade', (req, socket, head) => this._handleUpgrade(req, socket, head));
+
+    // Pick up clusters started after the dashboard (same mechanism as `zeroshot watch`)
+    this.stopWatchingClusters = this.orchestrator.watchForNewClusters(() => {}, 2000);
+
+    return new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, this.host, () => {
+        this.httpServer.off('error', reject);
+        const { port } = /** @type {import('net').AddressInfo} */ (this.httpServer.address());
+        this.port = port;
+        resolve({ url: `http://${this.host}:${port}`, port });
+      });
+    });
+  }
+
+  /**
+   * Stop relays, close sockets and the HTTP server
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (this.stopWatchingClusters) {
+      this.stopWatchingClusters();
+      this.stopWatchingClusters = null;
+    }
+    for (const stopRelay of this.relays.values()) {
+      stopRelay();
+    }
+    this.relays.clear();
+
+    if (this.wsServer) {
+      for (const ws of this.wsServer.clients) {
+        ws.terminate();
+      }
+      this.wsServer.close();
+      this.wsServer = null;
+    }
+
+    if (!this.httpServer) {
+      return Promise.resolve();
+    }
+    const server = this.httpServer;
+    this.httpServer = null;
+    return new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  /**
+   * @private
+   */
+  _handleRequest(req, res) {
+    const url = new URL(req.url, 'http://dashboard');
+
+    if (!this._isAllowedHost(req.headers.host)) {
+      return this._sendJson(res, 403, { error: 'Host not allowed' });
+    }
+    if (req.method !== 'GET') {
+      return this._sendJson(res, 405, { error: 'Method not allowed' });
+    }
+
+    if (url.pathname === '/' || url.pathname === '/index.html') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      return fs.createReadStream(INDEX_HTML).pipe(res);
+    }
+
+    try {
+      if (url.pathname === '/api/clusters') {
+        const clusters = this.orchestrator
+          .listClusters()
+          .map((summary) => buildClusterSummary(this.orchestrator, summary))
+          .sort((a, b) => b.createdAt - a.createdAt);
+        return this._sendJson(res, 200, { clusters });
+      }
+
+      const match = url.pathname.match(/^\/api\/clusters\/([^/]+)$/);
+      if (match) {
+        const clusterId = decodeURIComponent(match[1]);
+        if (!this.orchestrator.getCluster(clusterId)) {
+          return this._sendJson(res, 404, { error: `Cluster ${clusterId} not found` });
+        }
+        return this._sendJson(res, 200, buildClusterSnapshot(this.orchestrator, clusterId));
+      }
+    } catch (error) {
+      return this._sendJson(res, 500, { error: error.message });
+    }
+
+    return this._sendJson(res, 404, { error: 'Not found' });
+  }
+
+  /**
+   * @private
+   */
+  _sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * @private
+   */
+  _handleUpgrade(req, socket, head) {
+    if (!this._isAllowedHost(req.headers.host) || !this._isSameOrigin(req)) {
+      socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    const url = new URL(req.url, 'http://dashboard');
+    const clusterId = url.searchParams.get('cluster');
+    const cluster = clusterId ? this.orchestrator.getCluster(clusterId) : null;
+
+    if (url.pathname !== '/ws' || !cluster) {
+      socket.write('HTTP/1.1 404 Not Found\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    this.wsServer.handleUpgrade(req, socket, head, (ws) => {
+      this._attachClient(clusterId, cluster.messageBus, ws);
+    });
+  }
+
+  /**
+   * Host header names the dashboard: localhost, an IP address or the bound host.
+   * A rebound DNS name pointing at this port is refused.
+   * @private
+   */
+  _isAllowedHost(hostHeader) {
+    if (!hostHeader) return false;
+    let hostname;
+    try {
+      hostname = new URL(`http://${hostHeader}`).hostname.replace(/^\[|\]$/g, '');
+    } catch {
+      return false;
+    }
+    return hostname === 'localhost' || hostname === this.host || net.isIP(hostname) !== 0;
+  }
+
+  /**
+   * Browsers always send Origin on WebSocket upgrades; it must be the page the
+   * dashboard served. Clients without an Origin are not browsers.
+   * @private
+   */
+  _isSameOrigin(req) {
+    const origin = req.headers.origin;
+    if (!origin) return true;
+    try {
+      return new URL(origin).host === req.headers.host;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Send the snapshot, then register the socket for live broadcasts
+   * @private
+   */
+  _attachClient(clusterId, messageBus, ws) {
+    ws.send(
+      JSON.stringify({
+        type: 'snapshot',
+        data: buildClusterSnapshot(this.orchestrator, clusterId),
+      })
+    );
+
+    messageBus.addWebSocketClient(ws);
+    if (!this.relays.has(clusterId)) {
+      this.relays.set(clusterId, messageBus.relayToWebSocket(clusterId, this.pollIntervalMs));
+    }
+
+    ws.on('close', () => {
+      // Stop polling once nobody is watching this cluster
+      if (messageBus.wsClients.size === 0 && this.relays.has(clusterId)) {
+        this.relays.get(clusterId)();
+        this.relays.delete(clusterId);
+      }
+    });
+  }
+}
+
+module.exports = DashboardServer;
+module.exports.buildClusterSnapshot = buildClusterSnapshot;
+module.exports.buildClusterSummary = buildClusterSummary;
@@ -0,0 +1,234 @@
+/**
+ * Fan-out - Parallel workers for independent subtasks of a plan
+ *
+ * A worker whose plan trigger uses `"action": "fan_out"` splits the planner's
+ * `subtasks` across copies of itself:
+ *
+ *   { "id": "worker", "fanOut": { "maxWorkers": 4, "resolver": "merge-resolver" },
+ *     "triggers": [{ "topic": "PLAN_READY", "action": "fan_out" }, ...] }
+ *
+ * 1. The worker publishes FANOUT_REQUESTED (with fewer than 2 subtasks, or
+ *    outside a --worktree cluster, it just runs the task itself)
+ * 2. The orchestrator gives each group of subtasks its own git worktree
+ *    (IsolationManager.createWorktree) and a copy of the worker, then starts
+ *    them all with SUBTASK_ASSIGNED
+ * 3. Once every copy published SUBTASK_COMPLETE, their branches are merged into
+ *    the cluster worktree. Conflicting branches go to the resolver agent as
+ *    MERGE_CONFLICT; it merges them itself and publishes MERGE_RESOLVED
+ * 4. With every branch merged, the orchestrator publishes IMPLEMENTATION_READY
+ *    and validators run as usual. Rejections go back to the single worker.
+ *
+ * Fan-out state lives in memory; a cluster resumed mid fan-out is resumed by
+ * its single worker.
+ */
+
+const FANOUT_DEFAULTS = { maxWorkers: 4, resolver: null };
+const MAX_RESOLVE_ATTEMPTS = 3;
+
+/**
+ * Fan-out settings of a worker config, with defaults
+ * @param {Object} agentConfig
+ * @returns {{ maxWorkers: number, resolver: string|null }}
+ */
+function getFanOutSettings(agentConfig) {
+  const settings = { ...FANOUT_DEFAULTS, ...(agentConfig.fanOut || {}) };
+  // Template params arrive as strings ("{{max_workers}}")
+  settings.maxWorkers = Number(settings.maxWorkers);
+  return settings;
+}
+
+/**
+ * Check a fanOut block against the cluster config
+ * @param {Object} agent - Agent config with fanOut and/or a fan_out trigger
+ * @param {Object[]} agents - All agent configs of the cluster
+ * @returns {string[]} Errors
+ */
+function validateFanOut(agent, agents) {
+  const errors = [];
+  const prefix = `Agent '${agent.id}'`;
+  const hasTrigger = (agent.triggers || []).some((trigger) => trigger.action === 'fan_out');
+  if (!hasTrigger) {
+    errors.push(`${prefix}: fanOut is set but no trigger has "action": "fan_out"`);
+  }
+  const { maxWorkers, resolver } = getFanOutSettings(agent);
+  // Unresolved templates still carry "{{max_workers}}"
+  const placeholder = /^\{\{\w+\}\}$/.test(String(agent.fanOut?.maxWorkers));
+  if (!placeholder && (!Number.isInteger(maxWorkers) || maxWorkers < 2)) {
+    errors.push(`${prefix}: fanOut.maxWorkers must be an integer >= 2`);
+  }
+  if (!resolver) {
+    errors.push(`${prefix}: fanOut.resolver is required (agent that resolves merge conflicts)`);
+  } else {
+    const resolverAgent = agents.find((candidate) => candidate.id === resolver);
+    if (!resolverAgent) {
+      errors.push(`${prefix}: fanOut.resolver '${resolver}' is not an agent of this cluster`);
+    } else if (!(resolverAgent.triggers || []).some((t) => t.topic === 'MERGE_CONFLICT')) {
+      errors.push(`${prefix}: fanOut.resolver '${resolver}' has no MERGE_CONFLICT trigger`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Subtasks from a PLAN_READY message (hook templates may publish them as a JSON string)
+ * @param {any} value - content.data.subtasks
+ * @returns {Array<{ id: string, description: string, scope: string[] }>}
+ */
+function normalizeSubtasks(value) {
+  let subtasks = value;
+  if (typeof subtasks === 'string') {
+    try {
+      subtasks = JSON.parse(subtasks);
+    } catch {
+      return [];
+    }
+  }
+  if (!Array.isArray(subtasks)) return [];
+  return subtasks
+    .filter((subtask) => subtask && typeof subtask.description === 'string')
+    .map((subtask, index) => ({
+      id: String(subtask.id || `subtask-${index + 1}`),
+      description: subtask.description,
+      scope: Array.isArray(subtask.scope) ? subtask.scope.map(String) : [],
+    }));
+}
+
+/**
+ * Deal subtasks round-robin into at most maxWorkers groups
+ * @param {Object[]} subtasks
+ * @param {number} maxWorkers
+ * @returns {Object[][]}
+ */
+function groupSubtasks(subtasks, maxWorkers) {
+  const groups = [];
+  subtasks.forEach((subtask, index) => {
+    const slot = index % Math.max(1, maxWorkers);
+    (groups[slot] = groups[slot] || []).push(subtask);
+  });
+  return groups;
+}
+
+function describeSubtasks(subtasks) {
+  return subtasks
+    .map((subtask) => {
+      const scope = subtask.scope.length > 0 ? `\n  Scope: ${subtask.scope.join(', ')}` : '';
+      return `- [${subtask.id}] ${subtask.description}${scope}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Config for the copy of a fan-out worker that handles one group of subtasks
+ * @param {Object} workerConfig - The fan-out worker's config
+ * @param {Object} options - { id, cwd, subtasks, total }
+ * @returns {Object} Agent config (runs once, in its own worktree)
+ */
+function buildSubtaskWorker(workerConfig, { id, cwd, subtasks, total }) {
+  const instruction =
+    `\n\n## PARALLEL SUBTASK\n\n` +
+    `You are one of ${total} workers implementing the plan in parallel, each in its own ` +
+    `git worktree. Implement ONLY these subtasks:\n\n${describeSubtasks(subtasks)}\n\n` +
+    `Stay inside their scope: other workers change the rest, and files touched by two ` +
+    `workers will conflict when the branches are merged. Do not commit; the orchestrator ` +
+    `commits and merges your worktree when you finish.`;
+
+  const prompt = workerConfig.prompt;
+  const basePrompt =
+    typeof prompt === 'object' && prompt !== null ? prompt.initial || prompt.system : prompt;
+
+  const { fanOut: _fanOut, triggers: _triggers, hooks: _hooks, ...rest } = workerConfig;
+  return {
+    ...rest,
+    id,
+    fanOutOf: workerConfig.id,
+    cwd,
+    prompt: `${basePrompt || ''}${instruction}`,
+    // Runs once, but every retry of that run counts as an iteration
+    maxIterations: workerConfig.maxRetries ?? 1,
+    triggers: [
+      // One SUBTASK_ASSIGNED starts every copy; the subtasks are in the prompt
+      { topic: 'SUBTASK_ASSIGNED', action: 'execute_task' },
+    ],
+    hooks: {
+      onComplete: {
+        action: 'publish_message',
+        config: {
+          topic: 'SUBTASK_COMPLETE',
+          content: { text: '{{result.summary}}', data: { agentId: id } },
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Commit everything in a worktree
+ * @param {Function} git - Runner from pr-flow.createLocalGitRunner()
+ * @param {string} message - Commit message
+ * @returns {Promise<boolean>} false if there was nothing to commit
+ */
+async function commitAll(git, message) {
+  await git(['add', '-A']);
+  const status = await git(['status', '--porcelain']);
+  if (!status.trim()) return false;
+  await git(['commit', '-m', message]);
+  return true;
+}
+
+/**
+ * Merge branches one by one; a conflicting merge is aborted and reported
+ * @param {Function} git - Runner for the cluster worktree
+ * @param {string[]} branches
+ * @returns {Promise<{ merged: string[], conflicts: Array<{ branch: string, files: string[] }> }>}
+ */
+async function mergeBranches(git, branches) {
+  const merged = [];
+  const conflicts = [];
+  for (const branch of branches) {
+    try {
+      await git(['merge', '--no-ff', '--no-edit', '-m', `Merge ${branch}`, branch]);
+      merged.push(branch);
+    } catch (error) {
+      const unmerged = await git(['diff', '--name-only', '--diff-filter=U']).catch(() => '');
+      const files = unmerged.split('\n').filter(Boolean);
+      await git(['merge', '--abort']).catch(() => {});
+      if (files.length === 0) {
+        // Not a conflict (e.g. missing branch) - nothing a resolver could fix
+        throw error;
+      }
+      conflicts.push({ branch, files });
+    }
+  }
+  return { merged, conflicts };
+}
+
+/**
+ * Branches that are not yet part of HEAD
+ * @param {Function} git - Runner for the cluster worktree
+ * @param {string[]} branches
+ * @returns {Promise<string[]>}
+ */
+async function unmergedBranches(git, branches) {
+  const remaining = [];
+  for (const branch of branches) {
+    try {
+      await git(['merge-base', '--is-ancestor', branch, 'HEAD']);
+    } catch {
+      remaining.push(branch);
+    }
+  }
+  return remaining;
+}
+
+module.exports = {
+  MAX_RESOLVE_ATTEMPTS,
+  getFanOutSettings,
+  validateFanOut,
+  normalizeSubtasks,
+  groupSubtasks,
+  describeSubtasks,
+  buildSubtaskWorker,
+  commitAll,
+  mergeBranches,
+  unmergedBranches,
+};
@@ -0,0 +1,178 @@
+/**
+ * Git checkpoints - Snapshot an isolated workspace after every task of an agent
+ * that can change files (validators, conductors and orchestrators are skipped)
+ *
+ * A checkpoint is a commit of the whole working tree (tracked and untracked
+ * files, .gitignore respected) built through a temporary index, so the branch,
+ * the real index and the working tree are left untouched. Its parent is HEAD
+ * at that moment and a ref keeps it from being garbage collected:
+ *
+ *   refs/zeroshot/<clusterId>/<agentId>/<iteration>
+ *
+ * The SHA is recorded in the agent's TASK_COMPLETED lifecycle event, which is
+ * how `zeroshot diff`, `zeroshot rollback` and fork find them. Kill and purge
+ * delete the cluster's refs so git can collect the checkpoints.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('./lib/safe-exec');
+
+const GIT_TIMEOUT_MS = 120000;
+
+// Checkpoints must work in repos without a configured identity
+const CHECKPOINT_IDENTITY = {
+  GIT_AUTHOR_NAME: 'zeroshot',
+  GIT_AUTHOR_EMAIL: 'zeroshot@localhost',
+  GIT_COMMITTER_NAME: 'zeroshot',
+  GIT_COMMITTER_EMAIL: 'zeroshot@localhost',
+};
+
+/**
+ * Run git in a workspace. safe.directory is set because Docker workspaces are
+ * written by the container user.
+ * @private
+ */
+async function git(cwd, args, env = {}) {
+  try {
+    const { stdout } = await execFile('git', ['-c', `safe.directory=${cwd}`, ...args], {
+      cwd,
+      env: { ...process.env, ...env },
+      timeout: GIT_TIMEOUT_MS,
+    });
+    return stdout;
+  } catch (error) {
+    const detail = (error.stderr || error.message || '').trim();
+    throw new Error(`git ${args[0]} failed: ${detail}`);
+  }
+}
+
+/**
+ * Ref that keeps a checkpoint alive
+ * @param {String} clusterId
+ * @param {String} agentId
+ * @param {Number} iteration
+ * @returns {String}
+ */
+function checkpointRef(clusterId, agentId, iteration) {
+  return `refs/zeroshot/${clusterId}/${agentId}/${iteration}`;
+}
+
+/**
+ * Commit the current working tree as a checkpoint
+ * @param {String} cwd - Workspace (worktree or isolated copy)
+ * @param {Object} options
+ * @param {String} options.clusterId
+ * @param {String} options.agentId
+ * @param {Number} options.iteration
+ * @returns {Promise<String>} Checkpoint SHA
+ */
+async function createCheckpoint(cwd, { clusterId, agentId, iteration }) {
+  const indexFile = path.join(
+    os.tmpdir(),
+    `zeroshot-checkpoint-${crypto.randomBytes(6).toString('hex')}.index`
+  );
+  const env = { ...CHECKPOINT_IDENTITY, GIT_INDEX_FILE: indexFile };
+
+  try {
+    const head = (await git(cwd, ['rev-parse', 'HEAD'])).trim();
+    // Start from a copy of the real index so `add -A` reuses its stat cache
+    const realIndex = path.resolve(
+      cwd,
+      (await git(cwd, ['rev-parse', '--git-path', 'index'])).trim()
+    );
+    if (fs.existsSync(realIndex)) {
+      fs.copyFileSync(realIndex, indexFile);
+    } else {
+      await git(cwd, ['read-tree', head], env);
+    }
+    await git(cwd, ['add', '-A'], env);
+    const tree = (await git(cwd, ['write-tree'], env)).trim();
+    const message = `zeroshot checkpoint: ${agentId} iteration ${iteration}`;
+    const sha = (await git(cwd, ['commit-tree', tree, '-p', head, '-m', message], env)).trim();
+    await git(cwd, ['update-ref', checkpointRef(clusterId, agentId, iteration), sha]);
+    return sha;
+  } finally {
+    fs.rmSync(indexFile, { force: true });
+  }
+}
+
+/**
+ * Delete every checkpoint ref of a cluster
+ * @param {String} cwd - Repository holding the refs
+ * @param {String} clusterId
+ * @returns {Promise<Number>} Number of refs deleted
+ */
+async function deleteCheckpointRefs(cwd, clusterId) {
+  const refs = (
+    await git(cwd, ['for-each-ref', '--format=%(refname)', `refs/zeroshot/${clusterId}/`])
+  )
+    .split('\n')
+    .filter(Boolean);
+  for (const ref of refs) {
+    await git(cwd, ['update-ref', '-d', ref]);
+  }
+  return refs.length;
+}
+
+/**
+ * Make the working tree match a checkpoint, leaving the branch where it is.
+ * Files created after the checkpoint are removed (ignored files are kept) and
+ * the checkpoint's changes show up as uncommitted.
+ * @param {String} cwd - Workspace
+ * @param {String} sha - Checkpoint SHA
+ */
+async function restoreCheckpoint(cwd, sha) {
+  await git(cwd, ['clean', '-fdq']);
+  await git(cwd, ['read-tree', '-u', '--reset', sha]);
+  await git(cwd, ['reset', '-q']);
+}
+
+/**
+ * Diff between two commits (checkpoint parents included)
+ * @param {String} cwd - Workspace
+ * @param {String} from
+ * @param {String} to
+ * @param {Array<String>} [extraArgs] - e.g. ['--stat']
+ * @returns {Promise<String>}
+ */
+function diffCommits(cwd, from, to, extraArgs = []) {
+  return git(cwd, ['diff', ...extraArgs, from, to]);
+}
+
+/**
+ * Checkpoints recorded in a ledger, oldest first
+ * @param {Array<Object>} messages - Cluster messages
+ * @param {Object} [options]
+ * @param {String} [options.agentId] - Only this agent's checkpoints
+ * @returns {Array<Object>} { agentId, role, iteration, sha, messageId, timestamp }
+ */
+function listCheckpoints(messages, { agentId } = {}) {
+  return messages
+    .filter(
+      (m) =>
+        m.topic === 'AGENT_LIFECYCLE' &&
+        m.content?.data?.event === 'TASK_COMPLETED' &&
+        m.content.data.checkpoint
+    )
+    .map((m) => ({
+      agentId: m.sender,
+      role: m.content.data.role || null,
+      iteration: m.content.data.iteration,
+      sha: m.content.data.checkpoint,
+      messageId: m.id,
+      timestamp: m.timestamp,
+    }))
+    .filter((c) => !agentId || c.agentId === agentId);
+}
+
+module.exports = {
+  checkpointRef,
+  createCheckpoint,
+  deleteCheckpointRefs,
+  restoreCheckpoint,
+  diffCommits,
+  listCheckpoints,
+};
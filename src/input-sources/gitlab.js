@@ -0,0 +1,65 @@
+/**
+ * GitLab input source - `gitlab:group/subgroup/project#12`
+ *
+ * REST v4: GET /api/v4/projects/:path/issues/:iid (+ /notes)
+ * Auth: GITLAB_TOKEN (PRIVATE-TOKEN header), optional for public projects.
+ */
+
+const { joinUrl, requestJson } = require('../lib/http-json');
+
+const DEFAULT_BASE_URL = 'https://gitlab.com';
+
+/**
+ * Parse `group/project#12`
+ * @param {String} ref
+ * @returns {{ project: String, iid: Number }}
+ */
+function parseRef(ref) {
+  const match = ref.match(/^([\w.-]+(?:\/[\w.-]+)+)#(\d+)$/);
+  if (!match) {
+    throw new Error(`Invalid GitLab reference "${ref}". Expected gitlab:group/project#12`);
+  }
+  return { project: match[1], iid: parseInt(match[2], 10) };
+}
+
+/**
+ * Fetch a GitLab issue with its (non-system) notes
+ * @param {String} ref - `group/project#12`
+ * @param {Object} config - { baseUrl, token }
+ * @returns {Promise<Object>} Fields for buildIssueInput()
+ */
+async function fetchIssue(ref, config) {
+  const { project, iid } = parseRef(ref);
+  const baseUrl = config.baseUrl || DEFAULT_BASE_URL;
+  const headers = config.token ? { 'PRIVATE-TOKEN': config.token } : {};
+  const issuePath = `/api/v4/projects/${encodeURIComponent(project)}/issues/${iid}`;
+
+  const issue = await requestJson(joinUrl(baseUrl, issuePath), { headers });
+  const notes = await requestJson(
+    joinUrl(baseUrl, `${issuePath}/notes?sort=asc&order_by=created_at&per_page=100`),
+    { headers }
+  );
+
+  return {
+    number: issue.iid,
+    title: issue.title,
+    body: issue.description || '',
+    labels: issue.labels || [],
+    comments: (notes || [])
+      .filter((note) => !note.system)
+      .map((note) => ({
+        author: note.author?.username || 'unknown',
+        body: note.body,
+        createdAt: note.created_at,
+      })),
+    url: issue.web_url || null,
+  };
+}
+
+module.exports = {
+  name: 'gitlab',
+  label: 'GitLab Issue',
+  credentialsFromEnv: (env) => ({ token: env.GITLAB_TOKEN }),
+  parseRef,
+  fetchIssue,
+};
@@ -0,0 +1,162 @@
+/**
+ * Input sources - Task inputs from issue trackers other than GitHub
+ *
+ * `zeroshot run gitlab:group/proj#12 | jira:PROJ-123 | linear:ENG-42`
+ *
+ * Every source resolves to the same structure as GitHub.fetchIssue()
+ * ({ number, title, body, labels, comments, url, context }), so the cluster
+ * sees an identical ISSUE_OPENED payload regardless of where the task lives.
+ *
+ * Base URLs (self-hosted instances, local stand-ins) come from, in order:
+ * - ZEROSHOT_<SOURCE>_URL env var (e.g. ZEROSHOT_GITLAB_URL)
+ * - settings.inputSources.<source>.baseUrl
+ *   (zeroshot settings set inputSources.gitlab.baseUrl https://gitlab.example.com)
+ * - the source's public default (Jira has none)
+ * Credentials come from each source's env vars (GITLAB_TOKEN, JIRA_EMAIL +
+ * JIRA_API_TOKEN, LINEAR_API_KEY).
+ */
+
+const gitlab = require('./gitlab');
+const jira = require('./jira');
+const linear = require('./linear');
+
+const INPUT_SOURCES = {
+  gitlab,
+  jira,
+  linear,
+};
+
+const REF_PATTERN = /^([a-z]+):(.+)$/;
+
+/**
+ * Parse a `<source>:<ref>` task reference
+ * Prose after a registered prefix (whitespace in the ref, e.g. `jira: fix the login page`)
+ * is plain text; a single token in the wrong format (e.g. `gitlab:proj-12`) is a typo.
+ * @param {String} inputArg - CLI input argument
+ * @returns {{ type: String, ref: String }|null} null if not a registered source or prose
+ * @throws {Error} The source's parseRef error for a malformed single-token reference
+ */
+function parseInputRef(inputArg) {
+  const match = typeof inputArg === 'string' ? inputArg.match(REF_PATTERN) : null;
+  const source = match ? INPUT_SOURCES[match[1]] : null;
+  if (!source || /\s/.test(match[2])) {
+    return null;
+  }
+  source.parseRef(match[2]);
+  return { type: match[1], ref: match[2] };
+}
+
+function getInputSource(name) {
+  const source = INPUT_SOURCES[name];
+  if (!source) {
+    throw new Error(
+      `Unknown input source: ${name}. Valid: ${Object.keys(INPUT_SOURCES).join(', ')}`
+    );
+  }
+  return source;
+}
+
+function listInputSources() {
+  return Object.keys(INPUT_SOURCES);
+}
+
+/**
+ * Resolve base URL and credentials for a source
+ * @param {String} name - Source name
+ * @param {Object} [settings] - Loaded settings (settings.inputSources)
+ * @param {Object} [env=process.env]
+ * @returns {Object} { baseUrl, token, ... }
+ */
+function resolveSourceConfig(name, settings = {}, env = process.env) {
+  const source = getInputSource(name);
+  const configured = settings.inputSources?.[name] || {};
+  const envUrl = env[`ZEROSHOT_${name.toUpperCase()}_URL`];
+  const credentials = Object.fromEntries(
+    Object.entries(source.credentialsFromEnv(env)).filter(([, value]) => value)
+  );
+
+  return {
+    ...configured,
+    ...credentials,
+    baseUrl: envUrl || configured.baseUrl || null,
+  };
+}
+
+/**
+ * Normalize source fields into GitHub.fetchIssue()'s shape
+ * @param {Object} source - Source module (label used in the context header)
+ * @param {String} ref - Original reference, e.g. `group/proj#12`
+ * @param {Object} issue - { number, title, body, labels: String[], comments: [{ author, body, createdAt }], url }
+ * @returns {Object} { number, title, body, labels, comments, url, source, context }
+ */
+function buildIssueInput(source, ref, issue) {
+  const labels = (issue.labels || []).map((name) => ({ name }));
+  const comments = (issue.comments || []).map((comment) => ({
+    author: { login: comment.author },
+    body: comment.body || '',
+    createdAt: comment.createdAt,
+  }));
+
+  let context = `# ${source.label} ${ref}\n\n`;
+  context += `## Title\n${issue.title}\n\n`;
+
+  if (issue.body) {
+    context += `## Description\n${issue.body}\n\n`;
+  }
+
+  if (labels.length > 0) {
+    context += `## Labels\n`;
+    context += labels.map((l) => `- ${l.name}`).join('\n');
+    context += '\n\n';
+  }
+
+  if (comments.length > 0) {
+    context += `## Comments\n\n`;
+    for (const comment of comments) {
+      const when = comment.createdAt ? ` (${new Date(comment.createdAt).toISOString()})` : '';
+      context += `### ${comment.author.login}${when}\n`;
+      context += `${comment.body}\n\n`;
+    }
+  }
+
+  return {
+    number: issue.number,
+    title: issue.title,
+    body: issue.body || '',
+    labels,
+    comments,
+    url: issue.url || null,
+    source: source.name,
+    context,
+  };
+}
+
+/**
+ * Fetch a task from a registered input source
+ * @param {{ type: String, ref: String }} inputRef - Result of parseInputRef()
+ * @param {Object} [options]
+ * @param {Object} [options.settings] - Loaded settings
+ * @param {Object} [options.env=process.env]
+ * @returns {Promise<Object>} Issue data (see buildIssueInput)
+ */
+async function fetchInput(inputRef, { settings = {}, env = process.env } = {}) {
+  const source = getInputSource(inputRef.type);
+  const config = resolveSourceConfig(inputRef.type, settings, env);
+
+  try {
+    const issue = await source.fetchIssue(inputRef.ref, config);
+    return buildIssueInput(source, inputRef.ref, issue);
+  } catch (error) {
+    throw new Error(`Failed to fetch ${source.label} ${inputRef.ref}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  INPUT_SOURCES,
+  parseInputRef,
+  getInputSource,
+  listInputSources,
+  resolveSourceConfig,
+  buildIssueInput,
+  fetchInput,
+};
@@ -0,0 +1,87 @@
+/**
+ * Jira input source - `jira:PROJ-123`
+ *
+ * REST v2: GET /rest/api/2/issue/:key (v2 returns descriptions as plain text,
+ * v3 would return Atlassian Document Format).
+ * Auth: JIRA_EMAIL + JIRA_API_TOKEN (Cloud, basic auth) or JIRA_TOKEN (Data
+ * Center personal access token, bearer). There is no public default instance,
+ * so a base URL must be configured.
+ */
+
+const { joinUrl, requestJson } = require('../lib/http-json');
+
+/**
+ * Parse `PROJ-123`
+ * @param {String} ref
+ * @returns {{ key: String }}
+ */
+function parseRef(ref) {
+  if (!/^[A-Z][A-Z0-9_]*-\d+$/.test(ref)) {
+    throw new Error(`Invalid Jira reference "${ref}". Expected jira:PROJ-123`);
+  }
+  return { key: ref };
+}
+
+/**
+ * Build the Authorization header from config
+ * @private
+ */
+function authHeaders(config) {
+  if (config.email && config.token) {
+    const basic = Buffer.from(`${config.email}:${config.token}`).toString('base64');
+    return { Authorization: `Basic ${basic}` };
+  }
+  if (config.token) {
+    return { Authorization: `Bearer ${config.token}` };
+  }
+  return {};
+}
+
+/**
+ * Fetch a Jira issue with its comments
+ * @param {String} ref - `PROJ-123`
+ * @param {Object} config - { baseUrl, email?, token? }
+ * @returns {Promise<Object>} Fields for buildIssueInput()
+ */
+async function fetchIssue(ref, config) {
+  const { key } = parseRef(ref);
+  if (!config.baseUrl) {
+    throw new Error(
+      'Jira base URL is not configured. Set ZEROSHOT_JIRA_URL or run: ' +
+        'zeroshot settings set inputSources.jira.baseUrl https://your-org.atlassian.net'
+    );
+  }
+
+  const issue = await requestJson(
+    joinUrl(
+      config.baseUrl,
+      `/rest/api/2/issue/${encodeURIComponent(key)}?fields=summary,description,labels,comment`
+    ),
+    { headers: authHeaders(config) }
+  );
+  const fields = issue.fields || {};
+
+  return {
+    number: issue.key,
+    title: fields.summary,
+    body: fields.description || '',
+    labels: fields.labels || [],
+    comments: (fields.comment?.comments || []).map((comment) => ({
+      author: comment.author?.displayName || comment.author?.name || 'unknown',
+      body: comment.body,
+      createdAt: comment.created,
+    })),
+    url: joinUrl(config.baseUrl, `/browse/${issue.key}`),
+  };
+}
+
+module.exports = {
+  name: 'jira',
+  label: 'Jira Issue',
+  credentialsFromEnv: (env) => ({
+    email: env.JIRA_EMAIL,
+    token: env.JIRA_API_TOKEN || env.JIRA_TOKEN,
+  }),
+  parseRef,
+  fetchIssue,
+};
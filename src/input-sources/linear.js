@@ -0,0 +1,79 @@
+/**
+ * Linear input source - `linear:ENG-42`
+ *
+ * GraphQL: POST /graphql, `issue(id:)` accepts the human identifier.
+ * Auth: LINEAR_API_KEY (sent as-is in the Authorization header).
+ */
+
+const { joinUrl, requestJson } = require('../lib/http-json');
+
+const DEFAULT_BASE_URL = 'https://api.linear.app';
+
+const ISSUE_QUERY = `query Issue($id: String!) {
+  issue(id: $id) {
+    identifier
+    title
+    description
+    url
+    labels { nodes { name } }
+    comments { nodes { body createdAt user { name } } }
+  }
+}`;
+
+/**
+ * Parse `ENG-42`
+ * @param {String} ref
+ * @returns {{ identifier: String }}
+ */
+function parseRef(ref) {
+  if (!/^[A-Za-z][A-Za-z0-9]*-\d+$/.test(ref)) {
+    throw new Error(`Invalid Linear reference "${ref}". Expected linear:ENG-42`);
+  }
+  return { identifier: ref.toUpperCase() };
+}
+
+/**
+ * Fetch a Linear issue with its comments
+ * @param {String} ref - `ENG-42`
+ * @param {Object} config - { baseUrl, token }
+ * @returns {Promise<Object>} Fields for buildIssueInput()
+ */
+async function fetchIssue(ref, config) {
+  const { identifier } = parseRef(ref);
+  const response = await requestJson(joinUrl(config.baseUrl || DEFAULT_BASE_URL, '/graphql'), {
+    method: 'POST',
+    headers: config.token ? { Authorization: config.token } : {},
+    body: { query: ISSUE_QUERY, variables: { id: identifier } },
+  });
+
+  if (response?.errors?.length) {
+    throw new Error(response.errors.map((e) => e.message).join('; '));
+  }
+  const issue = response?.data?.issue;
+  if (!issue) {
+    throw new Error(`Linear issue ${identifier} not found`);
+  }
+
+  return {
+    number: issue.identifier,
+    title: issue.title,
+    body: issue.description || '',
+    labels: (issue.labels?.nodes || []).map((label) => label.name),
+    comments: (issue.comments?.nodes || [])
+      .map((comment) => ({
+        author: comment.user?.name || 'unknown',
+        body: comment.body,
+        createdAt: comment.createdAt,
+      }))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt)),
+    url: issue.url || null,
+  };
+}
+
+module.exports = {
+  name: 'linear',
+  label: 'Linear Issue',
+  credentialsFromEnv: (env) => ({ token: env.LINEAR_API_KEY }),
+  parseRef,
+  fetchIssue,
+};
@@ -54,6 +54,7 @@ class IsolationManager {
     this.containers = new Map(); // clusterId -> containerId
     this.isolatedDirs = new Map(); // clusterId -> { path, originalDir }
     this.clusterConfigDirs = new Map(); // clusterId -> configDirPath
+    this.clusterContainerHomes = new Map(); // clusterId -> container home dir
     this.worktrees = new Map(); // clusterId -> { path, branch, repoRoot }
   }
 
@@ -723,6 +724,66 @@ class IsolationManager {
     return isolatedPath;
   }
 
+  /**
+   * Create the isolated workspace of a forked cluster: a clone of the source
+   * cluster's isolated repo with a new branch at the fork commit.
+   * createContainer(..., { reuseExistingWorkspace: true }) then mounts it.
+   * @param {string} sourceClusterId - Cluster being forked
+   * @param {string} clusterId - Forked cluster ID
+   * @param {string} commit - Commit to check out
+   * @returns {string} Path to the forked isolated directory
+   */
+  forkIsolatedWorkspace(sourceClusterId, clusterId, commit) {
+    const sourcePath = path.join(os.tmpdir(), 'zeroshot-isolated', sourceClusterId);
+    if (!fs.existsSync(sourcePath)) {
+      throw new Error(
+        `Isolated workspace of ${sourceClusterId} no longer exists at ${sourcePath}. ` +
+          `Was the cluster killed (not stopped)?`
+      );
+    }
+
+    const isolatedPath = path.join(os.tmpdir(), 'zeroshot-isolated', clusterId);
+    if (fs.existsSync(isolatedPath)) {
+      fs.rmSync(isolatedPath, { recursive: true, force: true });
+    }
+
+    // Keep the source's (authenticated) origin so the fork can still push
+    let remoteUrl = null;
+    try {
+      remoteUrl = execSync('git remote get-url origin', {
+        cwd: sourcePath,
+        encoding: 'utf8',
+        stdio: 'pipe',
+      }).trim();
+    } catch {
+      // No remote configured in source
+    }
+
+    execSync(
+      `git clone --quiet --no-checkout ${escapeShell(sourcePath)} ${escapeShell(isolatedPath)}`,
+      {
+        stdio: 'pipe',
+      }
+    );
+
+    const gitCommands = [
+      // Checkpoint commits are only reachable from refs/zeroshot/*
+      `git fetch --quiet origin ${escapeShell('refs/zeroshot/*:refs/zeroshot/*')}`,
+      remoteUrl
+        ? `git remote set-url origin ${escapeShell(remoteUrl)}`
+        : 'git remote remove origin',
+      `git checkout --quiet -b ${escapeShell(`zeroshot/${clusterId}`)} ${escapeShell(commit)}`,
+    ].join(' && ');
+
+    execSync(gitCommands, {
+      cwd: isolatedPath,
+      stdio: 'pipe',
+      shell: '/bin/bash',
+    });
+
+    return isolatedPath;
+  }
+
   /**
    * Copy directory excluding certain paths using parallel worker threads
    * Supports exact matches and glob patterns (*.ext)
@@ -992,10 +1053,34 @@ class IsolationManager {
     // Track for cleanup
     this.clusterConfigDirs = this.clusterConfigDirs || new Map();
     this.clusterConfigDirs.set(clusterId, configDir);
+    this.clusterContainerHomes.set(clusterId, containerHome);
 
     return configDir;
   }
 
+  /**
+   * Write an agent's MCP server config into the cluster config dir, which is
+   * mounted at ~/.claude in the container
+   * @param {string} clusterId - Cluster ID
+   * @param {string} agentId - Agent ID
+   * @param {Object} mcpServers - Server map (see src/providers/mcp-servers.js)
+   * @returns {string} Path of the config file inside the container
+   */
+  writeMcpConfig(clusterId, agentId, mcpServers) {
+    const configDir =
+      this.clusterConfigDirs.get(clusterId) ||
+      path.join(os.tmpdir(), 'zeroshot-cluster-configs', clusterId);
+    const containerHome =
+      this.clusterContainerHomes.get(clusterId) || loadSettings().dockerContainerHome || '/root';
+
+    const mcpDir = path.join(configDir, 'mcp');
+    fs.mkdirSync(mcpDir, { recursive: true });
+    const fileName = `${agentId.replace(/[^a-zA-Z0-9_-]/g, '_')}.json`;
+    fs.writeFileSync(path.join(mcpDir, fileName), JSON.stringify({ mcpServers }, null, 2));
+
+    return path.posix.join(containerHome, '.claude', 'mcp', fileName);
+  }
+
   /**
    * Clean up cluster config directory
    * @private
@@ -1011,6 +1096,7 @@ class IsolationManager {
       // Ignore
     }
     this.clusterConfigDirs.delete(clusterId);
+    this.clusterContainerHomes.delete(clusterId);
   }
 
   /**
@@ -1259,16 +1345,17 @@ class IsolationManager {
    * Creates a git worktree at {os.tmpdir()}/zeroshot-worktrees/{clusterId}
    * @param {string} clusterId - Cluster ID
    * @param {string} workDir - Original working directory (must be a git repo)
+   * @param {string} [startPoint='HEAD'] - Commit the worktree branch starts from
    * @returns {{ path: string, branch: string, repoRoot: string }}
    */
-  createWorktreeIsolation(clusterId, workDir) {
+  createWorktreeIsolation(clusterId, workDir, startPoint = 'HEAD') {
     if (!this._isGitRepo(workDir)) {
       throw new Error(
         `Worktree isolation requires a git repository. ${workDir} is not a git repo.`
       );
     }
 
-    const worktreeInfo = this.createWorktree(clusterId, workDir);
+    const worktreeInfo = this.createWorktree(clusterId, workDir, startPoint);
     this.worktrees.set(clusterId, worktreeInfo);
 
     console.log(`[IsolationManager] Created worktree isolation at ${worktreeInfo.path}`);
@@ -1299,9 +1386,10 @@ class IsolationManager {
    * Create a git worktree for isolated work
    * @param {string} clusterId - Cluster ID (used as branch name)
    * @param {string} workDir - Original working directory
+   * @param {string} [startPoint='HEAD'] - Commit the worktree branch starts from
    * @returns {{ path: string, branch: string, repoRoot: string }}
    */
-  createWorktree(clusterId, workDir) {
+  createWorktree(clusterId, workDir, startPoint = 'HEAD') {
     const repoRoot = this._getGitRoot(workDir);
     if (!repoRoot) {
       throw new Error(`Cannot find git root for ${workDir}`);
@@ -1343,7 +1431,7 @@ class IsolationManager {
       // ignore
     }
 
-    // Create worktree with new branch based on HEAD (retry on branch collision/in-use)
+    // Create worktree with new branch based on startPoint (retry on branch collision/in-use)
     for (let attempt = 0; attempt < 10; attempt++) {
       // Best-effort delete if branch exists and is not in use by another worktree.
       try {
@@ -1358,7 +1446,7 @@ class IsolationManager {
 
       try {
         execSync(
-          `git worktree add -b ${escapeShell(branchName)} ${escapeShell(worktreePath)} HEAD`,
+          `git worktree add -b ${escapeShell(branchName)} ${escapeShell(worktreePath)} ${escapeShell(startPoint)}`,
           {
             cwd: repoRoot,
             encoding: 'utf8',
@@ -0,0 +1,116 @@
+/**
+ * Ledger search - Full-text search across every cluster ledger in a storage dir
+ *
+ * Each cluster keeps its own SQLite ledger (<storageDir>/<clusterId>.db), so
+ * cross-cluster search opens each database, runs Ledger.search(), and merges
+ * results newest first.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ledger = require('./ledger');
+
+const DURATION_UNITS_MS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parse a --since value into an epoch-ms timestamp
+ * Accepts relative durations ("30m", "2h", "7d", "1w") or anything Date can parse.
+ * @param {String} value - Since value
+ * @param {Number} [now] - Reference time (default Date.now())
+ * @returns {Number} Epoch milliseconds
+ */
+function parseSince(value, now = Date.now()) {
+  const relative = String(value)
+    .trim()
+    .match(/^(\d+)\s*([smhdw])$/i);
+  if (relative) {
+    return now - Number(relative[1]) * DURATION_UNITS_MS[relative[2].toLowerCase()];
+  }
+
+  const absolute = new Date(value).getTime();
+  if (Number.isNaN(absolute)) {
+    throw new Error(
+      `Invalid --since value "${value}". Use a duration (30m, 2h, 7d, 1w) or a date (2025-01-31).`
+    );
+  }
+  return absolute;
+}
+
+/**
+ * List cluster ledger files in a storage directory
+ * @param {String} storageDir - Directory holding <clusterId>.db files
+ * @returns {Array<{ clusterId: string, dbPath: string }>}
+ */
+function listLedgerFiles(storageDir) {
+  if (!fs.existsSync(storageDir)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(storageDir)
+    .filter((file) => file.endsWith('.db'))
+    .map((file) => ({
+      clusterId: path.basename(file, '.db'),
+      dbPath: path.join(storageDir, file),
+    }));
+}
+
+/**
+ * Search message content across cluster ledgers
+ * @param {Object} options
+ * @param {String} options.storageDir - Directory holding cluster ledgers
+ * @param {String} options.text - Search text (see Ledger.search)
+ * @param {String} [options.clusterId] - Only search this cluster
+ * @param {String} [options.topic] - Only match this topic
+ * @param {Number} [options.since] - Only messages at/after this epoch ms
+ * @param {Number} [options.limit] - Max results overall (default 20)
+ * @param {String[]} [options.highlight] - Snippet match markers
+ * @returns {Array} Matching messages (with snippet), newest first
+ */
+function searchLedgers(options) {
+  const { storageDir, text, clusterId, topic, since, limit = 20, highlight } = options;
+
+  if (!Ledger.toFtsQuery(text)) {
+    throw new Error('Search text is required');
+  }
+
+  let ledgers = listLedgerFiles(storageDir);
+  if (clusterId) {
+    ledgers = ledgers.filter((entry) => entry.clusterId === clusterId);
+    if (ledgers.length === 0) {
+      throw new Error(`Cluster ${clusterId} not found (no ledger in ${storageDir})`);
+    }
+  }
+
+  const results = [];
+  for (const entry of ledgers) {
+    let ledger;
+    try {
+      ledger = new Ledger(entry.dbPath);
+      results.push(
+        ...ledger.search({ text, cluster_id: entry.clusterId, topic, since, limit, highlight })
+      );
+    } catch (error) {
+      // One unreadable ledger (locked, corrupt) shouldn't hide matches in the rest
+      console.error(`[search] Skipping ${entry.clusterId}: ${error.message}`);
+    } finally {
+      if (ledger) {
+        ledger.close();
+      }
+    }
+  }
+
+  return results.sort((a, b) => b.timestamp - a.timestamp).slice(0, limit);
+}
+
+module.exports = {
+  parseSince,
+  listLedgerFiles,
+  searchLedgers,
+};
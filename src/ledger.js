@@ -5,6 +5,8 @@
  * - SQLite-backed message storage with indexes
  * - Query API for message retrieval
  * - In-memory cache for recent queries
+ * - Full-text search (FTS5) over message content
+ * - Trigger evaluation trace side table (opt-in, see trigger-trace.js)
  * - Subscription mechanism for real-time updates
  */
 
@@ -67,12 +69,66 @@ class Ledger extends EventEmitter {
       CREATE INDEX IF NOT EXISTS idx_cluster_sender ON messages(cluster_id, sender);
       CREATE INDEX IF NOT EXISTS idx_cluster_topic ON messages(cluster_id, topic);
       CREATE INDEX IF NOT EXISTS idx_cluster_timestamp ON messages(cluster_id, timestamp);
+
+      CREATE TABLE IF NOT EXISTS trigger_evaluations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp INTEGER NOT NULL,
+        cluster_id TEXT NOT NULL,
+        agent_id TEXT NOT NULL,
+        trigger_topic TEXT,
+        message_id TEXT,
+        message_topic TEXT,
+        outcome TEXT NOT NULL,
+        duration_ms REAL,
+        error TEXT,
+        queries TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_trigger_eval_agent
+        ON trigger_evaluations(cluster_id, agent_id, id);
     `);
 
+    this._initFullTextSearch();
     this._prepareStatements();
     this._loadLastTimestamp();
   }
 
+  /**
+   * Create the FTS5 index over content_text/content_data, kept in sync by triggers
+   * Ledgers created before the index existed are backfilled once via 'rebuild'.
+   * @private
+   */
+  _initFullTextSearch() {
+    const init = this.db.transaction(() => {
+      const exists = this.db
+        .prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'messages_fts'")
+        .get();
+
+      this.db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+          content_text, content_data, content = 'messages', content_rowid = 'rowid'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+          INSERT INTO messages_fts(rowid, content_text, content_data)
+          VALUES (new.rowid, new.content_text, new.content_data);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+          INSERT INTO messages_fts(messages_fts, rowid, content_text, content_data)
+          VALUES ('delete', old.rowid, old.content_text, old.content_data);
+        END;
+      `);
+
+      if (!exists) {
+        this.db.exec(`INSERT INTO messages_fts(messages_fts) VALUES ('rebuild')`);
+      }
+    });
+
+    // IMMEDIATE: two processes opening an old ledger must not both backfill
+    init.immediate();
+  }
+
   _prepareStatements() {
     this.stmts = {
       insert: this.db.prepare(`
@@ -114,6 +170,27 @@ class Ledger extends EventEmitter {
     const timestamp =
       requestedTimestamp !== null ? Math.max(requestedTimestamp, baseTimestamp) : baseTimestamp;
 
+    return this._insert(message, id, timestamp);
+  }
+
+  /**
+   * Append a message recorded in another ledger, keeping its id and timestamp
+   * Used by replay and fork, where trigger scripts must see the original timeline
+   * @param {Object} message - Deserialized ledger message
+   * @returns {Object|null} The appended message (null if the ledger is closed)
+   */
+  appendRecorded(message) {
+    if (this._closed) {
+      return null;
+    }
+    return this._insert(message, message.id, message.timestamp);
+  }
+
+  /**
+   * Insert one message row and notify subscribers
+   * @private
+   */
+  _insert(message, id, timestamp) {
     const record = {
       id,
       timestamp,
@@ -304,6 +381,82 @@ class Ledger extends EventEmitter {
     return rows.map((row) => this._deserializeMessage(row));
   }
 
+  /**
+   * Full-text search over message content (text and JSON data)
+   * Plain words are ANDed; "quoted phrases" match exactly. FTS5 operators are not
+   * interpreted, so input like `orders.ts` or `user-service` is safe.
+   * @param {Object} criteria - Search criteria
+   * @param {String} criteria.text - Search text
+   * @param {String} [criteria.cluster_id] - Restrict to a cluster
+   * @param {String} [criteria.topic] - Restrict to a topic
+   * @param {String} [criteria.sender] - Restrict to a sender
+   * @param {Number|String} [criteria.since] - Only messages at/after this time
+   * @param {Number} [criteria.limit] - Max results (default 50)
+   * @param {String[]} [criteria.highlight] - [open, close] markers around matches in snippet
+   * @returns {Array} Matching messages, newest first, each with a `snippet` string
+   */
+  search(criteria) {
+    const { text, cluster_id, topic, sender, since, limit = 50 } = criteria;
+    const [open, close] = criteria.highlight || ['[', ']'];
+    const match = Ledger.toFtsQuery(text);
+
+    if (!match) {
+      throw new Error('search text is required');
+    }
+
+    const conditions = ['messages_fts MATCH ?'];
+    const params = [open, close, match];
+
+    if (cluster_id) {
+      conditions.push('m.cluster_id = ?');
+      params.push(cluster_id);
+    }
+
+    if (topic) {
+      conditions.push('m.topic = ?');
+      params.push(topic);
+    }
+
+    if (sender) {
+      conditions.push('m.sender = ?');
+      params.push(sender);
+    }
+
+    if (since) {
+      conditions.push('m.timestamp >= ?');
+      params.push(typeof since === 'number' ? since : new Date(since).getTime());
+    }
+
+    params.push(limit);
+
+    const sql = `
+      SELECT m.*, snippet(messages_fts, -1, ?, ?, '…', 16) AS snippet
+      FROM messages_fts
+      JOIN messages m ON m.rowid = messages_fts.rowid
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY m.timestamp DESC
+      LIMIT ?
+    `;
+
+    const rows = this.db.prepare(sql).all(...params);
+    return rows.map((row) => ({ ...this._deserializeMessage(row), snippet: row.snippet }));
+  }
+
+  /**
+   * Convert free text into an FTS5 MATCH expression
+   * Each word (or "quoted phrase") becomes a quoted FTS5 string; strings are ANDed.
+   * @param {String} text - User search text
+   * @returns {String} FTS5 query ('' if no terms)
+   */
+  static toFtsQuery(text) {
+    const terms = String(text ?? '').match(/"[^"]*"|[^\s"]+/g) || [];
+    return terms
+      .map((term) => term.replace(/^"|"$/g, '').trim())
+      .filter(Boolean)
+      .map((term) => `"${term.replace(/"/g, '""')}"`)
+      .join(' ');
+  }
+
   /**
    * Find the last message matching criteria
    * @param {Object} criteria - Query criteria
@@ -404,6 +557,7 @@ class Ledger extends EventEmitter {
    * Queries TOKEN_USAGE messages and sums tokens per role
    * @param {String} cluster_id - Cluster ID
    * @returns {Object} Token usage aggregated by role
+   *   unpricedCount counts tasks with no known rate (costSource 'unpriced', see src/providers/pricing.js)
    *   Example: {
    *     implementation: { inputTokens: 5000, outputTokens: 2000, totalCostUsd: 0.05, count: 3 },
    *     validator: { inputTokens: 3000, outputTokens: 1500, totalCostUsd: 0.03, count: 2 },
@@ -428,6 +582,7 @@ class Ledger extends EventEmitter {
       cacheCreationInputTokens: 0,
       totalCostUsd: 0,
       count: 0,
+      unpricedCount: 0,
     };
 
     for (const row of rows) {
@@ -444,6 +599,7 @@ class Ledger extends EventEmitter {
           cacheCreationInputTokens: 0,
           totalCostUsd: 0,
           count: 0,
+          unpricedCount: 0,
         };
       }
 
@@ -454,6 +610,8 @@ class Ledger extends EventEmitter {
       byRole[role].cacheCreationInputTokens += data.cacheCreationInputTokens || 0;
       byRole[role].totalCostUsd += data.totalCostUsd || 0;
       byRole[role].count += 1;
+      const unpriced = data.costSource === 'unpriced' ? 1 : 0;
+      byRole[role].unpricedCount += unpriced;
 
       // Aggregate totals
       total.inputTokens += data.inputTokens || 0;
@@ -462,6 +620,7 @@ class Ledger extends EventEmitter {
       total.cacheCreationInputTokens += data.cacheCreationInputTokens || 0;
       total.totalCostUsd += data.totalCostUsd || 0;
       total.count += 1;
+      total.unpricedCount += unpriced;
     }
 
     // Add total as special _total key
@@ -611,6 +770,70 @@ class Ledger extends EventEmitter {
     return message;
   }
 
+  /**
+   * Record one trigger evaluation (trace mode)
+   * Kept out of the messages table so traces never reach subscribers or trigger scripts.
+   * @param {Object} entry
+   * @param {String} entry.cluster_id
+   * @param {String} entry.agent_id
+   * @param {String} [entry.trigger_topic] - Topic pattern of the matched trigger
+   * @param {Object} [entry.message] - Evaluated message ({ id, topic })
+   * @param {String} entry.outcome - fired | rejected | error | dropped_busy | dropped_stopped
+   * @param {Number} [entry.duration_ms]
+   * @param {String} [entry.error]
+   * @param {Array<Object>} [entry.queries] - Ledger queries the trigger made
+   */
+  recordTriggerEvaluation(entry) {
+    if (this._closed) {
+      return;
+    }
+    this.db
+      .prepare(
+        `INSERT INTO trigger_evaluations
+          (timestamp, cluster_id, agent_id, trigger_topic, message_id, message_topic, outcome, duration_ms, error, queries)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        Date.now(),
+        entry.cluster_id,
+        entry.agent_id,
+        entry.trigger_topic || null,
+        entry.message?.id || null,
+        entry.message?.topic || null,
+        entry.outcome,
+        entry.duration_ms ?? null,
+        entry.error || null,
+        entry.queries ? JSON.stringify(entry.queries) : null
+      );
+  }
+
+  /**
+   * Recorded trigger evaluations, oldest first
+   * @param {Object} criteria
+   * @param {String} criteria.cluster_id
+   * @param {String} [criteria.agent_id]
+   * @param {Number} [criteria.limit] - Only the most recent N
+   * @returns {Array<Object>}
+   */
+  getTriggerEvaluations({ cluster_id, agent_id, limit }) {
+    const conditions = ['cluster_id = ?'];
+    const params = [cluster_id];
+    if (agent_id) {
+      conditions.push('agent_id = ?');
+      params.push(agent_id);
+    }
+    let sql = `SELECT * FROM trigger_evaluations WHERE ${conditions.join(' AND ')} ORDER BY id DESC`;
+    if (limit) {
+      sql += ' LIMIT ?';
+      params.push(limit);
+    }
+    return this.db
+      .prepare(sql)
+      .all(...params)
+      .reverse()
+      .map((row) => ({ ...row, queries: row.queries ? JSON.parse(row.queries) : [] }));
+  }
+
   /**
    * Close the database connection
    */
@@ -0,0 +1,93 @@
+/**
+ * Minimal JSON-over-HTTP client for issue trackers, code hosts and model APIs
+ *
+ * Uses node's http/https modules so it works against self-hosted instances
+ * and local stand-ins (http://127.0.0.1:port) alike.
+ */
+
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Join a base URL and an API path without doubling slashes
+ * @param {String} baseUrl - e.g. https://gitlab.example.com/
+ * @param {String} apiPath - e.g. /api/v4/projects/1
+ * @returns {String}
+ */
+function joinUrl(baseUrl, apiPath) {
+  return `${baseUrl.replace(/\/+$/, '')}/${apiPath.replace(/^\/+/, '')}`;
+}
+
+/**
+ * Send a request and parse the JSON response
+ * @param {String} url - Absolute URL
+ * @param {Object} [options]
+ * @param {String} [options.method='GET']
+ * @param {Object} [options.headers]
+ * @param {Object} [options.body] - Serialized as JSON
+ * @param {Number} [options.timeoutMs=30000]
+ * @returns {Promise<any>} Parsed response body
+ * @throws {Error} With statusCode and raw body on non-2xx responses
+ */
+function requestJson(
+  url,
+  { method = 'GET', headers = {}, body, timeoutMs = DEFAULT_TIMEOUT_MS } = {}
+) {
+  const target = new URL(url);
+  const transport = target.protocol === 'https:' ? https : http;
+  const payload = body === undefined ? null : JSON.stringify(body);
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(
+      target,
+      {
+        method,
+        headers: {
+          Accept: 'application/json',
+          ...(payload ? { 'Content-Type': 'application/json' } : {}),
+          ...headers,
+        },
+        timeout: timeoutMs,
+      },
+      (res) => {
+        let raw = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          raw += chunk;
+        });
+        res.on('end', () => {
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            const error = new Error(`${method} ${target.pathname} returned HTTP ${res.statusCode}`);
+            error.statusCode = res.statusCode;
+            error.body = raw;
+            reject(error);
+            return;
+          }
+          try {
+            resolve(raw ? JSON.parse(raw) : null);
+          } catch {
+            reject(new Error(`${method} ${target.pathname} returned invalid JSON`));
+          }
+        });
+      }
+    );
+
+    req.on('timeout', () => {
+      req.destroy(new Error(`${method} ${target.pathname} timed out after ${timeoutMs}ms`));
+    });
+    req.on('error', reject);
+
+    if (payload) {
+      req.write(payload);
+    }
+    req.end();
+  });
+}
+
+module.exports = {
+  joinUrl,
+  requestJson,
+};
@@ -5,7 +5,7 @@
  * These wrappers enforce timeouts to prevent infinite hangs.
  */
 
-const { exec: nodeExec, execSync: nodeExecSync } = require('child_process');
+const { exec: nodeExec, execSync: nodeExecSync, execFile: nodeExecFile } = require('child_process');
 
 /** Default timeout: 30 seconds */
 const DEFAULT_TIMEOUT_MS = 30000;
@@ -87,4 +87,43 @@ function execSync(command, options = {}) {
   return nodeExecSync(command, { ...options, timeout });
 }
 
-module.exports = { exec, execSync, DEFAULT_TIMEOUT_MS };
+/**
+ * Execute a binary with an argument array (no shell) and mandatory timeout.
+ * Use when arguments are user/LLM-controlled (commit messages, titles) to avoid quoting.
+ *
+ * @param {string} file - Executable (e.g. 'git')
+ * @param {string[]} args - Arguments
+ * @param {object} [options] - execFile options (cwd, env, timeout)
+ * @returns {Promise<{stdout: string, stderr: string}>}
+ */
+function execFile(file, args, options = {}) {
+  const timeout = options.timeout ?? DEFAULT_TIMEOUT_MS;
+
+  if (timeout <= 0) {
+    return Promise.reject(
+      new Error('execFile() timeout must be > 0. Infinite waits are forbidden.')
+    );
+  }
+
+  return new Promise((resolve, reject) => {
+    nodeExecFile(
+      file,
+      args,
+      { encoding: 'utf8', maxBuffer: 10 * 1024 * 1024, ...options, timeout },
+      (error, stdout, stderr) => {
+        if (error) {
+          if (error.killed && error.signal === 'SIGTERM') {
+            error.message = `Command timed out after ${timeout}ms: ${file} ${args.join(' ')}`;
+          }
+          error.stdout = stdout;
+          error.stderr = stderr;
+          reject(error);
+        } else {
+          resolve({ stdout, stderr });
+        }
+      }
+    );
+  });
+}
+
+module.exports = { exec, execSync, execFile, DEFAULT_TIMEOUT_MS };
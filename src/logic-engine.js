@@ -6,10 +6,12 @@
  * - Timeout enforcement (1 second)
  * - Ledger API access for queries
  * - Helper functions for common patterns
+ * - Declarative trigger conditions over the same ledger API
  * - Sandbox security (no fs, network, child_process)
  */
 
 const vm = require('vm');
+const { evaluateCondition } = require('./trigger-conditions');
 
 class LogicEngine {
   constructor(messageBus, cluster) {
@@ -26,9 +28,25 @@ class LogicEngine {
    * @returns {Boolean} Whether agent should wake up
    */
   evaluate(script, agent, message) {
+    const { result, error } = this.evaluateDetailed(script, agent, message);
+    if (error) {
+      console.error(`Logic evaluation error for agent ${agent.id}:`, error.message);
+    }
+    return result;
+  }
+
+  /**
+   * Evaluate a trigger logic script, returning the error instead of logging it
+   * @param {String} script - JavaScript code to evaluate
+   * @param {Object} agent - Agent context
+   * @param {Object} message - Triggering message
+   * @param {Array<Object>} [queryLog] - Receives every ledger query the script makes
+   * @returns {{ result: Boolean, error: Error|null }} result is false when the script throws
+   */
+  evaluateDetailed(script, agent, message, queryLog = null) {
     try {
       // Build sandbox context
-      const context = this._buildContext(agent, message);
+      const context = this._buildContext(agent, message, queryLog);
 
       // Create isolated context with frozen prototypes
       // This prevents prototype pollution attacks
@@ -62,36 +80,78 @@ class LogicEngine {
       });
 
       // Coerce to boolean
-      return Boolean(result);
+      return { result: Boolean(result), error: null };
     } catch (error) {
-      console.error(`Logic evaluation error for agent ${agent.id}:`, error.message);
-      return false; // Default to false on error
+      return { result: false, error }; // Default to false on error
     }
   }
 
+  /**
+   * Evaluate a declarative trigger condition (see trigger-conditions.js)
+   * Runs the same ledger queries as a script, without the sandbox.
+   * @param {Object} condition - Condition validated by config-validator
+   * @param {Object} agent - Agent context
+   * @param {Object} message - Triggering message
+   * @param {Array<Object>} [queryLog] - Receives every ledger query the condition makes
+   * @returns {Boolean} Whether agent should wake up
+   */
+  evaluateCondition(condition, agent, message, queryLog = null) {
+    const { ledger, cluster } = this._buildContext(agent, message, queryLog);
+    return evaluateCondition(condition, { ledger, cluster, message: message || null });
+  }
+
   /**
    * Build sandbox context with APIs and helpers
    * @private
    */
-  _buildContext(agent, message) {
+  _buildContext(agent, message, queryLog = null) {
     const clusterId = agent.cluster_id;
 
+    // Trace mode: remember what was asked and how much came back
+    const logged = (method, criteria, result) => {
+      if (queryLog) {
+        const size = Array.isArray(result) ? result.length : result;
+        queryLog.push({
+          method,
+          criteria: { ...criteria },
+          result: method === 'findLast' ? (result ? result.id : null) : size,
+        });
+      }
+      return result;
+    };
+
     // Ledger API wrapper (auto-scoped to cluster)
     const ledgerAPI = {
       query: (criteria) => {
-        return this.messageBus.query({ ...criteria, cluster_id: clusterId });
+        return logged(
+          'query',
+          criteria,
+          this.messageBus.query({ ...criteria, cluster_id: clusterId })
+        );
       },
 
       findLast: (criteria) => {
-        return this.messageBus.findLast({ ...criteria, cluster_id: clusterId });
+        return logged(
+          'findLast',
+          criteria,
+          this.messageBus.findLast({ ...criteria, cluster_id: clusterId })
+        );
       },
 
       count: (criteria) => {
-        return this.messageBus.count({ ...criteria, cluster_id: clusterId });
+        return logged(
+          'count',
+          criteria,
+          this.messageBus.count({ ...criteria, cluster_id: clusterId })
+        );
       },
 
       since: (timestamp) => {
-        return this.messageBus.since({ cluster_id: clusterId, timestamp });
+        return logged(
+          'since',
+          { timestamp },
+          this.messageBus.since({ cluster_id: clusterId, timestamp })
+        );
       },
     };
 
@@ -24,6 +24,7 @@ class MessageBus extends EventEmitter {
     this.setMaxListeners(MAX_LISTENERS);
     this.ledger = ledger || new Ledger();
     this.wsClients = new Set();
+    this.triggerTracing = false;
 
     // Forward ledger events
     this.ledger.on('message', (message) => {
@@ -63,6 +64,22 @@ class MessageBus extends EventEmitter {
     return published;
   }
 
+  /**
+   * Re-publish a message recorded in another ledger (replay)
+   * Keeps the original id and timestamp so ledger queries see the recorded timeline
+   * @param {Object} message - Deserialized ledger message
+   * @returns {Object|null} Published message
+   */
+  publishRecorded(message) {
+    const published = this.ledger.appendRecorded(message);
+    if (!published) {
+      return null;
+    }
+
+    this.emit(`topic:${message.topic}`, published);
+    return published;
+  }
+
   /**
    * Subscribe to all messages
    * @param {Function} callback - Called with each message
@@ -124,6 +141,24 @@ class MessageBus extends EventEmitter {
     return this.ledger.since(params);
   }
 
+  /**
+   * Turn recording of trigger evaluations on or off (see trigger-trace.js)
+   * @param {Boolean} enabled
+   */
+  setTriggerTracing(enabled) {
+    this.triggerTracing = enabled;
+  }
+
+  /**
+   * Record a trigger evaluation in the ledger's trace table (no-op unless tracing)
+   * @param {Object} entry - See Ledger.recordTriggerEvaluation
+   */
+  recordTriggerEvaluation(entry) {
+    if (this.triggerTracing) {
+      this.ledger.recordTriggerEvaluation(entry);
+    }
+  }
+
   /**
    * Get all messages (passthrough to ledger)
    */
@@ -220,6 +255,52 @@ class MessageBus extends EventEmitter {
     }
   }
 
+  /**
+   * Relay messages appended by other processes to WebSocket clients
+   * Publishes from this process already reach clients via the ledger 'message' event,
+   * but a daemonized cluster writes to the same SQLite file from its own process.
+   * @param {String} cluster_id - Cluster ID
+   * @param {Number} intervalMs - Poll interval (default 500ms)
+   * @returns {Function} Stop relaying function
+   */
+  relayToWebSocket(cluster_id, intervalMs = 500) {
+    // 1s overlap window for cross-process timestamp races (same as ledger.pollForMessages)
+    const overlapMs = 1000;
+    const last = this.ledger.findLast({ cluster_id });
+    let highWater = last ? last.timestamp : 0;
+    let seenIds = new Set(
+      this.ledger.query({ cluster_id, since: highWater - overlapMs }).map((m) => m.id)
+    );
+
+    const markSeen = (message) => seenIds.add(message.id);
+    this.ledger.on('message', markSeen);
+
+    const poll = () => {
+      try {
+        const messages = this.ledger.query({ cluster_id, since: highWater - overlapMs });
+        for (const message of messages) {
+          if (seenIds.has(message.id)) continue;
+          this._broadcastToWebSocket(message);
+          highWater = Math.max(highWater, message.timestamp);
+        }
+        // Only rows inside the overlap window can be returned again
+        seenIds = new Set(
+          messages.filter((m) => m.timestamp >= highWater - overlapMs).map((m) => m.id)
+        );
+      } catch (error) {
+        // DB busy is expected while the owning process writes - retry next tick
+        console.error(`[MessageBus] relayToWebSocket error (will retry): ${error.message}`);
+      }
+    };
+
+    const intervalId = setInterval(poll, intervalMs);
+
+    return () => {
+      clearInterval(intervalId);
+      this.ledger.off('message', markSeen);
+    };
+  }
+
   /**
    * Close the message bus
    */
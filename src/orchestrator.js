@@ -38,10 +38,53 @@ const SubClusterWrapper = require('./sub-cluster-wrapper');
 const MessageBus = require('./message-bus');
 const Ledger = require('./ledger');
 const GitHub = require('./github');
+const { fetchInput } = require('./input-sources');
+const { detectCodeHost, createCodeHostClient } = require('./code-hosts');
+const { createLocalGitRunner, describeChange, hasRealEvidence, runPrFlow } = require('./pr-flow');
+const {
+  messagesUntil,
+  copyMessages,
+  agentsAtForkPoint,
+  iterationsAtForkPoint,
+  findCommitAt,
+} = require('./cluster-fork');
+const {
+  deleteCheckpointRefs,
+  restoreCheckpoint,
+  diffCommits,
+  listCheckpoints,
+} = require('./git-checkpoints');
 const IsolationManager = require('./isolation-manager');
 const { generateName } = require('./name-generator');
 const configValidator = require('./config-validator');
-const TemplateResolver = require('./template-resolver');
+const { createTemplateResolver, findConfigFile, BUNDLED_TEMPLATES_DIR } = require('./repo-config');
+const {
+  normalizeBudget,
+  computeBudgetUsage,
+  evaluateBudget,
+  formatBudgetUsage,
+} = require('./budget');
+const { reviewClassification } = require('./classification-review');
+const {
+  MAX_RESOLVE_ATTEMPTS,
+  getFanOutSettings,
+  normalizeSubtasks,
+  groupSubtasks,
+  describeSubtasks,
+  buildSubtaskWorker,
+  commitAll,
+  mergeBranches,
+  unmergedBranches,
+} = require('./fan-out');
+const {
+  getBestOfSettings,
+  buildCandidateWorker,
+  buildCandidateReviewer,
+  rankCandidates,
+  diffStats,
+  summarizeBestOf,
+} = require('./best-of');
+const { collectRoutingContext } = require('./config-router');
 const { loadSettings } = require('../lib/settings');
 const { normalizeProviderName } = require('../lib/provider-names');
 const crypto = require('crypto');
@@ -253,6 +296,7 @@ class Orchestrator {
     const dbPath = path.join(this.storageDir, `${clusterId}.db`);
     const ledger = new Ledger(dbPath);
     const messageBus = new MessageBus(ledger);
+    messageBus.setTriggerTracing(Boolean(clusterData.traceTriggers));
 
     // Restore isolation manager FIRST if cluster was running in isolation mode
     const { isolation, isolationManager } = this._restoreClusterIsolation(clusterId, clusterData);
@@ -274,6 +318,9 @@ class Orchestrator {
       agents,
       isolation,
       autoPr: clusterData.autoPr || false,
+      autoMerge: clusterData.autoMerge || false,
+      codeHost: clusterData.codeHost || null,
+      prFlow: clusterData.prFlow || null,
     };
 
     this.clusters.set(clusterId, cluster);
@@ -330,6 +377,15 @@ class Orchestrator {
       };
     }
 
+    if (clusterData.worktree?.enabled) {
+      agentOptions.worktree = {
+        enabled: true,
+        path: clusterData.worktree.path,
+        branch: clusterData.worktree.branch,
+        repoRoot: clusterData.worktree.repoRoot,
+      };
+    }
+
     return agentOptions;
   }
 
@@ -470,6 +526,10 @@ class Orchestrator {
           failureInfo: cluster.failureInfo || null,
           // Persist PR mode for completion agent selection
           autoPr: cluster.autoPr || false,
+          // Persist --ship and the PR flow (builtin = pr-flow; agent = legacy git-pusher clusters)
+          autoMerge: cluster.autoMerge || false,
+          codeHost: cluster.codeHost || null,
+          prFlow: cluster.prFlow || null,
           // Persist model override for consistent agent spawning on resume
           modelOverride: cluster.modelOverride || null,
           // Persist isolation info (excluding manager instance which can't be serialized)
@@ -482,6 +542,22 @@ class Orchestrator {
                 workDir: cluster.isolation.workDir, // Required for resume
               }
             : null,
+          // Persist worktree info (excluding manager) so resume and fork find the branch
+          worktree: cluster.worktree
+            ? {
+                enabled: cluster.worktree.enabled,
+                path: cluster.worktree.path,
+                branch: cluster.worktree.branch,
+                repoRoot: cluster.worktree.repoRoot,
+                workDir: cluster.worktree.workDir,
+              }
+            : null,
+          // Fan-out / best-of copy worktrees, removed on stop, kill, resume and failure
+          copyWorktrees: cluster.copyWorktrees,
+          // Source cluster, message and commit for clusters created by fork()
+          forkedFrom: cluster.forkedFrom || null,
+          // Trigger evaluation tracing (--trace-triggers) survives resume
+          traceTriggers: Boolean(cluster.traceTriggers),
           // Persist agent runtime states for accurate status display from other processes
           agentStates: cluster.agents
             ? cluster.agents.map((a) => ({
@@ -590,7 +666,8 @@ class Orchestrator {
 
       // Check if agent has any triggers that execute tasks
       const executesTask = agentConfig.triggers?.some(
-        (trigger) => !trigger.action || trigger.action === 'execute_task'
+        (trigger) =>
+          !trigger.action || ['execute_task', 'fan_out', 'best_of'].includes(trigger.action)
       );
 
       if (executesTask && !mockExecutor.behaviors[agentId]) {
@@ -616,6 +693,11 @@ class Orchestrator {
    * @param {boolean} options.isolation - Run in Docker container
    * @param {string} options.isolationImage - Docker image to use
    * @param {boolean} options.worktree - Run in git worktree isolation (lightweight, no Docker)
+   * @param {boolean} options.autoPr - Open a PR/MR when validators approve (--pr)
+   * @param {boolean} options.autoMerge - Also merge it once CI passes (--ship)
+   * @param {boolean} options.traceTriggers - Record every trigger evaluation (--trace-triggers)
+   * @param {Object} options.classification - Checkpoint on the conductor's classification
+   *   ({ complexity?, taskType?, review? }, see classification-review.js)
    * @returns {Object} Cluster object
    */
   start(config, input = {}, options = {}) {
@@ -626,7 +708,10 @@ class Orchestrator {
       isolationImage: options.isolationImage,
       worktree: options.worktree || false,
       autoPr: options.autoPr || process.env.ZEROSHOT_PR === '1',
+      autoMerge: options.autoMerge || process.env.ZEROSHOT_MERGE === '1',
       modelOverride: options.modelOverride, // Model override for all agents
+      traceTriggers: options.traceTriggers || process.env.ZEROSHOT_TRACE_TRIGGERS === '1',
+      classification: options.classification,
       clusterId: options.clusterId, // Explicit ID from CLI/daemon parent
     });
   }
@@ -650,6 +735,7 @@ class Orchestrator {
     const dbPath = config.dbPath || path.join(this.storageDir, `${clusterId}.db`);
     const ledger = new Ledger(dbPath);
     const messageBus = new MessageBus(ledger);
+    messageBus.setTriggerTracing(Boolean(options.traceTriggers));
 
     // Handle isolation mode (Docker container OR git worktree)
     const { isolationManager, containerId, worktreeInfo } = await this._initializeIsolation(
@@ -680,8 +766,15 @@ class Orchestrator {
       initCompletePromise,
       _resolveInitComplete: resolveInitComplete,
       autoPr: options.autoPr || false,
+      autoMerge: options.autoMerge || false,
+      codeHost: null,
+      prFlow: null,
       // Model override for all agents (applied to dynamically added agents)
       modelOverride: options.modelOverride || null,
+      // Record every trigger evaluation for `zeroshot why`
+      traceTriggers: Boolean(options.traceTriggers),
+      // Overrides/review of the conductor's classification (not persisted)
+      classificationCheckpoint: options.classification || null,
       // Isolation state (only if enabled)
       // CRITICAL: Store workDir for resume capability - without this, resume() can't recreate container
       isolation: options.isolation
@@ -712,8 +805,8 @@ class Orchestrator {
       // Fetch input (GitHub issue, file, or text)
       const inputData = await this._resolveInputData(input);
 
-      // Inject git-pusher agent if --pr is set (replaces completion-detector)
-      this._applyAutoPrConfig(config, inputData, options);
+      // Use the built-in PR flow if --pr is set (replaces completion-detector)
+      await this._applyAutoPrConfig(config, options, cluster);
 
       // Inject workers instruction if --workers explicitly provided and > 1
       this._applyWorkerInstruction(config);
@@ -771,13 +864,10 @@ class Orchestrator {
         receiver: 'broadcast',
         content: {
           text: inputData.context,
-          data: {
-            issue_number: inputData.number,
-            title: inputData.title,
-          },
+          data: this._buildIssueOpenedData(inputData),
         },
         metadata: {
-          source: input.issue ? 'github' : input.file ? 'file' : 'text',
+          source: this._inputSourceName(input),
         },
       });
 
@@ -887,6 +977,11 @@ class Orchestrator {
   }
 
   _registerClusterCompletionHandlers(messageBus, clusterId) {
+    const cluster = this.clusters.get(clusterId);
+    if (cluster) {
+      cluster._completionHandlersRegistered = true;
+    }
+
     this._subscribeToClusterTopic(messageBus, clusterId, 'CLUSTER_COMPLETE', (message) => {
       this._log(`\n${'='.repeat(80)}`);
       this._log(`✅ CLUSTER COMPLETED SUCCESSFULLY: ${clusterId}`);
@@ -921,10 +1016,13 @@ class Orchestrator {
     this._subscribeToClusterTopic(messageBus, clusterId, 'AGENT_ERROR', async (message) => {
       const agentRole = message.content?.data?.role;
       const attempts = message.content?.data?.attempts || 1;
+      // Fan-out and best-of copies fail on their own terms (see _registerFanOut/_registerBestOf)
+      const sender = this.clusters.get(clusterId)?.agents.find((a) => a.id === message.sender);
+      const isCopy = Boolean(sender?.config.fanOutOf || sender?.config.candidateOf);
 
       await this._saveClusters();
 
-      if (agentRole === 'implementation' && attempts >= 3) {
+      if (agentRole === 'implementation' && attempts >= 3 && !isCopy) {
         this._log(`\n${'='.repeat(80)}`);
         this._log(`❌ WORKER AGENT FAILED: ${clusterId}`);
         this._log(`${'='.repeat(80)}`);
@@ -1068,34 +1166,849 @@ class Orchestrator {
       this._log(`Operations: ${operations.length}`);
       this._log(`${'='.repeat(80)}\n`);
 
-      this._handleOperations(clusterId, operations, message.sender, {
-        isolationManager,
-        containerId,
-      }).catch((err) => {
-        console.error(`Failed to execute CLUSTER_OPERATIONS:`, err.message);
+      this._reviewClassification(clusterId, message, operations)
+        .then(
+          (reviewed) =>
+            reviewed &&
+            this._handleOperations(clusterId, reviewed, message.sender, {
+              isolationManager,
+              containerId,
+            })
+        )
+        .catch((err) => {
+          console.error(`Failed to execute CLUSTER_OPERATIONS:`, err.message);
+          messageBus.publish({
+            cluster_id: clusterId,
+            topic: 'CLUSTER_OPERATIONS_FAILED',
+            sender: 'orchestrator',
+            content: {
+              text: `Operation chain failed: ${err.message}`,
+              data: {
+                error: err.message,
+                operations: operations,
+              },
+            },
+          });
+
+          this._log(`\n${'='.repeat(80)}`);
+          this._log(`❌ CLUSTER_OPERATIONS FAILED - STOPPING CLUSTER`);
+          this._log(`${'='.repeat(80)}`);
+          this._log(`Error: ${err.message}`);
+          this._log(`${'='.repeat(80)}\n`);
+
+          this.stop(clusterId).catch((stopErr) => {
+            console.error(`Failed to stop cluster after operation failure:`, stopErr.message);
+          });
+        });
+    });
+  }
+
+  /**
+   * Apply --complexity/--task-type and the classification review to a conductor's
+   * CLUSTER_OPERATIONS before they run. Publishes CLASSIFICATION_REVIEWED when the
+   * classification changed or was reviewed; stops the cluster if the review declines.
+   * @returns {Promise<Array|null>} Operations to execute, or null when stopping
+   * @private
+   */
+  async _reviewClassification(clusterId, message, operations) {
+    const cluster = this.clusters.get(clusterId);
+    const checkpoint = cluster?.classificationCheckpoint;
+    if (!checkpoint) {
+      return operations;
+    }
+
+    const repoCwd = cluster.worktree?.path || cluster.isolation?.workDir || process.cwd();
+    const [issue] = cluster.messageBus.query({
+      cluster_id: clusterId,
+      topic: 'ISSUE_OPENED',
+      limit: 1,
+    });
+    const result = await reviewClassification({
+      message,
+      operations,
+      checkpoint,
+      routingContext: collectRoutingContext({
+        cwd: repoCwd,
+        labels: issue?.content?.data?.labels || [],
+      }),
+    });
+    const { classification } = result;
+    if (!classification) {
+      return operations;
+    }
+
+    const { conductor, complexity, taskType } = classification;
+    const changed = conductor.complexity !== complexity || conductor.taskType !== taskType;
+    const stopping = result.operations === null;
+    if (changed || checkpoint.review) {
+      let text = `Accepted [${complexity}:${taskType}]`;
+      if (stopping) {
+        text = `Stopped after classification [${complexity}:${taskType}]`;
+      } else if (changed) {
+        text = `[${conductor.complexity}:${conductor.taskType}] → [${complexity}:${taskType}]`;
+      }
+      cluster.messageBus.publish({
+        cluster_id: clusterId,
+        topic: 'CLASSIFICATION_REVIEWED',
+        sender: 'orchestrator',
+        content: { text, data: { ...classification, stopped: stopping } },
+      });
+    }
+
+    if (stopping) {
+      this._log(`[Orchestrator] Classification not accepted - stopping cluster ${clusterId}`);
+      await this.stop(clusterId);
+      return null;
+    }
+    if (changed) {
+      this._log(
+        `[Orchestrator] Classification overridden: ${conductor.complexity}:${conductor.taskType} → ${complexity}:${taskType}`
+      );
+    }
+    return result.operations;
+  }
+
+  /**
+   * Enforce the cluster's spend budget (config.budget) on every TOKEN_USAGE message
+   * Spend is recomputed from the ledger each time, so the ceiling survives resume.
+   * The budget is re-read too, so a ceiling raised on resume applies at once.
+   * Publishes BUDGET_WARNING once at the warn threshold and CLUSTER_FAILED
+   * (reason: budget_exceeded) once the ceiling is hit.
+   * @private
+   */
+  _registerBudgetEnforcer(messageBus, clusterId) {
+    const cluster = this.clusters.get(clusterId);
+    if (!normalizeBudget(cluster?.config?.budget) || cluster._budgetEnforcerRegistered) {
+      return;
+    }
+    cluster._budgetEnforcerRegistered = true;
+
+    this._subscribeToClusterTopic(messageBus, clusterId, 'TOKEN_USAGE', () => {
+      const budget = normalizeBudget(cluster.config?.budget);
+      if (cluster.state !== 'running' || !budget) return;
+
+      const usage = computeBudgetUsage(messageBus.getTokensByRole(clusterId));
+      const result = evaluateBudget(budget, usage);
+      if (result.status === 'ok') return;
+
+      const data = {
+        budget,
+        usage,
+        limits: result.limits,
+        ratio: result.ratio,
+      };
+
+      if (result.status === 'exceeded') {
+        if (cluster._budgetExceeded) return;
+        cluster._budgetExceeded = true;
         messageBus.publish({
           cluster_id: clusterId,
-          topic: 'CLUSTER_OPERATIONS_FAILED',
+          topic: 'CLUSTER_FAILED',
           sender: 'orchestrator',
           content: {
-            text: `Operation chain failed: ${err.message}`,
-            data: {
-              error: err.message,
-              operations: operations,
-            },
+            text: `Budget exceeded (${formatBudgetUsage(budget, usage)}) - stopping cluster`,
+            data: { reason: 'budget_exceeded', ...data },
           },
         });
+        return;
+      }
+
+      const alreadyWarned = messageBus.findLast({ cluster_id: clusterId, topic: 'BUDGET_WARNING' });
+      if (alreadyWarned) return;
+
+      messageBus.publish({
+        cluster_id: clusterId,
+        topic: 'BUDGET_WARNING',
+        sender: 'orchestrator',
+        content: {
+          text: `Budget ${Math.round(result.ratio * 100)}% used (${formatBudgetUsage(budget, usage)})`,
+          data,
+        },
+      });
+    });
+  }
+
+  /**
+   * Throw if the cluster has already spent its whole budget
+   * @private
+   */
+  _assertBudgetAvailable(clusterId, cluster) {
+    const budget = normalizeBudget(cluster.config?.budget);
+    if (!budget) return;
+
+    const usage = computeBudgetUsage(cluster.messageBus.getTokensByRole(clusterId));
+    if (evaluateBudget(budget, usage).status === 'exceeded') {
+      throw new Error(
+        `Cannot resume cluster ${clusterId}: budget exhausted (${formatBudgetUsage(budget, usage)}). ` +
+          `Raise it with --budget-usd / --budget-tokens to continue.`
+      );
+    }
+  }
+
+  /**
+   * Run the built-in PR flow once every validator approves the latest implementation
+   * @private
+   */
+  _registerPrFlow(messageBus, clusterId) {
+    const cluster = this.clusters.get(clusterId);
+    if (!cluster?.autoPr || cluster._prFlowRegistered) {
+      return;
+    }
+    cluster._prFlowRegistered = true;
+
+    this._subscribeToClusterTopic(messageBus, clusterId, 'VALIDATION_RESULT', () => {
+      if (cluster.prFlow !== 'builtin' || cluster._prFlowRunning) return;
+      if (cluster.state !== 'running' || !this._allValidatorsApproved(cluster)) return;
+
+      cluster._prFlowRunning = true;
+      this._runPrFlow(cluster).finally(() => {
+        cluster._prFlowRunning = false;
+      });
+    });
+  }
+
+  /**
+   * Same rule as the completion-detector: latest result from every validator since
+   * the last IMPLEMENTATION_READY is an approval backed by real evidence
+   * @private
+   */
+  _allValidatorsApproved(cluster) {
+    return this._collectApprovals(cluster) !== null;
+  }
+
+  /**
+   * Latest IMPLEMENTATION_READY and each validator's latest result since then
+   * @returns {Object|null} { implementation, validations }, or null unless all approved
+   *   with evidence for every criterion (see hasRealEvidence)
+   * @private
+   */
+  _collectApprovals(cluster) {
+    const validators = cluster.agents.filter((a) => a.role === 'validator');
+    const implementation = cluster.messageBus.findLast({
+      cluster_id: cluster.id,
+      topic: 'IMPLEMENTATION_READY',
+    });
+    if (!implementation) return null;
+
+    const latestByValidator = new Map();
+    for (const msg of cluster.messageBus.query({
+      cluster_id: cluster.id,
+      topic: 'VALIDATION_RESULT',
+      since: implementation.timestamp,
+    })) {
+      latestByValidator.set(msg.sender, msg);
+    }
+
+    const validations = validators.map((validator) => latestByValidator.get(validator.id));
+    const allApproved = validations.every((msg) => {
+      const approved = msg?.content?.data?.approved;
+      return (approved === true || approved === 'true') && hasRealEvidence(msg);
+    });
+    return allApproved ? { implementation, validations } : null;
+  }
+
+  /**
+   * Git runner for the cluster's workspace (inside the container in --docker mode)
+   * @private
+   */
+  _createClusterGitRunner(cluster) {
+    if (cluster.isolation?.enabled && cluster.isolation.manager) {
+      return async (args) => {
+        const { stdout, stderr, code } = await cluster.isolation.manager.execInContainer(
+          cluster.id,
+          ['git', ...args],
+          { timeout: 120000 }
+        );
+        if (code !== 0) {
+          throw new Error(`git ${args[0]} failed: ${(stderr || stdout).trim()}`);
+        }
+        return stdout;
+      };
+    }
+    return createLocalGitRunner(cluster.worktree?.path || cluster.codeHost?.repoDir);
+  }
+
+  /**
+   * Commit, push, open the PR/MR and (--ship) merge it, then complete the cluster
+   * The commit message and PR body come from the ledger (implementation summary and
+   * validator evidence). Failures publish CLUSTER_FAILED with reason pr_flow_failed,
+   * which resume() retries without re-running any agent.
+   * @private
+   */
+  async _runPrFlow(cluster) {
+    const clusterId = cluster.id;
+    const messageBus = cluster.messageBus;
+    const issue = messageBus.findLast({ cluster_id: clusterId, topic: 'ISSUE_OPENED' });
+    const { title, commitMessage, description } = describeChange(
+      { issue, ...this._collectApprovals(cluster) },
+      cluster.codeHost.platform
+    );
+
+    try {
+      const result = await runPrFlow({
+        git: this._createClusterGitRunner(cluster),
+        codeHost: cluster.codeHost,
+        client: createCodeHostClient(cluster.codeHost),
+        title,
+        commitMessage,
+        description,
+        ship: cluster.autoMerge,
+        log: (line) => this._log(line),
+      });
+
+      const data = {
+        pr_url: result.pr_url,
+        pr_number: result.pr_number,
+        merged: result.merged,
+        branch: result.branch,
+        platform: cluster.codeHost.platform,
+      };
+      messageBus.publish({
+        cluster_id: clusterId,
+        topic: 'PR_CREATED',
+        sender: 'orchestrator',
+        content: {
+          text: result.pr_url ? `PR: ${result.pr_url}` : `Pushed ${result.branch}`,
+          data,
+        },
+      });
+      if (result.merged) {
+        messageBus.publish({
+          cluster_id: clusterId,
+          topic: 'PR_MERGED',
+          sender: 'orchestrator',
+          content: { text: `Merged ${result.pr_url}`, data },
+        });
+      }
+      messageBus.publish({
+        cluster_id: clusterId,
+        topic: 'CLUSTER_COMPLETE',
+        sender: 'orchestrator',
+        content: { text: 'PR workflow complete.', data: { reason: 'pr_flow_complete' } },
+      });
+    } catch (error) {
+      messageBus.publish({
+        cluster_id: clusterId,
+        topic: 'CLUSTER_FAILED',
+        sender: 'orchestrator',
+        content: {
+          text: `PR flow failed: ${error.message}`,
+          data: { reason: 'pr_flow_failed', error: error.message },
+        },
+      });
+    }
+  }
+
+  /**
+   * Remember a fan-out or best-of copy's worktree on the cluster (persisted), so
+   * stop, kill, resume and failures can remove it
+   * @private
+   */
+  _trackCopyWorktree(cluster, worktree) {
+    cluster.copyWorktrees = [...(cluster.copyWorktrees || []), worktree];
+  }
+
+  /**
+   * Remove copy worktrees and delete their branches from the user's repository
+   * @param {Object} cluster
+   * @param {Array} [worktrees] - Default: every copy worktree of the cluster
+   * @private
+   */
+  async _removeCopyWorktrees(cluster, worktrees = cluster.copyWorktrees || []) {
+    const manager = cluster.worktree?.manager || new IsolationManager({});
+    for (const worktree of worktrees) {
+      manager.removeWorktree(worktree);
+      const git = createLocalGitRunner(worktree.repoRoot);
+      await git(['branch', '-D', worktree.branch]).catch(() => {});
+    }
+    const removed = new Set(worktrees.map((worktree) => worktree.path));
+    cluster.copyWorktrees = (cluster.copyWorktrees || []).filter(
+      (worktree) => !removed.has(worktree.path)
+    );
+  }
+
+  /**
+   * Drop a running fan-out: its copies and their worktrees and branches
+   * @private
+   */
+  async _abandonFanOut(cluster) {
+    const fanOut = cluster._fanOut;
+    if (!fanOut) return;
+    cluster._fanOut = null;
+    await this._opRemoveAgents(cluster, {
+      agentIds: [...fanOut.workers.keys()].filter((id) => cluster.agents.some((a) => a.id === id)),
+    });
+    await this._removeCopyWorktrees(
+      cluster,
+      [...fanOut.workers.values()].map(({ worktree }) => worktree)
+    );
+  }
+
+  /**
+   * Run fan-out requests of workers (src/fan-out.js) in --worktree clusters
+   * Each group of subtasks gets its own worktree and copy of the worker; their
+   * branches are merged back before IMPLEMENTATION_READY reaches the validators.
+   * Failures (including a copy that runs out of retries) drop the copies and
+   * publish CLUSTER_FAILED with reason fan_out_failed.
+   * @private
+   */
+  _registerFanOut(messageBus, clusterId) {
+    const cluster = this.clusters.get(clusterId);
+    if (!cluster?.worktree?.enabled || cluster._fanOutRegistered) {
+      return;
+    }
+    cluster._fanOutRegistered = true;
+
+    const fail = async (error) => {
+      await this._abandonFanOut(cluster).catch((cleanupError) => {
+        this._log(`[Orchestrator] Fan-out cleanup failed: ${cleanupError.message}`);
+      });
+      messageBus.publish({
+        cluster_id: clusterId,
+        topic: 'CLUSTER_FAILED',
+        sender: 'orchestrator',
+        content: {
+          text: `Fan-out failed: ${error.message}`,
+          data: { reason: 'fan_out_failed', error: error.message },
+        },
+      });
+    };
+
+    this._subscribeToClusterTopic(messageBus, clusterId, 'FANOUT_REQUESTED', (message) => {
+      if (cluster.state !== 'running' || cluster._fanOut) return;
+      this._startFanOut(cluster, message).catch(fail);
+    });
+
+    this._subscribeToClusterTopic(messageBus, clusterId, 'SUBTASK_COMPLETE', (message) => {
+      const fanOut = cluster._fanOut;
+      const agentId = message.content?.data?.agentId;
+      if (!fanOut || !fanOut.workers.has(agentId) || fanOut.branches) return;
+
+      fanOut.summaries.set(agentId, message.content?.text || '');
+      if (fanOut.summaries.size < fanOut.workers.size) return;
+      fanOut.branches = [];
+      this._mergeFanOut(cluster).catch(fail);
+    });
+
+    this._subscribeToClusterTopic(messageBus, clusterId, 'AGENT_ERROR', (message) => {
+      const fanOut = cluster._fanOut;
+      if (!fanOut || !fanOut.workers.has(message.sender) || fanOut.branches) return;
+      fail(new Error(`${message.sender} failed: ${message.content?.data?.error || 'unknown'}`));
+    });
+
+    this._subscribeToClusterTopic(messageBus, clusterId, 'MERGE_RESOLVED', () => {
+      if (!cluster._fanOut?.branches) return;
+      this._retryFanOutMerge(cluster).catch(fail);
+    });
+  }
+
+  /**
+   * Create a worktree and worker copy per group of subtasks and assign them
+   * @private
+   */
+  async _startFanOut(cluster, message) {
+    const { agentId, subtasks } = message.content?.data || {};
+    const worker = cluster.agents.find((agent) => agent.id === agentId);
+    if (!worker) {
+      throw new Error(`Fan-out worker '${agentId}' not found`);
+    }
+
+    const { maxWorkers, resolver } = getFanOutSettings(worker.config);
+    const groups = groupSubtasks(normalizeSubtasks(subtasks), maxWorkers);
+    const manager = cluster.worktree.manager || new IsolationManager({});
+    const fanOut = {
+      workerId: agentId,
+      resolver,
+      manager,
+      workers: new Map(), // copy id -> { worktree, subtasks }
+      summaries: new Map(), // copy id -> SUBTASK_COMPLETE text
+      branches: null, // set once merging starts
+      attempts: 0,
+    };
+    cluster._fanOut = fanOut;
+
+    // Copies branch off HEAD, so anything the planner left behind goes with them
+    await commitAll(createLocalGitRunner(cluster.worktree.path), 'zeroshot: before fan-out');
+
+    const configs = groups.map((group, index) => {
+      const id = `${agentId}-${index + 1}`;
+      const worktree = manager.createWorktree(`${cluster.id}-${id}`, cluster.worktree.path);
+      this._trackCopyWorktree(cluster, worktree);
+      fanOut.workers.set(id, { worktree, subtasks: group });
+      return buildSubtaskWorker(worker.config, {
+        id,
+        cwd: worktree.path,
+        subtasks: group,
+        total: groups.length,
+      });
+    });
+    this._log(`[Orchestrator] Fan-out: ${groups.length} copies of ${agentId}`);
+    await this._opAddAgents(cluster, { agents: configs }, { isolationManager: manager });
+
+    const assignments = [...fanOut.workers].map(([id, { worktree, subtasks: assigned }]) => ({
+      agentId: id,
+      branch: worktree.branch,
+      subtasks: assigned,
+    }));
+    cluster.messageBus.publish({
+      cluster_id: cluster.id,
+      topic: 'SUBTASK_ASSIGNED',
+      sender: 'orchestrator',
+      content: {
+        text: assignments
+          .map(({ agentId: id, subtasks: assigned }) => `${id}:\n${describeSubtasks(assigned)}`)
+          .join('\n\n'),
+        data: { assignments },
+      },
+    });
+  }
+
+  /**
+   * Commit every copy's worktree and merge the branches into the cluster worktree
+   * @private
+   */
+  async _mergeFanOut(cluster) {
+    const fanOut = cluster._fanOut;
+    for (const [id, { worktree, subtasks }] of fanOut.workers) {
+      await commitAll(
+        createLocalGitRunner(worktree.path),
+        `${id}: ${subtasks.map((subtask) => subtask.id).join(', ')}`
+      );
+      fanOut.manager.removeWorktree(worktree);
+      fanOut.branches.push(worktree.branch);
+    }
+    await this._opRemoveAgents(cluster, { agentIds: [...fanOut.workers.keys()] });
+
+    const git = createLocalGitRunner(cluster.worktree.path);
+    const { conflicts } = await mergeBranches(git, fanOut.branches);
+    if (conflicts.length === 0) {
+      await this._finishFanOut(cluster);
+    } else {
+      this._publishMergeConflict(cluster, conflicts);
+    }
+  }
+
+  /**
+   * After MERGE_RESOLVED: finish if every branch is in HEAD, else merge the rest
+   * and send what still conflicts back to the resolver
+   * @private
+   */
+  async _retryFanOutMerge(cluster) {
+    const fanOut = cluster._fanOut;
+    const git = createLocalGitRunner(cluster.worktree.path);
+    const remaining = await unmergedBranches(git, fanOut.branches);
+    if (remaining.length > 0) {
+      const { conflicts } = await mergeBranches(git, remaining);
+      if (conflicts.length > 0) {
+        if (fanOut.attempts >= MAX_RESOLVE_ATTEMPTS) {
+          throw new Error(
+            `${conflicts.map((c) => c.branch).join(', ')} still conflict after ` +
+              `${fanOut.attempts} attempts by ${fanOut.resolver}`
+          );
+        }
+        this._publishMergeConflict(cluster, conflicts);
+        return;
+      }
+    }
+    await this._finishFanOut(cluster);
+  }
+
+  /**
+   * @private
+   */
+  _publishMergeConflict(cluster, conflicts) {
+    const fanOut = cluster._fanOut;
+    fanOut.attempts++;
+    const list = conflicts.map(({ branch, files }) => `- ${branch}: ${files.join(', ')}`);
+    cluster.messageBus.publish({
+      cluster_id: cluster.id,
+      topic: 'MERGE_CONFLICT',
+      sender: 'orchestrator',
+      receiver: fanOut.resolver,
+      content: {
+        text:
+          `Merging the parallel workers' branches conflicts:\n${list.join('\n')}\n\n` +
+          `Run \`git merge <branch>\` for each branch, resolve the conflicts keeping the ` +
+          `intent of both sides, and commit.`,
+        data: { conflicts, attempt: fanOut.attempts },
+      },
+    });
+  }
+
+  /**
+   * Delete the merged branches and hand the result to the validators
+   * @private
+   */
+  async _finishFanOut(cluster) {
+    const fanOut = cluster._fanOut;
+    cluster._fanOut = null;
+    await this._removeCopyWorktrees(
+      cluster,
+      [...fanOut.workers.values()].map(({ worktree }) => worktree)
+    );
+
+    const summaries = [...fanOut.summaries].map(([id, text]) => `[${id}] ${text}`);
+    cluster.messageBus.publish({
+      cluster_id: cluster.id,
+      topic: 'IMPLEMENTATION_READY',
+      sender: fanOut.workerId,
+      content: {
+        text: summaries.join('\n\n'),
+        data: {
+          completionStatus: { canValidate: true },
+          fanOut: { workers: fanOut.workers.size, resolveAttempts: fanOut.attempts },
+        },
+      },
+    });
+  }
+
+  /**
+   * Run best-of requests of workers (src/best-of.js) in --worktree clusters
+   * Candidates implement the task in their own worktrees, copies of every validator
+   * score them, and the best one is merged before IMPLEMENTATION_READY.
+   * Failures drop the copies and publish CLUSTER_FAILED with reason best_of_failed.
+   * @private
+   */
+  _registerBestOf(messageBus, clusterId) {
+    const cluster = this.clusters.get(clusterId);
+    if (!cluster?.worktree?.enabled || cluster._bestOfRegistered) {
+      return;
+    }
+    cluster._bestOfRegistered = true;
+
+    const fail = async (error) => {
+      await this._abandonBestOf(cluster).catch((cleanupError) => {
+        this._log(`[Orchestrator] Best-of cleanup failed: ${cleanupError.message}`);
+      });
+      messageBus.publish({
+        cluster_id: clusterId,
+        topic: 'CLUSTER_FAILED',
+        sender: 'orchestrator',
+        content: {
+          text: `Best-of failed: ${error.message}`,
+          data: { reason: 'best_of_failed', error: error.message },
+        },
+      });
+    };
+
+    this._subscribeToClusterTopic(messageBus, clusterId, 'CANDIDATES_REQUESTED', (message) => {
+      if (cluster.state !== 'running' || cluster._bestOf) return;
+      this._startBestOf(cluster, message).catch(fail);
+    });
+
+    // A candidate that fails is out of the running, not the end of the cluster
+    const finishCandidate = (candidateId, summary, failed) => {
+      const bestOf = cluster._bestOf;
+      const candidate = bestOf?.candidates.find((c) => c.candidateId === candidateId);
+      if (!candidate || bestOf.reviewing || candidate.done) return;
+
+      Object.assign(candidate, { done: true, summary, failed });
+      if (bestOf.candidates.some((c) => !c.done)) return;
+      bestOf.reviewing = true;
+      this._reviewCandidates(cluster).catch(fail);
+    };
+    this._subscribeToClusterTopic(messageBus, clusterId, 'CANDIDATE_READY', (message) => {
+      finishCandidate(message.content?.data?.candidateId, message.content?.text || '', false);
+    });
+    this._subscribeToClusterTopic(messageBus, clusterId, 'AGENT_ERROR', (message) => {
+      finishCandidate(message.sender, message.content?.data?.error || 'failed', true);
+    });
+
+    this._subscribeToClusterTopic(messageBus, clusterId, 'CANDIDATE_SCORED', (message) => {
+      const bestOf = cluster._bestOf;
+      if (!bestOf?.reviewers.has(message.sender)) return;
+
+      // Crashed validators publish a rejection without the candidate fields
+      const candidateId = bestOf.reviewers.get(message.sender);
+      bestOf.results.set(message.sender, { ...message.content?.data, candidateId });
+      if (bestOf.results.size < bestOf.reviewers.size) return;
+      this._selectCandidate(cluster).catch(fail);
+    });
+  }
+
+  /**
+   * Drop a running best-of: its candidates, reviewers and candidate worktrees
+   * @private
+   */
+  async _abandonBestOf(cluster) {
+    const bestOf = cluster._bestOf;
+    if (!bestOf) return;
+    cluster._bestOf = null;
+    const copies = [...bestOf.candidates.map((c) => c.candidateId), ...bestOf.reviewers.keys()];
+    await this._opRemoveAgents(cluster, {
+      agentIds: copies.filter((id) => cluster.agents.some((a) => a.id === id)),
+    });
+    await this._removeCopyWorktrees(
+      cluster,
+      bestOf.candidates.map((candidate) => candidate.worktree)
+    );
+  }
+
+  /**
+   * Create a worktree and worker copy per candidate and start them
+   * @private
+   */
+  async _startBestOf(cluster, message) {
+    const { agentId } = message.content?.data || {};
+    const worker = cluster.agents.find((agent) => agent.id === agentId);
+    if (!worker) {
+      throw new Error(`Best-of worker '${agentId}' not found`);
+    }
+
+    const { candidates: count, providers } = getBestOfSettings(worker.config);
+    const manager = cluster.worktree.manager || new IsolationManager({});
+    const git = createLocalGitRunner(cluster.worktree.path);
+    // Candidates branch off HEAD, so anything the planner left behind goes with them
+    await commitAll(git, 'zeroshot: before best-of');
+    const bestOf = {
+      workerId: agentId,
+      manager,
+      base: (await git(['rev-parse', 'HEAD'])).trim(),
+      candidates: [], // { candidateId, provider, worktree, done, failed, summary }
+      reviewers: new Map(), // reviewer id -> candidate id
+      results: new Map(), // reviewer id -> CANDIDATE_SCORED data
+      reviewing: false,
+    };
+    cluster._bestOf = bestOf;
+
+    const configs = [];
+    for (let i = 0; i < count; i++) {
+      const candidateId = `${agentId}-${i + 1}`;
+      const provider = providers.length > 0 ? providers[i % providers.length] : null;
+      const worktree = manager.createWorktree(
+        `${cluster.id}-${candidateId}`,
+        cluster.worktree.path
+      );
+      this._trackCopyWorktree(cluster, worktree);
+      bestOf.candidates.push({ candidateId, provider, worktree, done: false });
+      configs.push(
+        buildCandidateWorker(worker.config, {
+          id: candidateId,
+          cwd: worktree.path,
+          provider,
+          total: count,
+        })
+      );
+    }
+    this._log(`[Orchestrator] Best-of: ${count} candidates for ${agentId}`);
+    await this._opAddAgents(cluster, { agents: configs }, { isolationManager: manager });
+
+    const candidates = bestOf.candidates.map(({ candidateId, provider, worktree }) => ({
+      candidateId,
+      provider,
+      branch: worktree.branch,
+    }));
+    cluster.messageBus.publish({
+      cluster_id: cluster.id,
+      topic: 'CANDIDATE_ASSIGNED',
+      sender: 'orchestrator',
+      content: {
+        text: `${count} independent candidates: ${candidates.map((c) => c.candidateId).join(', ')}`,
+        data: { candidates, base: bestOf.base },
+      },
+    });
+  }
+
+  /**
+   * Commit every candidate and start a copy of each validator per candidate
+   * @private
+   */
+  async _reviewCandidates(cluster) {
+    const bestOf = cluster._bestOf;
+    await this._opRemoveAgents(cluster, {
+      agentIds: bestOf.candidates.map((candidate) => candidate.candidateId),
+    });
+
+    const validators = cluster.agents.filter((agent) => agent.role === 'validator');
+    const configs = [];
+    for (const candidate of bestOf.candidates) {
+      const git = createLocalGitRunner(candidate.worktree.path);
+      await commitAll(git, `${candidate.candidateId}: candidate implementation`);
+      Object.assign(candidate, await diffStats(git, bestOf.base, 'HEAD'));
+      if (candidate.failed) continue;
+
+      for (const validator of validators) {
+        const id = `${validator.id}-${candidate.candidateId}`;
+        bestOf.reviewers.set(id, candidate.candidateId);
+        configs.push(
+          buildCandidateReviewer(validator.config, {
+            id,
+            cwd: candidate.worktree.path,
+            candidateId: candidate.candidateId,
+            base: bestOf.base,
+            summary: candidate.summary,
+          })
+        );
+      }
+    }
+    if (configs.length === 0) {
+      throw new Error(
+        validators.length === 0 ? 'no validators to score the candidates' : 'every candidate failed'
+      );
+    }
+
+    await this._opAddAgents(cluster, { agents: configs }, { isolationManager: bestOf.manager });
+    cluster.messageBus.publish({
+      cluster_id: cluster.id,
+      topic: 'CANDIDATE_REVIEW',
+      sender: 'orchestrator',
+      content: {
+        text: `Scoring ${bestOf.candidates.filter((c) => !c.failed).length} candidates with ${validators.length} validators`,
+        data: { reviewers: Object.fromEntries(bestOf.reviewers) },
+      },
+    });
+  }
 
-        this._log(`\n${'='.repeat(80)}`);
-        this._log(`❌ CLUSTER_OPERATIONS FAILED - STOPPING CLUSTER`);
-        this._log(`${'='.repeat(80)}`);
-        this._log(`Error: ${err.message}`);
-        this._log(`${'='.repeat(80)}\n`);
+  /**
+   * Merge the best-scored candidate, discard the rest and hand it to the validators
+   * @private
+   */
+  async _selectCandidate(cluster) {
+    const bestOf = cluster._bestOf;
+    cluster._bestOf = null;
+    await this._opRemoveAgents(cluster, { agentIds: [...bestOf.reviewers.keys()] });
+
+    const ranked = rankCandidates(
+      bestOf.candidates.map(({ candidateId, provider, failed, added, removed, worktree }) => ({
+        candidateId,
+        provider,
+        branch: worktree.branch,
+        failed: Boolean(failed),
+        added,
+        removed,
+      })),
+      [...bestOf.results.values()]
+    );
+    const [winner] = ranked;
 
-        this.stop(clusterId).catch((stopErr) => {
-          console.error(`Failed to stop cluster after operation failure:`, stopErr.message);
-        });
-      });
+    const git = createLocalGitRunner(cluster.worktree.path);
+    await git(['merge', '--ff-only', winner.branch]);
+    await this._removeCopyWorktrees(
+      cluster,
+      bestOf.candidates.map((candidate) => candidate.worktree)
+    );
+
+    const summary = bestOf.candidates.find((c) => c.candidateId === winner.candidateId).summary;
+    cluster.messageBus.publish({
+      cluster_id: cluster.id,
+      topic: 'CANDIDATE_SELECTED',
+      sender: 'orchestrator',
+      content: {
+        text: `Selected ${winner.candidateId} (score ${winner.score.toFixed(2)})`,
+        data: { winner: winner.candidateId, base: bestOf.base, candidates: ranked },
+      },
+    });
+    cluster.messageBus.publish({
+      cluster_id: cluster.id,
+      topic: 'IMPLEMENTATION_READY',
+      sender: bestOf.workerId,
+      content: {
+        text: summary,
+        data: {
+          completionStatus: { canValidate: true },
+          bestOf: { winner: winner.candidateId, score: winner.score, candidates: ranked.length },
+        },
+      },
     });
   }
 
@@ -1103,6 +2016,10 @@ class Orchestrator {
     this._registerClusterCompletionHandlers(messageBus, clusterId);
     this._registerAgentErrorHandler(messageBus, clusterId);
     this._registerAgentLifecycleHandlers(messageBus, clusterId);
+    this._registerBudgetEnforcer(messageBus, clusterId);
+    this._registerPrFlow(messageBus, clusterId);
+    this._registerFanOut(messageBus, clusterId);
+    this._registerBestOf(messageBus, clusterId);
 
     const watchdog = this._registerConductorWatchdog(messageBus, clusterId);
     this._registerClusterOperationsHandler(
@@ -1157,7 +2074,40 @@ class Orchestrator {
     return { isolationManager, containerId, worktreeInfo };
   }
 
+  /**
+   * ISSUE_OPENED data - identical shape for GitHub, GitLab, Jira, Linear, file and text inputs
+   * @private
+   */
+  _buildIssueOpenedData(inputData) {
+    return {
+      issue_number: inputData.number,
+      title: inputData.title,
+      body: inputData.body || '',
+      labels: (inputData.labels || []).map((l) => l.name || l),
+      comments: (inputData.comments || []).map((c) => ({
+        author: c.author?.login || c.author || null,
+        body: c.body,
+        createdAt: c.createdAt || null,
+      })),
+      url: inputData.url || null,
+    };
+  }
+
+  _inputSourceName(input) {
+    if (input.source) return input.source.type;
+    if (input.issue) return 'github';
+    return input.file ? 'file' : 'text';
+  }
+
   async _resolveInputData(input) {
+    if (input.source) {
+      const inputData = await fetchInput(input.source, { settings: loadSettings() });
+      if (inputData.url) {
+        this._log(`[Orchestrator] Issue: ${inputData.url}`);
+      }
+      return inputData;
+    }
+
     if (input.issue) {
       const inputData = await GitHub.fetchIssue(input.issue);
       if (inputData.url) {
@@ -1176,30 +2126,26 @@ class Orchestrator {
       return GitHub.createTextInput(input.text);
     }
 
-    throw new Error('Either issue, file, or text input is required');
+    throw new Error('Either issue, source, file, or text input is required');
   }
 
-  _applyAutoPrConfig(config, inputData, options) {
+  async _applyAutoPrConfig(config, options, cluster) {
     if (!options.autoPr) {
       return;
     }
 
     config.agents = config.agents.filter((a) => a.id !== 'completion-detector');
 
-    const gitPusherPath = path.join(__dirname, 'agents', 'git-pusher-agent.json');
-    const gitPusherConfig = JSON.parse(fs.readFileSync(gitPusherPath, 'utf8'));
-
-    gitPusherConfig.prompt = gitPusherConfig.prompt.replace(
-      /\{\{issue_number\}\}/g,
-      inputData.number || 'unknown'
-    );
-    gitPusherConfig.prompt = gitPusherConfig.prompt.replace(
-      /\{\{issue_title\}\}/g,
-      inputData.title || 'Implementation'
+    const repoDir = cluster.worktree?.path || options.cwd || process.cwd();
+    cluster.codeHost = {
+      ...(await detectCodeHost(repoDir, { settings: loadSettings() })),
+      repoDir,
+    };
+    cluster.prFlow = 'builtin';
+    this._log(
+      `[Orchestrator] ${cluster.codeHost.platform} remote (${cluster.codeHost.host || 'no origin'}): ` +
+        `using built-in PR flow${cluster.autoMerge ? ' (merge after pipeline)' : ''}`
     );
-
-    config.agents.push(gitPusherConfig);
-    this._log(`[Orchestrator] Injected git-pusher agent (creates PR and auto-merges)`);
   }
 
   _applyWorkerInstruction(config) {
@@ -1262,6 +2208,19 @@ class Orchestrator {
     throw new Error('Failed to generate unique cluster ID after many attempts');
   }
 
+  /**
+   * Forget any running fan-out or best-of and remove every copy worktree. Copies
+   * never survive a stop: resume hands their work back to the single worker.
+   * @private
+   */
+  async _dropCopyWorktrees(cluster) {
+    cluster._fanOut = null;
+    cluster._bestOf = null;
+    await this._removeCopyWorktrees(cluster).catch((error) => {
+      this._log(`[Orchestrator] Failed to remove copy worktrees: ${error.message}`);
+    });
+  }
+
   /**
    * Stop a cluster
    * @param {String} clusterId - Cluster ID
@@ -1289,6 +2248,7 @@ class Orchestrator {
     for (const agent of cluster.agents) {
       await agent.stop();
     }
+    await this._dropCopyWorktrees(cluster);
 
     // Clean up isolation container if enabled
     // CRITICAL: Preserve workspace for resume capability - only delete on kill()
@@ -1332,6 +2292,7 @@ class Orchestrator {
     for (const agent of cluster.agents) {
       await agent.stop();
     }
+    await this._dropCopyWorktrees(cluster);
 
     // Force remove isolation container AND workspace (full cleanup, no resume)
     if (cluster.isolation?.manager) {
@@ -1349,6 +2310,7 @@ class Orchestrator {
       cluster.worktree.manager.cleanupWorktreeIsolation(clusterId, { preserveBranch: true });
       this._log(`[Orchestrator] Worktree removed, branch ${cluster.worktree.branch} preserved`);
     }
+    await this.deleteCheckpoints(clusterId);
 
     // Close message bus and ledger
     cluster.messageBus.close();
@@ -1418,9 +2380,11 @@ class Orchestrator {
    * Handles both failed clusters (with error context) and cleanly stopped clusters
    * @param {String} clusterId - Cluster ID
    * @param {String} prompt - Optional custom resume prompt
+   * @param {Object} [options]
+   * @param {Object} [options.budget] - New config.budget (e.g. raised after budget_exceeded)
    * @returns {Object} Resumed cluster info
    */
-  async resume(clusterId, prompt) {
+  async resume(clusterId, prompt, { budget } = {}) {
     const cluster = this.clusters.get(clusterId);
     if (!cluster) {
       throw new Error(`Cluster not found: ${clusterId}`);
@@ -1432,12 +2396,46 @@ class Orchestrator {
       );
     }
 
+    if (budget && budget !== cluster.config?.budget) {
+      cluster.config = { ...cluster.config, budget };
+      cluster._budgetExceeded = false;
+      await this._saveClusters();
+    }
+    this._assertBudgetAvailable(clusterId, cluster);
+
     const failureInfo = this._resolveFailureInfo(cluster, clusterId);
 
     await this._ensureIsolationForResume(clusterId, cluster);
     this._ensureWorktreeForResume(clusterId, cluster);
+    // Fan-out and best-of state is not persisted: drop the copies, the single worker takes over
+    await this._opRemoveAgents(cluster, {
+      agentIds: cluster.agents
+        .filter((agent) => agent.config.fanOutOf || agent.config.candidateOf)
+        .map((agent) => agent.id),
+    });
+    await this._dropCopyWorktrees(cluster);
     await this._restartClusterAgents(cluster);
 
+    // Budget enforcement, the PR flow, fan-out and best-of publish CLUSTER_FAILED; a
+    // cluster loaded from disk needs the completion handlers registered so that
+    // failure actually stops it.
+    const needsCompletionHandlers =
+      normalizeBudget(cluster.config?.budget) ||
+      cluster.prFlow === 'builtin' ||
+      cluster.worktree?.enabled;
+    if (needsCompletionHandlers && !cluster._completionHandlersRegistered) {
+      this._registerClusterCompletionHandlers(cluster.messageBus, clusterId);
+    }
+    this._registerBudgetEnforcer(cluster.messageBus, clusterId);
+    this._registerPrFlow(cluster.messageBus, clusterId);
+    this._registerFanOut(cluster.messageBus, clusterId);
+    this._registerBestOf(cluster.messageBus, clusterId);
+
+    const prFlowFailure = this._findPrFlowFailure(cluster);
+    if (prFlowFailure) {
+      return this._resumePrFlow(clusterId, cluster, prFlowFailure);
+    }
+
     const recentMessages = this._loadRecentMessages(cluster, clusterId, 50);
 
     if (failureInfo) {
@@ -1447,6 +2445,43 @@ class Orchestrator {
     return this._resumeCleanCluster(clusterId, cluster, recentMessages, prompt);
   }
 
+  /**
+   * The cluster stopped because the built-in PR flow failed (e.g. push rejected)
+   * after validators approved - resume retries the flow instead of the agents
+   * @returns {Object|null} The CLUSTER_FAILED message
+   * @private
+   */
+  _findPrFlowFailure(cluster) {
+    if (cluster.prFlow !== 'builtin') return null;
+    const lastFailure = cluster.messageBus.findLast({
+      cluster_id: cluster.id,
+      topic: 'CLUSTER_FAILED',
+    });
+    if (lastFailure?.content?.data?.reason !== 'pr_flow_failed') return null;
+    return this._allValidatorsApproved(cluster) ? lastFailure : null;
+  }
+
+  async _resumePrFlow(clusterId, cluster, failure) {
+    const previousError = failure.content?.data?.error || failure.content?.text;
+    this._log(`[Orchestrator] Retrying PR flow for cluster ${clusterId}`);
+    this._log(`[Orchestrator] Previous error: ${previousError}`);
+
+    cluster.failureInfo = null;
+    await this._saveClusters();
+
+    cluster._prFlowRunning = true;
+    this._runPrFlow(cluster).finally(() => {
+      cluster._prFlowRunning = false;
+    });
+
+    return {
+      id: clusterId,
+      state: cluster.state,
+      resumeType: 'pr_flow',
+      previousError,
+    };
+  }
+
   _resolveFailureInfo(cluster, clusterId) {
     if (cluster.failureInfo) {
       return cluster.failureInfo;
@@ -1739,6 +2774,377 @@ class Orchestrator {
     };
   }
 
+  /**
+   * Fork a cluster from a point in its ledger
+   * Copies the ledger up to the fork message into a new cluster, recreates isolation
+   * (worktree or container) at the commit the source workspace had at that time,
+   * and resumes from the last workflow trigger with the optional prompt.
+   * @param {String} sourceId - Cluster to fork
+   * @param {Object} options
+   * @param {String} options.at - Message ID to fork at (inclusive)
+   * @param {Object} [options.config] - Config for the fork (default: source agents at that point)
+   * @param {String} [options.prompt] - Extra guidance for the resumed agents
+   * @param {Object} [options.budget] - config.budget for the fork (default: the config's own)
+   * @returns {Promise<Object>} Resume info plus { forkedFrom }
+   */
+  async fork(sourceId, { at, config, prompt, budget } = {}) {
+    const source = this.clusters.get(sourceId);
+    if (!source) {
+      throw new Error(`Cluster not found: ${sourceId}`);
+    }
+    if (!at) {
+      throw new Error('Fork point required: pass the message ID to fork at');
+    }
+
+    const messages = messagesUntil(source.messageBus.getAll(sourceId), at);
+    const workspace = this._resolveForkWorkspace(source);
+    // The last checkpoint before the fork point is the exact workspace state;
+    // without one, use the branch as it was at that time
+    const checkpoint = listCheckpoints(messages).pop() || null;
+    const commit = checkpoint
+      ? checkpoint.sha
+      : await findCommitAt(
+          createLocalGitRunner(workspace.gitDir),
+          workspace.ref,
+          messages[messages.length - 1].timestamp
+        );
+
+    const clusterId = this._generateUniqueClusterId(null, null);
+    const ledger = new Ledger(path.join(this.storageDir, `${clusterId}.db`));
+    const messageBus = new MessageBus(ledger);
+    messageBus.setTriggerTracing(Boolean(source.traceTriggers));
+    copyMessages(messages, ledger, clusterId);
+
+    const { isolationManager, containerId, worktreeInfo } = await this._initializeForkIsolation(
+      source,
+      workspace,
+      clusterId,
+      { commit, isCheckpoint: Boolean(checkpoint) }
+    );
+    const baseConfig =
+      config || this._buildForkConfig(source, messages, workspace, worktreeInfo?.path);
+    const forkConfig = budget ? { ...baseConfig, budget } : baseConfig;
+
+    const cluster = {
+      id: clusterId,
+      config: forkConfig,
+      state: 'initializing',
+      messageBus,
+      ledger,
+      agents: [],
+      createdAt: Date.now(),
+      pid: process.pid,
+      autoPr: source.autoPr || false,
+      autoMerge: source.autoMerge || false,
+      codeHost: source.codeHost || null,
+      prFlow: source.prFlow || null,
+      modelOverride: source.modelOverride || null,
+      traceTriggers: Boolean(source.traceTriggers),
+      forkedFrom: { clusterId: sourceId, messageId: at, commit },
+      isolation: containerId
+        ? {
+            enabled: true,
+            containerId,
+            image: source.isolation.image,
+            manager: isolationManager,
+            workDir: workspace.workDir,
+          }
+        : null,
+      worktree: worktreeInfo
+        ? {
+            enabled: true,
+            path: worktreeInfo.path,
+            branch: worktreeInfo.branch,
+            repoRoot: worktreeInfo.repoRoot,
+            manager: isolationManager,
+            workDir: workspace.workDir,
+          }
+        : null,
+    };
+    this.clusters.set(clusterId, cluster);
+
+    this._initializeClusterAgents({
+      config: forkConfig,
+      cluster,
+      messageBus,
+      options: { cwd: workspace.workDir, modelOverride: cluster.modelOverride },
+      isolationManager,
+      clusterId,
+    });
+    const iterations = iterationsAtForkPoint(messages);
+    for (const agent of cluster.agents) {
+      agent.iteration = iterations.get(agent.id) || 0;
+    }
+
+    this._assertBudgetAvailable(clusterId, cluster);
+    this._registerClusterSubscriptions({ messageBus, clusterId, isolationManager, containerId });
+    await this._restartClusterAgents(cluster);
+
+    this._log(
+      `[Orchestrator] Forked ${sourceId} at ${at} into ${clusterId} (commit ${commit.slice(0, 12)})`
+    );
+    const recentMessages = this._loadRecentMessages(cluster, clusterId, 50);
+    const result = await this._resumeCleanCluster(clusterId, cluster, recentMessages, prompt);
+    return { ...result, forkedFrom: cluster.forkedFrom };
+  }
+
+  /**
+   * Where the source cluster's code lives, and the mode the fork recreates.
+   * Clusters that ran in the caller's checkout are forked into a worktree so the
+   * checkout is never reset.
+   * @private
+   */
+  _resolveForkWorkspace(source) {
+    if (source.isolation?.enabled) {
+      return {
+        mode: 'docker',
+        gitDir: path.join(os.tmpdir(), 'zeroshot-isolated', source.id),
+        ref: 'HEAD',
+        workDir: source.isolation.workDir,
+        agentCwd: source.isolation.workDir,
+      };
+    }
+
+    if (source.worktree?.enabled) {
+      return {
+        mode: 'worktree',
+        gitDir: source.worktree.repoRoot,
+        ref: source.worktree.branch,
+        workDir: source.worktree.workDir || source.worktree.repoRoot,
+        agentCwd: source.worktree.path,
+      };
+    }
+
+    const cwd = source.config.agents.find((agent) => agent.cwd)?.cwd || process.cwd();
+    return { mode: 'worktree', gitDir: cwd, ref: 'HEAD', workDir: cwd, agentCwd: cwd };
+  }
+
+  /**
+   * Source config with only the agents running at the fork point, re-pointed at
+   * the fork's workspace: a cwd anywhere under the source worktree or its
+   * checkout moves to the same place in the fork's worktree
+   * @private
+   */
+  _buildForkConfig(source, messages, workspace, forkPath) {
+    const config = JSON.parse(JSON.stringify(source.config));
+    config.agents = agentsAtForkPoint(config.agents, messages);
+    if (workspace.mode !== 'worktree') {
+      return config;
+    }
+    const roots = [...new Set([workspace.agentCwd, workspace.workDir])];
+    for (const agent of config.agents) {
+      if (!agent.cwd) continue;
+      const relative = roots
+        .map((root) => path.relative(root, agent.cwd))
+        .find((rel) => !rel.startsWith('..') && !path.isAbsolute(rel));
+      if (relative === undefined) continue;
+      if (relative) {
+        agent.cwd = path.join(forkPath, relative);
+      } else {
+        delete agent.cwd;
+      }
+    }
+    return config;
+  }
+
+  /**
+   * Recreate isolation for a fork. A checkpoint is restored as uncommitted changes
+   * on top of its parent, as the agents left it.
+   * @private
+   */
+  async _initializeForkIsolation(source, workspace, clusterId, { commit, isCheckpoint }) {
+    const startPoint = isCheckpoint ? `${commit}^` : commit;
+
+    if (workspace.mode === 'docker') {
+      const image = source.isolation.image;
+      const isolationManager = new IsolationManager({ image });
+      const isolatedPath = isolationManager.forkIsolatedWorkspace(source.id, clusterId, startPoint);
+      if (isCheckpoint) {
+        await restoreCheckpoint(isolatedPath, commit);
+      }
+
+      const providerName = normalizeProviderName(
+        source.config?.forceProvider ||
+          source.config?.defaultProvider ||
+          loadSettings().defaultProvider ||
+          'claude'
+      );
+      const containerId = await isolationManager.createContainer(clusterId, {
+        workDir: workspace.workDir,
+        image,
+        reuseExistingWorkspace: true,
+        provider: providerName,
+      });
+      return { isolationManager, containerId, worktreeInfo: null };
+    }
+
+    const isolationManager = new IsolationManager({});
+    const worktreeInfo = isolationManager.createWorktreeIsolation(
+      clusterId,
+      workspace.workDir,
+      startPoint
+    );
+    if (isCheckpoint) {
+      await restoreCheckpoint(worktreeInfo.path, commit);
+    }
+    return { isolationManager, containerId: null, worktreeInfo };
+  }
+
+  /**
+   * Host directory holding a cluster's git checkpoints
+   * @private
+   */
+  _checkpointWorkspace(cluster) {
+    if (cluster.worktree?.enabled) {
+      // Checkpoint refs live in the shared repo, so they outlive a removed worktree
+      return fs.existsSync(cluster.worktree.path)
+        ? cluster.worktree.path
+        : cluster.worktree.repoRoot;
+    }
+    if (cluster.isolation?.enabled) {
+      return path.join(os.tmpdir(), 'zeroshot-isolated', cluster.id);
+    }
+    throw new Error(
+      `Cluster ${cluster.id} ran without --worktree or --docker, so it has no checkpoints`
+    );
+  }
+
+  /**
+   * Delete a cluster's checkpoint refs (kill, purge). Failures are logged.
+   * @param {String} clusterId - Cluster ID
+   */
+  async deleteCheckpoints(clusterId) {
+    const cluster = this.clusters.get(clusterId);
+    if (!cluster?.worktree?.enabled && !cluster?.isolation?.enabled) {
+      return;
+    }
+    const workspace = this._checkpointWorkspace(cluster);
+    if (!fs.existsSync(workspace)) {
+      // Docker workspace already removed, and its refs with it
+      return;
+    }
+    await deleteCheckpointRefs(workspace, clusterId).catch((error) => {
+      this._log(`[Orchestrator] Failed to delete checkpoint refs: ${error.message}`);
+    });
+  }
+
+  /**
+   * Checkpoints of one agent, or of the implementation agents by default
+   * @private
+   */
+  _findCheckpoints(cluster, agentId) {
+    const checkpoints = listCheckpoints(cluster.messageBus.getAll(cluster.id), { agentId });
+    if (checkpoints.length === 0) {
+      throw new Error(
+        `No checkpoints recorded for cluster ${cluster.id}${agentId ? ` agent ${agentId}` : ''}`
+      );
+    }
+    if (agentId) {
+      return checkpoints;
+    }
+    const implementation = checkpoints.filter((c) => c.role === 'implementation');
+    return implementation.length > 0 ? implementation : checkpoints;
+  }
+
+  _selectCheckpoint(checkpoints, iteration) {
+    if (iteration === undefined || iteration === null) {
+      return checkpoints[checkpoints.length - 1];
+    }
+    const checkpoint = checkpoints.filter((c) => c.iteration === iteration).pop();
+    if (!checkpoint) {
+      const available = [...new Set(checkpoints.map((c) => c.iteration))].join(', ');
+      throw new Error(`No checkpoint for iteration ${iteration} (available: ${available})`);
+    }
+    return checkpoint;
+  }
+
+  /**
+   * Diff between checkpoints of a cluster
+   * With an iteration: what that iteration changed (vs. the previous checkpoint of the
+   * same agent). Without: everything since the first checkpoint's parent.
+   * @param {String} clusterId
+   * @param {Object} [options]
+   * @param {Number} [options.iteration]
+   * @param {String} [options.agent] - Agent ID (default: implementation agents)
+   * @param {Array<String>} [options.gitArgs] - Extra `git diff` args (e.g. ['--stat'])
+   * @returns {Promise<Object>} { from, to, checkpoint, diff }
+   */
+  async diff(clusterId, { iteration, agent, gitArgs = [] } = {}) {
+    const cluster = this.clusters.get(clusterId);
+    if (!cluster) {
+      throw new Error(`Cluster not found: ${clusterId}`);
+    }
+
+    const workspace = this._checkpointWorkspace(cluster);
+    const checkpoints = this._findCheckpoints(cluster, agent);
+    const checkpoint = this._selectCheckpoint(checkpoints, iteration);
+
+    let from = `${checkpoints[0].sha}^`;
+    if (iteration !== undefined && iteration !== null) {
+      const previous = checkpoints
+        .slice(0, checkpoints.indexOf(checkpoint))
+        .filter((c) => c.agentId === checkpoint.agentId)
+        .pop();
+      from = previous ? previous.sha : `${checkpoint.sha}^`;
+    }
+
+    return {
+      from,
+      to: checkpoint.sha,
+      checkpoint,
+      diff: await diffCommits(workspace, from, checkpoint.sha, gitArgs),
+    };
+  }
+
+  /**
+   * Reset a stopped cluster's workspace to the checkpoint of an iteration.
+   * The branch is not moved; the checkpoint's changes become uncommitted work
+   * that `zeroshot resume` continues from.
+   * @param {String} clusterId
+   * @param {Object} options
+   * @param {Number} options.iteration
+   * @param {String} [options.agent] - Agent ID (default: implementation agents)
+   * @returns {Promise<Object>} The restored checkpoint
+   */
+  async rollback(clusterId, { iteration, agent } = {}) {
+    const cluster = this.clusters.get(clusterId);
+    if (!cluster) {
+      throw new Error(`Cluster not found: ${clusterId}`);
+    }
+    if (cluster.state === 'running') {
+      throw new Error(`Cluster ${clusterId} is still running. Use 'zeroshot stop' first.`);
+    }
+    if (iteration === undefined || iteration === null) {
+      throw new Error('Rollback requires an iteration');
+    }
+
+    const workspace = this._checkpointWorkspace(cluster);
+    if (cluster.worktree?.enabled && workspace !== cluster.worktree.path) {
+      throw new Error(
+        `Cannot roll back ${clusterId}: worktree ${cluster.worktree.path} was removed`
+      );
+    }
+    const checkpoint = this._selectCheckpoint(this._findCheckpoints(cluster, agent), iteration);
+    await restoreCheckpoint(workspace, checkpoint.sha);
+
+    cluster.messageBus.publish({
+      cluster_id: clusterId,
+      topic: 'CHECKPOINT_RESTORED',
+      sender: 'system',
+      receiver: 'broadcast',
+      content: {
+        text: `Workspace rolled back to ${checkpoint.agentId} iteration ${checkpoint.iteration}`,
+        data: {
+          agentId: checkpoint.agentId,
+          iteration: checkpoint.iteration,
+          checkpoint: checkpoint.sha,
+        },
+      },
+    });
+
+    return checkpoint;
+  }
+
   /**
    * Force restart a stale agent with imperative prompt injection
    * @param {string} clusterId - Cluster ID
@@ -2180,6 +3586,8 @@ Continue from where you left off. Review your previous output to understand what
    * 1. Static config: { config: 'config-name' } - loads from cluster-templates/config-name.json
    * 2. Parameterized: { config: { base: 'template-name', params: {...} } } - resolves base template with params
    *
+   * Templates in the target repo's .zeroshot/templates take precedence over bundled ones.
+   *
    * @private
    */
   async _opLoadConfig(cluster, op, context) {
@@ -2188,7 +3596,8 @@ Continue from where you left off. Review your previous output to understand what
       throw new Error('load_config operation missing config');
     }
 
-    const templatesDir = path.join(__dirname, '..', 'cluster-templates');
+    const repoCwd = cluster.worktree?.path || cluster.isolation?.workDir || process.cwd();
+    const resolver = createTemplateResolver(repoCwd);
     let loadedConfig;
 
     // Check if config is parameterized ({ base, params }) or static (string)
@@ -2198,22 +3607,22 @@ Continue from where you left off. Review your previous output to understand what
       this._log(`    Loading parameterized template: ${base}`);
       this._log(`    Params: ${JSON.stringify(params)}`);
 
-      const resolver = new TemplateResolver(templatesDir);
       loadedConfig = resolver.resolve(base, params);
 
       this._log(`    ✓ Resolved template: ${base} → ${loadedConfig.agents?.length || 0} agent(s)`);
     } else if (typeof config === 'string') {
       // Static config - load directly from file
-      const configPath = path.join(templatesDir, `${config}.json`);
+      const configPath = findConfigFile(config, repoCwd);
 
-      if (!fs.existsSync(configPath)) {
-        throw new Error(`Config not found: ${config} (looked in ${configPath})`);
+      if (!configPath) {
+        throw new Error(
+          `Config not found: ${config} (looked in .zeroshot/templates and ${BUNDLED_TEMPLATES_DIR})`
+        );
       }
 
       this._log(`    Loading static config: ${config}`);
 
-      const configContent = fs.readFileSync(configPath, 'utf8');
-      loadedConfig = JSON.parse(configContent);
+      loadedConfig = resolver.loadFile(configPath);
     } else {
       throw new Error(
         `Invalid config format: expected string or {base, params}, got ${typeof config}`
@@ -2242,45 +3651,29 @@ Continue from where you left off. Review your previous output to understand what
    */
   async _injectCompletionAgent(cluster, context) {
     // Skip if completion agent already exists
-    const hasCompletionAgent = cluster.agents.some(
-      (a) => a.config?.id === 'completion-detector' || a.config?.id === 'git-pusher'
-    );
+    const hasCompletionAgent = cluster.agents.some((a) => a.config?.id === 'completion-detector');
     if (hasCompletionAgent) {
       return;
     }
 
-    const isPrMode = cluster.autoPr || process.env.ZEROSHOT_PR === '1';
-
-    if (isPrMode) {
-      // Load git-pusher for PR mode
-      const gitPusherPath = path.join(__dirname, 'agents', 'git-pusher-agent.json');
-      const gitPusherConfig = JSON.parse(fs.readFileSync(gitPusherPath, 'utf8'));
-
-      // Get issue context from ledger
-      const issueMsg = cluster.messageBus.ledger.findLast({ topic: 'ISSUE_OPENED' });
-      const issueNumber = issueMsg?.content?.data?.number || 'unknown';
-      const issueTitle = issueMsg?.content?.data?.title || 'Implementation';
-
-      // Inject placeholders
-      gitPusherConfig.prompt = gitPusherConfig.prompt
-        .replace(/\{\{issue_number\}\}/g, issueNumber)
-        .replace(/\{\{issue_title\}\}/g, issueTitle);
+    // --pr mode completes through the built-in PR flow (no agent)
+    if (cluster.autoPr) {
+      this._log(`    [--pr mode] Using built-in PR flow for ${cluster.codeHost?.platform} remote`);
+      return;
+    }
 
-      await this._opAddAgents(cluster, { agents: [gitPusherConfig] }, context);
-      this._log(`    [--pr mode] Injected git-pusher agent`);
-    } else {
-      // Default completion-detector
-      const completionDetector = {
-        id: 'completion-detector',
-        role: 'orchestrator',
-        model: 'haiku',
-        timeout: 0,
-        triggers: [
-          {
-            topic: 'VALIDATION_RESULT',
-            logic: {
-              engine: 'javascript',
-              script: `const validators = cluster.getAgentsByRole('validator');
+    // Default completion-detector
+    const completionDetector = {
+      id: 'completion-detector',
+      role: 'orchestrator',
+      model: 'haiku',
+      timeout: 0,
+      triggers: [
+        {
+          topic: 'VALIDATION_RESULT',
+          logic: {
+            engine: 'javascript',
+            script: `const validators = cluster.getAgentsByRole('validator');
 const lastPush = ledger.findLast({ topic: 'IMPLEMENTATION_READY' });
 if (!lastPush) return false;
 if (validators.length === 0) return true;
@@ -2303,15 +3696,14 @@ for (const validator of validators) {
 }
 
 return true;`,
-            },
-            action: 'stop_cluster',
           },
-        ],
-      };
+          action: 'stop_cluster',
+        },
+      ],
+    };
 
-      await this._opAddAgents(cluster, { agents: [completionDetector] }, context);
-      this._log(`    Injected completion-detector agent`);
-    }
+    await this._opAddAgents(cluster, { agents: [completionDetector] }, context);
+    this._log(`    Injected completion-detector agent`);
   }
 
   /**
@@ -2375,6 +3767,11 @@ return true;`,
       createdAt: cluster.createdAt,
       agents: cluster.agents.map((a) => a.getState()),
       messageCount: cluster.messageBus.count({ cluster_id: clusterId }),
+      bestOf: summarizeBestOf(
+        ['CANDIDATE_ASSIGNED', 'CANDIDATE_SCORED', 'CANDIDATE_SELECTED']
+          .flatMap((topic) => cluster.messageBus.query({ cluster_id: clusterId, topic }))
+          .sort((a, b) => a.timestamp - b.timestamp)
+      ),
     };
   }
 
@@ -2665,12 +4062,14 @@ return true;`,
    * @param {String} configPath - Path to config JSON file
    * @param {Object} options - Load options
    * @param {boolean} options.strict - Treat warnings as errors
+   * @param {Object} [options.params] - Param values for composed templates (extends/fragments)
+   * @param {string} [options.cwd] - Target repo whose .zeroshot/ templates and agents are visible
    * @returns {Object} Parsed configuration
    */
   loadConfig(configPath, options = {}) {
     const fullPath = path.resolve(configPath);
-    const content = fs.readFileSync(fullPath, 'utf8');
-    const config = JSON.parse(content);
+    // Composed templates are resolved first so validation sees the final agent graph
+    const config = createTemplateResolver(options.cwd).loadFile(fullPath, options.params);
 
     const validation = this.validateConfig(config, options);
 
@@ -0,0 +1,232 @@
+/**
+ * PR flow - Built-in (non-LLM) completion for --pr / --ship
+ *
+ * Steps: stage → commit → push the cluster branch → open a pull/merge request →
+ * (--ship) wait for the pipeline → merge. Generic git remotes stop after push.
+ *
+ * Every step is idempotent (nothing to commit, push of an up-to-date branch,
+ * reuse of the open request), so a failed run is retried by running it again.
+ *
+ * Git commands go through an injected runner so the same flow works for
+ * worktree clusters (host git in the worktree) and Docker clusters
+ * (git inside the container).
+ */
+
+const { execFile } = require('./lib/safe-exec');
+
+const GIT_TIMEOUT_MS = 120000;
+
+/**
+ * Git runner for a local directory
+ * @param {String} cwd - Repository directory (worktree path)
+ * @returns {Function} (args: String[]) => Promise<String> stdout
+ */
+function createLocalGitRunner(cwd) {
+  return async (args) => {
+    try {
+      const { stdout } = await execFile('git', args, { cwd, timeout: GIT_TIMEOUT_MS });
+      return stdout;
+    } catch (error) {
+      const detail = (error.stderr || error.message || '').trim();
+      throw new Error(`git ${args[0]} failed: ${detail}`);
+    }
+  };
+}
+
+// Evidence output is trimmed to the tail, where test/build results are printed
+const EVIDENCE_MAX_LINES = 15;
+const EVIDENCE_MAX_CHARS = 1500;
+
+/**
+ * Template fields arrive either parsed or as JSON strings
+ * @private
+ */
+function asArray(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== 'string' || !value.trim().startsWith('[')) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Closing/reference line for the originating issue
+ * Only issues tracked on the same platform as the remote can be closed by the merge
+ * @private
+ */
+function issueReference(issueMessage, platform) {
+  const data = issueMessage?.content?.data || {};
+  const source = issueMessage?.metadata?.source;
+  if (source && source === platform && data.issue_number) {
+    return `Closes #${data.issue_number}`;
+  }
+  if (data.url) return `Implements ${data.url}`;
+  if (data.issue_number) return `Implements ${data.issue_number}`;
+  return null;
+}
+
+/**
+ * Whether a VALIDATION_RESULT backs every criterion with a command that was run:
+ * a command, a numeric exit code and more than a trivial amount of output.
+ * An approval without it does not open or merge a PR.
+ * @param {Object} message - VALIDATION_RESULT message
+ * @returns {Boolean}
+ */
+function hasRealEvidence(message) {
+  return asArray(message?.content?.data?.criteriaResults).every((criterion) => {
+    const evidence = criterion?.evidence;
+    return (
+      Boolean(evidence?.command) &&
+      typeof evidence.exitCode === 'number' &&
+      String(evidence.output || '').length > 10
+    );
+  });
+}
+
+/**
+ * Markdown for one validator's VALIDATION_RESULT
+ * @private
+ */
+function formatValidation(message) {
+  const data = message.content?.data || {};
+  const lines = [`### ${message.sender}`, ''];
+  if (message.content?.text) {
+    lines.push(message.content.text.trim(), '');
+  }
+
+  for (const criterion of asArray(data.criteriaResults)) {
+    const evidence = criterion.evidence || {};
+    const head = `- **${criterion.id || 'criterion'}** ${criterion.status || ''}`.trim();
+    if (!evidence.command) {
+      lines.push(criterion.reason ? `${head} - ${criterion.reason}` : head);
+      continue;
+    }
+    lines.push(`${head} - \`${evidence.command}\` (exit ${evidence.exitCode ?? '?'})`);
+    if (evidence.output) {
+      const tail = String(evidence.output)
+        .trim()
+        .split('\n')
+        .slice(-EVIDENCE_MAX_LINES)
+        .join('\n')
+        .slice(-EVIDENCE_MAX_CHARS);
+      lines.push('', '  ```', ...tail.split('\n').map((line) => `  ${line}`), '  ```');
+    }
+  }
+  return lines.join('\n').trim();
+}
+
+/**
+ * Build the commit message and PR/MR title and body from the cluster ledger
+ * @param {Object} messages
+ * @param {Object|null} messages.issue - ISSUE_OPENED message
+ * @param {Object|null} [messages.implementation] - Latest IMPLEMENTATION_READY message
+ * @param {Array<Object>} [messages.validations] - Approving VALIDATION_RESULT messages
+ * @param {String} [platform] - Code host platform (github, gitlab, git)
+ * @returns {{ title: String, commitMessage: String, description: String }}
+ */
+function describeChange({ issue, implementation = null, validations = [] }, platform) {
+  const title = `feat: ${issue?.content?.data?.title || 'Implementation'}`;
+  const reference = issueReference(issue, platform);
+  const summary = implementation?.content?.text?.trim() || '';
+
+  const commitMessage = [title, summary, reference].filter(Boolean).join('\n\n');
+
+  const body = [];
+  if (reference) body.push(reference, '');
+  if (summary) body.push('## Summary', '', summary, '');
+  if (validations.length > 0) {
+    body.push('## Validation', '', ...validations.map((msg) => `${formatValidation(msg)}\n`));
+  }
+  body.push('_Opened by zeroshot after all validators approved._');
+
+  return { title, commitMessage, description: body.join('\n').trim() };
+}
+
+/**
+ * Stage, commit and push the current branch
+ * @param {Function} git - Git runner
+ * @param {String} message - Commit message
+ * @returns {Promise<{ branch: String, committed: Boolean }>}
+ */
+async function commitAndPush(git, message) {
+  await git(['add', '-A']);
+  const status = await git(['status', '--porcelain']);
+  const committed = status.trim().length > 0;
+  if (committed) {
+    await git(['commit', '-m', message]);
+  }
+
+  const branch = (await git(['rev-parse', '--abbrev-ref', 'HEAD'])).trim();
+  await git(['push', '-u', 'origin', 'HEAD']);
+  return { branch, committed };
+}
+
+/**
+ * Run the flow
+ * @param {Object} options
+ * @param {Function} options.git - Git runner (see createLocalGitRunner)
+ * @param {Object} options.codeHost - Result of resolveCodeHost()
+ * @param {Object|null} options.client - Code host client (null for generic git)
+ * @param {String} options.title
+ * @param {String} [options.commitMessage] - Defaults to the title
+ * @param {String} options.description
+ * @param {Boolean} [options.ship=false] - Wait for the pipeline and merge
+ * @param {Object} [options.pipeline] - Options for client.waitForPipeline()
+ * @param {Function} [options.log]
+ * @returns {Promise<Object>} { branch, committed, pr_url, pr_number, merged, pipeline }
+ */
+async function runPrFlow({
+  git,
+  codeHost,
+  client,
+  title,
+  commitMessage = title,
+  description,
+  ship = false,
+  pipeline = {},
+  log = () => {},
+}) {
+  const { branch, committed } = await commitAndPush(git, commitMessage);
+  log(`[PR flow] Pushed ${branch}${committed ? '' : ' (no new changes to commit)'}`);
+
+  const result = {
+    branch,
+    committed,
+    pr_url: null,
+    pr_number: null,
+    merged: false,
+    pipeline: null,
+  };
+  if (!client) {
+    log(`[PR flow] ${codeHost.host || 'origin'} has no merge request API - branch pushed only`);
+    return result;
+  }
+
+  const mr = await client.createMergeRequest({ sourceBranch: branch, title, description });
+  result.pr_url = mr.url;
+  result.pr_number = mr.number;
+  log(`[PR flow] ${mr.created ? 'Opened' : 'Reusing'} ${mr.url}`);
+
+  if (!ship) {
+    return result;
+  }
+
+  result.pipeline = await client.waitForPipeline(mr.number, {
+    ...pipeline,
+    onStatus: (status) => log(`[PR flow] Pipeline: ${status || 'not created yet'}`),
+  });
+  const merge = await client.merge(mr.number);
+  result.merged = merge.merged;
+  log(`[PR flow] ${merge.merged ? 'Merged' : 'Merge requested for'} ${mr.url}`);
+  return result;
+}
+
+module.exports = {
+  createLocalGitRunner,
+  describeChange,
+  hasRealEvidence,
+  runPrFlow,
+};
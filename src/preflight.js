@@ -4,6 +4,7 @@
  * Validates:
  * - Selected provider CLI installed
  * - gh CLI installed and authenticated (if using issue numbers)
+ * - GITLAB_TOKEN or glab (if using --pr/--ship against a GitLab remote)
  * - Docker available (if using --docker)
  *
  * Provides CLEAR, ACTIONABLE error messages with recovery instructions.
@@ -20,6 +21,7 @@ const {
 } = require('../lib/settings/claude-auth.js');
 const { loadSettings, getClaudeCommand } = require('../lib/settings.js');
 const { normalizeProviderName } = require('../lib/provider-names');
+const { resolveCodeHost, githubToken } = require('./code-hosts');
 
 /**
  * Validation result
@@ -352,6 +354,48 @@ function validateCliProvider(command, title, detail, recovery) {
   return { errors, warnings: [] };
 }
 
+/**
+ * CLI check for a provider loaded from settings.providerPlugins
+ * @param {string} providerName
+ * @returns {Function|null} null if no plugin has that name
+ */
+function pluginProviderValidator(providerName) {
+  // Lazy require to avoid circular dependency
+  const { getProvider, isPluginProvider } = require('./providers');
+  if (!isPluginProvider(providerName)) {
+    return null;
+  }
+  const provider = getProvider(providerName);
+  return () =>
+    validateCliProvider(
+      provider.cliCommand || providerName,
+      `${provider.displayName} CLI not available`,
+      `Command "${provider.cliCommand || providerName}" not installed`,
+      [`Install ${provider.displayName}: ${provider.getInstallInstructions()}`]
+    );
+}
+
+/**
+ * The api provider needs no CLI, only an endpoint or API key
+ * @returns {ValidationResult}
+ */
+function validateApiProvider() {
+  // Lazy require to avoid circular dependency
+  const { getProvider } = require('./providers');
+  const errors = [];
+  if (!getProvider('api').isAvailable()) {
+    errors.push(
+      formatError('HTTP API provider not configured', 'No endpoint URL or API key found', [
+        `Local server: zeroshot settings set providerSettings '{"api":{"baseUrl":"http://localhost:8080/v1"}}'`,
+        'Hosted API: export ZEROSHOT_API_KEY=... (or OPENAI_API_KEY / ANTHROPIC_API_KEY)',
+        'Or per run: ZEROSHOT_API_BASE_URL=http://localhost:8080/v1 zeroshot run ...',
+      ])
+    );
+  }
+
+  return { errors, warnings: [] };
+}
+
 function validateProvider(providerName, options) {
   const validatorByProvider = {
     claude: () => validateClaudeProvider(options),
@@ -372,14 +416,15 @@ function validateProvider(providerName, options) {
         'Command "opencode" not installed',
         ['Install Opencode CLI: see https://opencode.ai', 'Then run: opencode --version']
       ),
+    api: () => validateApiProvider(),
   };
 
-  const validator = validatorByProvider[providerName];
+  const validator = validatorByProvider[providerName] || pluginProviderValidator(providerName);
   if (!validator) {
     return {
       errors: [
         formatError('Unknown provider', `Provider "${providerName}" is not supported`, [
-          'Use claude, codex, gemini, or opencode',
+          'Use claude, codex, gemini, opencode, api, or a provider from settings.providerPlugins',
         ]),
       ],
       warnings: [],
@@ -412,6 +457,58 @@ function validateGhRequirement() {
   return errors;
 }
 
+/**
+ * Code host of the current directory's origin remote
+ * @returns {Object} See resolveCodeHost()
+ */
+function detectOriginCodeHost() {
+  let remoteUrl = null;
+  try {
+    remoteUrl = execSync('git remote get-url origin', { encoding: 'utf8', stdio: 'pipe' });
+  } catch {
+    // No origin - generic git host
+  }
+  return resolveCodeHost(remoteUrl, { settings: loadSettings() });
+}
+
+function validatePrRequirement() {
+  const codeHost = detectOriginCodeHost();
+  const { env } = process;
+
+  if (codeHost.platform === 'github' && !githubToken(codeHost, env) && !commandExists('gh')) {
+    const enterprise = codeHost.host !== 'github.com';
+    return [
+      formatError(
+        'No GitHub credentials for --pr/--ship',
+        enterprise
+          ? `origin points to ${codeHost.host}; pull requests need GH_ENTERPRISE_TOKEN or the gh CLI`
+          : 'pull requests need GITHUB_TOKEN/GH_TOKEN or the gh CLI',
+        [
+          enterprise
+            ? 'Export a token with repo scope: export GH_ENTERPRISE_TOKEN=...'
+            : 'Export a token with repo scope: export GITHUB_TOKEN=ghp_...',
+          'Or install gh and run: gh auth login --hostname ' + codeHost.host,
+        ]
+      ),
+    ];
+  }
+
+  if (codeHost.platform === 'gitlab' && !env.GITLAB_TOKEN && !commandExists('glab')) {
+    return [
+      formatError(
+        'No GitLab credentials for --pr/--ship',
+        `origin points to ${codeHost.host}; merge requests need GITLAB_TOKEN or the glab CLI`,
+        [
+          'Export a token with api scope: export GITLAB_TOKEN=glpat-...',
+          'Or install glab and run: glab auth login --hostname ' + codeHost.host,
+        ]
+      ),
+    ];
+  }
+
+  return [];
+}
+
 function validateDockerRequirement() {
   const errors = [];
   const docker = checkDocker();
@@ -460,6 +557,7 @@ function validateGitRequirement() {
  * Run all preflight checks
  * @param {Object} options - Preflight options
  * @param {boolean} options.requireGh - Whether gh CLI is required (true if using issue number)
+ * @param {boolean} options.requirePr - Whether merge request tooling is required (--pr/--ship)
  * @param {boolean} options.requireDocker - Whether Docker is required (true if using --docker)
  * @param {boolean} options.requireGit - Whether git repo is required (true if using --worktree)
  * @param {boolean} options.quiet - Suppress success messages
@@ -485,6 +583,11 @@ function runPreflight(options = {}) {
     errors.push(...validateGhRequirement());
   }
 
+  // 4b. Check merge request tooling for non-GitHub remotes (if --pr/--ship)
+  if (options.requirePr) {
+    errors.push(...validatePrRequirement());
+  }
+
   // 5. Check Docker (if required)
   if (options.requireDocker) {
     errors.push(...validateDockerRequirement());
@@ -1,8 +1,11 @@
+const { writePrivateConfigFile } = require('../mcp-servers');
+
 function buildCommand(context, options = {}, commandConfig = {}) {
   const {
     modelSpec,
     outputFormat,
     jsonSchema,
+    mcpServers,
     autoApprove,
     cliFeatures = {},
     authEnv = {},
@@ -16,6 +19,7 @@ function buildCommand(context, options = {}, commandConfig = {}) {
   addStreamJsonArgs(args, outputFormat, cliFeatures);
   addJsonSchemaArgs(args, outputFormat, jsonSchema, cliFeatures);
   addModelArgs(args, modelSpec, cliFeatures);
+  const cleanup = addMcpConfigArgs(args, mcpServers, cliFeatures);
   addAutoApproveArgs(args, autoApprove, cliFeatures);
 
   args.push(context);
@@ -24,6 +28,7 @@ function buildCommand(context, options = {}, commandConfig = {}) {
     binary: command,
     args,
     env: authEnv,
+    cleanup, // Temp dirs to delete after command completes
   };
 }
 
@@ -61,6 +66,22 @@ function addModelArgs(args, modelSpec, cliFeatures) {
   args.push('--model', modelSpec.model);
 }
 
+function addMcpConfigArgs(args, mcpServers, cliFeatures) {
+  if (!mcpServers || cliFeatures.supportsMcpConfig === false) {
+    return [];
+  }
+  const servers = {};
+  for (const [name, server] of Object.entries(mcpServers)) {
+    servers[name] = server.url
+      ? { type: 'http', url: server.url, headers: server.headers || {} }
+      : { type: 'stdio', command: server.command, args: server.args || [], env: server.env || {} };
+  }
+  // --mcp-config takes files or JSON strings; a file keeps headers and env out of ps
+  const { file, dir } = writePrivateConfigFile('mcp.json', { mcpServers: servers });
+  args.push('--mcp-config', file);
+  return [dir];
+}
+
 function addAutoApproveArgs(args, autoApprove, cliFeatures) {
   if (!autoApprove || cliFeatures.supportsAutoApprove === false) {
     return;
@@ -58,6 +58,7 @@ class AnthropicProvider extends BaseProvider {
       supportsIncludePartials: unknown ? true : /--include-partial-messages/.test(help),
       supportsVerbose: unknown ? true : /--verbose/.test(help),
       supportsModel: unknown ? true : /--model/.test(help),
+      supportsMcpConfig: unknown ? true : /--mcp-config/.test(help),
       unknown,
     };
 
@@ -101,6 +102,13 @@ class AnthropicProvider extends BaseProvider {
       );
     }
 
+    if (options.mcpServers && cliFeatures.supportsMcpConfig === false) {
+      this._warnOnce(
+        'claude-mcp-config',
+        'Claude CLI does not support --mcp-config; running without MCP servers.'
+      );
+    }
+
     if (options.autoApprove && cliFeatures.supportsAutoApprove === false) {
       this._warnOnce(
         'claude-auto-approve',
@@ -0,0 +1,85 @@
+/**
+ * Tool loop for the API runner
+ *
+ * Sends the task to the model, runs the tools it asks for and feeds the results
+ * back until it answers without tool calls. That answer is the task result.
+ * Progress is reported as the normalized events the output parsers produce
+ * (text, tool_call, tool_result, result), so logs render like any provider's.
+ */
+
+const { TOOLS, runTool } = require('./tools');
+const { DEFAULT_MAX_TURNS } = require('./models');
+
+function buildSystemPrompt(cwd) {
+  return [
+    `You are an autonomous coding agent working in ${cwd}.`,
+    'Use the tools to inspect and change files and to run commands (builds, tests, git).',
+    'You run non-interactively: never ask questions, make reasonable decisions yourself.',
+    'When the task is done, reply with your final answer and no tool calls.',
+  ].join('\n');
+}
+
+/**
+ * Run a task to completion
+ * @param {Object} options
+ * @param {string} options.prompt - Task prompt
+ * @param {{ complete: Function }} options.client - From client.createClient()
+ * @param {string} options.cwd - Working directory for tools
+ * @param {string|null} [options.model]
+ * @param {number} [options.maxTurns] - Model turns before giving up
+ * @param {Function} [options.onEvent] - Receives each normalized event
+ * @returns {Promise<Object>} The final result event
+ */
+async function runAgentLoop({
+  prompt,
+  client,
+  cwd,
+  model = null,
+  maxTurns = DEFAULT_MAX_TURNS,
+  onEvent = () => {},
+}) {
+  const started = Date.now();
+  const system = buildSystemPrompt(cwd);
+  const messages = [{ role: 'user', content: prompt }];
+  let inputTokens = 0;
+  let outputTokens = 0;
+
+  for (let turn = 1; turn <= maxTurns; turn++) {
+    const reply = await client.complete({ system, messages, tools: TOOLS, model });
+    inputTokens += reply.usage.inputTokens;
+    outputTokens += reply.usage.outputTokens;
+    if (reply.text) {
+      onEvent({ type: 'text', text: reply.text });
+    }
+    messages.push({ role: 'assistant', text: reply.text, toolCalls: reply.toolCalls });
+
+    if (reply.toolCalls.length === 0) {
+      const result = {
+        type: 'result',
+        success: true,
+        result: reply.text,
+        duration: Date.now() - started,
+        turns: turn,
+        inputTokens,
+        outputTokens,
+      };
+      onEvent(result);
+      return result;
+    }
+
+    const results = [];
+    for (const call of reply.toolCalls) {
+      onEvent({ type: 'tool_call', toolName: call.name, toolId: call.id, input: call.input });
+      const { content, isError } = await runTool(call.name, call.input, cwd);
+      onEvent({ type: 'tool_result', toolId: call.id, content, isError });
+      results.push({ id: call.id, content, isError });
+    }
+    messages.push({ role: 'tool', results });
+  }
+
+  throw new Error(`No final answer after ${maxTurns} turns`);
+}
+
+module.exports = {
+  runAgentLoop,
+};
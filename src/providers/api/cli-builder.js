@@ -0,0 +1,57 @@
+const path = require('path');
+
+const RUN_SCRIPT = path.join(__dirname, 'run.js');
+
+function buildCommand(context, options = {}) {
+  const { modelSpec, jsonSchema, cwd, endpoint = {} } = options;
+
+  let finalContext = context;
+  if (jsonSchema) {
+    const schemaStr =
+      typeof jsonSchema === 'string' ? jsonSchema : JSON.stringify(jsonSchema, null, 2);
+    finalContext =
+      context +
+      `\n\n## OUTPUT FORMAT (CRITICAL - REQUIRED)\n\nYou MUST respond with a JSON object that exactly matches this schema. NO markdown, NO explanation, NO code blocks. ONLY the raw JSON object.\n\nSchema:\n\`\`\`json\n${schemaStr}\n\`\`\`\n\nYour response must be ONLY valid JSON. Start with { and end with }. Nothing else.`;
+  }
+
+  const args = [RUN_SCRIPT];
+
+  if (endpoint.format) {
+    args.push('--format', endpoint.format);
+  }
+
+  if (endpoint.baseUrl) {
+    args.push('--base-url', endpoint.baseUrl);
+  }
+
+  if (endpoint.apiKeyEnv) {
+    args.push('--api-key-env', endpoint.apiKeyEnv);
+  }
+
+  if (endpoint.maxTurns) {
+    args.push('--max-turns', String(endpoint.maxTurns));
+  }
+
+  if (modelSpec?.model) {
+    args.push('--model', modelSpec.model);
+  }
+
+  if (cwd) {
+    args.push('--cwd', cwd);
+  }
+
+  // "--" so a prompt starting with a dash is not read as an option
+  args.push('--', finalContext);
+
+  return {
+    // The "CLI" is run.js on the node running zeroshot, so nothing needs installing
+    binary: process.execPath,
+    args,
+    env: {},
+  };
+}
+
+module.exports = {
+  RUN_SCRIPT,
+  buildCommand,
+};
@@ -0,0 +1,232 @@
+/**
+ * Chat client for OpenAI-compatible and Anthropic Messages endpoints
+ *
+ * The agent loop keeps its conversation in one neutral shape and the client
+ * translates it to the endpoint's wire format:
+ *
+ *   { role: 'user', content: string }
+ *   { role: 'assistant', text: string, toolCalls: [{ id, name, input }] }
+ *   { role: 'tool', results: [{ id, content, isError }] }
+ *
+ * complete() returns { text, toolCalls, usage: { inputTokens, outputTokens } }.
+ */
+
+const { requestJson } = require('../../lib/http-json');
+const { API_FORMATS } = require('./models');
+
+const DEFAULT_MAX_TOKENS = 8192;
+const REQUEST_TIMEOUT_MS = 10 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 1000;
+
+function toOpenAIMessages(system, messages) {
+  const wire = system ? [{ role: 'system', content: system }] : [];
+  for (const message of messages) {
+    if (message.role === 'user') {
+      wire.push({ role: 'user', content: message.content });
+    } else if (message.role === 'assistant') {
+      wire.push({
+        role: 'assistant',
+        content: message.text || null,
+        ...(message.toolCalls.length > 0 && {
+          tool_calls: message.toolCalls.map((call) => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.input) },
+          })),
+        }),
+      });
+    } else {
+      for (const result of message.results) {
+        wire.push({ role: 'tool', tool_call_id: result.id, content: result.content });
+      }
+    }
+  }
+  return wire;
+}
+
+function parseArguments(value) {
+  if (typeof value !== 'string') return value || {};
+  try {
+    return JSON.parse(value || '{}');
+  } catch {
+    // The tool reports the bad input back to the model
+    return { _invalidArguments: value };
+  }
+}
+
+const openai = {
+  path: '/chat/completions',
+
+  headers(apiKey) {
+    return apiKey ? { authorization: `Bearer ${apiKey}` } : {};
+  },
+
+  body({ system, messages, tools = [], model, maxTokens }) {
+    return {
+      ...(model && { model }),
+      messages: toOpenAIMessages(system, messages),
+      ...(tools.length > 0 && {
+        tools: tools.map((tool) => ({
+          type: 'function',
+          function: { name: tool.name, description: tool.description, parameters: tool.parameters },
+        })),
+      }),
+      ...(maxTokens && { max_tokens: maxTokens }),
+    };
+  },
+
+  reply(response) {
+    const message = response.choices?.[0]?.message || {};
+    const usage = response.usage || {};
+    return {
+      text: message.content || '',
+      toolCalls: (message.tool_calls || []).map((call, index) => ({
+        id: call.id || `call_${index}`,
+        name: call.function?.name,
+        input: parseArguments(call.function?.arguments),
+      })),
+      usage: { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 },
+    };
+  },
+};
+
+function toAnthropicMessages(messages) {
+  return messages.map((message) => {
+    if (message.role === 'user') {
+      return { role: 'user', content: message.content };
+    }
+    if (message.role === 'assistant') {
+      return {
+        role: 'assistant',
+        content: [
+          ...(message.text ? [{ type: 'text', text: message.text }] : []),
+          ...message.toolCalls.map((call) => ({
+            type: 'tool_use',
+            id: call.id,
+            name: call.name,
+            input: call.input,
+          })),
+        ],
+      };
+    }
+    return {
+      role: 'user',
+      content: message.results.map((result) => ({
+        type: 'tool_result',
+        tool_use_id: result.id,
+        content: result.content,
+        is_error: result.isError,
+      })),
+    };
+  });
+}
+
+const anthropic = {
+  path: '/v1/messages',
+
+  headers(apiKey) {
+    return {
+      'anthropic-version': '2023-06-01',
+      ...(apiKey && { 'x-api-key': apiKey }),
+    };
+  },
+
+  body({ system, messages, tools = [], model, maxTokens }) {
+    return {
+      ...(model && { model }),
+      max_tokens: maxTokens || DEFAULT_MAX_TOKENS,
+      ...(system && { system }),
+      messages: toAnthropicMessages(messages),
+      ...(tools.length > 0 && {
+        tools: tools.map((tool) => ({
+          name: tool.name,
+          description: tool.description,
+          input_schema: tool.parameters,
+        })),
+      }),
+    };
+  },
+
+  reply(response) {
+    const content = response.content || [];
+    const usage = response.usage || {};
+    return {
+      text: content
+        .filter((block) => block.type === 'text')
+        .map((block) => block.text)
+        .join(''),
+      toolCalls: content
+        .filter((block) => block.type === 'tool_use')
+        .map((block) => ({ id: block.id, name: block.name, input: block.input || {} })),
+      usage: { inputTokens: usage.input_tokens || 0, outputTokens: usage.output_tokens || 0 },
+    };
+  },
+};
+
+const DIALECTS = { openai, anthropic };
+
+function isRetryable(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Create a client for one endpoint
+ * @param {Object} options
+ * @param {string} options.format - 'openai' or 'anthropic'
+ * @param {string} [options.baseUrl] - Defaults to the format's hosted API
+ * @param {string} [options.apiKey] - Sent as bearer token / x-api-key when set
+ * @returns {{ complete: Function }}
+ */
+function createClient({ format, baseUrl, apiKey }) {
+  const dialect = DIALECTS[format];
+  if (!dialect) {
+    throw new Error(`Unknown API format "${format}". Valid: ${Object.keys(DIALECTS).join(', ')}`);
+  }
+  const root = (baseUrl || API_FORMATS[format].baseUrl).replace(/\/+$/, '');
+  // Accept base URLs given with or without the endpoint's version prefix
+  const url =
+    root.endsWith('/v1') && dialect.path.startsWith('/v1/')
+      ? root + dialect.path.slice(3)
+      : root + dialect.path;
+
+  async function post(body) {
+    let lastError = null;
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      try {
+        return await requestJson(url, {
+          method: 'POST',
+          headers: dialect.headers(apiKey),
+          body,
+          timeoutMs: REQUEST_TIMEOUT_MS,
+        });
+      } catch (err) {
+        const detail = err.body ? `: ${err.body.slice(0, 500)}` : '';
+        lastError = new Error(`API request to ${url} failed (${err.message})${detail}`);
+        // Network errors, rate limits and server errors are worth another try
+        if (err.statusCode && !isRetryable(err.statusCode)) break;
+      }
+      if (attempt < MAX_ATTEMPTS) {
+        await new Promise((resolve) => setTimeout(resolve, RETRY_DELAY_MS * attempt));
+      }
+    }
+    throw lastError;
+  }
+
+  return {
+    format,
+    url,
+    /**
+     * One model turn
+     * @param {{ system?: string, messages: Object[], tools?: Object[], model?: string, maxTokens?: number }} request
+     * @returns {Promise<{ text: string, toolCalls: Object[], usage: Object }>}
+     */
+    async complete(request) {
+      return dialect.reply(await post(dialect.body(request)));
+    },
+  };
+}
+
+module.exports = {
+  createClient,
+};
@@ -0,0 +1,192 @@
+const BaseProvider = require('../base-provider');
+const { loadSettings } = require('../../../lib/settings');
+const { buildCommand, RUN_SCRIPT } = require('./cli-builder');
+const { parseEvent } = require('./output-parser');
+const { createClient } = require('./client');
+const {
+  MODEL_CATALOG,
+  LEVEL_MAPPING,
+  DEFAULT_LEVEL,
+  DEFAULT_MAX_LEVEL,
+  DEFAULT_MIN_LEVEL,
+  API_FORMATS,
+  DEFAULT_FORMAT,
+} = require('./models');
+
+const ENDPOINT_FIELDS = ['format', 'baseUrl', 'apiKeyEnv', 'maxTurns'];
+
+/**
+ * Talks to an OpenAI-compatible or Anthropic Messages endpoint directly instead
+ * of driving a vendor CLI. Tasks run src/providers/api/run.js, which carries out
+ * the tool loop itself, so clusters run anywhere node does (CI images, local
+ * llama.cpp / vLLM servers, mock servers in tests).
+ */
+class ApiProvider extends BaseProvider {
+  constructor() {
+    super({ name: 'api', displayName: 'HTTP API', cliCommand: null });
+  }
+
+  /**
+   * Endpoint from providerSettings.api, overridden by ZEROSHOT_API_* env vars
+   * @returns {{ format: string, baseUrl: string|null, apiKeyEnv: string|null, maxTurns: number|null }}
+   */
+  getEndpoint() {
+    const settings = loadSettings().providerSettings?.api || {};
+    return {
+      format: process.env.ZEROSHOT_API_FORMAT || settings.format || DEFAULT_FORMAT,
+      baseUrl: process.env.ZEROSHOT_API_BASE_URL || settings.baseUrl || null,
+      apiKeyEnv: settings.apiKeyEnv || null,
+      maxTurns: settings.maxTurns || null,
+    };
+  }
+
+  _getApiKey(endpoint) {
+    return (
+      (endpoint.apiKeyEnv && process.env[endpoint.apiKeyEnv]) ||
+      process.env.ZEROSHOT_API_KEY ||
+      process.env[API_FORMATS[endpoint.format]?.apiKeyEnv] ||
+      undefined
+    );
+  }
+
+  // Usable with a configured endpoint (local servers often need no key) or a key
+  // for the format's hosted API
+  isAvailable() {
+    const endpoint = this.getEndpoint();
+    return !!(endpoint.baseUrl || this._getApiKey(endpoint));
+  }
+
+  getCliPath() {
+    return RUN_SCRIPT;
+  }
+
+  getInstallInstructions() {
+    return (
+      'Built in. Point it at an endpoint: ' +
+      `zeroshot settings set providerSettings '{"api":{"baseUrl":"http://localhost:8080/v1"}}'`
+    );
+  }
+
+  getAuthInstructions() {
+    return 'Set ZEROSHOT_API_KEY (or the variable named in providerSettings.api.apiKeyEnv)';
+  }
+
+  getCliFeatures() {
+    return {};
+  }
+
+  buildCommand(context, options) {
+    return buildCommand(context, { ...options, endpoint: this.getEndpoint() });
+  }
+
+  parseEvent(line) {
+    return parseEvent(line);
+  }
+
+  getSDKEnvVar() {
+    return this.getEndpoint().apiKeyEnv || 'ZEROSHOT_API_KEY';
+  }
+
+  isSDKConfigured() {
+    return this.isAvailable();
+  }
+
+  /**
+   * One completion without tools
+   * @param {string} prompt
+   * @param {{ level?: string, model?: string, maxTokens?: number }} [options]
+   * @returns {Promise<{success: boolean, text: string, usage?: Object, error?: string}>}
+   */
+  async callSDK(prompt, options = {}) {
+    const endpoint = this.getEndpoint();
+    const levelOverrides = loadSettings().providerSettings?.api?.levelOverrides || {};
+    const model =
+      options.model ||
+      this.resolveModelSpec(options.level || this.getDefaultLevel(), levelOverrides).model;
+    try {
+      const client = createClient({
+        format: endpoint.format,
+        baseUrl: endpoint.baseUrl,
+        apiKey: this._getApiKey(endpoint),
+      });
+      const reply = await client.complete({
+        messages: [{ role: 'user', content: prompt }],
+        model,
+        maxTokens: options.maxTokens,
+      });
+      return { success: true, text: reply.text, usage: reply.usage };
+    } catch (err) {
+      return { success: false, text: '', error: err.message };
+    }
+  }
+
+  callSimple(prompt, options = {}) {
+    return this.callSDK(prompt, options);
+  }
+
+  getModelCatalog() {
+    return MODEL_CATALOG;
+  }
+
+  getLevelMapping() {
+    return LEVEL_MAPPING;
+  }
+
+  getDefaultLevel() {
+    return DEFAULT_LEVEL;
+  }
+
+  getDefaultMaxLevel() {
+    return DEFAULT_MAX_LEVEL;
+  }
+
+  getDefaultMinLevel() {
+    return DEFAULT_MIN_LEVEL;
+  }
+
+  /**
+   * Validate endpoint settings on top of the level fields
+   * @override
+   */
+  validateSettings(settings) {
+    const baseError = super.validateSettings(settings);
+    if (baseError) return baseError;
+
+    if (settings.format !== undefined && !API_FORMATS[settings.format]) {
+      return `providerSettings.api.format must be one of: ${Object.keys(API_FORMATS).join(', ')}`;
+    }
+    if (
+      settings.baseUrl !== undefined &&
+      settings.baseUrl !== null &&
+      !/^https?:\/\/\S+$/.test(settings.baseUrl)
+    ) {
+      return 'providerSettings.api.baseUrl must be an http(s) URL';
+    }
+    if (
+      settings.apiKeyEnv !== undefined &&
+      settings.apiKeyEnv !== null &&
+      typeof settings.apiKeyEnv !== 'string'
+    ) {
+      return 'providerSettings.api.apiKeyEnv must be a string or null';
+    }
+    if (
+      settings.maxTurns !== undefined &&
+      settings.maxTurns !== null &&
+      !(Number.isInteger(settings.maxTurns) && settings.maxTurns > 0)
+    ) {
+      return 'providerSettings.api.maxTurns must be a positive integer';
+    }
+
+    return null;
+  }
+
+  /**
+   * Endpoint setting field names
+   * @override
+   */
+  getSettingsFields() {
+    return [...super.getSettingsFields(), ...ENDPOINT_FIELDS];
+  }
+}
+
+module.exports = ApiProvider;
@@ -0,0 +1,34 @@
+// HTTP API endpoints serve whatever model they were configured with.
+// Set models per level in providerSettings.api.levelOverrides (or pass --model);
+// a null model is left out of the request (llama.cpp and most local servers ignore it).
+const MODEL_CATALOG = {};
+
+const LEVEL_MAPPING = {
+  level1: { rank: 1, model: null },
+  level2: { rank: 2, model: null },
+  level3: { rank: 3, model: null },
+};
+
+const DEFAULT_LEVEL = 'level2';
+const DEFAULT_MAX_LEVEL = 'level3';
+const DEFAULT_MIN_LEVEL = 'level1';
+
+// Wire formats the API runner speaks, with their hosted defaults
+const API_FORMATS = {
+  openai: { baseUrl: 'https://api.openai.com/v1', apiKeyEnv: 'OPENAI_API_KEY' },
+  anthropic: { baseUrl: 'https://api.anthropic.com', apiKeyEnv: 'ANTHROPIC_API_KEY' },
+};
+
+const DEFAULT_FORMAT = 'openai';
+const DEFAULT_MAX_TURNS = 50;
+
+module.exports = {
+  MODEL_CATALOG,
+  LEVEL_MAPPING,
+  DEFAULT_LEVEL,
+  DEFAULT_MAX_LEVEL,
+  DEFAULT_MIN_LEVEL,
+  API_FORMATS,
+  DEFAULT_FORMAT,
+  DEFAULT_MAX_TURNS,
+};
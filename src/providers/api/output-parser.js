@@ -0,0 +1,19 @@
+// run.js already prints normalized events, one JSON object per line
+const EVENT_TYPES = new Set(['text', 'thinking', 'tool_call', 'tool_result', 'result']);
+
+function parseEvent(line) {
+  let event;
+  try {
+    event = JSON.parse(line);
+  } catch {
+    return null;
+  }
+  if (!event || typeof event !== 'object' || !EVENT_TYPES.has(event.type)) {
+    return null;
+  }
+  return event;
+}
+
+module.exports = {
+  parseEvent,
+};
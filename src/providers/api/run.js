@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * Entry point of the API provider: runs one task against an HTTP endpoint
+ *
+ * Spawned by `zeroshot task run` in place of a vendor CLI (see cli-builder.js).
+ * Prints one normalized event per line on stdout and exits non-zero on failure,
+ * so the task watcher, logs and output parsing work as for any other provider.
+ *
+ * Usage: run.js [--format openai|anthropic] [--base-url URL] [--api-key-env VAR]
+ *               [--model MODEL] [--max-turns N] [--cwd DIR] <prompt>
+ */
+
+const { parseArgs } = require('util');
+const { createClient } = require('./client');
+const { runAgentLoop } = require('./agent-loop');
+const { API_FORMATS, DEFAULT_FORMAT, DEFAULT_MAX_TURNS } = require('./models');
+
+function emit(event) {
+  process.stdout.write(JSON.stringify(event) + '\n');
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      format: { type: 'string', default: DEFAULT_FORMAT },
+      'base-url': { type: 'string' },
+      'api-key-env': { type: 'string' },
+      model: { type: 'string' },
+      'max-turns': { type: 'string' },
+      cwd: { type: 'string' },
+    },
+  });
+
+  const prompt = positionals[positionals.length - 1];
+  if (!prompt) {
+    throw new Error('No prompt given');
+  }
+  const format = values.format;
+  // Keys come from the environment only, never from argv (visible in ps)
+  const apiKeyEnv = values['api-key-env'];
+  const apiKey =
+    (apiKeyEnv && process.env[apiKeyEnv]) ||
+    process.env.ZEROSHOT_API_KEY ||
+    process.env[API_FORMATS[format]?.apiKeyEnv] ||
+    undefined;
+
+  const client = createClient({ format, baseUrl: values['base-url'], apiKey });
+  await runAgentLoop({
+    prompt,
+    client,
+    cwd: values.cwd || process.cwd(),
+    model: values.model || null,
+    maxTurns: Number(values['max-turns']) || DEFAULT_MAX_TURNS,
+    onEvent: emit,
+  });
+}
+
+main().catch((err) => {
+  emit({ type: 'result', success: false, error: err.message });
+  process.exit(1);
+});
@@ -0,0 +1,164 @@
+/**
+ * Tools the API runner gives the model: read/write/edit files and run shell
+ * commands, all in the agent's working directory
+ *
+ * File paths are relative to the working directory and may not leave it.
+ * Every tool returns { content, isError }; failures go back to the model
+ * instead of ending the task.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { exec } = require('../../lib/safe-exec');
+
+const MAX_RESULT_CHARS = 50000;
+const SHELL_TIMEOUT_MS = 10 * 60 * 1000;
+
+const TOOLS = [
+  {
+    name: 'read_file',
+    description: 'Read a text file. Paths are relative to the working directory.',
+    parameters: {
+      type: 'object',
+      properties: { path: { type: 'string' } },
+      required: ['path'],
+    },
+  },
+  {
+    name: 'write_file',
+    description: 'Create or overwrite a file with the given content. Creates parent directories.',
+    parameters: {
+      type: 'object',
+      properties: { path: { type: 'string' }, content: { type: 'string' } },
+      required: ['path', 'content'],
+    },
+  },
+  {
+    name: 'edit_file',
+    description:
+      'Replace old_string with new_string in a file. old_string must occur exactly once; include surrounding lines to make it unique.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string' },
+        old_string: { type: 'string' },
+        new_string: { type: 'string' },
+      },
+      required: ['path', 'old_string', 'new_string'],
+    },
+  },
+  {
+    name: 'run_shell',
+    description:
+      'Run a shell command in the working directory (build, tests, git, ls, grep, ...). Returns exit code, stdout and stderr.',
+    parameters: {
+      type: 'object',
+      properties: { command: { type: 'string' } },
+      required: ['command'],
+    },
+  },
+];
+
+function truncate(text) {
+  if (text.length <= MAX_RESULT_CHARS) return text;
+  return `${text.slice(0, MAX_RESULT_CHARS)}\n[... truncated ${text.length - MAX_RESULT_CHARS} characters]`;
+}
+
+function resolveInside(cwd, file) {
+  if (typeof file !== 'string' || !file) {
+    throw new Error('path is required');
+  }
+  const root = path.resolve(cwd);
+  const resolved = path.resolve(root, file);
+  if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+    throw new Error(`${file} is outside the working directory`);
+  }
+  return resolved;
+}
+
+function readFile(input, cwd) {
+  return truncate(fs.readFileSync(resolveInside(cwd, input.path), 'utf8'));
+}
+
+function writeFile(input, cwd) {
+  const file = resolveInside(cwd, input.path);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, String(input.content ?? ''));
+  return `Wrote ${input.path}`;
+}
+
+function editFile(input, cwd) {
+  const file = resolveInside(cwd, input.path);
+  const text = fs.readFileSync(file, 'utf8');
+  const oldString = String(input.old_string ?? '');
+  const count = oldString ? text.split(oldString).length - 1 : 0;
+  if (count !== 1) {
+    throw new Error(
+      `old_string must occur exactly once in ${input.path} (found ${count} occurrences)`
+    );
+  }
+  fs.writeFileSync(
+    file,
+    text.replace(oldString, () => String(input.new_string ?? ''))
+  );
+  return `Edited ${input.path}`;
+}
+
+function runShell(input, cwd) {
+  return new Promise((resolve) => {
+    exec(
+      String(input.command || ''),
+      { cwd, timeout: SHELL_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 },
+      (error, stdout, stderr) => {
+        const code = error ? (typeof error.code === 'number' ? error.code : 1) : 0;
+        const note = error?.killed ? `\n${error.message}` : '';
+        resolve({
+          content: truncate(`exit code: ${code}\nstdout:\n${stdout}\nstderr:\n${stderr}${note}`),
+          isError: code !== 0,
+        });
+      }
+    );
+  });
+}
+
+const HANDLERS = {
+  read_file: readFile,
+  write_file: writeFile,
+  edit_file: editFile,
+};
+
+/**
+ * Run one tool call
+ * @param {string} name
+ * @param {Object} input - Parsed tool arguments
+ * @param {string} cwd - Agent working directory
+ * @returns {Promise<{ content: string, isError: boolean }>}
+ */
+function runTool(name, input, cwd) {
+  if (input?._invalidArguments !== undefined) {
+    return Promise.resolve({
+      content: `Arguments are not valid JSON: ${input._invalidArguments}`,
+      isError: true,
+    });
+  }
+  if (name === 'run_shell') {
+    return runShell(input, cwd);
+  }
+  const handler = HANDLERS[name];
+  if (!handler) {
+    return Promise.resolve({
+      content: `Unknown tool ${name}. Available: ${TOOLS.map((tool) => tool.name).join(', ')}`,
+      isError: true,
+    });
+  }
+  try {
+    return Promise.resolve({ content: handler(input || {}, cwd), isError: false });
+  } catch (err) {
+    return Promise.resolve({ content: err.message, isError: true });
+  }
+}
+
+module.exports = {
+  TOOLS,
+  runTool,
+};
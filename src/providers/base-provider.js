@@ -195,9 +195,12 @@ class BaseProvider {
    * @returns {Object} Default settings object
    */
   getDefaultSettings() {
+    // Without getDefaultMaxLevel/getDefaultMinLevel, the level mapping's ends are the bounds
+    const levels = this.getLevelMapping();
+    const ranked = Object.keys(levels).sort((a, b) => levels[a].rank - levels[b].rank);
     return {
-      maxLevel: this.getDefaultMaxLevel?.() || 'level3',
-      minLevel: this.getDefaultMinLevel?.() || 'level1',
+      maxLevel: this.getDefaultMaxLevel?.() || ranked[ranked.length - 1] || 'level3',
+      minLevel: this.getDefaultMinLevel?.() || ranked[0] || 'level1',
       defaultLevel: this.getDefaultLevel() || 'level2',
       levelOverrides: {},
     };
@@ -1,4 +1,5 @@
 const { normalizeProviderName } = require('../../lib/provider-names');
+const { getProviderPlugins } = require('./plugins');
 
 const CAPABILITIES = {
   claude: {
@@ -37,17 +38,43 @@ const CAPABILITIES = {
     thinkingMode: true,
     reasoningEffort: true,
   },
+  api: {
+    dockerIsolation: true,
+    worktreeIsolation: true,
+    mcpServers: false,
+    jsonSchema: 'experimental',
+    streamJson: true,
+    thinkingMode: false,
+    reasoningEffort: false,
+  },
 };
 
+// Plugins declare capabilities as a static `capabilities` object; the rest are off
+const NO_CAPABILITIES = Object.fromEntries(
+  Object.keys(CAPABILITIES.claude).map((key) => [key, false])
+);
+
+/**
+ * Capability flags of a built-in or plugin provider
+ * @param {string} provider
+ * @returns {Object|null} null for unknown providers
+ */
+function getCapabilities(provider) {
+  const normalized = normalizeProviderName(provider);
+  if (CAPABILITIES[normalized]) return CAPABILITIES[normalized];
+  const plugin = getProviderPlugins().find((candidate) => candidate.name === normalized);
+  return plugin ? { ...NO_CAPABILITIES, ...plugin.capabilities } : null;
+}
+
 function checkCapability(provider, capability) {
-  const caps = CAPABILITIES[normalizeProviderName(provider)];
+  const caps = getCapabilities(provider);
   if (!caps) return false;
   return caps[capability] === true;
 }
 
 function warnIfExperimental(provider, capability) {
   const normalized = normalizeProviderName(provider);
-  const caps = CAPABILITIES[normalized];
+  const caps = getCapabilities(normalized);
   if (caps?.[capability] === 'experimental') {
     console.warn(`⚠️ ${capability} is experimental for ${normalized} and may not work reliably`);
   }
@@ -55,6 +82,7 @@ function warnIfExperimental(provider, capability) {
 
 module.exports = {
   CAPABILITIES,
+  getCapabilities,
   checkCapability,
   warnIfExperimental,
 };
@@ -1,5 +1,31 @@
+const { writePrivateConfigFile } = require('../mcp-servers');
+
+/**
+ * Gemini CLI has no MCP flag; servers go in a settings file that
+ * GEMINI_CLI_SYSTEM_SETTINGS_PATH points it at
+ * @param {Object} mcpServers - Server map (see src/providers/mcp-servers.js)
+ * @returns {{ file: string, dir: string }} Settings file and its private dir
+ */
+function writeMcpSettingsFile(mcpServers) {
+  const servers = {};
+  for (const [name, server] of Object.entries(mcpServers)) {
+    servers[name] = server.url
+      ? { httpUrl: server.url, headers: server.headers }
+      : { command: server.command, args: server.args, env: server.env };
+  }
+  return writePrivateConfigFile('gemini-settings.json', { mcpServers: servers });
+}
+
 function buildCommand(context, options = {}) {
-  const { modelSpec, outputFormat, jsonSchema, cwd, autoApprove, cliFeatures = {} } = options;
+  const {
+    modelSpec,
+    outputFormat,
+    jsonSchema,
+    mcpServers,
+    cwd,
+    autoApprove,
+    cliFeatures = {},
+  } = options;
 
   // Augment context with schema if provided (Gemini CLI doesn't support native schema enforcement)
   let finalContext = context;
@@ -43,10 +69,19 @@ Your response must be ONLY valid JSON. Start with { and end with }. Nothing else
     args.push('--yolo');
   }
 
+  const env = {};
+  const cleanup = [];
+  if (mcpServers) {
+    const { file, dir } = writeMcpSettingsFile(mcpServers);
+    env.GEMINI_CLI_SYSTEM_SETTINGS_PATH = file;
+    cleanup.push(dir);
+  }
+
   return {
     binary: 'gemini',
     args,
-    env: {},
+    env,
+    cleanup, // Temp files to delete after command completes
   };
 }
 
@@ -41,13 +41,23 @@ function parseToolResultEvent(event, state) {
   };
 }
 
-function parseResultEvent(event) {
-  return {
+function parseResultEvent(event, state) {
+  const result = {
     type: 'result',
     success: event.success !== false,
     result: event.result || '',
     error: event.success === false ? event.error || 'Result failed' : null,
   };
+  if (event.stats) {
+    result.inputTokens = event.stats.input_tokens || 0;
+    result.outputTokens = event.stats.output_tokens || 0;
+    result.duration = event.stats.duration_ms;
+  }
+  // The CLI names its model only in the init event
+  if (state.model) {
+    result.model = state.model;
+  }
+  return result;
 }
 
 function parseEvent(line, state = {}, options = {}) {
@@ -60,6 +70,7 @@ function parseEvent(line, state = {}, options = {}) {
 
   switch (event.type) {
     case 'init':
+      state.model = event.model || null;
       return null;
     case 'message':
       return parseMessageEvent(event);
@@ -68,7 +79,7 @@ function parseEvent(line, state = {}, options = {}) {
     case 'tool_result':
       return parseToolResultEvent(event, state);
     case 'result':
-      return parseResultEvent(event);
+      return parseResultEvent(event, state);
     default:
       if (options.onUnknown) {
         options.onUnknown(event.type, event);
@@ -2,6 +2,8 @@ const AnthropicProvider = require('./anthropic');
 const OpenAIProvider = require('./openai');
 const GoogleProvider = require('./google');
 const OpencodeProvider = require('./opencode');
+const ApiProvider = require('./api');
+const { getProviderPlugins } = require('./plugins');
 const { normalizeProviderName } = require('../../lib/provider-names');
 
 const PROVIDERS = {
@@ -9,20 +11,34 @@ const PROVIDERS = {
   codex: OpenAIProvider,
   gemini: GoogleProvider,
   opencode: OpencodeProvider,
+  api: ApiProvider,
 };
 
+/**
+ * Built-in providers plus the plugins declared in settings (see plugins.js)
+ * @returns {Object<string, Function>} Provider name -> class
+ */
+function getProviderClasses() {
+  const providers = { ...PROVIDERS };
+  for (const plugin of getProviderPlugins()) {
+    providers[plugin.name] = plugin.Provider;
+  }
+  return providers;
+}
+
 function getProvider(name) {
   const normalized = normalizeProviderName(name || '');
-  const Provider = PROVIDERS[normalized];
+  const providers = getProviderClasses();
+  const Provider = providers[normalized];
   if (!Provider) {
-    throw new Error(`Unknown provider: ${name}. Valid: ${Object.keys(PROVIDERS).join(', ')}`);
+    throw new Error(`Unknown provider: ${name}. Valid: ${Object.keys(providers).join(', ')}`);
   }
   return new Provider();
 }
 
 async function detectProviders() {
   const results = {};
-  for (const [name, Provider] of Object.entries(PROVIDERS)) {
+  for (const [name, Provider] of Object.entries(getProviderClasses())) {
     const provider = new Provider();
     results[name] = {
       available: await provider.isAvailable(),
@@ -32,7 +48,12 @@ async function detectProviders() {
 }
 
 function listProviders() {
-  return Object.keys(PROVIDERS);
+  return Object.keys(getProviderClasses());
+}
+
+function isPluginProvider(name) {
+  const normalized = normalizeProviderName(name || '');
+  return getProviderPlugins().some((plugin) => plugin.name === normalized);
 }
 
 function stripTimestampPrefix(line) {
@@ -86,6 +107,7 @@ module.exports = {
   getProvider,
   detectProviders,
   listProviders,
+  isPluginProvider,
   parseProviderChunk,
   parseChunkWithProvider,
 };
@@ -0,0 +1,154 @@
+/**
+ * MCP servers - one provider-agnostic format for agent `mcpServers` and the
+ * `mcpServers` setting, translated by each provider's cli-builder
+ *
+ * Format (the mcpServers object of Claude's .mcp.json):
+ *   { "<name>": { "command": "npx", "args": [...], "env": {...} } }  stdio
+ *   { "<name>": { "url": "https://...", "headers": {...} } }         HTTP
+ *
+ * Settings list servers every agent gets; an agent's own entries win by name and
+ * `false` turns a settings server off for that agent. `${VAR}` in any string is
+ * expanded when the task starts (inside the container in Docker isolation).
+ * Expanded servers can hold secrets, so builders keep them off the provider CLI's
+ * argv (visible in ps): in a private file or in its environment.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SERVER_FIELDS = ['command', 'args', 'env', 'url', 'headers'];
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isStringMap(value) {
+  return isPlainObject(value) && Object.values(value).every((v) => typeof v === 'string');
+}
+
+/**
+ * Validate one server definition
+ * @returns {string|null} Error message if invalid, null if valid
+ */
+function validateServer(label, server) {
+  if (!isPlainObject(server)) {
+    return `${label} must be an object with a command or url`;
+  }
+  const unknown = Object.keys(server).find((key) => !SERVER_FIELDS.includes(key));
+  if (unknown) {
+    return `${label} has unknown field "${unknown}" (valid: ${SERVER_FIELDS.join(', ')})`;
+  }
+  const hasCommand = typeof server.command === 'string' && server.command.trim() !== '';
+  const hasUrl = typeof server.url === 'string' && /^https?:\/\/\S+$/.test(server.url);
+  if (hasCommand === hasUrl) {
+    return `${label} needs either a command or an http(s) url`;
+  }
+  if (
+    server.args !== undefined &&
+    (!Array.isArray(server.args) || server.args.some((arg) => typeof arg !== 'string'))
+  ) {
+    return `${label}.args must be an array of strings`;
+  }
+  for (const field of ['env', 'headers']) {
+    if (server[field] !== undefined && !isStringMap(server[field])) {
+      return `${label}.${field} must be an object of strings`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate an mcpServers object
+ * @param {*} value
+ * @param {string} [label='mcpServers'] - Prefix for error messages
+ * @param {{ allowDisable?: boolean }} [options] - Accept `false` entries (agent configs)
+ * @returns {string|null} Error message if invalid, null if valid
+ */
+function validateMcpServers(value, label = 'mcpServers', options = {}) {
+  if (!isPlainObject(value)) {
+    return `${label} must be an object of server name -> { command, args, env } or { url, headers }`;
+  }
+  for (const [name, server] of Object.entries(value)) {
+    if (server === false && options.allowDisable) continue;
+    const error = validateServer(`${label}.${name}`, server);
+    if (error) return error;
+  }
+  return null;
+}
+
+/**
+ * Servers an agent runs with: the settings set overlaid with the agent's own
+ * @param {Object} [agentServers] - Agent config mcpServers
+ * @param {Object} [settingsServers] - mcpServers setting
+ * @returns {Object} Server map, empty when there are none
+ */
+function resolveMcpServers(agentServers, settingsServers) {
+  const merged = { ...(settingsServers || {}), ...(agentServers || {}) };
+  return Object.fromEntries(Object.entries(merged).filter(([, server]) => server !== false));
+}
+
+function expandString(value, env) {
+  return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (_, name) => env[name] ?? '');
+}
+
+/**
+ * Expand ${VAR} references in every string of every server
+ * @param {Object} servers
+ * @param {Object} [env=process.env]
+ * @returns {Object}
+ */
+function expandMcpServers(servers, env = process.env) {
+  const expand = (value) => {
+    if (typeof value === 'string') return expandString(value, env);
+    if (Array.isArray(value)) return value.map(expand);
+    if (isPlainObject(value)) {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, expand(v)]));
+    }
+    return value;
+  };
+  return expand(servers);
+}
+
+/**
+ * Read the value of `zeroshot task run --mcp-config`: inline JSON or a file
+ * path, holding either the server map or { mcpServers: {...} }
+ * @param {string} value
+ * @returns {Object} Server map with ${VAR} expanded
+ */
+function loadMcpConfig(value) {
+  const raw = value.trim().startsWith('{') ? value : fs.readFileSync(value, 'utf8');
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Invalid MCP config: ${err.message}`);
+  }
+  const servers = isPlainObject(parsed?.mcpServers) ? parsed.mcpServers : parsed;
+  const error = validateMcpServers(servers);
+  if (error) {
+    throw new Error(`Invalid MCP config: ${error}`);
+  }
+  return expandMcpServers(servers);
+}
+
+/**
+ * Write expanded servers to a file only the user can read, in a private temp dir
+ * @param {string} fileName
+ * @param {Object} content - JSON content
+ * @returns {{ file: string, dir: string }} Remove dir (cleanup) when the task exits
+ */
+function writePrivateConfigFile(fileName, content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zeroshot-mcp-'));
+  const file = path.join(dir, fileName);
+  fs.writeFileSync(file, JSON.stringify(content, null, 2), { mode: 0o600 });
+  return { file, dir };
+}
+
+module.exports = {
+  validateMcpServers,
+  resolveMcpServers,
+  expandMcpServers,
+  loadMcpConfig,
+  writePrivateConfigFile,
+};
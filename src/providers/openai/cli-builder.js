@@ -52,8 +52,94 @@ function enforceStrictSchema(schema) {
   return result;
 }
 
+// TOML bare keys are limited to letters, digits, _ and -
+function tomlKey(key) {
+  return /^[A-Za-z0-9_-]+$/.test(key) ? key : JSON.stringify(key);
+}
+
+// JSON strings and string arrays are valid TOML; maps become inline tables
+function tomlValue(value) {
+  if (typeof value === 'object' && !Array.isArray(value)) {
+    const entries = Object.entries(value).map(([k, v]) => `${tomlKey(k)} = ${JSON.stringify(v)}`);
+    return `{ ${entries.join(', ')} }`;
+  }
+  return JSON.stringify(value);
+}
+
+// Variable carrying one server's header to codex (env_http_headers)
+function headerEnvName(serverName, header) {
+  return `ZEROSHOT_MCP_${serverName}_${header}`.toUpperCase().replace(/[^A-Z0-9_]/g, '_');
+}
+
+/**
+ * Config fields of one server. Env values and headers can hold secrets, so they
+ * are returned as variables for codex's environment and the fields only name them.
+ * @returns {{ fields: Object, vars: Array<[string, string]> }}
+ */
+function mcpServerFields(name, server) {
+  if (server.url) {
+    const headers = Object.keys(server.headers || {});
+    return {
+      fields: {
+        url: server.url,
+        env_http_headers: headers.length
+          ? Object.fromEntries(headers.map((header) => [header, headerEnvName(name, header)]))
+          : undefined,
+      },
+      vars: headers.map((header) => [headerEnvName(name, header), server.headers[header]]),
+    };
+  }
+  const vars = Object.entries(server.env || {});
+  return {
+    fields: {
+      command: server.command,
+      args: server.args,
+      env_vars: vars.length ? vars.map(([key]) => key) : undefined,
+    },
+    vars,
+  };
+}
+
+/**
+ * MCP servers as `--config mcp_servers.<name>.<field>=<toml>` overrides, plus the
+ * environment holding their env values and headers (kept out of argv, visible in ps)
+ * @param {Object|null} mcpServers - Server map (see src/providers/mcp-servers.js)
+ * @param {Object} cliFeatures
+ * @returns {{ args: string[], env: Object }}
+ */
+function buildMcpConfig(mcpServers, cliFeatures) {
+  const args = [];
+  const env = {};
+  if (!mcpServers || !cliFeatures.supportsConfigOverride) {
+    return { args, env };
+  }
+  for (const [name, server] of Object.entries(mcpServers)) {
+    const { fields, vars } = mcpServerFields(name, server);
+    for (const [key, value] of vars) {
+      if (key in env && env[key] !== value) {
+        throw new Error(`MCP servers set ${key} to different values; codex passes only one`);
+      }
+      env[key] = value;
+    }
+    for (const [field, value] of Object.entries(fields)) {
+      if (value !== undefined) {
+        args.push('--config', `mcp_servers.${tomlKey(name)}.${field}=${tomlValue(value)}`);
+      }
+    }
+  }
+  return { args, env };
+}
+
 function buildCommand(context, options = {}) {
-  const { modelSpec, outputFormat, jsonSchema, cwd, autoApprove, cliFeatures = {} } = options;
+  const {
+    modelSpec,
+    outputFormat,
+    jsonSchema,
+    mcpServers,
+    cwd,
+    autoApprove,
+    cliFeatures = {},
+  } = options;
 
   const args = ['exec'];
   const cleanup = []; // Files to cleanup after command completes
@@ -70,6 +156,9 @@ function buildCommand(context, options = {}) {
     args.push('--config', `model_reasoning_effort="${modelSpec.reasoningEffort}"`);
   }
 
+  const mcpConfig = buildMcpConfig(mcpServers, cliFeatures);
+  args.push(...mcpConfig.args);
+
   if (cwd && cliFeatures.supportsCwd) {
     args.push('-C', cwd);
   }
@@ -118,7 +207,7 @@ Your response must be ONLY valid JSON. Start with { and end with }. Nothing else
   return {
     binary: 'codex',
     args,
-    env: {},
+    env: mcpConfig.env,
     cleanup, // Temp files to delete after command completes
   };
 }
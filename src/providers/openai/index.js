@@ -89,6 +89,13 @@ class OpenAIProvider extends BaseProvider {
       );
     }
 
+    if (options.mcpServers && cliFeatures.supportsConfigOverride === false) {
+      this._warnOnce(
+        'codex-mcp',
+        'Codex CLI does not support --config overrides; running without MCP servers.'
+      );
+    }
+
     return buildCommand(context, { ...options, cliFeatures });
   }
 
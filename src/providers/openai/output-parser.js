@@ -92,12 +92,18 @@ function parseEvent(line, options = {}) {
 
     case 'turn.completed': {
       const usage = event.usage || event.response?.usage || {};
-      return {
+      const result = {
         type: 'result',
         success: true,
         inputTokens: usage.input_tokens || 0,
         outputTokens: usage.output_tokens || 0,
       };
+      // input_tokens includes cached ones; split them out as Claude reports them
+      if (usage.cached_input_tokens) {
+        result.inputTokens -= usage.cached_input_tokens;
+        result.cacheReadInputTokens = usage.cached_input_tokens;
+      }
+      return result;
     }
 
     case 'turn.failed':
@@ -1,5 +1,26 @@
+/**
+ * MCP servers in opencode's `mcp` config shape, passed inline through
+ * OPENCODE_CONFIG_CONTENT (merged over the user's own config)
+ * @param {Object} mcpServers - Server map (see src/providers/mcp-servers.js)
+ * @returns {string}
+ */
+function buildMcpConfigContent(mcpServers) {
+  const mcp = {};
+  for (const [name, server] of Object.entries(mcpServers)) {
+    mcp[name] = server.url
+      ? { type: 'remote', url: server.url, headers: server.headers, enabled: true }
+      : {
+          type: 'local',
+          command: [server.command, ...(server.args || [])],
+          environment: server.env,
+          enabled: true,
+        };
+  }
+  return JSON.stringify({ mcp });
+}
+
 function buildCommand(context, options = {}) {
-  const { modelSpec, outputFormat, jsonSchema, cwd, cliFeatures = {} } = options;
+  const { modelSpec, outputFormat, jsonSchema, mcpServers, cwd, cliFeatures = {} } = options;
 
   let finalContext = context;
   if (jsonSchema) {
@@ -33,7 +54,7 @@ function buildCommand(context, options = {}) {
   return {
     binary: 'opencode',
     args,
-    env: {},
+    env: mcpServers ? { OPENCODE_CONFIG_CONTENT: buildMcpConfigContent(mcpServers) } : {},
   };
 }
 
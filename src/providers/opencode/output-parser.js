@@ -33,12 +33,23 @@ function parseToolPart(part) {
 
 function parseStepFinish(part) {
   const tokens = part.tokens || {};
-  return {
+  const result = {
     type: 'result',
     success: true,
     inputTokens: tokens.input || 0,
     outputTokens: tokens.output || 0,
   };
+  if (tokens.cache?.read) {
+    result.cacheReadInputTokens = tokens.cache.read;
+  }
+  if (tokens.cache?.write) {
+    result.cacheCreationInputTokens = tokens.cache.write;
+  }
+  // Opencode prices each step itself
+  if (typeof part.cost === 'number') {
+    result.cost = part.cost;
+  }
+  return result;
 }
 
 function parsePart(part) {
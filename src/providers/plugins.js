@@ -0,0 +1,184 @@
+/**
+ * Provider plugins - third-party providers declared in settings
+ *
+ * settings.providerPlugins lists npm packages or module paths:
+ *
+ *   "providerPlugins": ["zeroshot-provider-aider", "./providers/internal-agent.js"]
+ *
+ * Relative paths are resolved against the settings directory (~/.zeroshot).
+ * Packages are looked up from there and from zeroshot's own install, so a global
+ * plugin is found next to a global zeroshot. The working directory is never
+ * searched: the repository being worked on must not be able to shadow a plugin.
+ *
+ * A plugin exports a BaseProvider subclass, or a function that receives
+ * { BaseProvider } and returns one (no dependency on zeroshot needed):
+ *
+ *   module.exports = ({ BaseProvider }) =>
+ *     class AiderProvider extends BaseProvider {
+ *       static capabilities = { worktreeIsolation: true, streamJson: true };
+ *       constructor() {
+ *         super({ name: 'aider', displayName: 'Aider', cliCommand: 'aider' });
+ *       }
+ *       buildCommand(context, options) { ... } // -> { binary, args, env, cleanup }
+ *       parseEvent(line) { ... } // -> text/tool_call/tool_result/result events
+ *       ...
+ *     };
+ *
+ * It must implement REQUIRED_METHODS like the built-in providers do.
+ * `static capabilities` uses the keys of capabilities.js; anything not
+ * declared is false.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BaseProvider = require('./base-provider');
+const { PROVIDER_ALIASES } = require('../../lib/provider-names');
+
+const REQUIRED_METHODS = [
+  'isAvailable',
+  'getCliPath',
+  'getInstallInstructions',
+  'getAuthInstructions',
+  'getCliFeatures',
+  'buildCommand',
+  'parseEvent',
+  'getModelCatalog',
+  'getLevelMapping',
+  'getDefaultLevel',
+];
+
+let loaded = null;
+
+function resolvePluginPath(spec, baseDir) {
+  if (spec.startsWith('~/')) {
+    return path.join(os.homedir(), spec.slice(2));
+  }
+  if (path.isAbsolute(spec)) {
+    return spec;
+  }
+  if (spec.startsWith('./') || spec.startsWith('../')) {
+    return path.resolve(baseDir, spec);
+  }
+  return require.resolve(spec, { paths: [baseDir, __dirname] });
+}
+
+function isProviderClass(exported) {
+  return (
+    exported?.prototype instanceof BaseProvider ||
+    typeof exported?.prototype?.buildCommand === 'function'
+  );
+}
+
+/**
+ * Load one plugin module and check its provider
+ * @param {string} spec - Package name or path
+ * @param {string} baseDir - Directory relative paths are resolved against
+ * @returns {{ name: string, Provider: Function, capabilities: Object, source: string }}
+ */
+function loadProviderPlugin(spec, baseDir) {
+  const exported = require(resolvePluginPath(spec, baseDir));
+  const candidate = exported?.default || exported;
+  const Provider = isProviderClass(candidate)
+    ? candidate
+    : typeof candidate === 'function'
+      ? candidate({ BaseProvider })
+      : null;
+  if (!isProviderClass(Provider)) {
+    throw new Error(`${spec} must export a BaseProvider subclass or a function returning one`);
+  }
+
+  const provider = new Provider();
+  const missing = REQUIRED_METHODS.filter(
+    (method) =>
+      typeof provider[method] !== 'function' || provider[method] === BaseProvider.prototype[method]
+  );
+  if (missing.length > 0) {
+    throw new Error(`${spec} does not implement ${missing.join(', ')}`);
+  }
+
+  const { name } = provider;
+  if (typeof name !== 'string' || !/^[a-z][a-z0-9-]*$/.test(name) || name === 'base') {
+    throw new Error(
+      `${spec} has an invalid provider name '${name}' (lowercase letters, digits and dashes)`
+    );
+  }
+  return { name, Provider, capabilities: Provider.capabilities || {}, source: spec };
+}
+
+/**
+ * Load plugin modules, skipping the ones that fail
+ * @param {string[]} specs - Package names or paths
+ * @param {string} baseDir - Directory relative paths are resolved against
+ * @returns {{ plugins: Object[], errors: string[] }}
+ */
+function loadProviderPlugins(specs, baseDir) {
+  const plugins = [];
+  const errors = [];
+  for (const spec of specs) {
+    try {
+      const plugin = loadProviderPlugin(spec, baseDir);
+      if (PROVIDER_ALIASES[plugin.name]) {
+        throw new Error(`${spec} uses the name of built-in provider '${plugin.name}'`);
+      }
+      const previous = plugins.find((other) => other.name === plugin.name);
+      if (previous) {
+        throw new Error(
+          `${spec} uses provider name '${plugin.name}' already taken by ${previous.source}`
+        );
+      }
+      plugins.push(plugin);
+    } catch (err) {
+      errors.push(err.message);
+    }
+  }
+  return { plugins, errors };
+}
+
+/**
+ * Plugins declared in settings.providerPlugins, loaded once per process
+ * Reads the settings file directly: loadSettings() itself needs the provider list.
+ * @returns {Object[]} { name, Provider, capabilities, source }
+ */
+function getProviderPlugins() {
+  if (loaded) {
+    return loaded.plugins;
+  }
+  loaded = { plugins: [], errors: [] };
+
+  // Lazy require to avoid circular dependency
+  const { getSettingsFile } = require('../../lib/settings');
+  const settingsFile = getSettingsFile();
+  let specs = [];
+  try {
+    specs = JSON.parse(fs.readFileSync(settingsFile, 'utf8')).providerPlugins || [];
+  } catch {
+    // No settings file (or an unreadable one, which loadSettings() reports)
+  }
+  if (!Array.isArray(specs) || specs.length === 0) {
+    return loaded.plugins;
+  }
+
+  loaded = loadProviderPlugins(specs, path.dirname(settingsFile));
+  for (const error of loaded.errors) {
+    console.warn(`Warning: Could not load provider plugin: ${error}`);
+  }
+  return loaded.plugins;
+}
+
+/**
+ * Forget loaded plugins so the next lookup reads settings again (for tests)
+ */
+function resetProviderPlugins() {
+  loaded = null;
+  // Provider defaults are cached per provider list
+  require('../../lib/provider-defaults').clearProviderDefaultsCache();
+}
+
+module.exports = {
+  REQUIRED_METHODS,
+  loadProviderPlugin,
+  loadProviderPlugins,
+  getProviderPlugins,
+  resetProviderPlugins,
+};
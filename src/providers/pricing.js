@@ -0,0 +1,191 @@
+/**
+ * Model pricing - cost of a task from its token counts when the provider CLI
+ * does not report one (codex, gemini), or at negotiated rates
+ *
+ * Rates are USD per million tokens, keyed by provider, then model id. A model id
+ * matches its own entry or the longest entry it starts with, so dated ids
+ * (claude-sonnet-4-5-20250929) use the family rate. The `modelPricing` setting
+ * takes the same shape, wins over both the catalog and CLI-reported cost, and may
+ * use "*" for every model of a provider (e.g. the CLI's unnamed default model).
+ *
+ * Each priced usage gets a costSource:
+ *   settings  - modelPricing rate
+ *   provider  - cost reported by the CLI
+ *   catalog   - computed from PRICING_CATALOG
+ *   unpriced  - no rate known (cost null)
+ *   mixed     - a Claude task whose models were priced from different sources
+ */
+
+const { loadSettings } = require('../../lib/settings');
+const { normalizeProviderName } = require('../../lib/provider-names');
+
+const ANTHROPIC_PRICING = {
+  'claude-opus-4-5': { input: 5, output: 25, cacheRead: 0.5, cacheWrite: 6.25 },
+  'claude-opus-4': { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+  'claude-sonnet-4': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'claude-3-7-sonnet': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'claude-haiku-4-5': { input: 1, output: 5, cacheRead: 0.1, cacheWrite: 1.25 },
+  'claude-3-5-haiku': { input: 0.8, output: 4, cacheRead: 0.08, cacheWrite: 1 },
+};
+
+const OPENAI_PRICING = {
+  'gpt-5': { input: 1.25, output: 10, cacheRead: 0.125 },
+  'gpt-5-mini': { input: 0.25, output: 2, cacheRead: 0.025 },
+  'gpt-5-nano': { input: 0.05, output: 0.4, cacheRead: 0.005 },
+  'gpt-5.1': { input: 1.25, output: 10, cacheRead: 0.125 },
+  'gpt-5.1-codex-mini': { input: 0.25, output: 2, cacheRead: 0.025 },
+  'gpt-4.1': { input: 2, output: 8, cacheRead: 0.5 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6, cacheRead: 0.1 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4, cacheRead: 0.025 },
+  'gpt-4o': { input: 2.5, output: 10, cacheRead: 1.25 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6, cacheRead: 0.075 },
+  o3: { input: 2, output: 8, cacheRead: 0.5 },
+  'o3-mini': { input: 1.1, output: 4.4, cacheRead: 0.55 },
+  'o3-pro': { input: 20, output: 80 },
+  'o4-mini': { input: 1.1, output: 4.4, cacheRead: 0.275 },
+};
+
+const GEMINI_PRICING = {
+  'gemini-2.5-pro': { input: 1.25, output: 10, cacheRead: 0.31 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5, cacheRead: 0.075 },
+  'gemini-2.5-flash-lite': { input: 0.1, output: 0.4, cacheRead: 0.025 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4, cacheRead: 0.025 },
+  'gemini-2.0-flash-lite': { input: 0.075, output: 0.3 },
+};
+
+// Opencode reports its own cost; its ids are "<vendor>/<model>"
+const prefixed = (vendor, table) =>
+  Object.fromEntries(Object.entries(table).map(([id, rate]) => [`${vendor}/${id}`, rate]));
+
+const PRICING_CATALOG = {
+  claude: ANTHROPIC_PRICING,
+  codex: OPENAI_PRICING,
+  gemini: GEMINI_PRICING,
+  opencode: {
+    ...prefixed('anthropic', ANTHROPIC_PRICING),
+    ...prefixed('openai', OPENAI_PRICING),
+    ...prefixed('google', GEMINI_PRICING),
+  },
+  // Hosted endpoints in either format serve these ids; local models stay unpriced
+  api: { ...ANTHROPIC_PRICING, ...OPENAI_PRICING },
+};
+
+const RATE_FIELDS = ['input', 'output', 'cacheRead', 'cacheWrite'];
+
+/**
+ * Rate for a model id in one provider's table: exact id, longest prefix, then "*"
+ * @returns {Object|null}
+ */
+function findRate(table, model) {
+  if (!table) return null;
+  if (model) {
+    if (table[model]) return table[model];
+    const prefix = Object.keys(table)
+      .filter((id) => id !== '*' && model.startsWith(id))
+      .sort((a, b) => b.length - a.length)[0];
+    if (prefix) return table[prefix];
+  }
+  return table['*'] || null;
+}
+
+/**
+ * Cost in USD of token counts at a rate. Cache tokens without their own rate
+ * are charged as input.
+ * @param {Object} usage - { inputTokens, outputTokens, cacheReadInputTokens, cacheCreationInputTokens }
+ * @param {Object} rate - { input, output, cacheRead?, cacheWrite? } USD per million tokens
+ * @returns {number}
+ */
+function computeCost(usage, rate) {
+  const cost =
+    (usage.inputTokens || 0) * rate.input +
+    (usage.outputTokens || 0) * rate.output +
+    (usage.cacheReadInputTokens || 0) * (rate.cacheRead ?? rate.input) +
+    (usage.cacheCreationInputTokens || 0) * (rate.cacheWrite ?? rate.input);
+  return cost / 1e6;
+}
+
+function priceOne(provider, model, usage, reportedCost, negotiatedRates) {
+  const negotiated = findRate(negotiatedRates, model);
+  if (negotiated) {
+    return { costUsd: computeCost(usage, negotiated), costSource: 'settings' };
+  }
+  if (typeof reportedCost === 'number') {
+    return { costUsd: reportedCost, costSource: 'provider' };
+  }
+  const listed = model ? findRate(PRICING_CATALOG[provider], model) : null;
+  if (listed) {
+    return { costUsd: computeCost(usage, listed), costSource: 'catalog' };
+  }
+  return { costUsd: null, costSource: 'unpriced' };
+}
+
+/**
+ * Price a task's token usage
+ * @param {string} providerName
+ * @param {string|null} model - Model id the task ran on (null = CLI default)
+ * @param {Object} tokenUsage - Token usage (see extractTokenUsage); Claude's per-model
+ *   modelUsage is priced model by model
+ * @returns {{ totalCostUsd: number|null, costSource: string }}
+ */
+function priceTokenUsage(providerName, model, tokenUsage) {
+  const provider = normalizeProviderName(providerName);
+  // Settings keys may be provider aliases (openai -> codex)
+  const negotiatedRates = Object.entries(loadSettings().modelPricing || {}).find(
+    ([name]) => normalizeProviderName(name) === provider
+  )?.[1];
+  const perModel = Object.entries(tokenUsage.modelUsage || {});
+  const parts =
+    perModel.length > 0
+      ? perModel.map(([id, usage]) => priceOne(provider, id, usage, usage.costUSD, negotiatedRates))
+      : [priceOne(provider, model, tokenUsage, tokenUsage.totalCostUsd, negotiatedRates)];
+
+  const sources = new Set(parts.map((part) => part.costSource));
+  const priced = parts.filter((part) => part.costUsd !== null);
+  return {
+    totalCostUsd: priced.length > 0 ? priced.reduce((sum, part) => sum + part.costUsd, 0) : null,
+    costSource: sources.size === 1 ? parts[0].costSource : 'mixed',
+  };
+}
+
+/**
+ * Validate the modelPricing setting: { <provider>: { <model id or "*">: rate } }
+ * @returns {string|null} Error message if invalid, null if valid
+ */
+function validateModelPricing(value, providers) {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    return 'modelPricing must be an object of provider -> model id -> rate';
+  }
+  for (const [providerName, models] of Object.entries(value)) {
+    if (!providers.includes(normalizeProviderName(providerName))) {
+      return `Unknown provider in modelPricing: ${providerName}. Valid: ${providers.join(', ')}`;
+    }
+    if (typeof models !== 'object' || models === null || Array.isArray(models)) {
+      return `modelPricing.${providerName} must be an object of model id -> rate`;
+    }
+    for (const [model, rate] of Object.entries(models)) {
+      const label = `modelPricing.${providerName}.${model}`;
+      if (typeof rate !== 'object' || rate === null || Array.isArray(rate)) {
+        return `${label} must be an object like { "input": 3, "output": 15 } (USD per million tokens)`;
+      }
+      const unknown = Object.keys(rate).find((key) => !RATE_FIELDS.includes(key));
+      if (unknown) {
+        return `${label} has unknown field "${unknown}" (valid: ${RATE_FIELDS.join(', ')})`;
+      }
+      for (const field of RATE_FIELDS) {
+        const required = field === 'input' || field === 'output';
+        if (rate[field] === undefined && !required) continue;
+        if (typeof rate[field] !== 'number' || !(rate[field] >= 0)) {
+          return `${label}.${field} must be a non-negative number (USD per million tokens)`;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  PRICING_CATALOG,
+  computeCost,
+  priceTokenUsage,
+  validateModelPricing,
+};
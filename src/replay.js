@@ -0,0 +1,456 @@
+/**
+ * Replay - Re-run a recorded cluster's coordination logic from its ledger
+ *
+ * Recorded messages are re-fed, in order and with their original ids and
+ * timestamps, through a fresh MessageBus. At each message every active agent's
+ * matching trigger is re-evaluated with LogicEngine against exactly the history
+ * the live agent saw. When a trigger fires, the agent's onComplete hook runs
+ * through AgentHookExecutor with the recorded task output (its AGENT_OUTPUT
+ * lines) substituted for the provider call - no tokens are spent.
+ *
+ * Each decision is compared with the recording:
+ * - fired vs. whether the agent actually started a task (or stopped the cluster)
+ * - predicted hook message vs. the message the agent actually published
+ *
+ * Agents become active at their recorded STARTED lifecycle event, so agents
+ * spawned later by the conductor do not see earlier messages. Helpers that read
+ * the wall clock (helpers.timeSinceLastMessage) are not reproducible.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ledger = require('./ledger');
+const MessageBus = require('./message-bus');
+const LogicEngine = require('./logic-engine');
+const { findMatchingTrigger, getTriggerAction } = require('./agent/agent-trigger-evaluator');
+const { executeHook } = require('./agent/agent-hook-executor');
+const { parseResultOutput } = require('./agent/agent-task-executor');
+const { extractJsonFromOutput } = require('./agent/output-extraction');
+
+// Messages an agent publishes as a side effect of running, not from its hook
+const BOOKKEEPING_TOPICS = new Set([
+  'AGENT_LIFECYCLE',
+  'AGENT_OUTPUT',
+  'TOKEN_USAGE',
+  'AGENT_SCHEMA_WARNING',
+]);
+
+function lifecycleEvent(message) {
+  return message.topic === 'AGENT_LIFECYCLE' ? message.content?.data?.event : null;
+}
+
+/**
+ * JSON with sorted keys, for comparing predicted and recorded content
+ * @private
+ */
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function sameMessage(predicted, recorded) {
+  if (!predicted || !recorded) return !predicted && !recorded;
+  return (
+    predicted.topic === recorded.topic &&
+    (predicted.content?.text || null) === (recorded.content?.text || null) &&
+    canonical(predicted.content?.data || null) === canonical(recorded.content?.data || null)
+  );
+}
+
+function summarizeMessage(message) {
+  return {
+    id: message.id,
+    timestamp: message.timestamp,
+    topic: message.topic,
+    sender: message.sender,
+  };
+}
+
+/**
+ * Load a cluster's config and recorded messages
+ * @param {Object} options
+ * @param {String} options.storageDir - Directory holding clusters.json and <id>.db
+ * @param {String} options.clusterId
+ * @param {Object} [options.config] - Use this config instead of the recorded one
+ * @returns {{ cluster: Object, messages: Array<Object> }}
+ */
+function loadRecording({ storageDir, clusterId, config }) {
+  const dbPath = path.join(storageDir, `${clusterId}.db`);
+  if (!fs.existsSync(dbPath)) {
+    throw new Error(`No ledger for cluster ${clusterId} (looked in ${dbPath})`);
+  }
+
+  const clustersFile = path.join(storageDir, 'clusters.json');
+  const saved = fs.existsSync(clustersFile)
+    ? JSON.parse(fs.readFileSync(clustersFile, 'utf8'))[clusterId]
+    : null;
+  const effectiveConfig = config || saved?.config;
+  if (!effectiveConfig?.agents) {
+    throw new Error(
+      `Cluster ${clusterId} has no saved config (killed clusters are removed from clusters.json). ` +
+        `Pass the config to replay with --config <file>.`
+    );
+  }
+
+  const ledger = new Ledger(dbPath);
+  try {
+    const messages = ledger.getAll(clusterId);
+    return {
+      cluster: {
+        id: clusterId,
+        createdAt: saved?.createdAt || messages[0]?.timestamp || 0,
+        config: effectiveConfig,
+        traceTriggers: saved?.traceTriggers || false,
+      },
+      messages,
+    };
+  } finally {
+    ledger.close();
+  }
+}
+
+/**
+ * Number of messages to replay for --until
+ * @param {Array<Object>} messages
+ * @param {String|Number} [until] - Message id, epoch ms, or ISO timestamp
+ * @returns {Number}
+ */
+function resolveUntil(messages, until) {
+  if (until === undefined || until === null || until === '') {
+    return messages.length;
+  }
+
+  const byId = messages.findIndex((m) => m.id === until);
+  if (byId !== -1) return byId + 1;
+
+  const text = String(until);
+  const timestamp = /^\d+$/.test(text) ? Number(text) : Date.parse(text);
+  if (Number.isNaN(timestamp)) {
+    throw new Error(`--until must be a message id or a timestamp, got: ${until}`);
+  }
+  const after = messages.findIndex((m) => m.timestamp > timestamp);
+  return after === -1 ? messages.length : after;
+}
+
+/**
+ * Stand-in for AgentWrapper with just what LogicEngine and AgentHookExecutor use.
+ * Publications are captured instead of written to the bus.
+ * @private
+ */
+function createReplayAgent(config, cluster) {
+  return {
+    id: config.id,
+    role: config.role,
+    config,
+    cluster,
+    iteration: 0,
+    provider: 'claude',
+    currentTaskId: null,
+    active: false,
+    busy: false,
+    published: [],
+    _log() {},
+    _publish(message) {
+      this.published.push(message);
+    },
+    _resolveProvider() {
+      return this.provider;
+    },
+    _parseResultOutput(output) {
+      // The live agent would ask an LLM to reformat output without a JSON block;
+      // replay never calls a provider
+      if (output && !extractJsonFromOutput(output, this.provider)) {
+        throw new Error(`Recorded output of ${this.id} has no JSON block`);
+      }
+      return parseResultOutput(this, output);
+    },
+  };
+}
+
+/**
+ * Apply a recorded lifecycle message to the agent's replay state
+ * @private
+ */
+function trackLifecycle(agentsById, message) {
+  const agent = agentsById.get(message.sender);
+  if (!agent) return;
+
+  const event = lifecycleEvent(message);
+  const data = message.content?.data || {};
+  if (event === 'STARTED') {
+    agent.active = true;
+  } else if (event === 'TASK_STARTED') {
+    agent.busy = true;
+    agent.iteration = data.iteration ?? agent.iteration + 1;
+    agent.provider = data.provider || agent.provider;
+  } else if (event === 'TASK_COMPLETED' || message.topic === 'AGENT_ERROR') {
+    agent.busy = false;
+  }
+}
+
+/**
+ * What the recorded agent did after message i: index of its TASK_STARTED (or
+ * CLUSTER_COMPLETE for stop_cluster, FANOUT_REQUESTED for fan_out,
+ * CANDIDATES_REQUESTED for best_of) caused by that message, or -1
+ * @param {Array<Object>} messages - Recorded messages
+ * @param {Number} i - Index of the triggering message
+ * @param {Object} agent - { id }
+ * @param {String} action - Trigger action
+ * @returns {Number}
+ */
+function findRecordedReaction(messages, i, agent, action) {
+  const trigger = messages[i];
+  for (let j = i + 1; j < messages.length; j++) {
+    const message = messages[j];
+    if (message.topic === trigger.topic && message.sender === trigger.sender) {
+      return -1; // Next occurrence of the same trigger - this one was not acted on
+    }
+    if (message.sender !== agent.id) continue;
+
+    if (action === 'stop_cluster' && message.topic === 'CLUSTER_COMPLETE') return j;
+    if (action === 'fan_out' && message.topic === 'FANOUT_REQUESTED') return j;
+    if (action === 'best_of' && message.topic === 'CANDIDATES_REQUESTED') return j;
+    if (lifecycleEvent(message) === 'TASK_STARTED') {
+      const data = message.content?.data || {};
+      const causedByTrigger =
+        (data.triggeredBy ?? trigger.topic) === trigger.topic &&
+        (data.triggerFrom ?? trigger.sender) === trigger.sender;
+      return causedByTrigger ? j : -1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * First message the agent published after its task completed, ignoring bookkeeping
+ * @private
+ */
+function findHookPublication(messages, completedIndex, agentId) {
+  for (let j = completedIndex + 1; j < messages.length; j++) {
+    const message = messages[j];
+    if (message.sender !== agentId) continue;
+    if (lifecycleEvent(message) === 'TASK_STARTED') return null;
+    if (!BOOKKEEPING_TOPICS.has(message.topic)) return message;
+  }
+  return null;
+}
+
+/**
+ * Recorded output and hook publication of the task started at messages[startIndex]
+ * @private
+ */
+function findRecordedTask(messages, startIndex, agentId) {
+  const iteration = messages[startIndex].content?.data?.iteration;
+  const lines = [];
+
+  for (let j = startIndex + 1; j < messages.length; j++) {
+    const message = messages[j];
+    if (message.sender !== agentId) continue;
+    const event = lifecycleEvent(message);
+    const data = message.content?.data || {};
+
+    if (message.topic === 'AGENT_OUTPUT' && (data.iteration ?? iteration) === iteration) {
+      lines.push(data.line ?? message.content?.text ?? '');
+    } else if (event === 'TASK_COMPLETED') {
+      return {
+        iteration,
+        taskId: data.taskId || null,
+        output: lines.join('\n'),
+        publication: findHookPublication(messages, j, agentId),
+      };
+    } else if (message.topic === 'AGENT_ERROR' || event === 'TASK_STARTED') {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Run the agent's onComplete hook with the recorded output
+ * @private
+ */
+async function replayHook({ agent, message, task, messageBus, cluster }) {
+  const hook = agent.config.hooks?.onComplete;
+  if (!hook) {
+    return { skipped: 'no onComplete hook', recordedTopic: task.publication?.topic || null };
+  }
+
+  const savedIteration = agent.iteration;
+  agent.iteration = task.iteration ?? agent.iteration;
+  agent.currentTaskId = task.taskId;
+  agent.published = [];
+
+  let predicted = null;
+  let error = null;
+  try {
+    await executeHook({
+      hook,
+      agent,
+      message,
+      result: {
+        success: true,
+        output: task.output,
+        taskId: task.taskId,
+        agentId: agent.id,
+        iteration: agent.iteration,
+      },
+      messageBus,
+      cluster,
+    });
+    predicted = agent.published.filter((m) => !BOOKKEEPING_TOPICS.has(m.topic)).pop() || null;
+  } catch (err) {
+    error = err.message;
+  } finally {
+    agent.iteration = savedIteration;
+  }
+
+  return {
+    topic: predicted?.topic || null,
+    recordedTopic: task.publication?.topic || null,
+    matchesRecorded: sameMessage(predicted, task.publication),
+    error,
+  };
+}
+
+/**
+ * Evaluate a trigger's logic script or condition against the replayed ledger
+ * @private
+ */
+function evaluateRecordedTrigger(trigger, agent, message, logicEngine, cluster) {
+  const context = {
+    id: agent.id,
+    role: agent.role,
+    iteration: agent.iteration,
+    cluster_id: cluster.id,
+  };
+  if (trigger.condition) {
+    try {
+      return {
+        result: logicEngine.evaluateCondition(trigger.condition, context, message),
+        error: null,
+      };
+    } catch (error) {
+      return { result: false, error };
+    }
+  }
+  const script = trigger.logic?.script;
+  return script
+    ? logicEngine.evaluateDetailed(script, context, message)
+    : { result: true, error: null };
+}
+
+/**
+ * Re-evaluate one agent's trigger for the message at index i
+ * @private
+ */
+async function evaluateAgent({ agent, trigger, messages, i, logicEngine, messageBus, cluster }) {
+  const message = messages[i];
+  const action = getTriggerAction(trigger);
+  const evaluation = { agent: agent.id, trigger: trigger.topic, action };
+
+  if (agent.busy) {
+    // Live agents drop triggers while running a task
+    return { ...evaluation, skipped: 'busy', fired: false, recordedFired: false, diverged: false };
+  }
+
+  const { result, error } = evaluateRecordedTrigger(trigger, agent, message, logicEngine, cluster);
+  const reaction = findRecordedReaction(messages, i, agent, action);
+
+  evaluation.fired = result;
+  evaluation.error = error ? error.message : null;
+  evaluation.recordedFired = reaction !== -1;
+
+  if (result && action === 'execute_task' && reaction !== -1) {
+    const task = findRecordedTask(messages, reaction, agent.id);
+    evaluation.hook = task
+      ? await replayHook({ agent, message, task, messageBus, cluster })
+      : { skipped: 'recorded task did not complete' };
+  }
+
+  evaluation.diverged =
+    evaluation.fired !== evaluation.recordedFired || evaluation.hook?.matchesRecorded === false;
+  return evaluation;
+}
+
+/**
+ * Replay a recorded cluster
+ * @param {Object} options
+ * @param {String} options.storageDir - Directory holding clusters.json and <id>.db
+ * @param {String} options.clusterId
+ * @param {String|Number} [options.until] - Stop after this message id / timestamp
+ * @param {Object} [options.config] - Replay against a different config (e.g. a fixed trigger)
+ * @returns {Promise<Object>} { clusterId, replayed, total, until, steps, summary }
+ */
+async function replayCluster({ storageDir, clusterId, until, config }) {
+  const recording = loadRecording({ storageDir, clusterId, config });
+  const { messages } = recording;
+  const limit = resolveUntil(messages, until);
+
+  const messageBus = new MessageBus(new Ledger(':memory:'));
+  const cluster = { ...recording.cluster, agents: [], messageBus };
+  const agents = recording.cluster.config.agents.map((cfg) => createReplayAgent(cfg, cluster));
+  const agentsById = new Map(agents.map((agent) => [agent.id, agent]));
+  const startedIds = new Set(
+    messages.filter((m) => lifecycleEvent(m) === 'STARTED').map((m) => m.sender)
+  );
+  for (const agent of agents) {
+    // Agents without a recorded STARTED event (older ledgers) are active from the start
+    agent.active = !startedIds.has(agent.id);
+  }
+
+  const logicEngine = new LogicEngine(messageBus, cluster);
+  const steps = [];
+
+  try {
+    for (let i = 0; i < limit; i++) {
+      const message = messages[i];
+      messageBus.publishRecorded(message);
+      cluster.agents = agents.filter((agent) => agent.active);
+
+      const evaluations = [];
+      for (const agent of cluster.agents) {
+        const trigger = findMatchingTrigger({ triggers: agent.config.triggers, message });
+        if (trigger) {
+          evaluations.push(
+            await evaluateAgent({ agent, trigger, messages, i, logicEngine, messageBus, cluster })
+          );
+        }
+      }
+      trackLifecycle(agentsById, message);
+
+      if (evaluations.length > 0) {
+        steps.push({ index: i, message: summarizeMessage(message), evaluations });
+      }
+    }
+  } finally {
+    messageBus.ledger.close();
+  }
+
+  const evaluations = steps.flatMap((step) => step.evaluations);
+  return {
+    clusterId,
+    replayed: limit,
+    total: messages.length,
+    until: limit > 0 ? summarizeMessage(messages[limit - 1]) : null,
+    steps,
+    summary: {
+      evaluations: evaluations.length,
+      fired: evaluations.filter((e) => e.fired).length,
+      recordedFired: evaluations.filter((e) => e.recordedFired).length,
+      divergences: evaluations.filter((e) => e.diverged).length,
+    },
+  };
+}
+
+module.exports = {
+  loadRecording,
+  resolveUntil,
+  findRecordedReaction,
+  replayCluster,
+};
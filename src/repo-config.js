@@ -0,0 +1,191 @@
+/**
+ * Repo Config - Discovery of a repository-local .zeroshot/ directory
+ *
+ * Layout (every entry is optional):
+ *
+ *   .zeroshot/
+ *     config.json          { "defaultConfig": "house-workflow" }
+ *     templates/           Cluster configs and base templates (fragments/ allowed)
+ *     agents/              Agent definitions, also usable as template fragments
+ *     config-router.json   Routing table checked before the built-in one (config-router.js)
+ *
+ * Precedence: CLI flags > repo .zeroshot/ > user settings > bundled files.
+ * A repo template or agent with the same name as a bundled one shadows it;
+ * a repo template that extends its own name extends the bundled original.
+ *
+ * Discovery walks up from the working directory to the repository root.
+ * ~/.zeroshot (cluster state and user settings) is never treated as repo config.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TemplateResolver = require('./template-resolver');
+
+const REPO_CONFIG_DIR = '.zeroshot';
+const PACKAGE_ROOT = path.join(__dirname, '..');
+const BUNDLED_TEMPLATES_DIR = path.join(PACKAGE_ROOT, 'cluster-templates');
+const BUNDLED_AGENTS_DIR = path.join(PACKAGE_ROOT, 'src', 'agents');
+const REPO_SETTINGS_KEYS = ['defaultConfig'];
+
+function isDirectory(dir) {
+  try {
+    return fs.statSync(dir).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+function readJsonFile(file) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid JSON in ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * Find the .zeroshot/ directory of the repository containing cwd
+ * @param {string} [cwd]
+ * @returns {string|null} Absolute path, or null if the repo has none
+ */
+function findRepoConfigDir(cwd = process.cwd()) {
+  const stateDir = path.join(os.homedir(), REPO_CONFIG_DIR);
+  let dir = path.resolve(cwd);
+  for (;;) {
+    const candidate = path.join(dir, REPO_CONFIG_DIR);
+    if (candidate !== stateDir && isDirectory(candidate)) {
+      return candidate;
+    }
+    const parent = path.dirname(dir);
+    // Stop at the repository root (or the filesystem root outside a repo)
+    if (fs.existsSync(path.join(dir, '.git')) || parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Repo settings from .zeroshot/config.json
+ * @param {string} [cwd]
+ * @returns {{ defaultConfig?: string }}
+ */
+function loadRepoSettings(cwd) {
+  const repoDir = findRepoConfigDir(cwd);
+  const settings = repoDir ? readJsonFile(path.join(repoDir, 'config.json')) : null;
+  if (!settings) return {};
+
+  const unknown = Object.keys(settings).filter((key) => !REPO_SETTINGS_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown keys in ${path.join(repoDir, 'config.json')}: ${unknown.join(', ')} ` +
+        `(allowed: ${REPO_SETTINGS_KEYS.join(', ')})`
+    );
+  }
+  return settings;
+}
+
+/**
+ * TemplateResolver that sees repo templates and agents before the bundled ones
+ * @param {string} [cwd]
+ * @returns {TemplateResolver}
+ */
+function createTemplateResolver(cwd) {
+  const repoDir = findRepoConfigDir(cwd);
+  if (!repoDir) {
+    return new TemplateResolver(BUNDLED_TEMPLATES_DIR);
+  }
+  return new TemplateResolver(BUNDLED_TEMPLATES_DIR, {
+    templateDirs: [path.join(repoDir, 'templates')],
+    fragmentDirs: [path.join(repoDir, 'templates', 'fragments'), path.join(repoDir, 'agents')],
+  });
+}
+
+function listJsonFiles(dir, source) {
+  if (!isDirectory(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith('.json'))
+    .sort()
+    .map((file) => ({ name: file.replace(/\.json$/, ''), path: path.join(dir, file), source }));
+}
+
+/**
+ * Merge repo and bundled entries; a repo entry shadows the bundled one of the same name
+ * @param {Array<{name: string, path: string, source: string}>} repoEntries
+ * @param {Array<{name: string, path: string, source: string}>} bundledEntries
+ */
+function withPrecedence(repoEntries, bundledEntries) {
+  const repoNames = new Set(repoEntries.map((entry) => entry.name));
+  return [
+    ...repoEntries.map((entry) => ({
+      ...entry,
+      shadows: bundledEntries.some((bundled) => bundled.name === entry.name),
+    })),
+    ...bundledEntries
+      .filter((entry) => !repoNames.has(entry.name))
+      .map((entry) => ({ ...entry, shadows: false })),
+  ];
+}
+
+/**
+ * Cluster configs visible from cwd (repo templates first)
+ * @param {string} [cwd]
+ * @returns {Array<{name: string, path: string, source: 'repo'|'built-in', shadows: boolean}>}
+ */
+function listConfigs(cwd) {
+  const repoDir = findRepoConfigDir(cwd);
+  const repo = repoDir ? listJsonFiles(path.join(repoDir, 'templates'), 'repo') : [];
+  const baseTemplates = listJsonFiles(path.join(BUNDLED_TEMPLATES_DIR, 'base-templates'), '');
+  return withPrecedence(repo, listJsonFiles(BUNDLED_TEMPLATES_DIR, 'built-in')).map((entry) => ({
+    ...entry,
+    // A repo base template (e.g. full-workflow) replaces the one the conductor routes to
+    shadows: entry.shadows || baseTemplates.some((base) => base.name === entry.name),
+  }));
+}
+
+/**
+ * Agent definitions visible from cwd (repo agents first)
+ * @param {string} [cwd]
+ * @returns {Array<{name: string, path: string, source: 'repo'|'built-in', shadows: boolean}>}
+ */
+function listAgentDefinitions(cwd) {
+  const repoDir = findRepoConfigDir(cwd);
+  const repo = repoDir ? listJsonFiles(path.join(repoDir, 'agents'), 'repo') : [];
+  return withPrecedence(repo, listJsonFiles(BUNDLED_AGENTS_DIR, 'built-in'));
+}
+
+/**
+ * Path of the cluster config `name` (with or without .json), repo first
+ * @param {string} name
+ * @param {string} [cwd]
+ * @returns {string|null}
+ */
+function findConfigFile(name, cwd) {
+  const configName = name.replace(/\.json$/, '');
+  return listConfigs(cwd).find((entry) => entry.name === configName)?.path || null;
+}
+
+/**
+ * Routing table from .zeroshot/config-router.json (see config-router.js)
+ * @param {string} [cwd]
+ * @returns {Object|null} { rules?, routes? }
+ */
+function loadRepoRoutingTable(cwd) {
+  const repoDir = findRepoConfigDir(cwd);
+  return repoDir ? readJsonFile(path.join(repoDir, 'config-router.json')) : null;
+}
+
+module.exports = {
+  REPO_CONFIG_DIR,
+  BUNDLED_TEMPLATES_DIR,
+  findRepoConfigDir,
+  loadRepoSettings,
+  createTemplateResolver,
+  listConfigs,
+  listAgentDefinitions,
+  findConfigFile,
+  loadRepoRoutingTable,
+};
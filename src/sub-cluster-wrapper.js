@@ -402,6 +402,9 @@ class SubClusterWrapper {
     } else if (parentConfig.defaultProvider && !childConfig.defaultProvider) {
       childConfig.defaultProvider = parentConfig.defaultProvider;
     }
+    if (parentConfig.fallbackProviders && !childConfig.fallbackProviders) {
+      childConfig.fallbackProviders = parentConfig.fallbackProviders;
+    }
 
     // Start child cluster with text input (context from parent)
     const childCluster = await childOrchestrator.start(
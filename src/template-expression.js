@@ -0,0 +1,426 @@
+/**
+ * Template expressions - conditions in cluster templates
+ *
+ * Used by agent "condition" fields and {{#if ...}} blocks:
+ *
+ *   "condition": "{{validator_count}} >= 3 && (complexity == 'CRITICAL' || task_type in ['TASK', 'DEBUG'])"
+ *
+ * Grammar (lowest to highest precedence):
+ * - a || b, a && b
+ * - a == b, a != b, a < b, a > b, a <= b, a >= b, a in [list] / a in 'string'
+ * - a + b, a - b (+ also joins strings), a * b, a / b, a % b
+ * - !a, -a
+ * - literals: numbers, 'strings' / "strings", true, false, null, [lists]
+ * - params: name or {{name}}; unknown params are undefined
+ * - string methods: name.startsWith('x'), .endsWith('x'), .includes('x'),
+ *   .toLowerCase(), .toUpperCase() (includes also works on lists)
+ *
+ * Expressions are parsed, never eval'd. Syntax errors throw with the position;
+ * config-validator.js reports them before a template is ever resolved.
+ */
+
+const METHODS = {
+  startsWith: { args: 1, string: true },
+  endsWith: { args: 1, string: true },
+  includes: { args: 1, string: false },
+  toLowerCase: { args: 0, string: true },
+  toUpperCase: { args: 0, string: true },
+};
+
+const KEYWORDS = { true: true, false: false, null: null, undefined };
+const OPERATORS = ['==', '!=', '<=', '>=', '&&', '||', '<', '>', '!', '+', '-', '*', '/', '%'];
+const PUNCTUATION = ['(', ')', '[', ']', ',', '.'];
+
+function syntaxError(source, position, message) {
+  return new Error(`Invalid expression "${source}": ${message} at position ${position + 1}`);
+}
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const rest = source.slice(i);
+    const space = rest.match(/^\s+/);
+    if (space) {
+      i += space[0].length;
+      continue;
+    }
+
+    const placeholder = rest.match(/^\{\{\s*(\w+)\s*\}\}/);
+    const number = rest.match(/^\d+(\.\d+)?/);
+    const word = rest.match(/^[A-Za-z_]\w*/);
+    if (placeholder) {
+      tokens.push({ type: 'name', value: placeholder[1], position: i });
+      i += placeholder[0].length;
+    } else if (number) {
+      tokens.push({ type: 'literal', value: parseFloat(number[0]), position: i });
+      i += number[0].length;
+    } else if (word) {
+      const value = word[0];
+      if (Object.prototype.hasOwnProperty.call(KEYWORDS, value)) {
+        tokens.push({ type: 'literal', value: KEYWORDS[value], position: i });
+      } else {
+        tokens.push({ type: value === 'in' ? 'op' : 'name', value, position: i });
+      }
+      i += value.length;
+    } else if (rest[0] === '"' || rest[0] === "'") {
+      const { value, length } = readString(source, i);
+      tokens.push({ type: 'literal', value, position: i });
+      i += length;
+    } else {
+      const op = OPERATORS.find((candidate) => rest.startsWith(candidate));
+      if (op) {
+        tokens.push({ type: 'op', value: op, position: i });
+        i += op.length;
+      } else if (PUNCTUATION.includes(rest[0])) {
+        tokens.push({ type: 'punct', value: rest[0], position: i });
+        i += 1;
+      } else if (rest[0] === '=') {
+        throw syntaxError(source, i, "'=' is not an operator (use ==)");
+      } else {
+        throw syntaxError(source, i, `unexpected character '${rest[0]}'`);
+      }
+    }
+  }
+  tokens.push({ type: 'end', value: null, position: source.length });
+  return tokens;
+}
+
+function readString(source, start) {
+  const quote = source[start];
+  let value = '';
+  for (let i = start + 1; i < source.length; i++) {
+    if (source[i] === '\\' && i + 1 < source.length) {
+      value += source[i + 1];
+      i++;
+    } else if (source[i] === quote) {
+      return { value, length: i - start + 1 };
+    } else {
+      value += source[i];
+    }
+  }
+  throw syntaxError(source, start, 'unterminated string');
+}
+
+/**
+ * Recursive descent parser producing a small AST:
+ * { type: 'literal', value } | { type: 'name', name } | { type: 'list', items }
+ * | { type: 'unary', op, operand } | { type: 'binary', op, left, right }
+ * | { type: 'call', method, target, args }
+ */
+class Parser {
+  constructor(source) {
+    this.source = source;
+    this.tokens = tokenize(source);
+    this.index = 0;
+  }
+
+  get current() {
+    return this.tokens[this.index];
+  }
+
+  error(message, token = this.current) {
+    return syntaxError(this.source, token.position, message);
+  }
+
+  describe(token) {
+    return token.type === 'end' ? 'end of expression' : `'${token.value}'`;
+  }
+
+  take(type, value) {
+    const token = this.current;
+    if (token.type === type && (value === undefined || token.value === value)) {
+      this.index++;
+      return token;
+    }
+    return null;
+  }
+
+  expect(type, value) {
+    const token = this.take(type, value);
+    if (!token) {
+      throw this.error(`expected '${value}' but found ${this.describe(this.current)}`);
+    }
+    return token;
+  }
+
+  parse() {
+    if (this.current.type === 'end') {
+      throw this.error('empty expression');
+    }
+    const ast = this.parseBinary(0);
+    if (this.current.type !== 'end') {
+      throw this.error(`unexpected ${this.describe(this.current)}`);
+    }
+    return ast;
+  }
+
+  /**
+   * Binary operators by precedence level, lowest first
+   */
+  static get LEVELS() {
+    return [['||'], ['&&'], ['==', '!=', '<=', '>=', '<', '>', 'in'], ['+', '-'], ['*', '/', '%']];
+  }
+
+  parseBinary(level) {
+    const levels = Parser.LEVELS;
+    if (level === levels.length) {
+      return this.parseUnary();
+    }
+    let left = this.parseBinary(level + 1);
+    let token;
+    while ((token = this.current).type === 'op' && levels[level].includes(token.value)) {
+      this.index++;
+      const right = this.parseBinary(level + 1);
+      left = { type: 'binary', op: token.value, left, right };
+      // Comparisons do not chain: a < b < c is almost always a mistake
+      if (level === 2 && this.current.type === 'op' && levels[2].includes(this.current.value)) {
+        throw this.error('comparisons cannot be chained (use && between them)');
+      }
+    }
+    return left;
+  }
+
+  parseUnary() {
+    const token = this.take('op', '!') || this.take('op', '-');
+    if (token) {
+      return { type: 'unary', op: token.value, operand: this.parseUnary() };
+    }
+    return this.parsePostfix();
+  }
+
+  parsePostfix() {
+    let target = this.parsePrimary();
+    while (this.take('punct', '.')) {
+      const nameToken = this.current;
+      const name = this.take('name');
+      if (!name || !METHODS[name.value]) {
+        throw this.error(
+          `unknown method ${this.describe(nameToken)} (available: ${Object.keys(METHODS).join(', ')})`,
+          nameToken
+        );
+      }
+      this.expect('punct', '(');
+      const args = this.parseList(')');
+      if (args.length !== METHODS[name.value].args) {
+        throw this.error(
+          `${name.value}() takes ${METHODS[name.value].args} argument(s)`,
+          nameToken
+        );
+      }
+      target = { type: 'call', method: name.value, target, args };
+    }
+    return target;
+  }
+
+  parsePrimary() {
+    const token = this.current;
+    if (this.take('literal')) {
+      return { type: 'literal', value: token.value };
+    }
+    if (this.take('name')) {
+      return { type: 'name', name: token.value };
+    }
+    if (this.take('punct', '(')) {
+      const inner = this.parseBinary(0);
+      this.expect('punct', ')');
+      return inner;
+    }
+    if (this.take('punct', '[')) {
+      return { type: 'list', items: this.parseList(']') };
+    }
+    throw this.error(`unexpected ${this.describe(token)}`);
+  }
+
+  parseList(close) {
+    const items = [];
+    if (this.take('punct', close)) {
+      return items;
+    }
+    do {
+      items.push(this.parseBinary(0));
+    } while (this.take('punct', ','));
+    this.expect('punct', close);
+    return items;
+  }
+}
+
+/**
+ * Parse an expression
+ * @param {string} source
+ * @returns {Object} AST
+ * @throws {Error} On syntax errors, with the position
+ */
+function parseExpression(source) {
+  if (typeof source !== 'string') {
+    throw new Error(`Invalid expression: expected a string, got ${typeof source}`);
+  }
+  return new Parser(source).parse();
+}
+
+/**
+ * Param names an expression reads
+ * @param {Object} ast - From parseExpression()
+ * @returns {string[]}
+ */
+function expressionNames(ast) {
+  switch (ast.type) {
+    case 'name':
+      return [ast.name];
+    case 'list':
+      return ast.items.flatMap(expressionNames);
+    case 'unary':
+      return expressionNames(ast.operand);
+    case 'binary':
+      return [...expressionNames(ast.left), ...expressionNames(ast.right)];
+    case 'call':
+      return [...expressionNames(ast.target), ...ast.args.flatMap(expressionNames)];
+    default:
+      return [];
+  }
+}
+
+function typeName(value) {
+  if (value === null || value === undefined) return String(value);
+  return Array.isArray(value) ? 'list' : typeof value;
+}
+
+function evaluateArithmetic(op, left, right) {
+  if (op === '+' && typeof left === 'string' && typeof right === 'string') {
+    return left + right;
+  }
+  if (typeof left !== 'number' || typeof right !== 'number') {
+    throw new Error(`'${op}' needs numbers, got ${typeName(left)} and ${typeName(right)}`);
+  }
+  switch (op) {
+    case '+':
+      return left + right;
+    case '-':
+      return left - right;
+    case '*':
+      return left * right;
+    case '/':
+      return left / right;
+    default:
+      return left % right;
+  }
+}
+
+/**
+ * Strict equality, except that null and undefined (a missing param) are equal
+ */
+function looseNullEquals(left, right) {
+  const isNull = (value) => value === null || value === undefined;
+  return left === right || (isNull(left) && isNull(right));
+}
+
+function evaluateBinary(ast, params) {
+  // Short-circuit like JavaScript
+  if (ast.op === '&&') {
+    return Boolean(evaluate(ast.left, params)) && Boolean(evaluate(ast.right, params));
+  }
+  if (ast.op === '||') {
+    return Boolean(evaluate(ast.left, params)) || Boolean(evaluate(ast.right, params));
+  }
+
+  const left = evaluate(ast.left, params);
+  const right = evaluate(ast.right, params);
+  switch (ast.op) {
+    case '==':
+      return looseNullEquals(left, right);
+    case '!=':
+      return !looseNullEquals(left, right);
+    case '<':
+      return left < right;
+    case '>':
+      return left > right;
+    case '<=':
+      return left <= right;
+    case '>=':
+      return left >= right;
+    case 'in':
+      if (Array.isArray(right)) return right.includes(left);
+      if (typeof right === 'string' && typeof left === 'string') return right.includes(left);
+      throw new Error(`'in' needs a list or a string on the right, got ${typeName(right)}`);
+    default:
+      return evaluateArithmetic(ast.op, left, right);
+  }
+}
+
+function evaluateCall(ast, params) {
+  const target = evaluate(ast.target, params);
+  const args = ast.args.map((arg) => evaluate(arg, params));
+  const needsString = METHODS[ast.method].string;
+  if (typeof target !== 'string' && (needsString || !Array.isArray(target))) {
+    throw new Error(`${ast.method}() needs a string, got ${typeName(target)}`);
+  }
+  return target[ast.method](...args);
+}
+
+function evaluate(ast, params) {
+  switch (ast.type) {
+    case 'literal':
+      return ast.value;
+    case 'name':
+      // Own params only: `constructor` or `__proto__` must not reach Object.prototype
+      return Object.prototype.hasOwnProperty.call(params, ast.name) ? params[ast.name] : undefined;
+    case 'list':
+      return ast.items.map((item) => evaluate(item, params));
+    case 'unary': {
+      const operand = evaluate(ast.operand, params);
+      if (ast.op === '!') return !operand;
+      if (typeof operand !== 'number') {
+        throw new Error(`'-' needs a number, got ${typeName(operand)}`);
+      }
+      return -operand;
+    }
+    case 'binary':
+      return evaluateBinary(ast, params);
+    default:
+      return evaluateCall(ast, params);
+  }
+}
+
+/**
+ * Evaluate an expression against template params
+ * @param {string} source
+ * @param {Object} params
+ * @returns {boolean}
+ * @throws {Error} On syntax errors and type errors (e.g. 'a' - 1)
+ */
+function evaluateExpression(source, params) {
+  const ast = parseExpression(source);
+  try {
+    return Boolean(evaluate(ast, params));
+  } catch (err) {
+    throw new Error(`Cannot evaluate "${source}": ${err.message}`);
+  }
+}
+
+/**
+ * Check an expression without evaluating it
+ * @param {string} source
+ * @param {string[]|null} [knownParams] - Declared params; null skips the name check
+ * @returns {string[]} Errors (empty when valid)
+ */
+function validateExpression(source, knownParams = null) {
+  let ast;
+  try {
+    ast = parseExpression(source);
+  } catch (err) {
+    return [err.message];
+  }
+  if (!knownParams) return [];
+  const unknown = [...new Set(expressionNames(ast))].filter((name) => !knownParams.includes(name));
+  return unknown.map(
+    (name) =>
+      `Expression "${source}" uses unknown param '${name}' (declared: ${knownParams.join(', ') || 'none'})`
+  );
+}
+
+module.exports = {
+  parseExpression,
+  expressionNames,
+  evaluateExpression,
+  validateExpression,
+};
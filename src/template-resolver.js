@@ -6,22 +6,52 @@
  *
  * Resolution rules:
  * 1. Load base template JSON
- * 2. Deep clone
- * 3. Walk all values, replace {{param}} with params[param]
- * 4. Handle conditional agents via "condition" field
- * 5. Fail hard if any {{param}} remains unresolved
+ * 2. Compose it: apply "extends" + "overrides" and expand agent fragments
+ * 3. Deep clone
+ * 4. Drop conditional agents whose "condition" is false (template-expression.js)
+ * 5. Walk all values, replace {{param}} with params[param]
+ * 6. Fail hard if any {{param}} remains unresolved
+ *
+ * Composition (before any substitution, so validation sees the final graph):
+ *
+ *   {
+ *     "extends": "full-workflow",            // base template name or ./relative.json
+ *     "params": { "validator_count": { "default": 3 } },   // merged per param
+ *     "overrides": {
+ *       "remove": ["adversarial-tester"],
+ *       "replace": [{ "id": "planner", ... }],
+ *       "patch": { "worker": { "prompt": { "initial": { "$append": "\nUse TDD." } } } },
+ *       "add": [{ "fragment": "security-validator", "id": "validator-owasp" }]
+ *     }
+ *   }
+ *
+ * - An agent { "fragment": "<name>", ...fields } is fragments/<name>.json (next
+ *   to the template, then options.fragmentDirs, then cluster-templates/fragments)
+ *   with the fields patched over it
+ * - "extends" by name searches options.templateDirs before base-templates and
+ *   skips the extending file, so a template can shadow the one it extends
+ * - Patches deep-merge objects, replace arrays and scalars, delete keys set to
+ *   null and append to strings with { "$append": "text" }
+ * - Overrides apply in the order remove, replace, patch, add
  */
 
 const fs = require('fs');
 const path = require('path');
+const { evaluateExpression } = require('./template-expression');
 
 class TemplateResolver {
   /**
    * @param {string} templatesDir
+   * @param {Object} [options]
+   * @param {string[]} [options.templateDirs] - Searched before base-templates (e.g. repo .zeroshot/templates)
+   * @param {string[]} [options.fragmentDirs] - Searched before the built-in fragments
    */
-  constructor(templatesDir) {
+  constructor(templatesDir, options = {}) {
     this.templatesDir = templatesDir;
     this.baseTemplatesDir = path.join(templatesDir, 'base-templates');
+    this.fragmentsDir = path.join(templatesDir, 'fragments');
+    this.templateDirs = [...(options.templateDirs || []), this.baseTemplatesDir];
+    this.fragmentDirs = [...(options.fragmentDirs || []), this.fragmentsDir];
   }
 
   /**
@@ -32,13 +62,29 @@ class TemplateResolver {
    */
   resolve(baseName, params) {
     // Load base template
-    const templatePath = path.join(this.baseTemplatesDir, `${baseName}.json`);
-    if (!fs.existsSync(templatePath)) {
-      throw new Error(`Base template not found: ${baseName} (looked in ${templatePath})`);
+    const templatePath = this._findTemplate(baseName);
+    if (!templatePath) {
+      throw new Error(
+        `Base template not found: ${baseName} (looked in ${this.templateDirs.join(', ')})`
+      );
     }
 
     const templateJson = fs.readFileSync(templatePath, 'utf8');
-    const template = JSON.parse(templateJson);
+    return this.resolveTemplate(JSON.parse(templateJson), params, path.dirname(templatePath), [
+      templatePath,
+    ]);
+  }
+
+  /**
+   * Resolve a template object (composition, params, conditional agents)
+   * @param {any} rawTemplate - Template JSON
+   * @param {Object} params - Parameter values to substitute
+   * @param {string} baseDir - Directory relative "extends" paths and fragments are looked up in
+   * @param {string[]} [chain] - Files the template was loaded from (cycle detection)
+   * @returns {Object} Resolved cluster config
+   */
+  resolveTemplate(rawTemplate, params, baseDir, chain = []) {
+    const template = this.compose(rawTemplate, baseDir, chain);
 
     // Validate required params
     this._validateParams(template, params);
@@ -46,19 +92,20 @@ class TemplateResolver {
     // Apply defaults for missing params (e.g., timeout: 0)
     const paramsWithDefaults = this._applyDefaults(template, params);
 
-    // Deep clone and resolve
-    const resolved = this._resolveObject(JSON.parse(JSON.stringify(template)), paramsWithDefaults);
-
-    // Filter out conditional agents that don't meet their condition
-    if (resolved.agents) {
-      resolved.agents = resolved.agents.filter((/** @type {any} */ agent) => {
+    // Deep clone, then filter out conditional agents that don't meet their
+    // condition (before substitution, so "{{param}}" in a condition stays typed)
+    const cloned = JSON.parse(JSON.stringify(template));
+    if (cloned.agents) {
+      cloned.agents = cloned.agents.filter((/** @type {any} */ agent) => {
         if (!agent.condition) return true;
-        const conditionMet = this._evaluateCondition(agent.condition, params);
+        const conditionMet = this._evaluateCondition(agent.condition, paramsWithDefaults);
         delete agent.condition; // Remove condition field from final output
         return conditionMet;
       });
     }
 
+    const resolved = this._resolveObject(cloned, paramsWithDefaults);
+
     // Verify no unresolved placeholders remain
     this._verifyResolved(resolved);
 
@@ -68,6 +115,237 @@ class TemplateResolver {
     return resolved;
   }
 
+  /**
+   * Load a cluster config file, resolving it first when it is composed
+   * (extends, overrides or fragments). Plain configs are returned as-is.
+   * @param {string} filePath
+   * @param {Object} [params] - Parameter values for composed templates
+   * @returns {Object} Cluster config
+   */
+  loadFile(filePath, params = {}) {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!TemplateResolver.isComposed(config)) {
+      return config;
+    }
+    const fullPath = path.resolve(filePath);
+    return this.resolveTemplate(config, params, path.dirname(fullPath), [fullPath]);
+  }
+
+  /**
+   * Whether a template uses extends, overrides or agent fragments
+   * @param {any} template
+   * @returns {boolean}
+   */
+  static isComposed(template) {
+    return Boolean(
+      template &&
+      (template.extends ||
+        template.overrides ||
+        (Array.isArray(template.agents) && template.agents.some((agent) => agent?.fragment)))
+    );
+  }
+
+  /**
+   * Apply extends/overrides and expand fragments, leaving {{param}} placeholders
+   * @param {any} template - Template JSON
+   * @param {string} baseDir - Directory relative "extends" paths and fragments are looked up in
+   * @param {string[]} [chain] - Files already being composed (cycle detection)
+   * @returns {any} Template without extends, overrides or fragments
+   */
+  compose(template, baseDir, chain = []) {
+    const { extends: parentRef, overrides, ...own } = template;
+    let composed = own;
+
+    if (parentRef) {
+      if (own.agents) {
+        throw new Error(
+          `Template extending ${parentRef} cannot define agents - use overrides.add/replace instead`
+        );
+      }
+      const parentPath = this._findParentTemplate(parentRef, baseDir, chain);
+      if (chain.includes(parentPath)) {
+        throw new Error(
+          `Template extends cycle: ${[...chain, parentPath].map((p) => path.basename(p)).join(' → ')}`
+        );
+      }
+      const parent = this.compose(
+        JSON.parse(fs.readFileSync(parentPath, 'utf8')),
+        path.dirname(parentPath),
+        [...chain, parentPath]
+      );
+      composed = { ...parent, ...own, params: this._mergeParams(parent.params, own.params) };
+    }
+
+    const agents = (composed.agents || []).map((/** @type {any} */ agent) =>
+      this._expandFragment(agent, baseDir)
+    );
+    return {
+      ...composed,
+      agents: overrides ? this._applyOverrides(agents, overrides, baseDir) : agents,
+    };
+  }
+
+  /**
+   * Path of an "extends" target: a template name or a .json path.
+   * A name skips files already in the chain, so a repo template can
+   * extend the built-in template it shadows.
+   * @private
+   * @param {string} ref
+   * @param {string} baseDir
+   * @param {string[]} chain
+   * @returns {string}
+   */
+  _findParentTemplate(ref, baseDir, chain) {
+    if (ref.endsWith('.json')) {
+      const parentPath = path.resolve(baseDir, ref);
+      if (!fs.existsSync(parentPath)) {
+        throw new Error(`Extended template not found: ${ref} (looked in ${parentPath})`);
+      }
+      return parentPath;
+    }
+    const parentPath = this._findTemplate(ref, chain);
+    if (!parentPath) {
+      throw new Error(
+        `Extended template not found: ${ref} (looked in ${this.templateDirs.join(', ')})`
+      );
+    }
+    return parentPath;
+  }
+
+  /**
+   * First template named `name` in the search dirs
+   * @private
+   * @param {string} name
+   * @param {string[]} [exclude] - Paths to skip
+   * @returns {string|null}
+   */
+  _findTemplate(name, exclude = []) {
+    for (const dir of this.templateDirs) {
+      const candidate = path.resolve(dir, `${name}.json`);
+      if (!exclude.includes(candidate) && fs.existsSync(candidate)) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Merge param schemas: a child entry patches the parent's (e.g. only a new default)
+   * @private
+   * @param {any} parentParams
+   * @param {any} childParams
+   * @returns {any}
+   */
+  _mergeParams(parentParams, childParams) {
+    if (!parentParams && !childParams) return undefined;
+    const merged = { ...parentParams };
+    for (const [name, schema] of Object.entries(childParams || {})) {
+      merged[name] = { ...merged[name], ...schema };
+    }
+    return merged;
+  }
+
+  /**
+   * Replace { fragment: name, ...fields } with the fragment patched by fields
+   * @private
+   * @param {any} agent
+   * @param {string} baseDir
+   * @returns {any}
+   */
+  _expandFragment(agent, baseDir) {
+    if (!agent?.fragment) return agent;
+    const { fragment: name, ...fields } = agent;
+    const candidates = [path.join(baseDir, 'fragments'), ...this.fragmentDirs].map((dir) =>
+      path.join(dir, `${name}.json`)
+    );
+    const fragmentPath = candidates.find((candidate) => fs.existsSync(candidate));
+    if (!fragmentPath) {
+      throw new Error(`Agent fragment not found: ${name} (looked in ${candidates.join(', ')})`);
+    }
+    const fragment = JSON.parse(fs.readFileSync(fragmentPath, 'utf8'));
+    return this._applyPatch(fragment, fields, `fragment ${name}`);
+  }
+
+  /**
+   * Apply overrides to a composed agent list
+   * @private
+   * @param {any[]} agents
+   * @param {any} overrides - { remove, replace, patch, add }
+   * @param {string} baseDir
+   * @returns {any[]}
+   */
+  _applyOverrides(agents, overrides, baseDir) {
+    const allowed = ['remove', 'replace', 'patch', 'add'];
+    const unknown = Object.keys(overrides).filter((key) => !allowed.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown overrides: ${unknown.join(', ')} (allowed: ${allowed.join(', ')})`);
+    }
+
+    const requireAgent = (/** @type {any[]} */ list, /** @type {string} */ id, op) => {
+      const index = list.findIndex((agent) => agent.id === id);
+      if (index === -1) {
+        throw new Error(`overrides.${op}: no agent with id '${id}'`);
+      }
+      return index;
+    };
+
+    let result = [...agents];
+    for (const id of overrides.remove || []) {
+      requireAgent(result, id, 'remove');
+      result = result.filter((agent) => agent.id !== id);
+    }
+    for (const replacement of overrides.replace || []) {
+      const agent = this._expandFragment(replacement, baseDir);
+      result[requireAgent(result, agent.id, 'replace')] = agent;
+    }
+    for (const [id, patch] of Object.entries(overrides.patch || {})) {
+      const index = requireAgent(result, id, 'patch');
+      result[index] = this._applyPatch(result[index], patch, `overrides.patch.${id}`);
+    }
+    for (const addition of overrides.add || []) {
+      const agent = this._expandFragment(addition, baseDir);
+      if (result.some((existing) => existing.id === agent.id)) {
+        throw new Error(`overrides.add: an agent with id '${agent.id}' already exists`);
+      }
+      result.push(agent);
+    }
+    return result;
+  }
+
+  /**
+   * Deep-merge a patch: objects merge, null deletes, { $append } extends strings
+   * @private
+   * @param {any} target
+   * @param {any} patch
+   * @param {string} location - For error messages
+   * @returns {any}
+   */
+  _applyPatch(target, patch, location) {
+    const isObject = (/** @type {any} */ value) =>
+      value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    if (isObject(patch) && Object.keys(patch).length === 1 && '$append' in patch) {
+      if (typeof target !== 'string') {
+        throw new Error(`${location}: $append needs an existing string`);
+      }
+      return target + patch.$append;
+    }
+    if (!isObject(patch) || !isObject(target)) {
+      return JSON.parse(JSON.stringify(patch));
+    }
+
+    /** @type {any} */
+    const result = { ...target };
+    for (const [key, value] of Object.entries(patch)) {
+      if (value === null) {
+        delete result[key];
+      } else {
+        result[key] = this._applyPatch(result[key], value, `${location}.${key}`);
+      }
+    }
+    return result;
+  }
+
   /**
    * Validate that required params are provided
    * @private
@@ -149,8 +427,18 @@ class TemplateResolver {
    * @returns {any}
    */
   _resolveString(str, params) {
-    // Handle simple {{param}} substitutions
+    // Handle {{#if condition}}...{{/if}} blocks first, so conditions see typed
+    // param values rather than their substituted text
     let result = str.replace(
+      /\{\{#if\s+([^}]+)\}\}([\s\S]*?)\{\{\/if\}\}/g,
+      (/** @type {any} */ _match, /** @type {any} */ condition, /** @type {any} */ content) => {
+        const conditionMet = this._evaluateCondition(condition, params);
+        return conditionMet ? content : '';
+      }
+    );
+
+    // Handle simple {{param}} substitutions
+    result = result.replace(
       /\{\{(\w+)\}\}/g,
       (/** @type {any} */ _match, /** @type {any} */ paramName) => {
         if (params[paramName] !== undefined) {
@@ -161,15 +449,6 @@ class TemplateResolver {
       }
     );
 
-    // Handle {{#if condition}}...{{/if}} blocks
-    result = result.replace(
-      /\{\{#if\s+([^}]+)\}\}([\s\S]*?)\{\{\/if\}\}/g,
-      (/** @type {any} */ _match, /** @type {any} */ condition, /** @type {any} */ content) => {
-        const conditionMet = this._evaluateCondition(condition, params);
-        return conditionMet ? content : '';
-      }
-    );
-
     // Clean up multiple newlines from removed conditionals
     result = result.replace(/\n{3,}/g, '\n\n');
 
@@ -177,120 +456,15 @@ class TemplateResolver {
   }
 
   /**
-   * Evaluate a simple condition expression
-   * Supports: param == 'value', param != 'value', {{param}} >= N
+   * Evaluate a condition expression (see template-expression.js)
    * @private
-   * @param {any} condition
+   * @param {string} condition - e.g. "{{validator_count}} >= 2 && complexity in ['STANDARD', 'CRITICAL']"
    * @param {any} params
    * @returns {boolean}
+   * @throws {Error} On syntax errors; config-validator.js reports these up front
    */
   _evaluateCondition(condition, params) {
-    // Replace {{param}} with actual values first
-    let expr = condition.trim();
-
-    // Replace {{param}} placeholders
-    expr = expr.replace(
-      /\{\{(\w+)\}\}/g,
-      (/** @type {any} */ _match, /** @type {any} */ paramName) => {
-        const value = params[paramName];
-        if (value === undefined) return 'undefined';
-        if (typeof value === 'string') return `"${value}"`;
-        return String(value);
-      }
-    );
-
-    // Replace bare param names
-    for (const [name, value] of Object.entries(params)) {
-      const regex = new RegExp(`\\b${name}\\b`, 'g');
-      if (typeof value === 'string') {
-        expr = expr.replace(regex, `"${value}"`);
-      } else {
-        expr = expr.replace(regex, String(value));
-      }
-    }
-
-    try {
-      // Parse and evaluate simple comparison expressions without eval
-      return this._evaluateSimpleExpression(expr);
-    } catch {
-      console.error(`Failed to evaluate condition: ${condition} (resolved: ${expr})`);
-      return false;
-    }
-  }
-
-  /**
-   * Evaluate simple comparison expressions without eval
-   * Supports: ==, !=, <, >, <=, >=, &&, ||
-   * @private
-   * @param {string} expr
-   * @returns {boolean}
-   */
-  _evaluateSimpleExpression(expr) {
-    // Handle logical operators (&&, ||) by splitting and recursing
-    if (expr.includes('||')) {
-      const parts = expr.split('||');
-      return parts.some((part) => this._evaluateSimpleExpression(part.trim()));
-    }
-    if (expr.includes('&&')) {
-      const parts = expr.split('&&');
-      return parts.every((part) => this._evaluateSimpleExpression(part.trim()));
-    }
-
-    // Handle comparison operators
-    const comparisonOps = ['==', '!=', '<=', '>=', '<', '>'];
-    for (const op of comparisonOps) {
-      if (expr.includes(op)) {
-        const [left, right] = expr.split(op).map((s) => s.trim());
-        const leftVal = this._parseValue(left);
-        const rightVal = this._parseValue(right);
-
-        switch (op) {
-          case '==':
-            return leftVal === rightVal;
-          case '!=':
-            return leftVal !== rightVal;
-          case '<':
-            return leftVal < rightVal;
-          case '>':
-            return leftVal > rightVal;
-          case '<=':
-            return leftVal <= rightVal;
-          case '>=':
-            return leftVal >= rightVal;
-        }
-      }
-    }
-
-    // If no operator found, treat as boolean literal or truthy value
-    return this._parseValue(expr) ? true : false;
-  }
-
-  /**
-   * Parse a value from string (number, boolean, string literal)
-   * @private
-   * @param {string} str
-   * @returns {any}
-   */
-  _parseValue(str) {
-    str = str.trim();
-
-    // String literals (single or double quotes)
-    if ((str.startsWith('"') && str.endsWith('"')) || (str.startsWith("'") && str.endsWith("'"))) {
-      return str.slice(1, -1);
-    }
-
-    // Boolean literals
-    if (str === 'true') return true;
-    if (str === 'false') return false;
-    if (str === 'undefined' || str === 'null') return undefined;
-
-    // Numbers
-    if (/^-?\d+(\.\d+)?$/.test(str)) {
-      return parseFloat(str);
-    }
-
-    // Return as-is for other cases
-    return str;
+    return evaluateExpression(condition.trim(), params);
   }
 
   /**
@@ -338,13 +512,11 @@ class TemplateResolver {
    * @returns {string[]}
    */
   listTemplates() {
-    if (!fs.existsSync(this.baseTemplatesDir)) {
-      return [];
-    }
-    return fs
-      .readdirSync(this.baseTemplatesDir)
-      .filter((f) => f.endsWith('.json'))
+    const names = this.templateDirs
+      .filter((dir) => fs.existsSync(dir))
+      .flatMap((dir) => fs.readdirSync(dir).filter((f) => f.endsWith('.json')))
       .map((f) => f.replace('.json', ''));
+    return [...new Set(names)];
   }
 
   /**
@@ -353,8 +525,8 @@ class TemplateResolver {
    * @returns {any}
    */
   getTemplateInfo(baseName) {
-    const templatePath = path.join(this.baseTemplatesDir, `${baseName}.json`);
-    if (!fs.existsSync(templatePath)) {
+    const templatePath = this._findTemplate(baseName);
+    if (!templatePath) {
       return null;
     }
     const template = JSON.parse(fs.readFileSync(templatePath, 'utf8'));
@@ -0,0 +1,349 @@
+/**
+ * Trigger conditions - Declarative alternative to trigger logic scripts
+ *
+ * A condition is a JSON tree that compiles to the same ledger queries a logic
+ * script would run, so it can be checked statically and explained:
+ *
+ *   { "allOf": [
+ *       { "latest": "VALIDATION_RESULT", "since": "IMPLEMENTATION_READY",
+ *         "from": "role:validator", "where": { "approved": true } }
+ *   ] }
+ *
+ * Clauses:
+ * - allOf / anyOf: [conditions]    - every / at least one condition holds
+ * - not: condition                 - condition does not hold
+ * - message: { from, where }       - the triggering message matches
+ * - latest: TOPIC                  - the latest TOPIC message matches `where`.
+ *                                    With from "role:<role>", the latest message
+ *                                    of EVERY agent with that role must exist and match
+ * - any: TOPIC                     - at least one TOPIC message matches `where`
+ * - none: TOPIC                    - no TOPIC message matches `where`
+ *
+ * Ledger clauses accept:
+ * - since: TOPIC  - only messages since the latest TOPIC message; the clause is
+ *                   false while TOPIC has never been published
+ * - from: "<agentId>" | "role:<role>"
+ * - where: { "<path in content.data>": value | [values] } - booleans and numbers
+ *          also match their string form, since hook templates publish strings
+ */
+
+const COMBINATORS = ['allOf', 'anyOf', 'not'];
+const LEDGER_CLAUSES = ['latest', 'any', 'none'];
+const CLAUSES = [...COMBINATORS, 'message', ...LEDGER_CLAUSES];
+const LEDGER_OPTIONS = ['since', 'from', 'where'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function clauseKind(condition) {
+  return CLAUSES.find((kind) => Object.prototype.hasOwnProperty.call(condition, kind));
+}
+
+/**
+ * Role named by a "role:<role>" sender, or null for an agent id
+ * @private
+ */
+function roleOf(from) {
+  return from.startsWith('role:') ? from.slice('role:'.length) : null;
+}
+
+function getPath(data, dotPath) {
+  return dotPath
+    .split('.')
+    .reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), data);
+}
+
+function valueMatches(actual, expected) {
+  if (Array.isArray(expected)) {
+    return expected.some((value) => valueMatches(actual, value));
+  }
+  if (actual === expected) {
+    return true;
+  }
+  // '{{result.approved}}' publishes "false" - treat it like false
+  const scalar = (value) => ['boolean', 'number'].includes(typeof value);
+  return (
+    (typeof actual === 'string' && scalar(expected) && actual === String(expected)) ||
+    (typeof expected === 'string' && scalar(actual) && expected === String(actual))
+  );
+}
+
+function messageMatches(message, where) {
+  if (!where) {
+    return true;
+  }
+  const data = message.content?.data;
+  return Object.entries(where).every(([key, expected]) =>
+    valueMatches(getPath(data, key), expected)
+  );
+}
+
+/**
+ * Agent ids a `from` option stands for, or null for any sender
+ * @private
+ */
+function resolveSenders(from, cluster) {
+  if (!from) {
+    return null;
+  }
+  const role = roleOf(from);
+  return role ? cluster.getAgentsByRole(role).map((agent) => agent.id) : [from];
+}
+
+function evaluateLedgerClause(kind, condition, { ledger, cluster }) {
+  const topic = condition[kind];
+  let since;
+  if (condition.since) {
+    const marker = ledger.findLast({ topic: condition.since });
+    if (!marker) {
+      return false;
+    }
+    since = marker.timestamp;
+  }
+
+  const senders = resolveSenders(condition.from, cluster);
+
+  if (kind === 'latest') {
+    if (!senders) {
+      const last = ledger.findLast({ topic, since });
+      return Boolean(last) && messageMatches(last, condition.where);
+    }
+    // An empty role has nobody to agree
+    return (
+      senders.length > 0 &&
+      senders.every((sender) => {
+        const last = ledger.findLast({ topic, sender, since });
+        return Boolean(last) && messageMatches(last, condition.where);
+      })
+    );
+  }
+
+  const found = ledger
+    .query({ topic, since })
+    .some(
+      (message) =>
+        (!senders || senders.includes(message.sender)) && messageMatches(message, condition.where)
+    );
+  return kind === 'any' ? found : !found;
+}
+
+/**
+ * Evaluate a condition
+ * @param {Object} condition - Validated condition
+ * @param {Object} context - { ledger, cluster, message } as built by LogicEngine
+ * @returns {Boolean}
+ */
+function evaluateCondition(condition, context) {
+  const kind = clauseKind(condition);
+  switch (kind) {
+    case 'allOf':
+      return condition.allOf.every((child) => evaluateCondition(child, context));
+    case 'anyOf':
+      return condition.anyOf.some((child) => evaluateCondition(child, context));
+    case 'not':
+      return !evaluateCondition(condition.not, context);
+    case 'message': {
+      const { message, cluster } = context;
+      const senders = resolveSenders(condition.message.from, cluster);
+      return (
+        Boolean(message) &&
+        (!senders || senders.includes(message.sender)) &&
+        messageMatches(message, condition.message.where)
+      );
+    }
+    case 'latest':
+    case 'any':
+    case 'none':
+      return evaluateLedgerClause(kind, condition, context);
+    default:
+      throw new Error(`Invalid trigger condition: ${JSON.stringify(condition)}`);
+  }
+}
+
+function validateFrom(from, prefix, errors) {
+  if (typeof from !== 'string' || from === '' || from === 'role:') {
+    errors.push(`${prefix}.from must be an agent id or "role:<role>"`);
+  }
+}
+
+function validateWhere(where, prefix, errors) {
+  if (!isPlainObject(where) || Object.keys(where).length === 0) {
+    errors.push(`${prefix}.where must be a non-empty object of { field: value }`);
+    return;
+  }
+  const scalar = (value) =>
+    value === null || ['string', 'number', 'boolean'].includes(typeof value);
+  for (const [key, value] of Object.entries(where)) {
+    const valid = Array.isArray(value) ? value.length > 0 && value.every(scalar) : scalar(value);
+    if (!valid) {
+      errors.push(
+        `${prefix}.where.${key} must be a string, number, boolean, null or a list of them`
+      );
+    }
+  }
+}
+
+function validateOptions(condition, allowed, prefix, errors) {
+  for (const key of Object.keys(condition)) {
+    if (!allowed.includes(key)) {
+      errors.push(`${prefix} has unknown key '${key}' (allowed: ${allowed.join(', ')})`);
+    }
+  }
+  if (condition.from !== undefined) validateFrom(condition.from, prefix, errors);
+  if (condition.where !== undefined) validateWhere(condition.where, prefix, errors);
+}
+
+/**
+ * Check a condition's structure
+ * @param {*} condition
+ * @param {String} prefix - Location used in error messages (e.g. "agents[0].triggers[1].condition")
+ * @returns {Array<String>} Errors
+ */
+function validateCondition(condition, prefix) {
+  const errors = [];
+  if (!isPlainObject(condition)) {
+    return [`${prefix} must be an object`];
+  }
+
+  const kinds = CLAUSES.filter((kind) => Object.prototype.hasOwnProperty.call(condition, kind));
+  if (kinds.length !== 1) {
+    return [
+      `${prefix} must have exactly one of ${CLAUSES.join(', ')}` +
+        (kinds.length > 1 ? ` (found ${kinds.join(', ')})` : ''),
+    ];
+  }
+
+  const kind = kinds[0];
+  if (kind === 'allOf' || kind === 'anyOf') {
+    validateOptions(condition, [kind], prefix, errors);
+    if (!Array.isArray(condition[kind]) || condition[kind].length === 0) {
+      errors.push(`${prefix}.${kind} must be a non-empty array of conditions`);
+    } else {
+      condition[kind].forEach((child, i) => {
+        errors.push(...validateCondition(child, `${prefix}.${kind}[${i}]`));
+      });
+    }
+  } else if (kind === 'not') {
+    validateOptions(condition, ['not'], prefix, errors);
+    errors.push(...validateCondition(condition.not, `${prefix}.not`));
+  } else if (kind === 'message') {
+    validateOptions(condition, ['message'], prefix, errors);
+    if (isPlainObject(condition.message)) {
+      validateOptions(condition.message, ['from', 'where'], `${prefix}.message`, errors);
+    } else {
+      errors.push(`${prefix}.message must be an object with from and/or where`);
+    }
+  } else {
+    validateOptions(condition, [kind, ...LEDGER_OPTIONS], prefix, errors);
+    if (typeof condition[kind] !== 'string' || condition[kind] === '') {
+      errors.push(`${prefix}.${kind} must be a topic name`);
+    }
+    if (
+      condition.since !== undefined &&
+      (typeof condition.since !== 'string' || !condition.since)
+    ) {
+      errors.push(`${prefix}.since must be a topic name`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Topics, roles and agents a condition refers to, for config-level checks
+ * @param {Object} condition - Structurally valid condition
+ * @returns {{ topics: Set<String>, roles: Set<String>, agents: Set<String> }}
+ */
+function conditionReferences(
+  condition,
+  refs = { topics: new Set(), roles: new Set(), agents: new Set() }
+) {
+  const kind = clauseKind(condition);
+  const addFrom = (from) => {
+    if (!from) return;
+    if (roleOf(from)) refs.roles.add(roleOf(from));
+    else refs.agents.add(from);
+  };
+
+  if (kind === 'allOf' || kind === 'anyOf') {
+    condition[kind].forEach((child) => conditionReferences(child, refs));
+  } else if (kind === 'not') {
+    conditionReferences(condition.not, refs);
+  } else if (kind === 'message') {
+    addFrom(condition.message.from);
+  } else if (kind) {
+    refs.topics.add(condition[kind]);
+    if (condition.since) refs.topics.add(condition.since);
+    addFrom(condition.from);
+  }
+  return refs;
+}
+
+function explainWhere(where) {
+  return Object.entries(where)
+    .map(([key, value]) =>
+      Array.isArray(value)
+        ? `${key} in [${value.map((v) => JSON.stringify(v)).join(', ')}]`
+        : `${key} = ${JSON.stringify(value)}`
+    )
+    .join(' and ');
+}
+
+function explainLedgerClause(kind, condition) {
+  const topic = condition[kind];
+  const from = condition.from || '';
+  const role = from ? roleOf(from) : null;
+  const since = condition.since ? ` since the last ${condition.since}` : '';
+  const predicate = condition.where ? ` has ${explainWhere(condition.where)}` : ' exists';
+
+  if (kind === 'latest') {
+    let owner = 'the';
+    if (role) owner = `every ${role} agent's`;
+    else if (from) owner = `${from}'s`;
+    return `${owner} latest ${topic}${since}${predicate}`;
+  }
+
+  let sender = '';
+  if (role) sender = ` from a ${role} agent`;
+  else if (from) sender = ` from ${from}`;
+  return `${kind === 'any' ? 'some' : 'no'} ${topic}${sender}${since}${predicate}`;
+}
+
+/**
+ * One-line English description of a condition (`zeroshot config show`)
+ * @param {Object} condition - Structurally valid condition
+ * @returns {String}
+ */
+function explainCondition(condition) {
+  const kind = clauseKind(condition);
+  const nested = (child) => {
+    const text = explainCondition(child);
+    return ['allOf', 'anyOf'].includes(clauseKind(child)) ? `(${text})` : text;
+  };
+
+  switch (kind) {
+    case 'allOf':
+      return condition.allOf.map(nested).join(' AND ');
+    case 'anyOf':
+      return condition.anyOf.map(nested).join(' OR ');
+    case 'not':
+      return `NOT ${nested(condition.not)}`;
+    case 'message': {
+      const { from, where } = condition.message;
+      const parts = [
+        from && `is from ${roleOf(from) ? `a ${roleOf(from)} agent` : from}`,
+        where && `has ${explainWhere(where)}`,
+      ].filter(Boolean);
+      return `the triggering message ${parts.join(' and ') || 'exists'}`;
+    }
+    default:
+      return explainLedgerClause(kind, condition);
+  }
+}
+
+module.exports = {
+  evaluateCondition,
+  validateCondition,
+  conditionReferences,
+  explainCondition,
+};
@@ -0,0 +1,176 @@
+/**
+ * Trigger trace - `zeroshot why`
+ *
+ * With --trace-triggers every trigger evaluation (and every matching message an
+ * agent dropped because it was busy or stopped) is stored in the ledger's
+ * trigger_evaluations table with its outcome, duration, exception and the
+ * ledger queries the script or condition made (see evaluateTriggerTraced in
+ * agent-trigger-evaluator.js). whyAgent() joins that table with the ledger and
+ * the agent's triggers to explain, per message, why the agent did or did not
+ * wake up. Without a trace it falls back to the agent's lifecycle events.
+ */
+
+const path = require('path');
+const Ledger = require('./ledger');
+const { loadRecording, findRecordedReaction } = require('./replay');
+const { findMatchingTrigger, getTriggerAction } = require('./agent/agent-trigger-evaluator');
+const { explainCondition } = require('./trigger-conditions');
+
+// Runtime chatter that only explains a stall when a trigger listens to it
+const BOOKKEEPING_TOPICS = new Set(['AGENT_LIFECYCLE', 'AGENT_OUTPUT', 'TOKEN_USAGE']);
+
+function describeTrigger(trigger) {
+  if (trigger.condition) return `condition: ${explainCondition(trigger.condition)}`;
+  if (trigger.logic?.script) return 'logic script';
+  return 'no logic (always fires)';
+}
+
+function startedAt(messages, agentId) {
+  const started = messages.find(
+    (m) =>
+      m.topic === 'AGENT_LIFECYCLE' && m.sender === agentId && m.content?.data?.event === 'STARTED'
+  );
+  return started ? started.timestamp : null;
+}
+
+/**
+ * Why the agent did or did not wake up for one message
+ * @private
+ */
+function explainMessage({ messages, index, trigger, evaluation, agentId, traced, agentStart }) {
+  const message = messages[index];
+  if (evaluation) {
+    switch (evaluation.outcome) {
+      case 'fired':
+        return 'fired';
+      case 'rejected':
+        return trigger?.condition ? 'condition was false' : 'logic script returned false';
+      case 'error':
+        return `trigger threw: ${evaluation.error}`;
+      case 'dropped_busy':
+        return `dropped: agent was busy (${evaluation.error})`;
+      case 'dropped_stopped':
+        return 'dropped: agent was not running';
+      default:
+        return evaluation.outcome;
+    }
+  }
+
+  // Ledgers without a STARTED event: the agent ran from the start
+  if (agentStart !== null && message.timestamp < agentStart) {
+    return 'not evaluated: agent had not started yet';
+  }
+  if (!traced) {
+    const reaction = findRecordedReaction(
+      messages,
+      index,
+      { id: agentId },
+      getTriggerAction(trigger)
+    );
+    return reaction === -1
+      ? 'did not fire (no trace - run with --trace-triggers to see why)'
+      : 'fired (from the agent lifecycle)';
+  }
+  return 'not evaluated: agent was not listening (stopped, or tracing began later)';
+}
+
+/**
+ * Explain which triggers were evaluated for an agent over the last messages
+ * @param {Object} options
+ * @param {String} options.storageDir - Directory holding clusters.json and <id>.db
+ * @param {String} options.clusterId
+ * @param {String} options.agentId
+ * @param {Number} [options.last=20] - Messages with a matching trigger to explain
+ * @returns {Object} { clusterId, agentId, traced, triggers, entries, unmatched }
+ */
+function whyAgent({ storageDir, clusterId, agentId, last = 20 }) {
+  const { cluster, messages } = loadRecording({ storageDir, clusterId });
+  const agentConfig = cluster.config.agents.find((agent) => agent.id === agentId);
+
+  const ledger = new Ledger(path.join(storageDir, `${clusterId}.db`));
+  let evaluations;
+  try {
+    evaluations = ledger.getTriggerEvaluations({ cluster_id: clusterId, agent_id: agentId });
+  } finally {
+    ledger.close();
+  }
+
+  if (!agentConfig && evaluations.length === 0) {
+    const ids = cluster.config.agents.map((agent) => agent.id).join(', ');
+    throw new Error(`Agent ${agentId} is not in cluster ${clusterId} (agents: ${ids})`);
+  }
+
+  const triggers = agentConfig?.triggers || [];
+  const byMessage = new Map();
+  for (const evaluation of evaluations) {
+    byMessage.set(evaluation.message_id, evaluation);
+  }
+
+  const relevant = [];
+  for (let i = 0; i < messages.length; i++) {
+    const trigger = findMatchingTrigger({ triggers, message: messages[i] });
+    if (trigger || byMessage.has(messages[i].id)) {
+      relevant.push({ index: i, trigger });
+    }
+  }
+  const window = relevant.slice(-last);
+  const windowStart = window.length > 0 ? window[0].index : messages.length;
+
+  const traced = Boolean(cluster.traceTriggers) || evaluations.length > 0;
+  const agentStart = startedAt(messages, agentId);
+  const entries = window.map(({ index, trigger }) => {
+    const message = messages[index];
+    const evaluation = byMessage.get(message.id) || null;
+    return {
+      message: {
+        id: message.id,
+        timestamp: message.timestamp,
+        topic: message.topic,
+        sender: message.sender,
+      },
+      trigger: trigger ? trigger.topic : evaluation.trigger_topic,
+      logic: trigger ? describeTrigger(trigger) : null,
+      evaluation: evaluation && {
+        outcome: evaluation.outcome,
+        durationMs: evaluation.duration_ms,
+        error: evaluation.error,
+        queries: evaluation.queries,
+      },
+      verdict: explainMessage({
+        messages,
+        index,
+        trigger,
+        evaluation,
+        agentId,
+        traced,
+        agentStart,
+      }),
+    };
+  });
+
+  // Topics published in the window that no trigger of this agent listens to
+  const unmatched = {};
+  for (const message of messages.slice(windowStart)) {
+    if (BOOKKEEPING_TOPICS.has(message.topic) || message.sender === agentId) continue;
+    if (!findMatchingTrigger({ triggers, message })) {
+      unmatched[message.topic] = (unmatched[message.topic] || 0) + 1;
+    }
+  }
+
+  return {
+    clusterId,
+    agentId,
+    traced,
+    triggers: triggers.map((trigger) => ({
+      topic: trigger.topic,
+      action: getTriggerAction(trigger),
+      logic: describeTrigger(trigger),
+    })),
+    entries,
+    unmatched,
+  };
+}
+
+module.exports = {
+  whyAgent,
+};
@@ -5,7 +5,7 @@
  * Runs detached from parent, provides Unix socket for attach clients.
  */
 
-import { appendFileSync, existsSync, mkdirSync } from 'fs';
+import { appendFileSync, existsSync, mkdirSync, rmSync } from 'fs';
 import { join } from 'path';
 import { homedir } from 'os';
 import { updateTask } from './store.js';
@@ -82,10 +82,22 @@ function log(msg) {
   appendFileSync(logFile, msg);
 }
 
+// Temp files the command used (schemas, MCP configs holding secrets)
+function removeTempFiles() {
+  for (const target of config.cleanup || []) {
+    try {
+      rmSync(target, { recursive: true, force: true });
+    } catch {
+      // already gone
+    }
+  }
+}
+
 const providerName = normalizeProviderName(config.provider || 'claude');
 const enableRecovery = providerName === 'claude';
 
-const env = { ...process.env, ...(config.env || {}) };
+// The runner passes the provider's env through ours, never argv (visible in ps)
+const env = process.env;
 const command = config.command || 'claude';
 const finalArgs = [...args];
 
@@ -232,6 +244,7 @@ server.on('output', (data) => {
 
 server.on('exit', async ({ exitCode, signal }) => {
   const timestamp = Date.now();
+  removeTempFiles();
   const code = exitCode;
 
   flushOutputBuffer(timestamp);
@@ -264,6 +277,7 @@ server.on('exit', async ({ exitCode, signal }) => {
 
 server.on('error', async (err) => {
   log(`\nError: ${err.message}\n`);
+  removeTempFiles();
   try {
     await updateTask(taskId, { status: 'failed', error: err.message });
   } catch (updateError) {
@@ -294,6 +308,7 @@ try {
   log(`[${Date.now()}][SYSTEM] PID: ${server.pid}\n`);
 } catch (err) {
   log(`\nFailed to start: ${err.message}\n`);
+  removeTempFiles();
   updateTask(taskId, { status: 'failed', error: err.message });
   process.exit(1);
 }
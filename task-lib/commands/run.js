@@ -27,6 +27,9 @@ export async function runTask(prompt, options = {}) {
       console.log(chalk.dim(`  Silent mode: log contains ONLY final JSON`));
     }
   }
+  if (options.mcpConfig) {
+    console.log(chalk.dim(`  MCP servers: configured`));
+  }
 
   const task = await spawnTask(prompt, {
     cwd: options.cwd || process.cwd(),
@@ -38,6 +41,7 @@ export async function runTask(prompt, options = {}) {
     continue: options.continue,
     outputFormat,
     jsonSchema,
+    mcpConfig: options.mcpConfig,
     silentJsonOutput,
   });
 
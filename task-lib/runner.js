@@ -9,6 +9,8 @@ const require = createRequire(import.meta.url);
 const { loadSettings } = require('../lib/settings.js');
 const { normalizeProviderName } = require('../lib/provider-names');
 const { getProvider } = require('../src/providers');
+const { checkCapability } = require('../src/providers/capabilities');
+const { loadMcpConfig } = require('../src/providers/mcp-servers');
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -28,12 +30,14 @@ export async function spawnTask(prompt, options = {}) {
   const outputFormat = resolveOutputFormat(options);
   const jsonSchema = resolveJsonSchema(options, outputFormat);
   const modelSpec = resolveModelSpec(options, provider, providerSettings, levelOverrides);
+  const mcpServers = resolveMcpServers(options, providerName);
 
   const cliFeatures = await provider.getCliFeatures();
   const commandSpec = provider.buildCommand(prompt, {
     modelSpec,
     outputFormat,
     jsonSchema,
+    mcpServers,
     cwd,
     autoApprove: true,
     cliFeatures,
@@ -67,6 +71,7 @@ export async function spawnTask(prompt, options = {}) {
     logFile,
     finalArgs,
     watcherConfig,
+    env: commandSpec.env || {},
   });
 
   return task;
@@ -95,6 +100,17 @@ function resolveJsonSchema(options, outputFormat) {
   return jsonSchema;
 }
 
+function resolveMcpServers(options, providerName) {
+  if (!options.mcpConfig) {
+    return null;
+  }
+  if (!checkCapability(providerName, 'mcpServers')) {
+    console.warn(`Warning: ${providerName} does not support MCP servers; ignoring --mcp-config`);
+    return null;
+  }
+  return loadMcpConfig(options.mcpConfig);
+}
+
 function resolveModelSpec(options, provider, providerSettings, levelOverrides) {
   if (options.model) {
     return {
@@ -157,7 +173,8 @@ function buildWatcherConfig(outputFormat, jsonSchema, options, providerName, com
     silentJsonOutput: options.silentJsonOutput || false,
     provider: providerName,
     command: commandSpec.binary,
-    env: commandSpec.env || {},
+    // Temp files and dirs (schemas, MCP configs) the watcher removes when the CLI exits
+    cleanup: commandSpec.cleanup || [],
   };
 }
 
@@ -166,13 +183,15 @@ function resolveWatcherScript(options) {
   return useAttachable ? join(__dirname, 'attachable-watcher.js') : join(__dirname, 'watcher.js');
 }
 
-function spawnWatcher({ watcherScript, id, cwd, logFile, finalArgs, watcherConfig }) {
+function spawnWatcher({ watcherScript, id, cwd, logFile, finalArgs, watcherConfig, env }) {
+  // The provider's env can hold secrets (MCP headers): inherit it, never put it in argv
   const watcher = fork(
     watcherScript,
     [id, cwd, logFile, JSON.stringify(finalArgs), JSON.stringify(watcherConfig)],
     {
       detached: true,
       stdio: 'ignore',
+      env: { ...process.env, ...env },
     }
   );
 
@@ -6,7 +6,7 @@
  */
 
 import { spawn } from 'child_process';
-import { appendFileSync } from 'fs';
+import { appendFileSync, rmSync } from 'fs';
 import { updateTask } from './store.js';
 import { detectStreamingModeError, recoverStructuredOutput } from './claude-recovery.js';
 import { createRequire } from 'module';
@@ -22,10 +22,22 @@ function log(msg) {
   appendFileSync(logFile, msg);
 }
 
+// Temp files the command used (schemas, MCP configs holding secrets)
+function removeTempFiles() {
+  for (const target of config.cleanup || []) {
+    try {
+      rmSync(target, { recursive: true, force: true });
+    } catch {
+      // already gone
+    }
+  }
+}
+
 const providerName = normalizeProviderName(config.provider || 'claude');
 const enableRecovery = providerName === 'claude';
 
-const env = { ...process.env, ...(config.env || {}) };
+// The runner passes the provider's env through ours, never argv (visible in ps)
+const env = process.env;
 const command = config.command || 'claude';
 const finalArgs = [...args];
 
@@ -189,6 +201,7 @@ child.stderr.on('data', (data) => {
 
 child.on('close', async (code, signal) => {
   const timestamp = Date.now();
+  removeTempFiles();
 
   flushStdoutBuffer(timestamp);
   flushStderrBuffer(timestamp);
@@ -217,6 +230,7 @@ child.on('close', async (code, signal) => {
 
 child.on('error', async (err) => {
   log(`\nError: ${err.message}\n`);
+  removeTempFiles();
   try {
     await updateTask(taskId, { status: 'failed', error: err.message });
   } catch (updateError) {
@@ -0,0 +1,283 @@
+/**
+ * Tests for the HTTP API provider (src/providers/api)
+ *
+ * Covers:
+ * - The tool loop against OpenAI-compatible and Anthropic Messages stand-ins
+ * - Tool safety (unique edits, paths confined to cwd, shell exit codes)
+ * - Running a task through run.js the way `zeroshot task run` spawns it
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { getProvider, parseChunkWithProvider } = require('../src/providers');
+const { createClient } = require('../src/providers/api/client');
+const { runAgentLoop } = require('../src/providers/api/agent-loop');
+const { runTool } = require('../src/providers/api/tools');
+const { validateSetting } = require('../lib/settings');
+
+/**
+ * Endpoint stand-in that answers with the given replies in order
+ */
+function createStandIn(replies) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+      const [status, payload] = replies[requests.length - 1] || [500, { error: 'no reply left' }];
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+function openaiReply(message, usage = { prompt_tokens: 10, completion_tokens: 5 }) {
+  return [200, { choices: [{ message }], usage }];
+}
+
+/**
+ * Temp working directory and endpoint stand-in, cleaned up after each test
+ */
+function useSandbox() {
+  const sandbox = { dir: null, standIn: null };
+
+  beforeEach(function () {
+    sandbox.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zeroshot-api-provider-'));
+  });
+
+  afterEach(function () {
+    sandbox.standIn?.server.close();
+    sandbox.standIn = null;
+    fs.rmSync(sandbox.dir, { recursive: true, force: true });
+  });
+
+  return sandbox;
+}
+
+describe('HTTP API provider tool loop', function () {
+  const sandbox = useSandbox();
+
+  it('runs the tool loop against an OpenAI-compatible endpoint', async function () {
+    sandbox.standIn = await createStandIn([
+      openaiReply({
+        content: 'Writing the file',
+        tool_calls: [
+          {
+            id: 'call_1',
+            type: 'function',
+            function: {
+              name: 'write_file',
+              arguments: JSON.stringify({ path: 'src/out.txt', content: 'hi' }),
+            },
+          },
+        ],
+      }),
+      openaiReply({ content: '{"done":true}' }, { prompt_tokens: 20, completion_tokens: 3 }),
+    ]);
+
+    const events = [];
+    const client = createClient({
+      format: 'openai',
+      baseUrl: `${sandbox.standIn.url}/v1`,
+      apiKey: 'k',
+    });
+    const result = await runAgentLoop({
+      prompt: 'Create src/out.txt',
+      client,
+      cwd: sandbox.dir,
+      model: 'local',
+      onEvent: (event) => events.push(event),
+    });
+
+    assert.strictEqual(fs.readFileSync(path.join(sandbox.dir, 'src', 'out.txt'), 'utf8'), 'hi');
+    assert.deepStrictEqual(
+      events.map((event) => event.type),
+      ['text', 'tool_call', 'tool_result', 'text', 'result']
+    );
+    assert.deepStrictEqual(events[1].input, { path: 'src/out.txt', content: 'hi' });
+    assert.strictEqual(events[2].isError, false);
+    assert.strictEqual(result.result, '{"done":true}');
+    assert.strictEqual(result.inputTokens, 30);
+    assert.strictEqual(result.outputTokens, 8);
+
+    assert.strictEqual(sandbox.standIn.requests[0].url, '/v1/chat/completions');
+    assert.strictEqual(sandbox.standIn.requests[0].headers.authorization, 'Bearer k');
+    assert.strictEqual(sandbox.standIn.requests[0].body.model, 'local');
+    assert.deepStrictEqual(
+      sandbox.standIn.requests[0].body.tools.map((tool) => tool.function.name),
+      ['read_file', 'write_file', 'edit_file', 'run_shell']
+    );
+    const toolMessage = sandbox.standIn.requests[1].body.messages.at(-1);
+    assert.strictEqual(toolMessage.role, 'tool');
+    assert.strictEqual(toolMessage.tool_call_id, 'call_1');
+    assert.strictEqual(toolMessage.content, 'Wrote src/out.txt');
+  });
+
+  it('speaks the Anthropic Messages format', async function () {
+    fs.writeFileSync(path.join(sandbox.dir, 'a.txt'), 'one two');
+    sandbox.standIn = await createStandIn([
+      [
+        200,
+        {
+          content: [
+            {
+              type: 'tool_use',
+              id: 'tu_1',
+              name: 'edit_file',
+              input: { path: 'a.txt', old_string: 'two', new_string: '2' },
+            },
+          ],
+          usage: { input_tokens: 7, output_tokens: 2 },
+        },
+      ],
+      [
+        200,
+        { content: [{ type: 'text', text: 'Done' }], usage: { input_tokens: 9, output_tokens: 1 } },
+      ],
+    ]);
+
+    const client = createClient({
+      format: 'anthropic',
+      baseUrl: `${sandbox.standIn.url}/v1`,
+      apiKey: 'k',
+    });
+    const result = await runAgentLoop({ prompt: 'Edit a.txt', client, cwd: sandbox.dir });
+
+    assert.strictEqual(fs.readFileSync(path.join(sandbox.dir, 'a.txt'), 'utf8'), 'one 2');
+    assert.strictEqual(result.result, 'Done');
+    assert.strictEqual(result.inputTokens, 16);
+    assert.strictEqual(sandbox.standIn.requests[0].url, '/v1/messages');
+    assert.strictEqual(sandbox.standIn.requests[0].headers['x-api-key'], 'k');
+    assert.strictEqual(sandbox.standIn.requests[0].headers['anthropic-version'], '2023-06-01');
+    assert.ok(sandbox.standIn.requests[0].body.system.includes(sandbox.dir));
+    assert.deepStrictEqual(sandbox.standIn.requests[1].body.messages.at(-1), {
+      role: 'user',
+      content: [
+        { type: 'tool_result', tool_use_id: 'tu_1', content: 'Edited a.txt', is_error: false },
+      ],
+    });
+  });
+});
+
+describe('HTTP API provider tasks', function () {
+  const sandbox = useSandbox();
+
+  it('keeps tools inside the working directory and reports failures to the model', async function () {
+    fs.writeFileSync(path.join(sandbox.dir, 'a.txt'), 'x x');
+
+    const ambiguous = await runTool(
+      'edit_file',
+      { path: 'a.txt', old_string: 'x', new_string: 'y' },
+      sandbox.dir
+    );
+    assert.strictEqual(ambiguous.isError, true);
+    assert.match(ambiguous.content, /exactly once .* \(found 2 occurrences\)/);
+
+    const escape = await runTool('read_file', { path: '../../etc/passwd' }, sandbox.dir);
+    assert.strictEqual(escape.isError, true);
+    assert.match(escape.content, /outside the working directory/);
+
+    const shell = await runTool(
+      'run_shell',
+      { command: 'pwd && echo oops >&2 && exit 3' },
+      sandbox.dir
+    );
+    assert.strictEqual(shell.isError, true);
+    assert.match(shell.content, /^exit code: 3/);
+    assert.ok(shell.content.includes(fs.realpathSync(sandbox.dir)));
+    assert.ok(shell.content.includes('oops'));
+
+    const unknown = await runTool('delete_repo', {}, sandbox.dir);
+    assert.match(unknown.content, /Unknown tool delete_repo/);
+
+    assert.strictEqual(validateSetting('providerSettings', { api: { format: 'anthropic' } }), null);
+    assert.match(
+      validateSetting('providerSettings', { api: { format: 'grpc' } }),
+      /format must be one of: openai, anthropic/
+    );
+    assert.match(
+      validateSetting('providerSettings', { api: { baseUrl: 'localhost:8080' } }),
+      /must be an http\(s\) URL/
+    );
+  });
+
+  it('runs a task through run.js and emits normalized events', async function () {
+    this.timeout(20000);
+    sandbox.standIn = await createStandIn([
+      openaiReply({
+        content: '',
+        tool_calls: [
+          {
+            id: 'call_1',
+            type: 'function',
+            function: { name: 'run_shell', arguments: '{"command":"echo hello > greeting.txt"}' },
+          },
+        ],
+      }),
+      openaiReply({ content: '{"summary":"greeted"}' }),
+      [400, { error: { message: 'bad request' } }],
+    ]);
+
+    const originalBaseUrl = process.env.ZEROSHOT_API_BASE_URL;
+    process.env.ZEROSHOT_API_BASE_URL = sandbox.standIn.url;
+    let command;
+    try {
+      const provider = getProvider('api');
+      assert.ok(provider.isAvailable());
+      command = provider.buildCommand('-v say hello', {
+        modelSpec: provider.resolveModelSpec('level2'),
+        jsonSchema: { type: 'object', properties: { summary: { type: 'string' } } },
+        cwd: sandbox.dir,
+      });
+    } finally {
+      if (originalBaseUrl === undefined) {
+        delete process.env.ZEROSHOT_API_BASE_URL;
+      } else {
+        process.env.ZEROSHOT_API_BASE_URL = originalBaseUrl;
+      }
+    }
+
+    const run = () =>
+      new Promise((resolve, reject) => {
+        const child = spawn(command.binary, command.args, { cwd: sandbox.dir, env: process.env });
+        let stdout = '';
+        child.stdout.on('data', (chunk) => {
+          stdout += chunk;
+        });
+        child.on('error', reject);
+        child.on('close', (code) => resolve({ code, stdout }));
+      });
+
+    const ok = await run();
+    assert.strictEqual(ok.code, 0);
+    assert.strictEqual(fs.readFileSync(path.join(sandbox.dir, 'greeting.txt'), 'utf8'), 'hello\n');
+    const events = parseChunkWithProvider(getProvider('api'), ok.stdout);
+    assert.deepStrictEqual(
+      events.map((event) => event.type),
+      ['tool_call', 'tool_result', 'text', 'result']
+    );
+    assert.strictEqual(events[3].success, true);
+    assert.strictEqual(events[3].result, '{"summary":"greeted"}');
+    const prompt = sandbox.standIn.requests[0].body.messages[1].content;
+    assert.ok(prompt.startsWith('-v say hello'));
+    assert.ok(prompt.includes('## OUTPUT FORMAT'));
+
+    const failed = await run();
+    assert.strictEqual(failed.code, 1);
+    const [result] = parseChunkWithProvider(getProvider('api'), failed.stdout);
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /returned HTTP 400\): .*bad request/);
+  });
+});
@@ -0,0 +1,377 @@
+/**
+ * Tests for best-of-N candidate workers
+ *
+ * Covers:
+ * - Ranking candidates by their validators' verdicts
+ * - The candidate and reviewer copies' config
+ * - bestOf validation (trigger, candidates, providers, validators)
+ * - The orchestrator running candidates in worktrees, scoring them and merging
+ *   the winner before IMPLEMENTATION_READY, and dropping candidates that fail
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+const Orchestrator = require('../src/orchestrator');
+const MockTaskRunner = require('./helpers/mock-task-runner');
+const { validateConfig } = require('../src/config-validator');
+const {
+  getBestOfSettings,
+  buildCandidateWorker,
+  buildCandidateReviewer,
+  rankCandidates,
+  summarizeBestOf,
+} = require('../src/best-of');
+
+function createRepo() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zeroshot-bestof-repo-'));
+  const run = (command) => execSync(command, { cwd: dir, stdio: 'pipe' });
+  run('git init -b main');
+  run('git config user.email "test@test.com"');
+  run('git config user.name "Test User"');
+  fs.writeFileSync(path.join(dir, 'README.md'), '# Test\n');
+  run('git add -A');
+  run('git commit -m "Initial commit"');
+  return { dir, run };
+}
+
+const summarySchema = {
+  type: 'object',
+  properties: { summary: { type: 'string' } },
+  required: ['summary'],
+};
+
+const worker = {
+  id: 'worker',
+  role: 'implementation',
+  timeout: 0,
+  outputFormat: 'json',
+  maxIterations: 3,
+  jsonSchema: summarySchema,
+  prompt: { initial: 'Implement the issue.', subsequent: 'Fix the rejections.' },
+  bestOf: { candidates: 2 },
+  triggers: [
+    { topic: 'ISSUE_OPENED', action: 'best_of' },
+    {
+      topic: 'VALIDATION_RESULT',
+      condition: {
+        any: 'VALIDATION_RESULT',
+        since: 'IMPLEMENTATION_READY',
+        where: { approved: false },
+      },
+      action: 'execute_task',
+    },
+  ],
+  hooks: {
+    onComplete: {
+      action: 'publish_message',
+      config: { topic: 'IMPLEMENTATION_READY', content: { text: '{{result.summary}}' } },
+    },
+  },
+};
+
+const validator = {
+  id: 'validator',
+  role: 'validator',
+  timeout: 0,
+  outputFormat: 'json',
+  jsonSchema: {
+    type: 'object',
+    properties: {
+      approved: { type: 'boolean' },
+      summary: { type: 'string' },
+      errors: { type: 'array' },
+    },
+    required: ['approved', 'summary'],
+  },
+  prompt: 'Validate the implementation.',
+  triggers: [{ topic: 'IMPLEMENTATION_READY', action: 'execute_task' }],
+  hooks: {
+    onComplete: {
+      action: 'publish_message',
+      config: {
+        topic: 'VALIDATION_RESULT',
+        content: {
+          text: '{{result.summary}}',
+          data: { approved: '{{result.approved}}', errors: '{{result.errors}}' },
+        },
+      },
+    },
+  },
+};
+
+const config = { agents: [worker, validator] };
+
+describe('Best-of', function () {
+  it('ranks candidates by approvals, then errors, then diff size', function () {
+    const candidates = [
+      { candidateId: 'w-1', added: 10, removed: 0 },
+      { candidateId: 'w-2', added: 50, removed: 5 },
+      { candidateId: 'w-3', added: 1, removed: 0, failed: true },
+      { candidateId: 'w-4', added: 2, removed: 0 },
+    ];
+    const ranked = rankCandidates(candidates, [
+      { candidateId: 'w-1', approved: 'true' },
+      { candidateId: 'w-1', approved: false, errors: '["missing test"]' },
+      { candidateId: 'w-2', approved: true },
+      { candidateId: 'w-2', approved: true },
+      { candidateId: 'w-4', approved: true },
+      { candidateId: 'w-4', approved: false, errors: [] },
+    ]);
+    assert.deepStrictEqual(
+      ranked.map((c) => [c.candidateId, c.score, c.errors]),
+      [
+        ['w-2', 1, 0],
+        ['w-4', 0.5, 0],
+        ['w-1', 0.5, 1],
+        ['w-3', 0, 0],
+      ]
+    );
+    assert.strictEqual(ranked[0].approvals, 2);
+
+    // An explicit score wins over approved
+    const explicit = rankCandidates(candidates.slice(0, 2), [
+      { candidateId: 'w-1', approved: false, score: 0.9 },
+      { candidateId: 'w-2', approved: true, score: 0.4 },
+    ]);
+    assert.strictEqual(explicit[0].candidateId, 'w-1');
+  });
+
+  it('summarizes best-of messages for status', function () {
+    const data = (topic, value) => ({ topic, content: { data: value } });
+    const candidates = [{ candidateId: 'w-1' }, { candidateId: 'w-2' }];
+    const running = summarizeBestOf([
+      data('ISSUE_OPENED', {}),
+      data('CANDIDATE_ASSIGNED', { candidates }),
+      data('CANDIDATE_SCORED', { candidateId: 'w-2', approved: true }),
+    ]);
+    assert.strictEqual(running.state, 'running');
+    assert.deepStrictEqual(
+      running.candidates.map((c) => [c.candidateId, c.score]),
+      [
+        ['w-2', 1],
+        ['w-1', 0],
+      ]
+    );
+
+    const selected = summarizeBestOf([
+      data('CANDIDATE_ASSIGNED', { candidates }),
+      data('CANDIDATE_SELECTED', { winner: 'w-2', candidates: running.candidates }),
+    ]);
+    assert.strictEqual(selected.state, 'selected');
+    assert.strictEqual(selected.winner, 'w-2');
+    assert.strictEqual(summarizeBestOf([data('ISSUE_OPENED', {})]), null);
+  });
+
+  it('builds candidate and reviewer copies', function () {
+    assert.deepStrictEqual(getBestOfSettings({ bestOf: { candidates: '4', providers: 'a, b' } }), {
+      candidates: 4,
+      providers: ['a', 'b'],
+    });
+
+    const candidate = buildCandidateWorker(worker, {
+      id: 'worker-1',
+      cwd: '/tmp/wt',
+      provider: 'codex',
+      total: 2,
+    });
+    assert.strictEqual(candidate.candidateOf, 'worker');
+    assert.strictEqual(candidate.bestOf, undefined);
+    assert.strictEqual(candidate.provider, 'codex');
+    assert.strictEqual(candidate.maxIterations, 1);
+    assert.ok(candidate.prompt.startsWith('Implement the issue.'));
+    assert.deepStrictEqual(candidate.triggers, [
+      { topic: 'CANDIDATE_ASSIGNED', action: 'execute_task' },
+    ]);
+    assert.deepStrictEqual(candidate.hooks.onComplete.config.content.data, {
+      candidateId: 'worker-1',
+    });
+
+    const reviewer = buildCandidateReviewer(validator, {
+      id: 'validator-worker-1',
+      cwd: '/tmp/wt',
+      candidateId: 'worker-1',
+      base: 'abc123',
+      summary: 'Added a.txt',
+    });
+    assert.ok(reviewer.prompt.includes('git diff abc123..HEAD'));
+    assert.deepStrictEqual(reviewer.triggers, [
+      { topic: 'CANDIDATE_REVIEW', action: 'execute_task' },
+    ]);
+    assert.strictEqual(reviewer.hooks.onComplete.config.topic, 'CANDIDATE_SCORED');
+    assert.deepStrictEqual(reviewer.hooks.onComplete.config.content.data, {
+      approved: '{{result.approved}}',
+      errors: '{{result.errors}}',
+      candidateId: 'worker-1',
+      validatorId: 'validator',
+    });
+  });
+
+  it('validates bestOf settings', function () {
+    // The orchestrator injects a completion detector into configs without one
+    assert.deepStrictEqual(
+      validateConfig(config).errors.filter((e) => !e.startsWith('No completion handler')),
+      []
+    );
+
+    const broken = {
+      agents: [{ ...worker, bestOf: { candidates: 1, providers: ['nope'] } }, validator],
+    };
+    const { errors } = validateConfig(broken);
+    assert.ok(errors.some((e) => e.includes('bestOf.candidates must be an integer >= 2')));
+    assert.ok(errors.some((e) => e.includes("unknown provider 'nope'")));
+
+    const placeholders = {
+      agents: [{ ...worker, bestOf: { candidates: '{{candidates}}', providers: '' } }, validator],
+    };
+    assert.ok(!validateConfig(placeholders).errors.some((e) => e.includes('bestOf')));
+
+    const alone = { agents: [worker] };
+    assert.ok(
+      validateConfig(alone).errors.some((e) => e.includes('bestOf needs at least one validator'))
+    );
+  });
+});
+
+describe('Best-of in the orchestrator', function () {
+  this.timeout(60000);
+
+  let orchestrator;
+  let storageDir;
+  let repo;
+  let clusterId;
+
+  beforeEach(function () {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zeroshot-bestof-'));
+    repo = createRepo();
+  });
+
+  afterEach(async function () {
+    try {
+      await orchestrator.kill(clusterId);
+    } catch {
+      // already stopped
+    }
+    fs.rmSync(storageDir, { recursive: true, force: true });
+    fs.rmSync(repo.dir, { recursive: true, force: true });
+  });
+
+  // Agents run before start() returns, so mocks look the cluster up themselves
+  const current = () => [...orchestrator.clusters.values()][0];
+
+  // Candidates write into their own worktree, found through their config
+  function writesInWorktree(agentId, file, text) {
+    return () => {
+      const cwd = current().agents.find((agent) => agent.id === agentId).config.cwd;
+      fs.writeFileSync(path.join(cwd, file), text);
+      return {
+        success: true,
+        output: JSON.stringify({ summary: `${agentId} wrote ${file}` }),
+        error: null,
+      };
+    };
+  }
+
+  const verdict = (approved, errors = []) =>
+    JSON.stringify({ approved, summary: approved ? 'Looks good' : 'Rejected', errors });
+
+  async function waitFor(topic) {
+    for (let i = 0; i < 200; i++) {
+      const message = current().messageBus.findLast({ cluster_id: clusterId, topic });
+      if (message) return message;
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    throw new Error(`${topic} was never published`);
+  }
+
+  it('scores candidates in their worktrees and merges the best one', async function () {
+    const mockRunner = new MockTaskRunner();
+    mockRunner.when('worker-1').calls(writesInWorktree('worker-1', 'a.txt', 'a\n'.repeat(20)));
+    mockRunner.when('worker-2').calls(writesInWorktree('worker-2', 'b.txt', 'b\n'));
+    mockRunner.when('validator-worker-1').returns(verdict(true));
+    mockRunner.when('validator-worker-2').returns(verdict(false, ['b.txt is wrong']));
+    mockRunner.when('validator').returns(verdict(true));
+    orchestrator = new Orchestrator({ quiet: true, storageDir, taskRunner: mockRunner });
+
+    await orchestrator.start(config, { text: 'Add a file' }, { cwd: repo.dir, worktree: true });
+    const cluster = current();
+    clusterId = cluster.id;
+
+    const ready = await waitFor('IMPLEMENTATION_READY');
+    assert.strictEqual(ready.sender, 'worker');
+    assert.strictEqual(ready.content.text, 'worker-1 wrote a.txt');
+    assert.deepStrictEqual(ready.content.data.bestOf, {
+      winner: 'worker-1',
+      score: 1,
+      candidates: 2,
+    });
+
+    const selected = await waitFor('CANDIDATE_SELECTED');
+    assert.deepStrictEqual(
+      selected.content.data.candidates.map((c) => [c.candidateId, c.score, c.errors]),
+      [
+        ['worker-1', 1, 0],
+        ['worker-2', 0, 1],
+      ]
+    );
+
+    const worktree = cluster.worktree.path;
+    assert.ok(fs.existsSync(path.join(worktree, 'a.txt')));
+    assert.ok(!fs.existsSync(path.join(worktree, 'b.txt')));
+    assert.deepStrictEqual(
+      cluster.agents.map((agent) => agent.id).filter((id) => id !== 'completion-detector'),
+      ['worker', 'validator']
+    );
+
+    const status = orchestrator.getStatus(clusterId);
+    assert.strictEqual(status.bestOf.state, 'selected');
+    assert.strictEqual(status.bestOf.winner, 'worker-1');
+    mockRunner.assertCalled('worker', 0);
+  });
+
+  it('drops a failed candidate without stopping the cluster', async function () {
+    const mockRunner = new MockTaskRunner();
+    mockRunner.when('worker-1').calls(writesInWorktree('worker-1', 'a.txt', 'a\n'));
+    mockRunner.when('worker-2').fails('model refused');
+    mockRunner.when('validator-worker-1').returns(verdict(true));
+    mockRunner.when('validator').returns(verdict(true));
+    orchestrator = new Orchestrator({ quiet: true, storageDir, taskRunner: mockRunner });
+
+    // Three failed attempts of a worker normally stop the cluster
+    const retryingConfig = { agents: [{ ...worker, maxRetries: 3 }, validator] };
+    await orchestrator.start(
+      retryingConfig,
+      { text: 'Add a file' },
+      {
+        cwd: repo.dir,
+        worktree: true,
+      }
+    );
+    const cluster = current();
+    clusterId = cluster.id;
+
+    const selected = await waitFor('CANDIDATE_SELECTED');
+    assert.deepStrictEqual(
+      selected.content.data.candidates.map((c) => [c.candidateId, c.failed]),
+      [
+        ['worker-1', false],
+        ['worker-2', true],
+      ]
+    );
+    mockRunner.assertCalled('worker-2', 3);
+    // The cluster carries on: the winner reaches the validators
+    await waitFor('VALIDATION_RESULT');
+    assert.strictEqual(cluster.state, 'running');
+    assert.deepStrictEqual(cluster.copyWorktrees, []);
+    const branches = execSync('git branch --list "zeroshot/*-worker-*"', { cwd: repo.dir });
+    assert.strictEqual(branches.toString().trim(), '');
+
+    // Validators leave the files alone, so they get no checkpoints
+    const refs = execSync(`git for-each-ref "--format=%(refname)" refs/zeroshot/${clusterId}/`, {
+      cwd: repo.dir,
+    }).toString();
+    assert.doesNotMatch(refs, /validator/);
+  });
+});
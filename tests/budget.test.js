@@ -0,0 +1,268 @@
+/**
+ * Tests for per-cluster spend budgets
+ *
+ * Covers:
+ * - Budget normalization / validation
+ * - Threshold evaluation
+ * - Orchestrator enforcement on TOKEN_USAGE (BUDGET_WARNING, CLUSTER_FAILED)
+ * - Resume refusal once the ledger shows the budget is spent, and resume with a raised one
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const Orchestrator = require('../src/orchestrator.js');
+const MockTaskRunner = require('./helpers/mock-task-runner.js');
+const {
+  normalizeBudget,
+  validateBudget,
+  computeBudgetUsage,
+  evaluateBudget,
+  formatBudgetUsage,
+} = require('../src/budget.js');
+const { validateBasicStructure } = require('../src/config-validator.js');
+
+// Isolate tests from user settings
+const testSettingsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zeroshot-budget-settings-'));
+const testSettingsFile = path.join(testSettingsDir, 'settings.json');
+fs.writeFileSync(testSettingsFile, JSON.stringify({ maxModel: 'opus', minModel: null }));
+process.env.ZEROSHOT_SETTINGS_FILE = testSettingsFile;
+
+function createWorkerConfig(budget) {
+  return {
+    budget,
+    agents: [
+      {
+        id: 'worker',
+        role: 'implementation',
+        modelLevel: 'level2',
+        outputFormat: 'text',
+        triggers: [{ topic: 'ISSUE_OPENED', action: 'execute_task' }],
+        prompt: 'Implement the task.',
+        hooks: {
+          onComplete: {
+            action: 'publish_message',
+            config: { topic: 'IMPLEMENTATION_READY' },
+          },
+        },
+      },
+    ],
+  };
+}
+
+function workerSpends({ costUsd, inputTokens = 1000, outputTokens = 500 }) {
+  return () => ({
+    success: true,
+    output: 'done',
+    error: null,
+    tokenUsage: {
+      inputTokens,
+      outputTokens,
+      cacheReadInputTokens: 0,
+      cacheCreationInputTokens: 0,
+      totalCostUsd: costUsd,
+    },
+  });
+}
+
+async function waitFor(predicate, timeoutMs = 5000) {
+  const start = Date.now();
+  while (Date.now() - start < timeoutMs) {
+    if (predicate()) return;
+    await new Promise((resolve) => setTimeout(resolve, 25));
+  }
+  throw new Error('Timed out waiting for condition');
+}
+
+// Resolves once the orchestrator's auto-stop (triggered by CLUSTER_FAILED) has fully
+// persisted, so temp dir cleanup can't race the clusters.json write
+function captureAutoStop(orchestrator) {
+  const originalStop = orchestrator.stop.bind(orchestrator);
+  return new Promise((resolve) => {
+    orchestrator.stop = (clusterId) => {
+      const stopping = originalStop(clusterId);
+      stopping.then(resolve, resolve);
+      return stopping;
+    };
+  });
+}
+
+describe('Budget', function () {
+  describe('normalizeBudget()', function () {
+    it('returns null when no limit is set', function () {
+      assert.strictEqual(normalizeBudget(undefined), null);
+      assert.strictEqual(normalizeBudget({}), null);
+      assert.strictEqual(normalizeBudget({ warnAt: 0.5 }), null);
+    });
+
+    it('applies the default warn threshold', function () {
+      assert.deepStrictEqual(normalizeBudget({ maxUsd: 5 }), {
+        maxUsd: 5,
+        maxTokens: null,
+        warnAt: 0.8,
+      });
+    });
+
+    it('keeps an explicit warn threshold', function () {
+      const budget = normalizeBudget({ maxTokens: 1000, warnAt: 0.5 });
+      assert.strictEqual(budget.maxTokens, 1000);
+      assert.strictEqual(budget.warnAt, 0.5);
+    });
+  });
+
+  describe('validateBudget()', function () {
+    it('accepts a missing budget', function () {
+      assert.deepStrictEqual(validateBudget(undefined), []);
+    });
+
+    it('rejects non-positive limits and unknown fields', function () {
+      const errors = validateBudget({ maxUsd: -1, maxTokens: 1.5, warnAt: 2, cap: 3 });
+      assert.ok(errors.some((e) => e.includes('budget.maxUsd')));
+      assert.ok(errors.some((e) => e.includes('budget.maxTokens')));
+      assert.ok(errors.some((e) => e.includes('budget.warnAt')));
+      assert.ok(errors.some((e) => e.includes('budget.cap')));
+    });
+
+    it('requires at least one ceiling', function () {
+      const errors = validateBudget({ warnAt: 0.5 });
+      assert.ok(errors.some((e) => e.includes('at least one of maxUsd or maxTokens')));
+    });
+
+    it('is reported by config-validator', function () {
+      const result = validateBasicStructure(createWorkerConfig({ maxUsd: 'ten' }));
+      assert.ok(result.errors.some((e) => e.includes('budget.maxUsd')));
+    });
+  });
+
+  describe('evaluateBudget()', function () {
+    const budget = normalizeBudget({ maxUsd: 10, maxTokens: 1000 });
+
+    it('is ok below the warn threshold', function () {
+      assert.strictEqual(evaluateBudget(budget, { costUsd: 1, tokens: 100 }).status, 'ok');
+    });
+
+    it('warns at the threshold on any dimension', function () {
+      const result = evaluateBudget(budget, { costUsd: 1, tokens: 850 });
+      assert.strictEqual(result.status, 'warning');
+      assert.deepStrictEqual(result.limits, ['tokens']);
+    });
+
+    it('is exceeded once a ceiling is reached', function () {
+      const result = evaluateBudget(budget, { costUsd: 10, tokens: 10 });
+      assert.strictEqual(result.status, 'exceeded');
+      assert.deepStrictEqual(result.limits, ['usd']);
+    });
+
+    it('computes usage from the TOKEN_USAGE aggregate', function () {
+      const usage = computeBudgetUsage({
+        _total: { inputTokens: 300, outputTokens: 200, totalCostUsd: 0.5 },
+      });
+      assert.deepStrictEqual(usage, { costUsd: 0.5, tokens: 500 });
+      assert.strictEqual(formatBudgetUsage(budget, usage), '$0.50 / $10.00, 500 / 1,000 tokens');
+    });
+  });
+
+  describe('Orchestrator enforcement', function () {
+    this.timeout(10000);
+
+    let orchestrator, mockRunner, storageDir;
+
+    beforeEach(function () {
+      mockRunner = new MockTaskRunner();
+      storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zeroshot-budget-'));
+      orchestrator = new Orchestrator({
+        taskRunner: mockRunner,
+        storageDir,
+        skipLoad: true,
+        quiet: true,
+      });
+    });
+
+    afterEach(function () {
+      orchestrator.close();
+      fs.rmSync(storageDir, { recursive: true, force: true });
+    });
+
+    it('publishes CLUSTER_FAILED with reason budget_exceeded and stops the cluster', async function () {
+      mockRunner.when('worker').calls(workerSpends({ costUsd: 2 }));
+      const autoStopped = captureAutoStop(orchestrator);
+
+      const { id } = await orchestrator.start(createWorkerConfig({ maxUsd: 1 }), {
+        text: 'Task',
+      });
+      const cluster = orchestrator.getCluster(id);
+
+      await autoStopped;
+      assert.strictEqual(cluster.state, 'stopped');
+
+      const failures = cluster.messageBus.query({ cluster_id: id, topic: 'CLUSTER_FAILED' });
+      assert.strictEqual(failures.length, 1);
+      assert.strictEqual(failures[0].content.data.reason, 'budget_exceeded');
+      assert.deepStrictEqual(failures[0].content.data.limits, ['usd']);
+    });
+
+    it('publishes a single BUDGET_WARNING at the threshold', async function () {
+      mockRunner.when('worker').calls(workerSpends({ costUsd: 0.9 }));
+
+      const { id } = await orchestrator.start(createWorkerConfig({ maxUsd: 1 }), {
+        text: 'Task',
+      });
+      const cluster = orchestrator.getCluster(id);
+
+      await waitFor(
+        () => cluster.messageBus.count({ cluster_id: id, topic: 'IMPLEMENTATION_READY' }) > 0
+      );
+
+      const warnings = cluster.messageBus.query({ cluster_id: id, topic: 'BUDGET_WARNING' });
+      assert.strictEqual(warnings.length, 1);
+      assert.strictEqual(cluster.state, 'running');
+      assert.strictEqual(
+        cluster.messageBus.count({ cluster_id: id, topic: 'CLUSTER_FAILED' }),
+        0,
+        'Warning must not fail the cluster'
+      );
+
+      await orchestrator.stop(id);
+    });
+
+    it('refuses to resume once the ledger shows the budget is spent', async function () {
+      mockRunner.when('worker').calls(workerSpends({ costUsd: 0, inputTokens: 900 }));
+      const autoStopped = captureAutoStop(orchestrator);
+
+      const { id } = await orchestrator.start(createWorkerConfig({ maxTokens: 1000 }), {
+        text: 'Task',
+      });
+      await autoStopped;
+
+      await assert.rejects(() => orchestrator.resume(id), /budget exhausted/);
+    });
+
+    it('resumes with a raised budget and persists it', async function () {
+      mockRunner.when('worker').calls(workerSpends({ costUsd: 0, inputTokens: 900 }));
+      const autoStopped = captureAutoStop(orchestrator);
+
+      // No completion hook: ISSUE_OPENED stays the last trigger, so resume re-runs the worker
+      const config = createWorkerConfig({ maxTokens: 1000 });
+      delete config.agents[0].hooks;
+      const { id } = await orchestrator.start(config, { text: 'Task' });
+      await autoStopped;
+
+      await orchestrator.resume(id, undefined, { budget: { maxTokens: 100000 } });
+      const cluster = orchestrator.getCluster(id);
+      assert.strictEqual(cluster.state, 'running');
+
+      const saved = JSON.parse(fs.readFileSync(path.join(storageDir, 'clusters.json'), 'utf8'));
+      assert.deepStrictEqual(saved[id].config.budget, { maxTokens: 100000 });
+
+      await waitFor(() => cluster.messageBus.count({ cluster_id: id, topic: 'TOKEN_USAGE' }) > 1);
+      assert.strictEqual(
+        cluster.messageBus.count({ cluster_id: id, topic: 'CLUSTER_FAILED' }),
+        1,
+        'The raised budget must not fail the resumed cluster'
+      );
+
+      await orchestrator.stop(id);
+    });
+  });
+});
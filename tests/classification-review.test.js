@@ -0,0 +1,190 @@
+/**
+ * Tests for the classification checkpoint between the conductor and load_config
+ *
+ * Covers:
+ * - --complexity / --task-type overrides re-routing load_config
+ * - Review callbacks accepting, changing or declining (--confirm, --classify-only)
+ * - The orchestrator stopping before any worker is spawned when declined
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Orchestrator = require('../src/orchestrator');
+const MockTaskRunner = require('./helpers/mock-task-runner');
+const { reviewClassification } = require('../src/classification-review');
+const { parseClassificationAnswer } = require('../cli/lib/classification-checkpoint');
+const { DEFAULT_ROUTING_TABLE } = require('../src/config-router');
+
+const routingContext = {
+  labels: [],
+  paths: [],
+  repository: null,
+  tables: [{ source: 'built-in', table: DEFAULT_ROUTING_TABLE }],
+};
+
+function conductorMessage(complexity, taskType) {
+  const operations = [
+    { action: 'load_config', config: { base: 'worker-validator', params: { complexity } } },
+    { action: 'publish', topic: 'ISSUE_OPENED', content: { text: 'Fix payments' } },
+  ];
+  const message = {
+    topic: 'CLUSTER_OPERATIONS',
+    content: {
+      text: `[${complexity}:${taskType}] Looks small`,
+      data: { complexity, taskType, operations },
+    },
+  };
+  return { message, operations };
+}
+
+describe('Classification review', function () {
+  it('re-routes load_config when the classification is overridden', async function () {
+    const { message, operations } = conductorMessage('SIMPLE', 'TASK');
+
+    const unchanged = await reviewClassification({
+      message,
+      operations,
+      checkpoint: { taskType: 'TASK' },
+      routingContext,
+    });
+    assert.strictEqual(unchanged.operations[0].config, operations[0].config);
+    assert.strictEqual(unchanged.classification.reasoning, 'Looks small');
+
+    const result = await reviewClassification({
+      message,
+      operations,
+      checkpoint: { complexity: 'CRITICAL' },
+      routingContext,
+    });
+    assert.deepStrictEqual(result.classification.conductor, {
+      complexity: 'SIMPLE',
+      taskType: 'TASK',
+    });
+    assert.strictEqual(result.operations[0].config.base, 'full-workflow');
+    assert.strictEqual(result.operations[0].config.params.complexity, 'CRITICAL');
+    assert.deepStrictEqual(result.operations[1], operations[1]);
+  });
+
+  it('lets the review accept, change or decline the classification', async function () {
+    const { message, operations } = conductorMessage('SIMPLE', 'TASK');
+    const seen = [];
+    const review = (decision) => (classification) => {
+      seen.push(`${classification.complexity}:${classification.config.base}`);
+      return decision;
+    };
+    const run = (decision) =>
+      reviewClassification({
+        message,
+        operations,
+        checkpoint: { review: review(decision) },
+        routingContext,
+      });
+
+    assert.strictEqual((await run({})).operations[0].config, operations[0].config);
+    const changed = await run({ complexity: 'STANDARD', taskType: 'DEBUG' });
+    assert.strictEqual(changed.operations[0].config.base, 'debug-workflow');
+    assert.strictEqual((await run(null)).operations, null);
+    await assert.rejects(run({ complexity: 'HUGE' }), /Unknown complexity 'HUGE'/);
+    assert.deepStrictEqual(seen, [
+      'SIMPLE:worker-validator',
+      'SIMPLE:worker-validator',
+      'SIMPLE:worker-validator',
+      'SIMPLE:worker-validator',
+    ]);
+
+    // Operations without a classification (e.g. hand-written add_agents) pass through
+    const plain = { content: { data: {} } };
+    const passthrough = await reviewClassification({
+      message: plain,
+      operations,
+      checkpoint: { review: review(null) },
+    });
+    assert.strictEqual(passthrough.operations, operations);
+  });
+
+  it('parses answers to the --confirm prompt', function () {
+    assert.deepStrictEqual(parseClassificationAnswer('critical'), { complexity: 'CRITICAL' });
+    assert.deepStrictEqual(parseClassificationAnswer('debug: standard'), {
+      complexity: 'STANDARD',
+      taskType: 'DEBUG',
+    });
+    assert.strictEqual(parseClassificationAnswer('huge'), null);
+  });
+});
+
+describe('Classification review in the orchestrator', function () {
+  this.timeout(30000);
+
+  let orchestrator;
+  let storageDir;
+  let clusterId;
+
+  beforeEach(function () {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zeroshot-classify-'));
+    const mockRunner = new MockTaskRunner();
+    mockRunner
+      .when('junior-conductor')
+      .returns(
+        JSON.stringify({ complexity: 'SIMPLE', taskType: 'TASK', reasoning: 'Looks small' })
+      );
+    mockRunner.when('worker').returns('Done.');
+    mockRunner
+      .when('validator')
+      .returns(JSON.stringify({ approved: true, summary: 'ok', errors: [] }));
+    orchestrator = new Orchestrator({
+      quiet: true,
+      storageDir,
+      skipLoad: true,
+      taskRunner: mockRunner,
+    });
+  });
+
+  afterEach(async function () {
+    try {
+      await orchestrator.kill(clusterId);
+    } catch {
+      // already stopped
+    }
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  async function runConductor(classification) {
+    const configPath = path.join(__dirname, '..', 'cluster-templates', 'conductor-bootstrap.json');
+    const config = orchestrator.loadConfig(configPath);
+    const cluster = await orchestrator.start(
+      config,
+      { text: 'Change the payments retry logic' },
+      { cwd: process.cwd(), classification }
+    );
+    clusterId = cluster.id;
+    await new Promise((resolve) => setTimeout(resolve, 1500));
+    return orchestrator.getCluster(clusterId);
+  }
+
+  it('stops after classification when the review declines', async function () {
+    let reviewed = null;
+    const cluster = await runConductor({
+      complexity: 'CRITICAL',
+      review: (classification) => {
+        reviewed = classification;
+        return null;
+      },
+    });
+
+    assert.strictEqual(reviewed.complexity, 'CRITICAL');
+    assert.strictEqual(reviewed.config.base, 'full-workflow');
+    assert.notStrictEqual(orchestrator.getStatus(clusterId).state, 'running');
+    assert.ok(cluster.agents.every((agent) => agent.role === 'conductor'));
+    const [record] = cluster.messageBus.query({
+      cluster_id: clusterId,
+      topic: 'CLASSIFICATION_REVIEWED',
+    });
+    assert.strictEqual(record.content.data.stopped, true);
+    assert.deepStrictEqual(record.content.data.conductor, {
+      complexity: 'SIMPLE',
+      taskType: 'TASK',
+    });
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Tests for the ledger side of `zeroshot fork`
+ *
+ * Covers:
+ * - Cutting the ledger at the fork message
+ * - Keeping only agents that were running at the fork point
+ * - Restoring agent iterations
+ */
+
+const assert = require('assert');
+const {
+  messagesUntil,
+  agentsAtForkPoint,
+  iterationsAtForkPoint,
+} = require('../src/cluster-fork.js');
+
+function lifecycle(sender, data) {
+  return {
+    id: `${sender}-${data.event}-${data.iteration || 0}`,
+    topic: 'AGENT_LIFECYCLE',
+    sender,
+    content: { data },
+  };
+}
+
+describe('Cluster fork', function () {
+  const messages = [
+    lifecycle('conductor', { event: 'STARTED' }),
+    { id: 'issue', topic: 'ISSUE_OPENED', sender: 'system', content: { text: 'Task' } },
+    lifecycle('worker', { event: 'STARTED' }),
+    lifecycle('worker', { event: 'TASK_STARTED', iteration: 1 }),
+    { id: 'rejected', topic: 'VALIDATION_RESULT', sender: 'validator', content: {} },
+    lifecycle('worker', { event: 'TASK_STARTED', iteration: 2 }),
+  ];
+
+  it('cuts the ledger at the fork message, inclusive', function () {
+    assert.deepStrictEqual(
+      messagesUntil(messages, 'issue').map((m) => m.id),
+      ['conductor-STARTED-0', 'issue']
+    );
+    assert.throws(() => messagesUntil(messages, 'nope'), /nope not found/);
+  });
+
+  it('drops agents the conductor spawned after the fork point', function () {
+    const agents = [{ id: 'conductor' }, { id: 'worker' }, { id: 'validator' }];
+
+    assert.deepStrictEqual(
+      agentsAtForkPoint(agents, messagesUntil(messages, 'issue')).map((a) => a.id),
+      ['conductor']
+    );
+    // Ledgers without lifecycle events keep every agent
+    assert.strictEqual(agentsAtForkPoint(agents, [messages[1]]).length, 3);
+  });
+
+  it('restores the last iteration each agent started', function () {
+    const iterations = iterationsAtForkPoint(messagesUntil(messages, 'rejected'));
+    assert.strictEqual(iterations.get('worker'), 1);
+    assert.strictEqual(iterations.has('validator'), false);
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * Tests for cross-cluster stats (`zeroshot stats`)
+ *
+ * Covers:
+ * - Reducing a ledger to a cluster record (template, tier, worker model, outcome, cost)
+ * - Aggregation per template/provider/model and rejection reasons per validator
+ * - Walking every ledger in a storage dir
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const Ledger = require('../src/ledger.js');
+const { collectClusterRecord, aggregateStats, collectStats } = require('../src/cluster-stats.js');
+
+/**
+ * Write a conductor-routed cluster run into a ledger
+ */
+function writeRun(ledger, clusterId, { template, complexity, model, rejections = [], outcome }) {
+  const publish = (topic, sender, content) =>
+    ledger.append({ cluster_id: clusterId, topic, sender, content });
+
+  publish('ISSUE_OPENED', 'system', { text: 'Task' });
+  publish('CLUSTER_OPERATIONS', 'conductor', {
+    data: {
+      complexity,
+      taskType: 'TASK',
+      operations: [{ action: 'load_config', config: { base: template, params: { complexity } } }],
+    },
+  });
+
+  const iterations = rejections.length + 1;
+  for (let iteration = 1; iteration <= iterations; iteration++) {
+    publish('AGENT_LIFECYCLE', 'worker', {
+      data: {
+        event: 'TASK_STARTED',
+        agent: 'worker',
+        role: 'implementation',
+        provider: 'claude',
+        model,
+        iteration,
+      },
+    });
+    publish('TOKEN_USAGE', 'worker', {
+      data: { role: 'implementation', inputTokens: 100, outputTokens: 50, totalCostUsd: 0.5 },
+    });
+    const reason = rejections[iteration - 1];
+    publish('VALIDATION_RESULT', 'validator-security', {
+      text: reason ? `Rejected: ${reason}` : 'Looks good',
+      data: { approved: reason ? 'false' : 'true', errors: reason ? [reason] : [] },
+    });
+  }
+
+  if (outcome === 'completed') {
+    publish('CLUSTER_COMPLETE', 'orchestrator', { data: { reason: 'all_validators_approved' } });
+  } else if (outcome === 'failed') {
+    publish('CLUSTER_FAILED', 'orchestrator', { data: { reason: 'budget_exceeded' } });
+  }
+}
+
+describe('Cluster stats', function () {
+  describe('collectClusterRecord()', function () {
+    it('reduces a conductor-routed run', function () {
+      const ledger = new Ledger(':memory:');
+      writeRun(ledger, 'c1', {
+        template: 'full-workflow',
+        complexity: 'CRITICAL',
+        model: 'opus',
+        rejections: ['SQL injection in orders.ts'],
+        outcome: 'completed',
+      });
+
+      const record = collectClusterRecord(ledger, 'c1');
+      ledger.close();
+
+      assert.strictEqual(record.template, 'full-workflow');
+      assert.strictEqual(record.complexity, 'CRITICAL');
+      assert.strictEqual(record.taskType, 'TASK');
+      assert.strictEqual(record.provider, 'claude');
+      assert.strictEqual(record.model, 'opus');
+      assert.strictEqual(record.outcome, 'completed');
+      assert.strictEqual(record.iterations, 2);
+      assert.strictEqual(record.costUsd, 1);
+      assert.deepStrictEqual(record.rejections, [
+        { validator: 'validator-security', reason: 'SQL injection in orders.ts' },
+      ]);
+    });
+
+    it('marks clusters without a conductor as custom and unfinished runs as incomplete', function () {
+      const ledger = new Ledger(':memory:');
+      ledger.append({ cluster_id: 'c2', topic: 'ISSUE_OPENED', sender: 'system' });
+
+      const record = collectClusterRecord(ledger, 'c2');
+      ledger.close();
+
+      assert.strictEqual(record.template, 'custom');
+      assert.strictEqual(record.outcome, 'incomplete');
+      assert.strictEqual(record.model, 'unknown');
+    });
+
+    it('returns null for an empty ledger', function () {
+      const ledger = new Ledger(':memory:');
+      assert.strictEqual(collectClusterRecord(ledger, 'none'), null);
+      ledger.close();
+    });
+  });
+
+  describe('aggregateStats()', function () {
+    const base = {
+      complexity: 'STANDARD',
+      taskType: 'TASK',
+      provider: 'claude',
+      durationMs: 60000,
+      costUsd: 1,
+      rejections: [],
+    };
+    const records = [
+      { ...base, template: 'full-workflow', model: 'sonnet', outcome: 'completed', iterations: 1 },
+      { ...base, template: 'full-workflow', model: 'sonnet', outcome: 'completed', iterations: 3 },
+      {
+        ...base,
+        template: 'full-workflow',
+        model: 'opus',
+        outcome: 'failed',
+        iterations: 5,
+        rejections: [
+          { validator: 'validator-code', reason: 'Missing tests' },
+          { validator: 'validator-code', reason: 'Missing tests' },
+          { validator: 'validator-code', reason: 'Dead code' },
+        ],
+      },
+      { ...base, template: 'single-worker', model: 'haiku', outcome: 'incomplete', iterations: 1 },
+    ];
+
+    it('computes success rate over finished clusters only', function () {
+      const { overall } = aggregateStats(records);
+      assert.strictEqual(overall.clusters, 4);
+      assert.strictEqual(overall.incomplete, 1);
+      assert.strictEqual(overall.successRate, 2 / 3);
+      assert.strictEqual(overall.totalCostUsd, 4);
+    });
+
+    it('averages iterations over completed clusters', function () {
+      const fullWorkflow = aggregateStats(records).byTemplate.find(
+        (g) => g.key === 'full-workflow'
+      );
+      assert.strictEqual(fullWorkflow.meanIterationsToApproval, 2);
+    });
+
+    it('groups by model', function () {
+      const byModel = aggregateStats(records).byModel;
+      assert.deepStrictEqual(
+        byModel.map((g) => [g.key, g.clusters]),
+        [
+          ['sonnet', 2],
+          ['haiku', 1],
+          ['opus', 1],
+        ]
+      );
+      assert.strictEqual(byModel.find((g) => g.key === 'opus').successRate, 0);
+      assert.strictEqual(byModel.find((g) => g.key === 'haiku').successRate, null);
+    });
+
+    it('ranks rejection reasons per validator', function () {
+      const [code] = aggregateStats(records).rejections;
+      assert.strictEqual(code.validator, 'validator-code');
+      assert.strictEqual(code.rejections, 3);
+      assert.deepStrictEqual(code.topReasons[0], { reason: 'Missing tests', count: 2 });
+    });
+  });
+
+  describe('collectStats()', function () {
+    let storageDir;
+
+    beforeEach(function () {
+      storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zeroshot-stats-'));
+    });
+
+    afterEach(function () {
+      fs.rmSync(storageDir, { recursive: true, force: true });
+    });
+
+    it('walks every ledger in the storage dir', function () {
+      for (const [clusterId, outcome] of [
+        ['run-a', 'completed'],
+        ['run-b', 'failed'],
+      ]) {
+        const ledger = new Ledger(path.join(storageDir, `${clusterId}.db`));
+        writeRun(ledger, clusterId, {
+          template: 'worker-validator',
+          complexity: 'SIMPLE',
+          model: 'sonnet',
+          outcome,
+        });
+        ledger.close();
+      }
+
+      const report = collectStats({ storageDir });
+      assert.strictEqual(report.records.length, 2);
+      assert.strictEqual(report.byTemplate[0].key, 'worker-validator');
+      assert.strictEqual(report.byTemplate[0].successRate, 0.5);
+      assert.strictEqual(report.byComplexity[0].key, 'SIMPLE:TASK');
+
+      const future = Date.now() + 60 * 1000;
+      assert.strictEqual(collectStats({ storageDir, since: future }).records.length, 0);
+    });
+  });
+});
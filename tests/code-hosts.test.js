@@ -0,0 +1,444 @@
+/**
+ * Tests for the built-in PR flow (--pr / --ship)
+ *
+ * Covers:
+ * - Remote URL parsing and platform detection (github, GitHub Enterprise, gitlab,
+ *   self-hosted, generic git)
+ * - GitLabClient against a local REST stand-in (MR reuse, pipeline watch, merge)
+ * - GitHubClient against a local REST stand-in (PR reuse, check aggregation, merge)
+ * - runPrFlow() committing and pushing to a bare remote
+ * - describeChange() building commit message and body from the ledger
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+const { createCodeHostClient, parseRemoteUrl, resolveCodeHost } = require('../src/code-hosts');
+const GitHubClient = require('../src/code-hosts/github');
+const GitLabClient = require('../src/code-hosts/gitlab');
+const { createLocalGitRunner, describeChange, runPrFlow } = require('../src/pr-flow');
+
+/**
+ * GitLab REST stand-in: one project, merge requests keyed by iid
+ */
+function createGitLabStandIn({ pipelineStatuses = [] } = {}) {
+  const state = { mergeRequests: [], merged: [], statuses: [...pipelineStatuses], requests: [] };
+  const project = '/api/v4/projects/group%2Fproj';
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      state.requests.push({ method: req.method, url: req.url, body });
+      const send = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+
+      if (req.method === 'GET' && req.url === project) {
+        return send(200, { default_branch: 'main' });
+      }
+      if (req.method === 'GET' && req.url.startsWith(`${project}/merge_requests?`)) {
+        return send(200, state.mergeRequests);
+      }
+      if (req.method === 'POST' && req.url === `${project}/merge_requests`) {
+        const input = JSON.parse(body);
+        const mr = {
+          iid: state.mergeRequests.length + 1,
+          web_url: `https://gitlab.example.com/group/proj/-/merge_requests/${state.mergeRequests.length + 1}`,
+          ...input,
+        };
+        state.mergeRequests.push(mr);
+        return send(201, mr);
+      }
+      const mrMatch = req.url.match(/\/merge_requests\/(\d+)(\/merge)?$/);
+      if (mrMatch && req.method === 'GET') {
+        const status = state.statuses.length > 1 ? state.statuses.shift() : state.statuses[0];
+        return send(200, { iid: Number(mrMatch[1]), head_pipeline: status ? { status } : null });
+      }
+      if (mrMatch && req.method === 'PUT' && mrMatch[2]) {
+        state.merged.push(Number(mrMatch[1]));
+        return send(200, { state: 'merged', web_url: 'https://gitlab.example.com/mr' });
+      }
+      return send(404, { message: '404 Not found' });
+    });
+  });
+
+  return { server, state };
+}
+
+/**
+ * GitHub REST stand-in: one repository, pull requests keyed by number
+ */
+function createGitHubStandIn({ checkRuns = [], statuses = [] } = {}) {
+  const state = { pulls: [], merged: [], checkRuns, statuses, requests: [] };
+  const repo = '/repos/acme/app';
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      state.requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const send = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+
+      if (req.method === 'GET' && req.url === repo) {
+        return send(200, { default_branch: 'main' });
+      }
+      if (req.method === 'GET' && req.url.startsWith(`${repo}/pulls?`)) {
+        return send(200, state.pulls);
+      }
+      if (req.method === 'POST' && req.url === `${repo}/pulls`) {
+        const number = state.pulls.length + 1;
+        const pr = { number, html_url: `https://github.com/acme/app/pull/${number}` };
+        state.pulls.push({ ...pr, ...JSON.parse(body) });
+        return send(201, pr);
+      }
+      if (req.method === 'GET' && req.url === `${repo}/pulls/1`) {
+        return send(200, { number: 1, head: { sha: 'abc123' } });
+      }
+      if (req.url.startsWith(`${repo}/commits/abc123/check-runs`)) {
+        return send(200, { check_runs: state.checkRuns });
+      }
+      if (req.url === `${repo}/commits/abc123/status`) {
+        const combined = state.statuses.some((s) => s.state === 'failure') ? 'failure' : 'success';
+        return send(200, { state: combined, statuses: state.statuses });
+      }
+      if (req.method === 'PUT' && req.url === `${repo}/pulls/1/merge`) {
+        state.merged.push(1);
+        return send(200, { merged: true });
+      }
+      return send(404, { message: 'Not Found' });
+    });
+  });
+
+  return { server, state };
+}
+
+function listen(server) {
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+  });
+}
+
+describe('Code hosts', function () {
+  describe('parseRemoteUrl()', function () {
+    it('parses https, ssh and scp-style remotes', function () {
+      assert.deepStrictEqual(parseRemoteUrl('https://gitlab.com/group/sub/proj.git'), {
+        host: 'gitlab.com',
+        projectPath: 'group/sub/proj',
+      });
+      assert.deepStrictEqual(parseRemoteUrl('git@gitlab.example.com:group/proj.git'), {
+        host: 'gitlab.example.com',
+        projectPath: 'group/proj',
+      });
+      assert.deepStrictEqual(parseRemoteUrl('ssh://git@code.acme.io:2222/team/app.git'), {
+        host: 'code.acme.io',
+        projectPath: 'team/app',
+      });
+      assert.strictEqual(parseRemoteUrl(''), null);
+    });
+  });
+
+  describe('resolveCodeHost()', function () {
+    it('detects GitHub, GitLab and generic git remotes', function () {
+      const env = {};
+      assert.strictEqual(resolveCodeHost('git@github.com:o/r.git', { env }).platform, 'github');
+      assert.strictEqual(
+        resolveCodeHost('https://gitlab.com/g/p.git', { env }).baseUrl,
+        'https://gitlab.com'
+      );
+      assert.strictEqual(resolveCodeHost('https://git.internal/g/p.git', { env }).platform, 'git');
+      assert.strictEqual(resolveCodeHost(null, { env }).platform, 'git');
+    });
+
+    it('recognizes the configured self-hosted GitLab', function () {
+      const settings = { inputSources: { gitlab: { baseUrl: 'https://code.acme.io/' } } };
+      const codeHost = resolveCodeHost('git@code.acme.io:team/app.git', { settings, env: {} });
+
+      assert.strictEqual(codeHost.platform, 'gitlab');
+      assert.strictEqual(codeHost.baseUrl, 'https://code.acme.io');
+      assert.strictEqual(codeHost.projectPath, 'team/app');
+    });
+
+    it('recognizes the configured GitHub Enterprise host', function () {
+      const remote = 'git@github.acme.io:team/app.git';
+      assert.strictEqual(resolveCodeHost(remote, { env: {} }).platform, 'git');
+
+      const settings = { githubHost: 'https://github.acme.io/' };
+      assert.strictEqual(resolveCodeHost(remote, { settings, env: {} }).platform, 'github');
+
+      const env = { GH_HOST: 'github.acme.io', GITHUB_TOKEN: 'ghp', GH_ENTERPRISE_TOKEN: 'ghe' };
+      const codeHost = resolveCodeHost(remote, { env });
+      assert.strictEqual(codeHost.platform, 'github');
+      assert.strictEqual(codeHost.baseUrl, 'https://github.acme.io');
+
+      // REST goes to the enterprise API with the enterprise token, never the github.com one
+      const client = createCodeHostClient(codeHost, { env });
+      assert.strictEqual(client.host, 'github.acme.io');
+      assert.strictEqual(client.apiUrl, 'https://github.acme.io/api/v3');
+      assert.strictEqual(client.token, 'ghe');
+      assert.strictEqual(
+        createCodeHostClient(codeHost, { env: { GITHUB_TOKEN: 'ghp' } }).token,
+        null
+      );
+    });
+  });
+
+  describe('GitLabClient', function () {
+    let standIn;
+    let client;
+
+    beforeEach(async function () {
+      standIn = createGitLabStandIn({ pipelineStatuses: ['pending', 'running', 'success'] });
+      const baseUrl = await listen(standIn.server);
+      client = new GitLabClient({ baseUrl, projectPath: 'group/proj', token: 'glpat' });
+    });
+
+    afterEach(function (done) {
+      standIn.server.close(done);
+    });
+
+    it('creates a merge request against the default branch, then reuses it', async function () {
+      const first = await client.createMergeRequest({ sourceBranch: 'zs/x', title: 'feat: x' });
+      assert.strictEqual(first.created, true);
+      assert.strictEqual(standIn.state.mergeRequests[0].target_branch, 'main');
+
+      const second = await client.createMergeRequest({ sourceBranch: 'zs/x', title: 'feat: x' });
+      assert.strictEqual(second.created, false);
+      assert.strictEqual(second.number, first.number);
+      assert.strictEqual(standIn.state.mergeRequests.length, 1);
+    });
+
+    it('waits for the pipeline to succeed', async function () {
+      const seen = [];
+      const result = await client.waitForPipeline(1, {
+        intervalMs: 5,
+        onStatus: (status) => seen.push(status),
+      });
+
+      assert.strictEqual(result, 'success');
+      assert.deepStrictEqual(seen, ['pending', 'running', 'success']);
+    });
+
+    it('fails on a failed pipeline', async function () {
+      standIn.state.statuses = ['failed'];
+      await assert.rejects(client.waitForPipeline(1, { intervalMs: 5 }), /status "failed"/);
+    });
+
+    it('treats a merge request without pipeline as no CI after the grace period', async function () {
+      standIn.state.statuses = [];
+      const result = await client.waitForPipeline(1, { intervalMs: 5, graceMs: 20 });
+      assert.strictEqual(result, 'none');
+    });
+  });
+});
+
+describe('GitHubClient', function () {
+  let standIn;
+  let client;
+
+  beforeEach(async function () {
+    standIn = createGitHubStandIn();
+    const apiUrl = await listen(standIn.server);
+    client = new GitHubClient({ projectPath: 'acme/app', apiUrl, token: 'ghp' });
+  });
+
+  afterEach(function (done) {
+    standIn.server.close(done);
+  });
+
+  it('opens a pull request against the default branch, then reuses it', async function () {
+    const first = await client.createMergeRequest({ sourceBranch: 'zs/x', title: 'feat: x' });
+    assert.strictEqual(first.created, true);
+    assert.strictEqual(standIn.state.pulls[0].base, 'main');
+    assert.strictEqual(standIn.state.pulls[0].head, 'zs/x');
+    assert.strictEqual(standIn.state.requests[0].headers.authorization, 'Bearer ghp');
+
+    const second = await client.createMergeRequest({ sourceBranch: 'zs/x', title: 'feat: x' });
+    assert.strictEqual(second.created, false);
+    assert.strictEqual(second.number, first.number);
+    assert.ok(standIn.state.requests.some((r) => r.url.includes('head=acme%3Azs%2Fx')));
+  });
+
+  it('combines check runs and commit statuses', async function () {
+    assert.strictEqual(await client.getPipelineStatus(1), null);
+
+    standIn.state.checkRuns = [
+      { status: 'completed', conclusion: 'success' },
+      { status: 'in_progress', conclusion: null },
+    ];
+    assert.strictEqual(await client.getPipelineStatus(1), 'pending');
+
+    standIn.state.checkRuns = [{ status: 'completed', conclusion: 'skipped' }];
+    assert.strictEqual(await client.getPipelineStatus(1), 'success');
+
+    standIn.state.statuses = [{ context: 'ci/legacy', state: 'failure' }];
+    assert.strictEqual(await client.getPipelineStatus(1), 'failure');
+    await assert.rejects(
+      client.waitForPipeline(1, { intervalMs: 5 }),
+      /#1 finished with status "failure"/
+    );
+  });
+
+  it('merges with a merge commit', async function () {
+    const result = await client.merge(1);
+    assert.strictEqual(result.merged, true);
+    assert.deepStrictEqual(standIn.state.merged, [1]);
+    assert.strictEqual(JSON.parse(standIn.state.requests[0].body).merge_method, 'merge');
+  });
+});
+
+describe('PR flow', function () {
+  describe('runPrFlow()', function () {
+    let tmpDir;
+    let workDir;
+    let standIn;
+
+    beforeEach(async function () {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zeroshot-prflow-'));
+      const remoteDir = path.join(tmpDir, 'remote.git');
+      workDir = path.join(tmpDir, 'work');
+      const git = (cmd, cwd = workDir) => execSync(`git ${cmd}`, { cwd, stdio: 'pipe' });
+
+      fs.mkdirSync(workDir);
+      execSync(`git init --bare -q ${remoteDir}`);
+      git('init -q -b main');
+      git('config user.email test@example.com');
+      git('config user.name Test');
+      git(`remote add origin ${remoteDir}`);
+      fs.writeFileSync(path.join(workDir, 'README.md'), 'base\n');
+      git('add -A');
+      git('commit -q -m base');
+      git('checkout -q -b zeroshot/feature');
+      fs.writeFileSync(path.join(workDir, 'feature.js'), 'module.exports = 1;\n');
+
+      standIn = createGitLabStandIn({ pipelineStatuses: ['success'] });
+      standIn.baseUrl = await listen(standIn.server);
+    });
+
+    afterEach(function (done) {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+      standIn.server.close(done);
+    });
+
+    it('commits, pushes, opens the merge request and merges with ship', async function () {
+      const client = new GitLabClient({
+        baseUrl: standIn.baseUrl,
+        projectPath: 'group/proj',
+        token: 'glpat',
+      });
+      const result = await runPrFlow({
+        git: createLocalGitRunner(workDir),
+        codeHost: { platform: 'gitlab', host: 'gitlab.example.com' },
+        client,
+        title: 'feat: add feature',
+        description: 'Closes #12',
+        ship: true,
+        pipeline: { intervalMs: 5 },
+      });
+
+      assert.strictEqual(result.branch, 'zeroshot/feature');
+      assert.strictEqual(result.committed, true);
+      assert.strictEqual(result.pr_number, 1);
+      assert.strictEqual(result.merged, true);
+      assert.deepStrictEqual(standIn.state.merged, [1]);
+      assert.strictEqual(standIn.state.mergeRequests[0].description, 'Closes #12');
+
+      const remoteLog = execSync('git log --format=%s zeroshot/feature', {
+        cwd: path.join(tmpDir, 'remote.git'),
+      }).toString();
+      assert.ok(remoteLog.startsWith('feat: add feature'));
+    });
+
+    it('only pushes for generic git remotes', async function () {
+      const result = await runPrFlow({
+        git: createLocalGitRunner(workDir),
+        codeHost: { platform: 'git', host: 'git.internal' },
+        client: null,
+        title: 'feat: add feature',
+        description: '',
+        ship: true,
+      });
+
+      assert.strictEqual(result.pr_url, null);
+      assert.strictEqual(result.merged, false);
+      assert.strictEqual(standIn.state.requests.length, 0);
+    });
+  });
+
+  describe('describeChange()', function () {
+    const gitlabIssue = {
+      metadata: { source: 'gitlab' },
+      content: { data: { title: 'Fix login', issue_number: 12 } },
+    };
+
+    it('closes issues tracked on the same platform and links the rest', function () {
+      assert.strictEqual(describeChange({ issue: gitlabIssue }, 'gitlab').title, 'feat: Fix login');
+      assert.ok(
+        describeChange({ issue: gitlabIssue }, 'gitlab').description.startsWith('Closes #12')
+      );
+      assert.ok(
+        describeChange({ issue: gitlabIssue }, 'github').description.startsWith('Implements 12')
+      );
+
+      const jiraIssue = {
+        metadata: { source: 'jira' },
+        content: { data: { title: 'Fix', issue_number: 'PROJ-1', url: 'https://j/browse/PROJ-1' } },
+      };
+      assert.ok(
+        describeChange({ issue: jiraIssue }, 'github').description.startsWith(
+          'Implements https://j/browse/PROJ-1'
+        )
+      );
+    });
+
+    it('uses the implementation summary and validator evidence', function () {
+      const change = describeChange(
+        {
+          issue: gitlabIssue,
+          implementation: { content: { text: 'Handle Safari cookies' } },
+          validations: [
+            {
+              sender: 'validator-requirements',
+              content: {
+                text: 'All criteria met',
+                data: {
+                  approved: 'true',
+                  criteriaResults: JSON.stringify([
+                    {
+                      id: 'AC1',
+                      status: 'PASS',
+                      evidence: { command: 'npm test', exitCode: 0, output: '12 passing' },
+                    },
+                    { id: 'AC2', status: 'CANNOT_VALIDATE', reason: 'no Safari' },
+                  ]),
+                },
+              },
+            },
+          ],
+        },
+        'gitlab'
+      );
+
+      assert.strictEqual(
+        change.commitMessage,
+        'feat: Fix login\n\nHandle Safari cookies\n\nCloses #12'
+      );
+      assert.ok(change.description.includes('## Summary\n\nHandle Safari cookies'));
+      assert.ok(change.description.includes('### validator-requirements\n\nAll criteria met'));
+      assert.ok(change.description.includes('- **AC1** PASS - `npm test` (exit 0)'));
+      assert.ok(change.description.includes('  12 passing'));
+      assert.ok(change.description.includes('- **AC2** CANNOT_VALIDATE - no Safari'));
+    });
+  });
+});
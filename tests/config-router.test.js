@@ -0,0 +1,124 @@
+/**
+ * Tests for the routing table behind config-router.getConfig()
+ *
+ * Covers:
+ * - The built-in table reproducing the Complexity × TaskType mapping
+ * - Rules on labels, changed paths and repository overriding the conductor
+ * - Params-only routes and table validation
+ */
+
+const assert = require('assert');
+const {
+  DEFAULT_ROUTING_TABLE,
+  validateRoutingTable,
+  routeTask,
+  getConfig,
+  globToRegExp,
+} = require('../src/config-router.js');
+const { DEFAULT_MAX_ITERATIONS } = require('../src/agent/agent-config.js');
+
+const builtIn = [{ source: 'built-in', table: DEFAULT_ROUTING_TABLE }];
+
+function withTable(table) {
+  return [{ source: 'settings.routing', table }, ...builtIn];
+}
+
+describe('Config router', function () {
+  it('routes the built-in Complexity × TaskType matrix', function () {
+    const route = (complexity, taskType) => getConfig(complexity, taskType, { tables: builtIn });
+
+    assert.deepStrictEqual(route('TRIVIAL', 'DEBUG'), {
+      base: 'single-worker',
+      params: {
+        task_type: 'DEBUG',
+        complexity: 'TRIVIAL',
+        max_iterations: DEFAULT_MAX_ITERATIONS,
+        worker_level: 'level1',
+        max_tokens: 50000,
+      },
+    });
+    assert.deepStrictEqual(route('CRITICAL', 'DEBUG').params, {
+      task_type: 'DEBUG',
+      complexity: 'CRITICAL',
+      max_iterations: DEFAULT_MAX_ITERATIONS,
+      investigator_level: 'level3',
+      fixer_level: 'level2',
+      tester_level: 'level2',
+      max_tokens: 150000,
+    });
+    assert.strictEqual(route('SIMPLE', 'TASK').base, 'worker-validator');
+    assert.strictEqual(route('STANDARD', 'INQUIRY').params.validator_count, 2);
+    assert.strictEqual(route('CRITICAL', 'TASK').params.planner_level, 'level3');
+    assert.strictEqual(route('CRITICAL', 'TASK').params.validator_count, 4);
+  });
+
+  it('lets labels, paths and repository override the classification', function () {
+    const tables = withTable({
+      rules: [
+        { when: { labels: ['Security'] }, set: { complexity: 'CRITICAL' } },
+        { when: { repository: 'acme/*', taskType: 'INQUIRY' }, set: { taskType: 'TASK' } },
+      ],
+      routes: [
+        { when: { paths: ['services/payments/**'] }, params: { validator_count: 5 } },
+        { when: { paths: '**/*.tf' }, base: 'infra-workflow' },
+      ],
+    });
+
+    const security = routeTask(
+      { complexity: 'SIMPLE', taskType: 'TASK' },
+      { tables, labels: ['security', 'backend'] }
+    );
+    assert.strictEqual(security.base, 'full-workflow');
+    assert.strictEqual(security.params.complexity, 'CRITICAL');
+    assert.deepStrictEqual(
+      security.rules.map((rule) => [rule.source, rule.index]),
+      [['settings.routing', 0]]
+    );
+
+    const payments = routeTask(
+      { complexity: 'STANDARD', taskType: 'INQUIRY' },
+      { tables, paths: ['services/payments/api/charge.js'], repository: 'acme/monorepo' }
+    );
+    assert.strictEqual(payments.taskType, 'TASK');
+    assert.strictEqual(payments.params.validator_count, 5);
+    assert.strictEqual(payments.params.max_tokens, 100000);
+    assert.deepStrictEqual(
+      payments.routes.map((route) => [route.source, route.index]),
+      [
+        ['settings.routing', 0],
+        ['built-in', 4],
+      ]
+    );
+
+    const infra = getConfig('SIMPLE', 'TASK', { tables, paths: ['main.tf'] });
+    assert.deepStrictEqual(infra.base, 'infra-workflow');
+  });
+
+  it('matches globs per path segment', function () {
+    assert.ok(globToRegExp('src/*.js').test('src/a.js'));
+    assert.ok(!globToRegExp('src/*.js').test('src/lib/a.js'));
+    assert.ok(globToRegExp('src/**/*.js').test('src/a.js'));
+    assert.ok(globToRegExp('src/**').test('src/lib/a.js'));
+    assert.ok(!globToRegExp('a?c').test('a/c'));
+  });
+
+  it('validates routing tables', function () {
+    assert.deepStrictEqual(validateRoutingTable(DEFAULT_ROUTING_TABLE), []);
+    assert.deepStrictEqual(validateRoutingTable({ route: [] }), [
+      "routing: unknown key 'route' (valid: rules, routes)",
+    ]);
+    assert.deepStrictEqual(
+      validateRoutingTable({
+        rules: [{ when: { label: 'x' }, set: { complexity: 'HUGE' } }, { when: {} }],
+        routes: [{ when: { taskType: ['TASK', 'FIX'] } }],
+      }),
+      [
+        "routing.rules[0].when: unknown key 'label' (valid: complexity, taskType, labels, paths, repository)",
+        'routing.rules[0].set.complexity: HUGE (valid: TRIVIAL, SIMPLE, STANDARD, CRITICAL)',
+        'routing.rules[1].set must set complexity and/or taskType',
+        'routing.routes[0].when.taskType: FIX (valid: INQUIRY, TASK, DEBUG)',
+        'routing.routes[0] needs a base and/or params',
+      ]
+    );
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Tests for scripted cluster config tests (`zeroshot config test`)
+ *
+ * Covers:
+ * - Loading and validating YAML scenarios
+ * - Playing back scripted outputs per agent per iteration
+ * - Ledger assertions, deadlock detection and unscripted agents
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadScenario, validateScenario, runScenario } = require('../src/config-test.js');
+
+const reviewedConfig = {
+  agents: [
+    {
+      id: 'worker',
+      role: 'implementation',
+      timeout: 0,
+      triggers: [
+        { topic: 'ISSUE_OPENED', action: 'execute_task' },
+        {
+          topic: 'VALIDATION_RESULT',
+          action: 'execute_task',
+          condition: { message: { where: { approved: false } } },
+        },
+      ],
+      hooks: {
+        onComplete: {
+          action: 'publish_message',
+          config: { topic: 'IMPLEMENTATION_READY', content: { text: 'Ready' } },
+        },
+      },
+    },
+    {
+      id: 'validator',
+      role: 'validator',
+      timeout: 0,
+      triggers: [{ topic: 'IMPLEMENTATION_READY', action: 'execute_task' }],
+      outputFormat: 'json',
+      jsonSchema: {
+        type: 'object',
+        properties: { approved: { type: 'boolean' } },
+        required: ['approved'],
+      },
+      hooks: {
+        onComplete: {
+          action: 'publish_message',
+          config: {
+            topic: 'VALIDATION_RESULT',
+            content: { data: { approved: '{{result.approved}}' } },
+          },
+        },
+      },
+    },
+    {
+      id: 'completion-detector',
+      role: 'orchestrator',
+      timeout: 0,
+      triggers: [
+        {
+          topic: 'VALIDATION_RESULT',
+          action: 'stop_cluster',
+          condition: { message: { where: { approved: true } } },
+        },
+      ],
+    },
+  ],
+};
+
+const rejectTwiceYaml = `
+name: validator rejects twice, then approves
+task: Add a login page
+agents:
+  worker:
+    output: { summary: Implemented }
+  validator:
+    - output: { approved: false }
+    - output: { approved: false }
+    - output: { approved: true }
+expect:
+  maxIterations: 3
+  published: [IMPLEMENTATION_READY]
+  notPublished: [CLUSTER_FAILED]
+  counts: { VALIDATION_RESULT: 3 }
+  calls: { worker: 3, validator: 3 }
+`;
+
+describe('Config test scenarios', function () {
+  this.timeout(20000);
+  let tempDir;
+
+  beforeEach(function () {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zeroshot-scenario-'));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('validates scenario structure', function () {
+    assert.deepStrictEqual(validateScenario({ agents: { worker: { output: 'done' } } }), []);
+    const errors = validateScenario({
+      agent: {},
+      agents: { worker: [], validator: [{ output: {}, fail: 'x' }] },
+      expect: { outcome: 'finished', counts: { X: 'two' } },
+    });
+    assert(errors.some((e) => e.includes("unknown key 'agent'")));
+    assert(errors.some((e) => e.includes('agents.worker must have at least one step')));
+    assert(errors.some((e) => e.includes('agents.validator[0] must be')));
+    assert(errors.some((e) => e.includes('expect.outcome must be one of')));
+    assert(errors.some((e) => e.includes('expect.counts must map')));
+  });
+
+  it('plays back scripted outputs per iteration and checks the ledger', async function () {
+    const file = path.join(tempDir, 'reject-twice.yaml');
+    fs.writeFileSync(file, rejectTwiceYaml);
+
+    const report = await runScenario(reviewedConfig, loadScenario(file));
+
+    assert.deepStrictEqual(report.failures, []);
+    assert.strictEqual(report.passed, true);
+    assert.strictEqual(report.outcome, 'completed');
+    assert.deepStrictEqual(report.iterations, { worker: 3, validator: 3 });
+    assert.deepStrictEqual(report.unusedScripts, []);
+  });
+
+  it('detects a deadlock and reports failed expectations', async function () {
+    // The completion detector waits for a verdict the validator never gives
+    const config = {
+      agents: [
+        ...reviewedConfig.agents.slice(0, 2),
+        {
+          id: 'completion-detector',
+          role: 'orchestrator',
+          triggers: [
+            {
+              topic: 'VALIDATION_RESULT',
+              action: 'stop_cluster',
+              condition: { message: { where: { approved: 'yes' } } },
+            },
+          ],
+        },
+      ],
+    };
+    const report = await runScenario(config, {
+      name: 'stalls',
+      idleMs: 300,
+      agents: {
+        worker: { output: 'done' },
+        validator: { output: { approved: true } },
+        planner: { output: 'unused' },
+      },
+      expect: { maxIterations: 1, published: ['PLAN_READY'] },
+    });
+
+    assert.strictEqual(report.passed, false);
+    assert.strictEqual(report.outcome, 'deadlock');
+    assert.deepStrictEqual(report.failures, [
+      'expected the cluster to end completed, it ended deadlock',
+      'PLAN_READY was never published',
+    ]);
+    assert.deepStrictEqual(report.unusedScripts, ['planner']);
+  });
+
+  it('fails agents that run without a script', async function () {
+    // A crashed validator rejects, so cap the worker's retries
+    const [worker, ...others] = reviewedConfig.agents;
+    const config = { agents: [{ ...worker, maxIterations: 2 }, ...others] };
+    const report = await runScenario(config, {
+      name: 'unscripted',
+      agents: { worker: { output: 'done' } },
+      expect: { outcome: 'failed' },
+    });
+
+    assert.strictEqual(report.outcome, 'failed');
+    assert.deepStrictEqual(report.failures, [
+      'validator ran a task but the scenario has no script for it',
+    ]);
+  });
+});
@@ -73,7 +73,11 @@ describe('validateBasicStructure', function () {
         },
       ],
     });
-    assert.ok(result.errors.some((e) => e.includes("must be 'execute_task' or 'stop_cluster'")));
+    assert.ok(
+      result.errors.some((e) =>
+        e.includes('must be one of execute_task, stop_cluster, fan_out, best_of')
+      )
+    );
   });
 
   it('should reject logic without script', function () {
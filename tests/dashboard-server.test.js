@@ -0,0 +1,194 @@
+/**
+ * Tests for DashboardServer (`zeroshot serve`)
+ *
+ * Covers:
+ * - REST endpoints (cluster list, snapshot, 404s)
+ * - WebSocket snapshot + live broadcast of in-process publishes
+ * - Relay of messages appended by another process (separate Ledger handle)
+ * - Refusing foreign Host headers and cross-origin WebSocket upgrades
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+const WebSocket = require('ws');
+const Orchestrator = require('../src/orchestrator.js');
+const Ledger = require('../src/ledger.js');
+const DashboardServer = require('../src/dashboard/server.js');
+const MockTaskRunner = require('./helpers/mock-task-runner.js');
+
+const testSettingsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zeroshot-dashboard-settings-'));
+const testSettingsFile = path.join(testSettingsDir, 'settings.json');
+fs.writeFileSync(testSettingsFile, JSON.stringify({ maxModel: 'opus', minModel: null }));
+process.env.ZEROSHOT_SETTINGS_FILE = testSettingsFile;
+
+const config = {
+  agents: [
+    {
+      id: 'worker',
+      role: 'implementation',
+      modelLevel: 'level2',
+      outputFormat: 'text',
+      triggers: [{ topic: 'PLAN_READY', action: 'execute_task' }],
+      prompt: 'Implement the task.',
+    },
+  ],
+};
+
+function get(url, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http
+      .get(url, { headers }, (res) => {
+        let body = '';
+        res.on('data', (chunk) => (body += chunk));
+        res.on('end', () => resolve({ status: res.statusCode, body }));
+      })
+      .on('error', reject);
+  });
+}
+
+function nextMessage(ws, predicate) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('Timed out waiting for message')), 5000);
+    const onMessage = (raw) => {
+      const payload = JSON.parse(raw.toString());
+      if (predicate(payload)) {
+        clearTimeout(timer);
+        ws.off('message', onMessage);
+        resolve(payload);
+      }
+    };
+    ws.on('message', onMessage);
+  });
+}
+
+describe('DashboardServer', function () {
+  this.timeout(10000);
+
+  let orchestrator, server, baseUrl, storageDir, clusterId;
+
+  beforeEach(async function () {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zeroshot-dashboard-'));
+    orchestrator = new Orchestrator({
+      taskRunner: new MockTaskRunner(),
+      storageDir,
+      skipLoad: true,
+      quiet: true,
+    });
+    ({ id: clusterId } = await orchestrator.start(config, { text: 'Watch me' }));
+
+    server = new DashboardServer({ orchestrator, port: 0, host: '127.0.0.1', pollIntervalMs: 50 });
+    ({ url: baseUrl } = await server.start());
+  });
+
+  afterEach(async function () {
+    await server.stop();
+    await orchestrator.kill(clusterId);
+    orchestrator.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  it('serves the dashboard page', async function () {
+    const res = await get(`${baseUrl}/`);
+    assert.strictEqual(res.status, 200);
+    assert.ok(res.body.includes('zeroshot dashboard'));
+  });
+
+  it('lists clusters with cost', async function () {
+    orchestrator.getCluster(clusterId).messageBus.publish({
+      cluster_id: clusterId,
+      topic: 'TOKEN_USAGE',
+      sender: 'worker',
+      content: { data: { role: 'implementation', inputTokens: 10, totalCostUsd: 0.25 } },
+    });
+
+    const { clusters } = JSON.parse((await get(`${baseUrl}/api/clusters`)).body);
+    assert.strictEqual(clusters.length, 1);
+    assert.strictEqual(clusters[0].id, clusterId);
+    assert.strictEqual(clusters[0].costUsd, 0.25);
+    assert.strictEqual(clusters[0].outcome, null);
+  });
+
+  it('returns a snapshot with agents, validations and messages', async function () {
+    const bus = orchestrator.getCluster(clusterId).messageBus;
+    bus.publish({
+      cluster_id: clusterId,
+      topic: 'VALIDATION_RESULT',
+      sender: 'validator',
+      content: { text: 'Missing tests', data: { approved: false } },
+    });
+
+    const snapshot = JSON.parse((await get(`${baseUrl}/api/clusters/${clusterId}`)).body);
+    assert.deepStrictEqual(
+      snapshot.agents.map((a) => a.id),
+      ['worker']
+    );
+    assert.strictEqual(snapshot.validations.length, 1);
+    assert.strictEqual(snapshot.validations[0].approved, false);
+    assert.strictEqual(snapshot.validations[0].summary, 'Missing tests');
+    assert.ok(snapshot.messages.some((m) => m.topic === 'ISSUE_OPENED'));
+  });
+
+  it('returns 404 for unknown clusters', async function () {
+    const res = await get(`${baseUrl}/api/clusters/nope`);
+    assert.strictEqual(res.status, 404);
+  });
+
+  it('streams a snapshot then live messages over WebSocket', async function () {
+    const ws = new WebSocket(`${baseUrl.replace('http', 'ws')}/ws?cluster=${clusterId}`);
+    const snapshot = await nextMessage(ws, (p) => p.type === 'snapshot');
+    assert.strictEqual(snapshot.data.id, clusterId);
+
+    const live = nextMessage(ws, (p) => p.type === 'message' && p.data.topic === 'PROGRESS');
+    orchestrator.getCluster(clusterId).messageBus.publish({
+      cluster_id: clusterId,
+      topic: 'PROGRESS',
+      sender: 'worker',
+      content: { text: 'halfway' },
+    });
+    assert.strictEqual((await live).data.content.text, 'halfway');
+
+    ws.close();
+  });
+
+  it('relays messages written by another process', async function () {
+    const ws = new WebSocket(`${baseUrl.replace('http', 'ws')}/ws?cluster=${clusterId}`);
+    await nextMessage(ws, (p) => p.type === 'snapshot');
+
+    // A daemonized cluster writes through its own Ledger handle
+    const otherProcessLedger = new Ledger(path.join(storageDir, `${clusterId}.db`));
+    const relayed = nextMessage(ws, (p) => p.type === 'message' && p.data.topic === 'REMOTE');
+    otherProcessLedger.append({
+      cluster_id: clusterId,
+      topic: 'REMOTE',
+      sender: 'worker',
+      content: { text: 'from daemon' },
+    });
+
+    assert.strictEqual((await relayed).data.content.text, 'from daemon');
+    otherProcessLedger.close();
+    ws.close();
+  });
+
+  it('refuses other hosts and cross-origin WebSocket upgrades', async function () {
+    const rebound = await get(`${baseUrl}/api/clusters`, { Host: `evil.example:${server.port}` });
+    assert.strictEqual(rebound.status, 403);
+    const local = await get(`${baseUrl}/api/clusters`, { Host: `localhost:${server.port}` });
+    assert.strictEqual(local.status, 200);
+
+    const wsUrl = `${baseUrl.replace('http', 'ws')}/ws?cluster=${clusterId}`;
+    const refused = await new Promise((resolve) => {
+      const ws = new WebSocket(wsUrl, { origin: 'http://evil.example' });
+      ws.on('unexpected-response', (_req, res) => resolve(res.statusCode));
+      ws.on('open', () => resolve('open'));
+    });
+    assert.strictEqual(refused, 403);
+
+    const ws = new WebSocket(wsUrl, { origin: baseUrl });
+    const snapshot = await nextMessage(ws, (p) => p.type === 'snapshot');
+    assert.strictEqual(snapshot.data.id, clusterId);
+    ws.close();
+  });
+});
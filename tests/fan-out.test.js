@@ -0,0 +1,365 @@
+/**
+ * Tests for parallel worker fan-out
+ *
+ * Covers:
+ * - Subtask parsing, grouping and the worker copies' config
+ * - fanOut validation (trigger, maxWorkers, resolver)
+ * - Merging branches and detecting conflicts in a real git repo
+ * - The orchestrator running copies in worktrees, routing a conflict to the
+ *   resolver and publishing IMPLEMENTATION_READY once everything is merged
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+const Orchestrator = require('../src/orchestrator');
+const MockTaskRunner = require('./helpers/mock-task-runner');
+const { validateConfig } = require('../src/config-validator');
+const { createLocalGitRunner } = require('../src/pr-flow');
+const {
+  normalizeSubtasks,
+  groupSubtasks,
+  buildSubtaskWorker,
+  mergeBranches,
+  unmergedBranches,
+} = require('../src/fan-out');
+
+function createRepo() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zeroshot-fanout-repo-'));
+  const run = (command) => execSync(command, { cwd: dir, stdio: 'pipe' });
+  run('git init -b main');
+  run('git config user.email "test@test.com"');
+  run('git config user.name "Test User"');
+  fs.writeFileSync(path.join(dir, 'README.md'), '# Test\n');
+  run('git add -A');
+  run('git commit -m "Initial commit"');
+  return { dir, run };
+}
+
+const summarySchema = {
+  type: 'object',
+  properties: { summary: { type: 'string' } },
+  required: ['summary'],
+};
+
+const worker = {
+  id: 'worker',
+  role: 'implementation',
+  timeout: 0,
+  outputFormat: 'json',
+  maxIterations: 3,
+  jsonSchema: summarySchema,
+  prompt: { initial: 'Implement the plan.', subsequent: 'Fix the rejections.' },
+  fanOut: { maxWorkers: 2, resolver: 'resolver' },
+  triggers: [{ topic: 'PLAN_READY', action: 'fan_out' }],
+  hooks: {
+    onComplete: {
+      action: 'publish_message',
+      config: { topic: 'IMPLEMENTATION_READY', content: { text: '{{result.summary}}' } },
+    },
+  },
+};
+
+const resolver = {
+  id: 'resolver',
+  role: 'integration',
+  timeout: 0,
+  outputFormat: 'json',
+  jsonSchema: summarySchema,
+  prompt: 'Merge the conflicting branches.',
+  triggers: [{ topic: 'MERGE_CONFLICT', action: 'execute_task' }],
+  hooks: {
+    onComplete: {
+      action: 'publish_message',
+      config: { topic: 'MERGE_RESOLVED', content: { text: '{{result.summary}}' } },
+    },
+  },
+};
+
+const config = {
+  agents: [
+    {
+      id: 'planner',
+      role: 'planning',
+      timeout: 0,
+      outputFormat: 'json',
+      jsonSchema: {
+        type: 'object',
+        properties: { plan: { type: 'string' }, subtasks: { type: 'array' } },
+        required: ['plan'],
+      },
+      prompt: 'Plan the work.',
+      triggers: [{ topic: 'ISSUE_OPENED', action: 'execute_task' }],
+      hooks: {
+        onComplete: {
+          action: 'publish_message',
+          config: {
+            topic: 'PLAN_READY',
+            content: { text: '{{result.plan}}', data: { subtasks: '{{result.subtasks}}' } },
+          },
+        },
+      },
+    },
+    worker,
+    resolver,
+  ],
+};
+
+describe('Fan-out', function () {
+  it('splits subtasks into groups and builds worker copies', function () {
+    const subtasks = normalizeSubtasks(
+      JSON.stringify([
+        { id: 'api', description: 'Add endpoint', scope: ['src/api'] },
+        { description: 'Add UI' },
+        { id: 'docs', description: 'Document it', scope: ['README.md'] },
+        { id: 'bogus' },
+      ])
+    );
+    assert.deepStrictEqual(
+      subtasks.map((subtask) => subtask.id),
+      ['api', 'subtask-2', 'docs']
+    );
+    assert.deepStrictEqual(normalizeSubtasks('not json'), []);
+
+    const groups = groupSubtasks(subtasks, 2);
+    assert.deepStrictEqual(
+      groups.map((group) => group.map((subtask) => subtask.id)),
+      [['api', 'docs'], ['subtask-2']]
+    );
+
+    const copy = buildSubtaskWorker(worker, {
+      id: 'worker-1',
+      cwd: '/tmp/wt',
+      subtasks: groups[0],
+      total: 2,
+    });
+    assert.strictEqual(copy.fanOutOf, 'worker');
+    assert.strictEqual(copy.fanOut, undefined);
+    assert.strictEqual(copy.maxIterations, 1);
+    const retrying = buildSubtaskWorker(
+      { ...worker, maxRetries: 3 },
+      { id: 'worker-1', subtasks: [] }
+    );
+    assert.strictEqual(retrying.maxIterations, 3);
+    assert.ok(copy.prompt.startsWith('Implement the plan.'));
+    assert.ok(copy.prompt.includes('[docs] Document it\n  Scope: README.md'));
+    assert.deepStrictEqual(copy.triggers, [{ topic: 'SUBTASK_ASSIGNED', action: 'execute_task' }]);
+    assert.strictEqual(copy.hooks.onComplete.config.topic, 'SUBTASK_COMPLETE');
+  });
+
+  it('validates fanOut settings', function () {
+    // The orchestrator injects a completion detector into configs without one
+    assert.deepStrictEqual(
+      validateConfig(config).errors.filter((e) => !e.startsWith('No completion handler')),
+      []
+    );
+
+    const broken = {
+      agents: [
+        config.agents[0],
+        { ...worker, fanOut: { maxWorkers: 1, resolver: 'planner' } },
+        resolver,
+      ],
+    };
+    const { errors } = validateConfig(broken);
+    assert.ok(errors.some((e) => e.includes('fanOut.maxWorkers must be an integer >= 2')));
+    assert.ok(errors.some((e) => e.includes("resolver 'planner' has no MERGE_CONFLICT trigger")));
+
+    const missing = { agents: [config.agents[0], { ...worker, fanOut: {} }, resolver] };
+    assert.ok(
+      validateConfig(missing).errors.some((e) => e.includes('fanOut.resolver is required'))
+    );
+  });
+
+  it('merges branches and reports conflicting ones', async function () {
+    const { dir, run } = createRepo();
+    try {
+      const commitOn = (branch, file, text) => {
+        run(`git checkout -q -b ${branch} main`);
+        fs.writeFileSync(path.join(dir, file), text);
+        run('git add -A');
+        run(`git commit -q -m "${branch}"`);
+        run('git checkout -q main');
+      };
+      commitOn('one', 'one.txt', 'one\n');
+      commitOn('two', 'README.md', '# Two\n');
+      commitOn('three', 'README.md', '# Three\n');
+
+      const git = createLocalGitRunner(dir);
+      const result = await mergeBranches(git, ['one', 'two', 'three']);
+      assert.deepStrictEqual(result.merged, ['one', 'two']);
+      assert.deepStrictEqual(result.conflicts, [{ branch: 'three', files: ['README.md'] }]);
+      assert.strictEqual(run('git status --porcelain').toString(), '');
+      assert.deepStrictEqual(await unmergedBranches(git, ['one', 'two', 'three']), ['three']);
+
+      await assert.rejects(mergeBranches(git, ['missing']), /git merge failed/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('Fan-out in the orchestrator', function () {
+  this.timeout(60000);
+
+  let orchestrator;
+  let storageDir;
+  let repo;
+  let clusterId;
+
+  beforeEach(function () {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zeroshot-fanout-'));
+    repo = createRepo();
+  });
+
+  afterEach(async function () {
+    try {
+      await orchestrator.kill(clusterId);
+    } catch {
+      // already stopped
+    }
+    fs.rmSync(storageDir, { recursive: true, force: true });
+    fs.rmSync(repo.dir, { recursive: true, force: true });
+  });
+
+  // Agents run before start() returns, so mocks look the cluster up themselves
+  const current = () => [...orchestrator.clusters.values()][0];
+
+  // Worker copies write into their own worktree, found through their config
+  function writesInWorktree(agentId, file, text) {
+    return () => {
+      const cwd = current().agents.find((agent) => agent.id === agentId).config.cwd;
+      fs.writeFileSync(path.join(cwd, file), text);
+      return {
+        success: true,
+        output: JSON.stringify({ summary: `${agentId} wrote ${file}` }),
+        error: null,
+      };
+    };
+  }
+
+  async function waitFor(topic) {
+    for (let i = 0; i < 200; i++) {
+      const message = current().messageBus.findLast({ cluster_id: clusterId, topic });
+      if (message) return message;
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    throw new Error(`${topic} was never published`);
+  }
+
+  it('runs subtasks in worktrees, resolves conflicts and merges the branches', async function () {
+    const mockRunner = new MockTaskRunner();
+    mockRunner.when('planner').returns(
+      JSON.stringify({
+        plan: 'Two parts',
+        subtasks: [
+          { id: 'a', description: 'Add heading A', scope: ['README.md'] },
+          { id: 'b', description: 'Add heading B', scope: ['README.md'] },
+        ],
+      })
+    );
+    mockRunner.when('worker-1').calls(writesInWorktree('worker-1', 'README.md', '# A\n'));
+    mockRunner.when('worker-2').calls(writesInWorktree('worker-2', 'README.md', '# B\n'));
+    mockRunner.when('resolver').calls(() => {
+      const { id, worktree, messageBus } = current();
+      const cwd = worktree.path;
+      const conflict = messageBus.findLast({ cluster_id: id, topic: 'MERGE_CONFLICT' });
+      const { branch } = conflict.content.data.conflicts[0];
+      try {
+        execSync(`git merge ${branch}`, { cwd, stdio: 'pipe' });
+      } catch {
+        fs.writeFileSync(path.join(cwd, 'README.md'), '# A\n# B\n');
+        execSync('git add -A && git commit --no-edit', { cwd, stdio: 'pipe' });
+      }
+      return { success: true, output: JSON.stringify({ summary: 'Merged' }), error: null };
+    });
+    orchestrator = new Orchestrator({ quiet: true, storageDir, taskRunner: mockRunner });
+
+    await orchestrator.start(config, { text: 'Do two things' }, { cwd: repo.dir, worktree: true });
+    const cluster = current();
+    clusterId = cluster.id;
+
+    const ready = await waitFor('IMPLEMENTATION_READY');
+    assert.strictEqual(ready.sender, 'worker');
+    assert.deepStrictEqual(ready.content.data.fanOut, { workers: 2, resolveAttempts: 1 });
+    assert.ok(ready.content.text.includes('[worker-1] worker-1 wrote README.md'));
+
+    const [conflict] = cluster.messageBus.query({ cluster_id: clusterId, topic: 'MERGE_CONFLICT' });
+    assert.strictEqual(conflict.receiver, 'resolver');
+    assert.deepStrictEqual(conflict.content.data.conflicts[0].files, ['README.md']);
+
+    const worktree = cluster.worktree.path;
+    assert.strictEqual(fs.readFileSync(path.join(worktree, 'README.md'), 'utf8'), '# A\n# B\n');
+    assert.deepStrictEqual(
+      cluster.agents.map((agent) => agent.id),
+      ['planner', 'worker', 'resolver']
+    );
+    mockRunner.assertCalled('worker', 0);
+  });
+
+  // Copy worktrees live in the tmp dir and their branches in the user's repo
+  function copyWorktrees() {
+    const branches = execSync('git branch --list "zeroshot/*-worker-*"', { cwd: repo.dir });
+    const paths = current().copyWorktrees.map((worktree) => worktree.path);
+    return { branches: branches.toString().trim(), paths: paths.filter(fs.existsSync) };
+  }
+
+  const twoSubtasks = JSON.stringify({
+    plan: 'Two parts',
+    subtasks: [
+      { id: 'a', description: 'Add a', scope: ['a.txt'] },
+      { id: 'b', description: 'Add b', scope: ['b.txt'] },
+    ],
+  });
+
+  it('fails the fan-out and removes the copies when one fails', async function () {
+    const mockRunner = new MockTaskRunner();
+    mockRunner.when('planner').returns(twoSubtasks);
+    mockRunner.when('worker-1').calls(writesInWorktree('worker-1', 'a.txt', 'a'));
+    mockRunner.when('worker-2').fails('model refused');
+    orchestrator = new Orchestrator({ quiet: true, storageDir, taskRunner: mockRunner });
+
+    await orchestrator.start(config, { text: 'Do two things' }, { cwd: repo.dir, worktree: true });
+    clusterId = current().id;
+
+    const failed = await waitFor('CLUSTER_FAILED');
+    assert.strictEqual(failed.content.data.reason, 'fan_out_failed');
+    assert.match(failed.content.data.error, /worker-2 failed: .*model refused/);
+    assert.deepStrictEqual(
+      current().agents.map((agent) => agent.id),
+      ['planner', 'worker', 'resolver']
+    );
+    assert.deepStrictEqual(copyWorktrees(), { branches: '', paths: [] });
+  });
+
+  it('removes the copy worktrees and branches on kill', async function () {
+    const mockRunner = new MockTaskRunner();
+    mockRunner.when('planner').returns(twoSubtasks);
+    mockRunner.when('worker-1').delays(2000, JSON.stringify({ summary: 'a' }));
+    mockRunner.when('worker-2').delays(2000, JSON.stringify({ summary: 'b' }));
+    orchestrator = new Orchestrator({ quiet: true, storageDir, taskRunner: mockRunner });
+
+    await orchestrator.start(config, { text: 'Do two things' }, { cwd: repo.dir, worktree: true });
+    const cluster = current();
+    clusterId = cluster.id;
+    await waitFor('SUBTASK_ASSIGNED');
+    const paths = cluster.copyWorktrees.map((worktree) => worktree.path);
+    assert.strictEqual(paths.filter(fs.existsSync).length, 2);
+    const checkpointRefs = () =>
+      execSync(`git for-each-ref "--format=%(refname)" refs/zeroshot/${clusterId}/`, {
+        cwd: repo.dir,
+      })
+        .toString()
+        .trim();
+    assert.match(checkpointRefs(), /\/planner\//);
+
+    await orchestrator.kill(clusterId);
+    assert.strictEqual(checkpointRefs(), '');
+    assert.deepStrictEqual(paths.filter(fs.existsSync), []);
+    assert.deepStrictEqual(cluster.copyWorktrees, []);
+    const branches = execSync('git branch --list "zeroshot/*-worker-*"', { cwd: repo.dir });
+    assert.strictEqual(branches.toString().trim(), '');
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Provider plugin fixture: "runs" a task with echo and reads its JSON back
+ * Uses the factory form, so it does not require zeroshot itself.
+ */
+module.exports = ({ BaseProvider }) =>
+  class EchoProvider extends BaseProvider {
+    static capabilities = { worktreeIsolation: true, streamJson: true, reasoningEffort: true };
+
+    constructor() {
+      super({ name: 'echo', displayName: 'Echo', cliCommand: 'echo' });
+    }
+
+    isAvailable() {
+      return true;
+    }
+
+    getCliPath() {
+      return 'echo';
+    }
+
+    getInstallInstructions() {
+      return 'echo ships with your shell';
+    }
+
+    getAuthInstructions() {
+      return 'No login needed';
+    }
+
+    getCliFeatures() {
+      return { supportsJson: true };
+    }
+
+    buildCommand(context, options = {}) {
+      const event = { type: 'text', text: context, model: options.modelSpec?.model };
+      return { binary: 'echo', args: [JSON.stringify(event)], env: {}, cleanup: [] };
+    }
+
+    parseEvent(line) {
+      try {
+        const event = JSON.parse(line);
+        return event.type === 'text' ? { type: 'text', text: event.text } : null;
+      } catch {
+        return null;
+      }
+    }
+
+    getModelCatalog() {
+      return { 'echo-small': { rank: 1 }, 'echo-large': { rank: 2 } };
+    }
+
+    getLevelMapping() {
+      return {
+        level1: { rank: 1, model: 'echo-small' },
+        level2: { rank: 2, model: 'echo-large' },
+      };
+    }
+
+    getDefaultLevel() {
+      return 'level1';
+    }
+  };
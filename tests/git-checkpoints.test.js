@@ -0,0 +1,132 @@
+/**
+ * Tests for per-iteration git checkpoints
+ *
+ * Covers:
+ * - Snapshotting tracked and untracked changes without touching branch or index
+ * - Restoring a checkpoint as uncommitted changes
+ * - Deleting a cluster's checkpoint refs
+ * - Reading checkpoints back from TASK_COMPLETED lifecycle events
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+const {
+  checkpointRef,
+  createCheckpoint,
+  deleteCheckpointRefs,
+  restoreCheckpoint,
+  diffCommits,
+  listCheckpoints,
+} = require('../src/git-checkpoints.js');
+
+function git(cwd, command) {
+  return execSync(`git ${command}`, { cwd, encoding: 'utf8' }).trim();
+}
+
+describe('Git checkpoints', function () {
+  this.timeout(20000);
+  let repoDir;
+
+  beforeEach(function () {
+    repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zeroshot-checkpoint-'));
+    git(repoDir, 'init -q');
+    git(repoDir, 'config user.email test@test.com');
+    git(repoDir, 'config user.name Test');
+    fs.writeFileSync(path.join(repoDir, 'a.txt'), 'base\n');
+    fs.writeFileSync(path.join(repoDir, '.gitignore'), 'ignored.log\n');
+    git(repoDir, 'add -A');
+    git(repoDir, 'commit -q -m initial');
+  });
+
+  afterEach(function () {
+    fs.rmSync(repoDir, { recursive: true, force: true });
+  });
+
+  it('snapshots the working tree without touching HEAD or the index', async function () {
+    const head = git(repoDir, 'rev-parse HEAD');
+    fs.writeFileSync(path.join(repoDir, 'a.txt'), 'changed\n');
+    fs.writeFileSync(path.join(repoDir, 'new.txt'), 'new\n');
+    fs.writeFileSync(path.join(repoDir, 'ignored.log'), 'noise\n');
+    const statusBefore = git(repoDir, 'status --porcelain');
+
+    const sha = await createCheckpoint(repoDir, {
+      clusterId: 'c1',
+      agentId: 'worker',
+      iteration: 1,
+    });
+
+    assert.strictEqual(git(repoDir, 'rev-parse HEAD'), head);
+    assert.strictEqual(git(repoDir, 'status --porcelain'), statusBefore);
+    assert.strictEqual(git(repoDir, `rev-parse ${checkpointRef('c1', 'worker', 1)}`), sha);
+    assert.strictEqual(git(repoDir, `rev-parse ${sha}^`), head);
+    assert.strictEqual(git(repoDir, `show ${sha}:a.txt`), 'changed');
+    assert.strictEqual(git(repoDir, `show ${sha}:new.txt`), 'new');
+    assert.strictEqual(git(repoDir, `ls-tree --name-only ${sha}`).includes('ignored.log'), false);
+
+    const diff = await diffCommits(repoDir, head, sha, ['--stat']);
+    assert.match(diff, /a\.txt/);
+    assert.match(diff, /new\.txt/);
+  });
+
+  it('restores a checkpoint as uncommitted changes', async function () {
+    const head = git(repoDir, 'rev-parse HEAD');
+    fs.writeFileSync(path.join(repoDir, 'a.txt'), 'first\n');
+    const sha = await createCheckpoint(repoDir, {
+      clusterId: 'c1',
+      agentId: 'worker',
+      iteration: 1,
+    });
+    fs.writeFileSync(path.join(repoDir, 'a.txt'), 'second\n');
+    fs.writeFileSync(path.join(repoDir, 'later.txt'), 'later\n');
+
+    await restoreCheckpoint(repoDir, sha);
+
+    assert.strictEqual(fs.readFileSync(path.join(repoDir, 'a.txt'), 'utf8'), 'first\n');
+    assert.strictEqual(fs.existsSync(path.join(repoDir, 'later.txt')), false);
+    assert.strictEqual(git(repoDir, 'rev-parse HEAD'), head);
+    assert.strictEqual(git(repoDir, 'status --porcelain'), 'M a.txt');
+  });
+
+  it("deletes one cluster's checkpoint refs", async function () {
+    await createCheckpoint(repoDir, { clusterId: 'c1', agentId: 'worker', iteration: 1 });
+    await createCheckpoint(repoDir, { clusterId: 'c1', agentId: 'worker', iteration: 2 });
+    await createCheckpoint(repoDir, { clusterId: 'c2', agentId: 'worker', iteration: 1 });
+
+    assert.strictEqual(await deleteCheckpointRefs(repoDir, 'c1'), 2);
+    assert.strictEqual(
+      git(repoDir, 'for-each-ref "--format=%(refname)" refs/zeroshot/'),
+      checkpointRef('c2', 'worker', 1)
+    );
+    assert.strictEqual(await deleteCheckpointRefs(repoDir, 'c1'), 0);
+  });
+
+  it('lists checkpoints from TASK_COMPLETED events', function () {
+    const completed = (sender, iteration, checkpoint) => ({
+      id: `${sender}-${iteration}`,
+      topic: 'AGENT_LIFECYCLE',
+      sender,
+      timestamp: iteration,
+      content: {
+        data: { event: 'TASK_COMPLETED', role: 'implementation', iteration, checkpoint },
+      },
+    });
+    const messages = [
+      completed('worker', 1, 'aaa'),
+      completed('validator', 1, null),
+      { id: 'x', topic: 'VALIDATION_RESULT', sender: 'validator', content: {} },
+      completed('worker', 2, 'bbb'),
+    ];
+
+    assert.deepStrictEqual(
+      listCheckpoints(messages).map((c) => [c.agentId, c.iteration, c.sha]),
+      [
+        ['worker', 1, 'aaa'],
+        ['worker', 2, 'bbb'],
+      ]
+    );
+    assert.strictEqual(listCheckpoints(messages, { agentId: 'validator' }).length, 0);
+  });
+});
@@ -0,0 +1,283 @@
+/**
+ * Tests for non-GitHub input sources (gitlab:, jira:, linear:)
+ *
+ * Covers:
+ * - Reference parsing (prose stays text, malformed refs throw) and registry lookup
+ * - Fetching from a local REST stand-in via a configured base URL
+ * - Every source producing the same issue structure as GitHub.fetchIssue()
+ * - Settings validation for inputSources
+ */
+
+const assert = require('assert');
+const http = require('http');
+const {
+  parseInputRef,
+  getInputSource,
+  resolveSourceConfig,
+  fetchInput,
+} = require('../src/input-sources');
+const { validateSetting, coerceValue } = require('../lib/settings');
+
+/**
+ * Local stand-in for GitLab REST, Jira REST and Linear GraphQL
+ */
+function createStandIn() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const send = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+
+      if (req.url === '/api/v4/projects/group%2Fproj/issues/12') {
+        return send(200, {
+          iid: 12,
+          title: 'Fix login',
+          description: 'Login fails on Safari',
+          labels: ['bug', 'auth'],
+          web_url: 'https://gitlab.example.com/group/proj/-/issues/12',
+        });
+      }
+      if (req.url.startsWith('/api/v4/projects/group%2Fproj/issues/12/notes')) {
+        return send(200, [
+          { body: 'changed the description', system: true, author: { username: 'bot' } },
+          {
+            body: 'Repro attached',
+            author: { username: 'alice' },
+            created_at: '2025-01-02T00:00:00Z',
+          },
+        ]);
+      }
+      if (req.url.startsWith('/rest/api/2/issue/PROJ-123')) {
+        return send(200, {
+          key: 'PROJ-123',
+          fields: {
+            summary: 'Fix login',
+            description: 'Login fails on Safari',
+            labels: ['bug'],
+            comment: {
+              comments: [
+                { author: { displayName: 'Bob' }, body: 'Me too', created: '2025-01-03T00:00:00Z' },
+              ],
+            },
+          },
+        });
+      }
+      if (req.url === '/graphql') {
+        const { variables } = JSON.parse(body);
+        if (variables.id !== 'ENG-42') {
+          return send(200, { data: { issue: null } });
+        }
+        return send(200, {
+          data: {
+            issue: {
+              identifier: 'ENG-42',
+              title: 'Fix login',
+              description: 'Login fails on Safari',
+              url: 'https://linear.app/acme/issue/ENG-42',
+              labels: { nodes: [{ name: 'bug' }] },
+              comments: {
+                nodes: [
+                  { body: 'Second', createdAt: '2025-01-05T00:00:00Z', user: { name: 'Dan' } },
+                  { body: 'First', createdAt: '2025-01-04T00:00:00Z', user: { name: 'Cy' } },
+                ],
+              },
+            },
+          },
+        });
+      }
+      return send(404, { message: 'not found' });
+    });
+  });
+
+  return { server, requests };
+}
+
+describe('Input source references (parseInputRef)', function () {
+  it('parses registered source prefixes', function () {
+    assert.deepStrictEqual(parseInputRef('gitlab:group/proj#12'), {
+      type: 'gitlab',
+      ref: 'group/proj#12',
+    });
+    assert.deepStrictEqual(parseInputRef('jira:PROJ-123'), { type: 'jira', ref: 'PROJ-123' });
+    assert.deepStrictEqual(parseInputRef('linear:ENG-42'), { type: 'linear', ref: 'ENG-42' });
+  });
+
+  it('ignores unknown prefixes and plain input', function () {
+    assert.strictEqual(parseInputRef('note: refactor'), null);
+    assert.strictEqual(parseInputRef('owner/repo#1'), null);
+    assert.strictEqual(parseInputRef('https://github.com/o/r/issues/1'), null);
+  });
+
+  it('treats prose after a source prefix as plain input', function () {
+    assert.strictEqual(parseInputRef('gitlab: move the CI to the new runners'), null);
+    assert.strictEqual(parseInputRef('jira:sync the sprint board'), null);
+    assert.strictEqual(parseInputRef('linear: ENG-42 is flaky, fix it'), null);
+    assert.strictEqual(parseInputRef('gitlab:group/proj#12 and group/proj#13'), null);
+  });
+
+  it('rejects a single-token reference in the wrong format', function () {
+    assert.throws(() => parseInputRef('gitlab:proj-12'), /Invalid GitLab reference "proj-12"/);
+    assert.throws(() => parseInputRef('jira:PROJ123'), /Invalid Jira/);
+    assert.throws(() => parseInputRef('linear:eng42'), /Invalid Linear/);
+  });
+
+  it('rejects unknown source names', function () {
+    assert.throws(() => getInputSource('trello'), /Unknown input source: trello/);
+  });
+});
+
+describe('Input sources', function () {
+  describe('resolveSourceConfig()', function () {
+    it('prefers env URL over settings and reads credentials from env', function () {
+      const settings = { inputSources: { gitlab: { baseUrl: 'https://settings.example.com' } } };
+
+      assert.deepStrictEqual(resolveSourceConfig('gitlab', settings, { GITLAB_TOKEN: 't' }), {
+        baseUrl: 'https://settings.example.com',
+        token: 't',
+      });
+      assert.strictEqual(
+        resolveSourceConfig('gitlab', settings, { ZEROSHOT_GITLAB_URL: 'http://127.0.0.1:1' })
+          .baseUrl,
+        'http://127.0.0.1:1'
+      );
+    });
+  });
+
+  describe('fetchInput()', function () {
+    let standIn;
+    let env;
+
+    before(function (done) {
+      standIn = createStandIn();
+      standIn.server.listen(0, '127.0.0.1', () => {
+        const baseUrl = `http://127.0.0.1:${standIn.server.address().port}`;
+        env = {
+          ZEROSHOT_GITLAB_URL: baseUrl,
+          ZEROSHOT_JIRA_URL: baseUrl,
+          ZEROSHOT_LINEAR_URL: baseUrl,
+          GITLAB_TOKEN: 'gl-token',
+          JIRA_EMAIL: 'me@example.com',
+          JIRA_API_TOKEN: 'jira-token',
+          LINEAR_API_KEY: 'lin-key',
+        };
+        done();
+      });
+    });
+
+    after(function (done) {
+      standIn.server.close(done);
+    });
+
+    beforeEach(function () {
+      standIn.requests.length = 0;
+    });
+
+    it('fetches a GitLab issue and drops system notes', async function () {
+      const issue = await fetchInput(parseInputRef('gitlab:group/proj#12'), { env });
+
+      assert.strictEqual(issue.number, 12);
+      assert.strictEqual(issue.source, 'gitlab');
+      assert.deepStrictEqual(
+        issue.labels.map((l) => l.name),
+        ['bug', 'auth']
+      );
+      assert.strictEqual(issue.comments.length, 1);
+      assert.strictEqual(issue.comments[0].author.login, 'alice');
+      assert.ok(issue.context.startsWith('# GitLab Issue group/proj#12'));
+      assert.strictEqual(standIn.requests[0].headers['private-token'], 'gl-token');
+    });
+
+    it('fetches a Jira issue with basic auth', async function () {
+      const issue = await fetchInput(parseInputRef('jira:PROJ-123'), { env });
+
+      assert.strictEqual(issue.number, 'PROJ-123');
+      assert.ok(issue.url.endsWith('/browse/PROJ-123'));
+      assert.strictEqual(issue.comments[0].author.login, 'Bob');
+      const expected = Buffer.from('me@example.com:jira-token').toString('base64');
+      assert.strictEqual(standIn.requests[0].headers.authorization, `Basic ${expected}`);
+    });
+
+    it('fetches a Linear issue with comments in chronological order', async function () {
+      const issue = await fetchInput(parseInputRef('linear:ENG-42'), { env });
+
+      assert.strictEqual(issue.number, 'ENG-42');
+      assert.deepStrictEqual(
+        issue.comments.map((c) => c.body),
+        ['First', 'Second']
+      );
+      assert.strictEqual(standIn.requests[0].headers.authorization, 'lin-key');
+    });
+
+    it('produces the same structure for every source', async function () {
+      const issues = await Promise.all(
+        ['gitlab:group/proj#12', 'jira:PROJ-123', 'linear:ENG-42'].map((ref) =>
+          fetchInput(parseInputRef(ref), { env })
+        )
+      );
+
+      for (const issue of issues) {
+        assert.deepStrictEqual(Object.keys(issue).sort(), [
+          'body',
+          'comments',
+          'context',
+          'labels',
+          'number',
+          'source',
+          'title',
+          'url',
+        ]);
+        assert.strictEqual(issue.title, 'Fix login');
+        assert.strictEqual(issue.body, 'Login fails on Safari');
+        assert.ok(issue.context.includes('## Description\nLogin fails on Safari'));
+        assert.ok(issue.context.includes('## Labels\n- bug'));
+      }
+    });
+
+    it('reports HTTP errors with the source and reference', async function () {
+      await assert.rejects(
+        fetchInput(parseInputRef('gitlab:group/other#1'), { env }),
+        /Failed to fetch GitLab Issue group\/other#1: GET .* returned HTTP 404/
+      );
+      await assert.rejects(
+        fetchInput(parseInputRef('linear:ENG-1'), { env }),
+        /Linear issue ENG-1 not found/
+      );
+    });
+
+    it('rejects malformed references and unconfigured Jira', async function () {
+      await assert.rejects(
+        fetchInput({ type: 'gitlab', ref: 'proj-12' }, { env }),
+        /Expected gitlab:group\/project#12/
+      );
+      await assert.rejects(
+        fetchInput(parseInputRef('jira:PROJ-1'), { env: {} }),
+        /Jira base URL is not configured/
+      );
+    });
+  });
+
+  describe('inputSources setting', function () {
+    it('accepts base URLs for known sources', function () {
+      const value = coerceValue(
+        'inputSources',
+        '{"jira":{"baseUrl":"https://acme.atlassian.net"}}'
+      );
+      assert.strictEqual(validateSetting('inputSources', value), null);
+    });
+
+    it('rejects unknown sources and bad URLs', function () {
+      assert.match(validateSetting('inputSources', { trello: {} }), /Unknown input source/);
+      assert.match(
+        validateSetting('inputSources', { gitlab: { baseUrl: 'gitlab.com' } }),
+        /must be an http\(s\) URL/
+      );
+    });
+  });
+});
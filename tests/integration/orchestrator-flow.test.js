@@ -307,6 +307,7 @@ describe('Orchestrator Flow Integration', function () {
             type: 'object',
             properties: {
               approved: { type: 'boolean' },
+              criteriaResults: { type: 'array' },
             },
             required: ['approved'],
           },
@@ -315,7 +316,12 @@ describe('Orchestrator Flow Integration', function () {
               action: 'publish_message',
               config: {
                 topic: 'VALIDATION_RESULT',
-                content: { data: { approved: '{{result.approved}}' } },
+                content: {
+                  data: {
+                    approved: '{{result.approved}}',
+                    criteriaResults: '{{result.criteriaResults}}',
+                  },
+                },
               },
             },
           },
@@ -323,31 +329,121 @@ describe('Orchestrator Flow Integration', function () {
       ],
     };
 
-    it('should stop after git-pusher completes in autoPr mode', async () => {
-      mockRunner.when('worker').returns({ summary: 'No changes', result: 'noop' });
-      mockRunner.when('validator').returns({ approved: true });
-      mockRunner.when('git-pusher').returns({ summary: 'PR done', result: 'Merged' });
+    /**
+     * Work repo with an uncommitted change; origin is a bare repo at remoteDir
+     * (which need not exist yet)
+     */
+    function createWorkRepo(remoteDir) {
+      const { execSync } = require('child_process');
+      const repoDir = path.join(tempDir, 'repo');
+      const git = (cmd) => execSync(`git ${cmd}`, { cwd: repoDir, stdio: 'pipe' });
+      fs.mkdirSync(repoDir);
+      git('init -q -b main');
+      git('config user.email test@example.com');
+      git('config user.name Test');
+      git(`remote add origin ${remoteDir}`);
+      fs.writeFileSync(path.join(repoDir, 'feature.js'), 'module.exports = 1;\n');
+      return repoDir;
+    }
 
-      orchestrator = new Orchestrator({
-        quiet: true,
-        storageDir: tempDir,
-        taskRunner: mockRunner,
+    function startPrCluster(repoDir) {
+      orchestrator = new Orchestrator({ quiet: true, storageDir: tempDir, taskRunner: mockRunner });
+      return orchestrator.start(prConfig, { text: 'Add feature' }, { autoPr: true, cwd: repoDir });
+    }
+
+    function remoteLog(remoteDir) {
+      const { execSync } = require('child_process');
+      return execSync('git log --format=%s main', { cwd: remoteDir }).toString();
+    }
+
+    it('should push via the built-in PR flow instead of an agent', async () => {
+      const { execSync } = require('child_process');
+      const remoteDir = path.join(tempDir, 'remote.git');
+      execSync(`git init --bare -q ${remoteDir}`);
+      const repoDir = createWorkRepo(remoteDir);
+
+      mockRunner.when('worker').returns({ summary: 'Added feature', result: 'done' });
+      mockRunner.when('validator').returns({
+        approved: true,
+        criteriaResults: [
+          {
+            id: 'AC1',
+            status: 'PASS',
+            evidence: { command: 'npm test', exitCode: 0, output: '12 passing (40ms)' },
+          },
+        ],
       });
 
-      const result = await orchestrator.start(
-        prConfig,
-        { text: 'PR mode completion test' },
-        { autoPr: true }
-      );
+      const result = await startPrCluster(repoDir);
       const clusterId = result.id;
 
       await waitForClusterState(orchestrator, clusterId, 'stopped', 10000);
 
-      mockRunner.assertCalled('git-pusher', 1);
+      const cluster = orchestrator.getCluster(clusterId);
+      assert.deepStrictEqual(
+        cluster.agents.map((a) => a.id),
+        ['worker', 'validator']
+      );
+      const assertions = new LedgerAssertions(cluster.messageBus.ledger, clusterId);
+      assertions.assertPublished('PR_CREATED');
+      assertions.assertPublished('CLUSTER_COMPLETE');
+      assert.ok(remoteLog(remoteDir).startsWith('feat: Manual Input'));
+    });
+
+    it('should not open a PR when an approval has no evidence', async () => {
+      const { execSync } = require('child_process');
+      const remoteDir = path.join(tempDir, 'remote.git');
+      execSync(`git init --bare -q ${remoteDir}`);
+      const repoDir = createWorkRepo(remoteDir);
+
+      mockRunner.when('worker').returns({ summary: 'Added feature', result: 'done' });
+      mockRunner.when('validator').returns({
+        approved: true,
+        criteriaResults: [{ id: 'AC1', status: 'PASS' }],
+      });
+
+      const result = await startPrCluster(repoDir);
+      const cluster = orchestrator.getCluster(result.id);
+      const assertions = new LedgerAssertions(cluster.messageBus.ledger, result.id);
+
+      for (let i = 0; i < 100 && assertions.getMessages('VALIDATION_RESULT').length === 0; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 100));
+      }
+      assertions.assertPublished('VALIDATION_RESULT');
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+
+      assertions.assertCount('PR_CREATED', 0);
+      assert.strictEqual(cluster.state, 'running');
+      assert.throws(() => remoteLog(remoteDir), /main/);
+    });
+
+    it('should retry only the PR flow on resume after a failed push', async () => {
+      const { execSync } = require('child_process');
+      const remoteDir = path.join(tempDir, 'remote.git');
+      const repoDir = createWorkRepo(remoteDir);
 
+      mockRunner.when('worker').returns({ summary: 'Added feature', result: 'done' });
+      mockRunner.when('validator').returns({ approved: true });
+
+      const result = await startPrCluster(repoDir);
+      const clusterId = result.id;
+
+      // origin does not exist yet - the push fails
+      await waitForClusterState(orchestrator, clusterId, 'stopped', 10000);
       const cluster = orchestrator.getCluster(clusterId);
       const assertions = new LedgerAssertions(cluster.messageBus.ledger, clusterId);
+      assertions.assertPublished('CLUSTER_FAILED');
+
+      execSync(`git init --bare -q ${remoteDir}`);
+      const resumed = await orchestrator.resume(clusterId);
+      assert.strictEqual(resumed.resumeType, 'pr_flow');
+
+      await waitForClusterState(orchestrator, clusterId, 'stopped', 10000);
+      assertions.assertPublished('PR_CREATED');
       assertions.assertPublished('CLUSTER_COMPLETE');
+      mockRunner.assertCalled('worker', 1);
+      mockRunner.assertCalled('validator', 1);
+      assert.ok(remoteLog(remoteDir).startsWith('feat: Manual Input'));
     });
   });
 
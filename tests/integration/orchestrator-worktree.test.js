@@ -27,8 +27,10 @@ let orchestrator;
 let tempDir;
 let testRepoDir;
 let mockRunner;
+let simpleConfig;
 
-const simpleConfig = {
+// start() writes each agent's cwd into the config, so every test gets a fresh copy
+const SIMPLE_CONFIG = {
   agents: [
     {
       id: 'worker',
@@ -54,6 +56,7 @@ const simpleConfig = {
 
 function registerWorktreeHooks() {
   beforeEach(function () {
+    simpleConfig = JSON.parse(JSON.stringify(SIMPLE_CONFIG));
     tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zs-worktree-test-'));
 
     testRepoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zs-worktree-repo-'));
@@ -295,6 +298,253 @@ function registerAgentExecutionLedgerTest() {
   });
 }
 
+function registerForkTests() {
+  describe('Fork', function () {
+    it('should fork at a message into a worktree at the commit of that time', async function () {
+      mockRunner.when('worker').returns('{"done": true}');
+
+      const source = await orchestrator.start(
+        simpleConfig,
+        { text: 'Test task' },
+        { worktree: true, cwd: testRepoDir }
+      );
+      await waitForClusterState(orchestrator, source.id, 'stopped', 30000);
+
+      const sourceCluster = orchestrator.getCluster(source.id);
+      const issue = sourceCluster.messageBus.findLast({
+        cluster_id: source.id,
+        topic: 'ISSUE_OPENED',
+      });
+
+      // Work committed after the fork point must not be in the fork
+      const initialCommit = execSync('git rev-parse HEAD', {
+        cwd: testRepoDir,
+        encoding: 'utf8',
+      }).trim();
+      const later = new Date(Date.now() + 3600 * 1000).toISOString();
+      fs.writeFileSync(path.join(sourceCluster.worktree.path, 'later.txt'), 'later');
+      execSync('git add later.txt && git commit -q -m "Later work"', {
+        cwd: sourceCluster.worktree.path,
+        stdio: 'pipe',
+        env: { ...process.env, GIT_AUTHOR_DATE: later, GIT_COMMITTER_DATE: later },
+      });
+
+      const fork = await orchestrator.fork(source.id, {
+        at: issue.id,
+        prompt: 'Try a smaller change',
+      });
+
+      assert.notStrictEqual(fork.id, source.id);
+      assert.deepStrictEqual(fork.forkedFrom, {
+        clusterId: source.id,
+        messageId: issue.id,
+        commit: initialCommit,
+      });
+      assert.deepStrictEqual(fork.resumedAgents, ['worker']);
+
+      const forkCluster = orchestrator.getCluster(fork.id);
+      assert.notStrictEqual(forkCluster.worktree.path, sourceCluster.worktree.path);
+      assert(!fs.existsSync(path.join(forkCluster.worktree.path, 'later.txt')));
+
+      const copied = forkCluster.messageBus.getAll(fork.id);
+      assert(
+        copied.some((m) => m.id === issue.id),
+        'Fork ledger should keep message ids'
+      );
+      assert(!copied.some((m) => m.topic === 'TASK_COMPLETE' && m.timestamp < issue.timestamp));
+
+      await waitForClusterState(orchestrator, fork.id, 'stopped', 30000);
+      mockRunner.assertCalled('worker', 2);
+      const calls = mockRunner.getCalls('worker');
+      assert(calls[1].context.includes('Try a smaller change'), 'Fork prompt should reach worker');
+      const worker = forkCluster.agents.find((agent) => agent.id === 'worker');
+      assert.strictEqual(worker.config.cwd, forkCluster.worktree.path);
+    });
+
+    it('should reject an unknown fork point', async function () {
+      mockRunner.when('worker').returns('{"done": true}');
+
+      const source = await orchestrator.start(
+        simpleConfig,
+        { text: 'Test task' },
+        { worktree: true, cwd: testRepoDir }
+      );
+      await waitForClusterState(orchestrator, source.id, 'stopped', 30000);
+
+      await assert.rejects(
+        orchestrator.fork(source.id, { at: 'msg_missing' }),
+        /msg_missing not found/
+      );
+    });
+  });
+}
+
+const reviewedConfig = {
+  agents: [
+    {
+      id: 'worker',
+      role: 'implementation',
+      timeout: 0,
+      triggers: [
+        { topic: 'ISSUE_OPENED', action: 'execute_task' },
+        {
+          topic: 'VALIDATION_RESULT',
+          action: 'execute_task',
+          logic: {
+            engine: 'javascript',
+            script: 'return String(message.content.data.approved) === "false";',
+          },
+        },
+      ],
+      hooks: {
+        onComplete: {
+          action: 'publish_message',
+          config: { topic: 'IMPLEMENTATION_READY', content: { text: 'Ready' } },
+        },
+      },
+    },
+    {
+      id: 'validator',
+      role: 'validator',
+      timeout: 0,
+      triggers: [{ topic: 'IMPLEMENTATION_READY', action: 'execute_task' }],
+      outputFormat: 'json',
+      jsonSchema: {
+        type: 'object',
+        properties: { approved: { type: 'boolean' } },
+        required: ['approved'],
+      },
+      hooks: {
+        onComplete: {
+          action: 'publish_message',
+          config: {
+            topic: 'VALIDATION_RESULT',
+            content: { data: { approved: '{{result.approved}}' } },
+          },
+        },
+      },
+    },
+    {
+      id: 'completion-detector',
+      role: 'orchestrator',
+      timeout: 0,
+      triggers: [
+        {
+          topic: 'VALIDATION_RESULT',
+          action: 'stop_cluster',
+          logic: {
+            engine: 'javascript',
+            script: 'return String(message.content.data.approved) === "true";',
+          },
+        },
+      ],
+    },
+  ],
+};
+
+/**
+ * Run reviewedConfig: the worker writes a.txt=one (rejected), then a.txt=two and b.txt
+ */
+async function runTwoIterations() {
+  let workerCalls = 0;
+  let validatorCalls = 0;
+  mockRunner.when('worker').calls(() => {
+    workerCalls++;
+    const cluster = [...orchestrator.clusters.values()][0];
+    const dir = cluster.worktree.path;
+    fs.writeFileSync(path.join(dir, 'a.txt'), workerCalls === 1 ? 'one\n' : 'two\n');
+    if (workerCalls === 2) {
+      fs.writeFileSync(path.join(dir, 'b.txt'), 'new\n');
+    }
+    return { success: true, output: '{"done": true}' };
+  });
+  mockRunner.when('validator').calls(() => {
+    validatorCalls++;
+    return { success: true, output: JSON.stringify({ approved: validatorCalls > 1 }) };
+  });
+
+  const result = await orchestrator.start(
+    reviewedConfig,
+    { text: 'Test task' },
+    { worktree: true, cwd: testRepoDir }
+  );
+  await waitForClusterState(orchestrator, result.id, 'stopped', 30000);
+  return orchestrator.getCluster(result.id);
+}
+
+function registerCheckpointTests() {
+  describe('Checkpoints', function () {
+    it('should record a checkpoint per task without touching the branch', async function () {
+      const cluster = await runTwoIterations();
+      const head = execSync('git rev-parse HEAD', { cwd: testRepoDir, encoding: 'utf8' }).trim();
+
+      const completed = cluster.messageBus
+        .query({ cluster_id: cluster.id, topic: 'AGENT_LIFECYCLE' })
+        .filter((m) => m.content.data.event === 'TASK_COMPLETED');
+      assert.strictEqual(completed.length, 4);
+      // Only agents that can change files are checkpointed
+      const checkpointed = (m) => /^[0-9a-f]{40}$/.test(m.content.data.checkpoint);
+      const byWorker = completed.filter((m) => m.sender === 'worker');
+      assert.strictEqual(byWorker.length, 2);
+      assert(byWorker.every(checkpointed));
+      assert(!completed.some((m) => m.sender === 'validator' && checkpointed(m)));
+
+      const branchHead = execSync(`git rev-parse ${cluster.worktree.branch}`, {
+        cwd: testRepoDir,
+        encoding: 'utf8',
+      }).trim();
+      assert.strictEqual(branchHead, head, 'Checkpoints must not move the branch');
+    });
+
+    it('should diff an iteration against the previous attempt', async function () {
+      const cluster = await runTwoIterations();
+
+      const second = await orchestrator.diff(cluster.id, { iteration: 2 });
+      assert.strictEqual(second.checkpoint.agentId, 'worker');
+      assert.match(second.diff, /-one/);
+      assert.match(second.diff, /\+two/);
+      assert.match(second.diff, /b\.txt/);
+
+      const first = await orchestrator.diff(cluster.id, { iteration: 1 });
+      assert.match(first.diff, /\+one/);
+      assert.doesNotMatch(first.diff, /b\.txt/);
+
+      await assert.rejects(orchestrator.diff(cluster.id, { iteration: 7 }), /available: 1, 2/);
+    });
+
+    it('should roll back the workspace to an iteration', async function () {
+      const cluster = await runTwoIterations();
+      const dir = cluster.worktree.path;
+
+      const checkpoint = await orchestrator.rollback(cluster.id, { iteration: 1 });
+
+      assert.strictEqual(checkpoint.iteration, 1);
+      assert.strictEqual(fs.readFileSync(path.join(dir, 'a.txt'), 'utf8'), 'one\n');
+      assert(!fs.existsSync(path.join(dir, 'b.txt')), 'Files from later iterations are removed');
+      assert(
+        cluster.messageBus.findLast({ cluster_id: cluster.id, topic: 'CHECKPOINT_RESTORED' }),
+        'Rollback should be recorded in the ledger'
+      );
+    });
+
+    it('should fork from the checkpoint at the fork point', async function () {
+      const cluster = await runTwoIterations();
+      const firstCompleted = cluster.messageBus
+        .query({ cluster_id: cluster.id, topic: 'AGENT_LIFECYCLE' })
+        .find((m) => m.sender === 'worker' && m.content.data.event === 'TASK_COMPLETED');
+
+      mockRunner.when('worker').returns('{"done": true}');
+      mockRunner.when('validator').returns('{"approved": true}');
+      const fork = await orchestrator.fork(cluster.id, { at: firstCompleted.id });
+
+      assert.strictEqual(fork.forkedFrom.commit, firstCompleted.content.data.checkpoint);
+      const forkDir = orchestrator.getCluster(fork.id).worktree.path;
+      assert.strictEqual(fs.readFileSync(path.join(forkDir, 'a.txt'), 'utf8'), 'one\n');
+      assert(!fs.existsSync(path.join(forkDir, 'b.txt')));
+    });
+  });
+}
+
 function registerWorktreePerformanceTests() {
   describe('Performance', function () {
     it('should start faster than Docker mode', async function () {
@@ -355,6 +605,8 @@ describe('Orchestrator Worktree Mode Integration', function () {
   registerWorktreeHooks();
   registerWorktreeLifecycleTests();
   registerAgentExecutionTests();
+  registerForkTests();
+  registerCheckpointTests();
   registerWorktreePerformanceTests();
   registerWorktreeErrorHandlingTests();
 });
@@ -0,0 +1,181 @@
+/**
+ * Tests for full-text search over ledgers
+ *
+ * Covers:
+ * - Ledger.search() over content_text and content_data
+ * - FTS index staying in sync on insert/delete and backfilling old ledgers
+ * - searchLedgers() across multiple cluster databases
+ * - parseSince() durations and dates
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const Database = require('better-sqlite3');
+const Ledger = require('../src/ledger.js');
+const { searchLedgers, parseSince } = require('../src/ledger-search.js');
+
+describe('Ledger full-text search', function () {
+  let ledger;
+
+  beforeEach(function () {
+    ledger = new Ledger(':memory:');
+    ledger.append({
+      cluster_id: 'c1',
+      topic: 'VALIDATION_RESULT',
+      sender: 'validator-security',
+      content: {
+        text: 'Rejected: SQL injection in orders.ts',
+        data: { approved: false, errors: ['Unparameterized query in src/orders.ts'] },
+      },
+    });
+    ledger.append({
+      cluster_id: 'c1',
+      topic: 'IMPLEMENTATION_READY',
+      sender: 'worker',
+      content: { text: 'Added pagination to the orders endpoint' },
+    });
+    ledger.append({
+      cluster_id: 'c1',
+      topic: 'TOKEN_USAGE',
+      sender: 'worker',
+      content: { data: { model: 'claude-sonnet-4-5', inputTokens: 100 } },
+    });
+  });
+
+  afterEach(function () {
+    ledger.close();
+  });
+
+  it('matches all words in content_text', function () {
+    const results = ledger.search({ text: 'sql injection orders.ts' });
+    assert.strictEqual(results.length, 1);
+    assert.strictEqual(results[0].topic, 'VALIDATION_RESULT');
+    assert.ok(results[0].snippet.includes('[injection]'));
+  });
+
+  it('matches JSON content_data', function () {
+    const results = ledger.search({ text: 'unparameterized' });
+    assert.strictEqual(results.length, 1);
+
+    const byModel = ledger.search({ text: 'claude-sonnet-4-5' });
+    assert.strictEqual(byModel[0].topic, 'TOKEN_USAGE');
+  });
+
+  it('filters by topic and sender', function () {
+    assert.strictEqual(ledger.search({ text: 'orders' }).length, 2);
+    assert.strictEqual(ledger.search({ text: 'orders', topic: 'IMPLEMENTATION_READY' }).length, 1);
+    assert.strictEqual(ledger.search({ text: 'orders', sender: 'validator-security' }).length, 1);
+  });
+
+  it('treats FTS operators in input as literal text', function () {
+    assert.doesNotThrow(() => ledger.search({ text: 'orders AND (NOT "' }));
+    assert.strictEqual(Ledger.toFtsQuery('a "b c" d-e'), '"a" "b c" "d-e"');
+  });
+
+  it('rejects empty search text', function () {
+    assert.throws(() => ledger.search({ text: '  ' }), /search text is required/);
+  });
+
+  it('drops deleted messages from the index', function () {
+    ledger.clear();
+    assert.deepStrictEqual(ledger.search({ text: 'orders' }), []);
+  });
+
+  it('backfills ledgers created before the index existed', function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zeroshot-fts-'));
+    const dbPath = path.join(dir, 'old.db');
+    const db = new Database(dbPath);
+    db.exec(`CREATE TABLE messages (
+      id TEXT PRIMARY KEY, timestamp INTEGER NOT NULL, topic TEXT NOT NULL, sender TEXT NOT NULL,
+      receiver TEXT NOT NULL, content_text TEXT, content_data TEXT, metadata TEXT,
+      cluster_id TEXT NOT NULL)`);
+    db.prepare(
+      `INSERT INTO messages VALUES ('m1', 1, 'VALIDATION_RESULT', 'v', 'broadcast', 'race condition in cache', NULL, NULL, 'old')`
+    ).run();
+    db.close();
+
+    const upgraded = new Ledger(dbPath);
+    try {
+      assert.strictEqual(upgraded.search({ text: 'race condition' }).length, 1);
+    } finally {
+      upgraded.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('searchLedgers()', function () {
+  let storageDir;
+
+  beforeEach(function () {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zeroshot-search-'));
+    // Written in order, so beta-2 is newer than alpha-1
+    for (const [clusterId, text] of [
+      ['alpha-1', 'Rejected: SQL injection in orders.ts'],
+      ['beta-2', 'Rejected: SQL injection in users.ts'],
+      ['gamma-3', 'All checks passed'],
+    ]) {
+      const ledger = new Ledger(path.join(storageDir, `${clusterId}.db`));
+      ledger.append({
+        cluster_id: clusterId,
+        topic: 'VALIDATION_RESULT',
+        sender: 'validator',
+        content: { text },
+      });
+      ledger.close();
+    }
+  });
+
+  afterEach(function () {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  it('searches every cluster database, newest first', function () {
+    const results = searchLedgers({ storageDir, text: 'sql injection' });
+    assert.deepStrictEqual(
+      results.map((r) => r.cluster_id),
+      ['beta-2', 'alpha-1']
+    );
+  });
+
+  it('restricts to one cluster', function () {
+    const results = searchLedgers({ storageDir, text: 'sql injection', clusterId: 'alpha-1' });
+    assert.deepStrictEqual(
+      results.map((r) => r.cluster_id),
+      ['alpha-1']
+    );
+  });
+
+  it('errors on an unknown cluster', function () {
+    assert.throws(
+      () => searchLedgers({ storageDir, text: 'sql', clusterId: 'nope' }),
+      /Cluster nope not found/
+    );
+  });
+
+  it('applies since and limit', function () {
+    const future = Date.now() + 60 * 1000;
+    assert.strictEqual(searchLedgers({ storageDir, text: 'rejected', since: future }).length, 0);
+    assert.strictEqual(searchLedgers({ storageDir, text: 'rejected', limit: 1 }).length, 1);
+  });
+});
+
+describe('parseSince()', function () {
+  const now = Date.UTC(2025, 0, 31, 12);
+
+  it('parses relative durations', function () {
+    assert.strictEqual(parseSince('2h', now), now - 2 * 60 * 60 * 1000);
+    assert.strictEqual(parseSince('30m', now), now - 30 * 60 * 1000);
+    assert.strictEqual(parseSince('7d', now), now - 7 * 24 * 60 * 60 * 1000);
+  });
+
+  it('parses dates', function () {
+    assert.strictEqual(parseSince('2025-01-01T00:00:00Z', now), Date.UTC(2025, 0, 1));
+  });
+
+  it('rejects garbage', function () {
+    assert.throws(() => parseSince('yesterday-ish', now), /Invalid --since value/);
+  });
+});
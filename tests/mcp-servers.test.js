@@ -0,0 +1,230 @@
+/**
+ * Tests for agent MCP servers (agent mcpServers + mcpServers setting)
+ *
+ * Covers:
+ * - Validation, merging with the settings set and ${VAR} expansion
+ * - Each provider's translation into its own flags / config
+ * - The executor passing --mcp-config, and the Docker config file
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AgentWrapper = require('../src/agent-wrapper');
+const MessageBus = require('../src/message-bus');
+const Ledger = require('../src/ledger');
+const IsolationManager = require('../src/isolation-manager');
+const { validateConfig } = require('../src/config-validator');
+const { validateSetting } = require('../lib/settings');
+const {
+  validateMcpServers,
+  resolveMcpServers,
+  loadMcpConfig,
+} = require('../src/providers/mcp-servers');
+const claudeBuilder = require('../src/providers/anthropic/cli-builder');
+const codexBuilder = require('../src/providers/openai/cli-builder');
+const geminiBuilder = require('../src/providers/google/cli-builder');
+const opencodeBuilder = require('../src/providers/opencode/cli-builder');
+
+const servers = {
+  db: {
+    command: 'npx',
+    args: ['-y', 'db-inspect-mcp'],
+    env: { DATABASE_URL: 'postgres://localhost/app' },
+  },
+  browser: { url: 'http://localhost:8931/mcp', headers: { Authorization: 'Bearer t' } },
+};
+
+// Only the user can read the files holding expanded headers and env
+function readPrivate(file) {
+  assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+  assert.strictEqual(fs.statSync(path.dirname(file)).mode & 0o777, 0o700);
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+describe('MCP servers', function () {
+  let tempDir;
+  let originalSettingsFile;
+
+  beforeEach(function () {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zeroshot-mcp-'));
+    originalSettingsFile = process.env.ZEROSHOT_SETTINGS_FILE;
+    process.env.ZEROSHOT_SETTINGS_FILE = path.join(tempDir, 'settings.json');
+  });
+
+  afterEach(function () {
+    if (originalSettingsFile === undefined) {
+      delete process.env.ZEROSHOT_SETTINGS_FILE;
+    } else {
+      process.env.ZEROSHOT_SETTINGS_FILE = originalSettingsFile;
+    }
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('validates, merges with the settings set and expands ${VAR}', function () {
+    assert.strictEqual(validateMcpServers(servers), null);
+    assert.strictEqual(validateSetting('mcpServers', servers), null);
+    assert.match(validateMcpServers({ db: { args: [] } }), /db needs either a command or/);
+    assert.match(
+      validateMcpServers({ db: { command: 'x', url: 'http://h' } }),
+      /either a command or/
+    );
+    assert.match(validateMcpServers({ db: { command: 'x', cwd: '/' } }), /unknown field "cwd"/);
+    assert.match(validateMcpServers({ db: { command: 'x', env: { A: 1 } } }), /env must be/);
+    assert.match(validateMcpServers({ db: false }), /must be an object/);
+    assert.strictEqual(validateMcpServers({ db: false }, 'x', { allowDisable: true }), null);
+
+    assert.deepStrictEqual(
+      resolveMcpServers({ browser: false, extra: { command: 'e' } }, servers),
+      { db: servers.db, extra: { command: 'e' } }
+    );
+
+    const file = path.join(tempDir, 'mcp.json');
+    fs.writeFileSync(
+      file,
+      JSON.stringify({ mcpServers: { db: { command: 'db', env: { URL: '${MCP_TEST_URL}/x' } } } })
+    );
+    process.env.MCP_TEST_URL = 'postgres://secret';
+    try {
+      assert.deepStrictEqual(loadMcpConfig(file), {
+        db: { command: 'db', env: { URL: 'postgres://secret/x' } },
+      });
+    } finally {
+      delete process.env.MCP_TEST_URL;
+    }
+    assert.deepStrictEqual(loadMcpConfig('{"b": {"url": "https://b"}}'), {
+      b: { url: 'https://b' },
+    });
+    assert.throws(() => loadMcpConfig('{"b": {}}'), /Invalid MCP config: mcpServers.b needs/);
+  });
+
+  it("translates servers into each provider's format, keeping secrets out of argv", function () {
+    const claude = claudeBuilder.buildCommand('do it', { mcpServers: servers });
+    const claudeFile = claude.args[claude.args.indexOf('--mcp-config') + 1];
+    try {
+      assert.deepStrictEqual(claude.cleanup, [path.dirname(claudeFile)]);
+      const claudeConfig = readPrivate(claudeFile);
+      assert.deepStrictEqual(claudeConfig.mcpServers.db, { type: 'stdio', ...servers.db });
+      assert.deepStrictEqual(claudeConfig.mcpServers.browser, { type: 'http', ...servers.browser });
+    } finally {
+      fs.rmSync(path.dirname(claudeFile), { recursive: true, force: true });
+    }
+
+    const codex = codexBuilder.buildCommand('do it', {
+      mcpServers: servers,
+      cliFeatures: { supportsConfigOverride: true },
+    });
+    const overrides = codex.args.filter((_, i) => codex.args[i - 1] === '--config');
+    assert.deepStrictEqual(overrides, [
+      'mcp_servers.db.command="npx"',
+      'mcp_servers.db.args=["-y","db-inspect-mcp"]',
+      'mcp_servers.db.env_vars=["DATABASE_URL"]',
+      'mcp_servers.browser.url="http://localhost:8931/mcp"',
+      'mcp_servers.browser.env_http_headers={ Authorization = "ZEROSHOT_MCP_BROWSER_AUTHORIZATION" }',
+    ]);
+    assert.deepStrictEqual(codex.env, {
+      DATABASE_URL: 'postgres://localhost/app',
+      ZEROSHOT_MCP_BROWSER_AUTHORIZATION: 'Bearer t',
+    });
+
+    const gemini = geminiBuilder.buildCommand('do it', { mcpServers: servers });
+    const settingsFile = gemini.env.GEMINI_CLI_SYSTEM_SETTINGS_PATH;
+    try {
+      assert.deepStrictEqual(gemini.cleanup, [path.dirname(settingsFile)]);
+      const geminiServers = readPrivate(settingsFile).mcpServers;
+      assert.deepStrictEqual(geminiServers.db, servers.db);
+      assert.deepStrictEqual(geminiServers.browser, {
+        httpUrl: servers.browser.url,
+        headers: servers.browser.headers,
+      });
+    } finally {
+      fs.rmSync(path.dirname(settingsFile), { recursive: true, force: true });
+    }
+    assert.deepStrictEqual(geminiBuilder.buildCommand('do it', {}).env, {});
+
+    const opencode = opencodeBuilder.buildCommand('do it', { mcpServers: servers });
+    const { mcp } = JSON.parse(opencode.env.OPENCODE_CONFIG_CONTENT);
+    assert.deepStrictEqual(mcp.db, {
+      type: 'local',
+      command: ['npx', '-y', 'db-inspect-mcp'],
+      environment: servers.db.env,
+      enabled: true,
+    });
+    assert.strictEqual(mcp.browser.type, 'remote');
+  });
+
+  it('passes the merged servers to zeroshot task run and into Docker', async function () {
+    fs.writeFileSync(process.env.ZEROSHOT_SETTINGS_FILE, JSON.stringify({ mcpServers: servers }));
+    const ledger = new Ledger(path.join(tempDir, 'ledger.db'));
+    const messageBus = new MessageBus(ledger);
+    let spawnArgs = null;
+    try {
+      const agent = new AgentWrapper(
+        {
+          id: 'validator',
+          role: 'validator',
+          timeout: 0,
+          mcpServers: { browser: false, logs: { command: 'logs-mcp' } },
+        },
+        messageBus,
+        { id: 'cluster-1', createdAt: Date.now(), agents: [] },
+        {
+          testMode: true,
+          mockSpawnFn: (args) => {
+            spawnArgs = args;
+            return { success: true, output: '', error: null };
+          },
+        }
+      );
+      await agent._spawnClaudeTask('Validate');
+    } finally {
+      ledger.close();
+    }
+
+    const mcpConfig = JSON.parse(spawnArgs[spawnArgs.indexOf('--mcp-config') + 1]);
+    assert.deepStrictEqual(Object.keys(mcpConfig.mcpServers), ['db', 'logs']);
+
+    const manager = new IsolationManager();
+    const clusterId = `mcp-test-${Date.now()}`;
+    const hostDir = path.join(os.tmpdir(), 'zeroshot-cluster-configs', clusterId);
+    try {
+      manager.clusterConfigDirs.set(clusterId, hostDir);
+      manager.clusterContainerHomes.set(clusterId, '/home/node');
+      const containerPath = manager.writeMcpConfig(clusterId, 'validator', { db: servers.db });
+      assert.strictEqual(containerPath, '/home/node/.claude/mcp/validator.json');
+      assert.deepStrictEqual(
+        JSON.parse(fs.readFileSync(path.join(hostDir, 'mcp', 'validator.json'), 'utf8')),
+        { mcpServers: { db: servers.db } }
+      );
+    } finally {
+      fs.rmSync(hostDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('MCP server config validation', function () {
+  it('validates agent mcpServers and warns for providers without MCP support', function () {
+    const agent = (overrides) => ({
+      id: 'worker',
+      role: 'implementation',
+      prompt: 'Implement.',
+      triggers: [{ topic: 'ISSUE_OPENED', action: 'execute_task' }],
+      ...overrides,
+    });
+
+    const invalid = validateConfig({
+      agents: [agent({ mcpServers: { db: { command: 'db', args: 'nope' } } })],
+    });
+    assert.ok(
+      invalid.errors.includes('Agent "worker" mcpServers.db.args must be an array of strings')
+    );
+
+    const api = validateConfig({ agents: [agent({ provider: 'api', mcpServers: servers })] });
+    assert.ok(
+      api.warnings.includes(
+        'Agent "worker" declares mcpServers but api does not support MCP servers; they are ignored'
+      )
+    );
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Tests for model pricing (src/providers/pricing.js)
+ *
+ * Covers:
+ * - Catalog, CLI-reported and negotiated (modelPricing) cost, by precedence
+ * - Token and cost fields from the Codex, Opencode and Gemini parsers
+ * - TOKEN_USAGE tagged with provider, model and cost source, and the role totals
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Orchestrator = require('../src/orchestrator');
+const MockTaskRunner = require('./helpers/mock-task-runner');
+const { validateSetting } = require('../lib/settings');
+const { computeCost, priceTokenUsage } = require('../src/providers/pricing');
+const codexParser = require('../src/providers/openai/output-parser');
+const opencodeParser = require('../src/providers/opencode/output-parser');
+const geminiParser = require('../src/providers/google/output-parser');
+
+const usage = (fields) => ({
+  inputTokens: 1000000,
+  outputTokens: 100000,
+  cacheReadInputTokens: 0,
+  cacheCreationInputTokens: 0,
+  totalCostUsd: null,
+  ...fields,
+});
+
+describe('Model pricing', function () {
+  let tempDir;
+  let originalSettingsFile;
+
+  const writeSettings = (settings) =>
+    fs.writeFileSync(process.env.ZEROSHOT_SETTINGS_FILE, JSON.stringify(settings));
+
+  beforeEach(function () {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zeroshot-pricing-'));
+    originalSettingsFile = process.env.ZEROSHOT_SETTINGS_FILE;
+    process.env.ZEROSHOT_SETTINGS_FILE = path.join(tempDir, 'settings.json');
+  });
+
+  afterEach(function () {
+    if (originalSettingsFile === undefined) {
+      delete process.env.ZEROSHOT_SETTINGS_FILE;
+    } else {
+      process.env.ZEROSHOT_SETTINGS_FILE = originalSettingsFile;
+    }
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('prices from the catalog, the CLI report or negotiated rates', function () {
+    assert.strictEqual(
+      computeCost(
+        { inputTokens: 2e6, outputTokens: 1e6, cacheReadInputTokens: 1e6 },
+        { input: 1, output: 10 }
+      ),
+      13
+    );
+
+    // Dated / suffixed ids use the longest matching catalog entry
+    assert.deepStrictEqual(priceTokenUsage('codex', 'gpt-5-codex', usage()), {
+      totalCostUsd: 2.25,
+      costSource: 'catalog',
+    });
+    assert.deepStrictEqual(priceTokenUsage('openai', 'gpt-5-mini-2025-08-07', usage()), {
+      totalCostUsd: 0.45,
+      costSource: 'catalog',
+    });
+    assert.deepStrictEqual(priceTokenUsage('claude', 'sonnet', usage({ totalCostUsd: 0.5 })), {
+      totalCostUsd: 0.5,
+      costSource: 'provider',
+    });
+    assert.deepStrictEqual(priceTokenUsage('gemini', null, usage()), {
+      totalCostUsd: null,
+      costSource: 'unpriced',
+    });
+
+    writeSettings({
+      modelPricing: {
+        claude: { 'claude-haiku-4-5': { input: 0.5, output: 2 } },
+        openai: { '*': { input: 1, output: 5 } },
+      },
+    });
+    assert.deepStrictEqual(priceTokenUsage('codex', null, usage()), {
+      totalCostUsd: 1.5,
+      costSource: 'settings',
+    });
+
+    // Claude's per-model usage is priced model by model
+    const claudeUsage = usage({
+      totalCostUsd: 3.2,
+      modelUsage: {
+        'claude-sonnet-4-5-20250929': usage({ costUSD: 3 }),
+        'claude-haiku-4-5-20251001': usage({ costUSD: 0.2 }),
+      },
+    });
+    assert.deepStrictEqual(priceTokenUsage('claude', 'sonnet', claudeUsage), {
+      totalCostUsd: 3.7,
+      costSource: 'mixed',
+    });
+  });
+
+  it('validates the modelPricing setting', function () {
+    assert.strictEqual(
+      validateSetting('modelPricing', { codex: { '*': { input: 1, output: 2, cacheRead: 0.1 } } }),
+      null
+    );
+    assert.match(
+      validateSetting('modelPricing', { acme: { m: { input: 1, output: 2 } } }),
+      /Unknown provider in modelPricing: acme/
+    );
+    assert.match(
+      validateSetting('modelPricing', { claude: { opus: { input: 1 } } }),
+      /modelPricing\.claude\.opus\.output must be a non-negative number/
+    );
+    assert.match(
+      validateSetting('modelPricing', { claude: { opus: { input: 1, output: 2, batch: 1 } } }),
+      /unknown field "batch"/
+    );
+  });
+
+  it('tags TOKEN_USAGE with provider, model and cost source', async function () {
+    this.timeout(20000);
+    writeSettings({
+      providerSettings: { codex: { levelOverrides: { level2: { model: 'gpt-5-codex' } } } },
+    });
+    const mockRunner = new MockTaskRunner();
+    mockRunner.when('worker').calls(() => ({
+      success: true,
+      output: '{}',
+      error: null,
+      tokenUsage: usage(),
+    }));
+    const orchestrator = new Orchestrator({
+      quiet: true,
+      skipLoad: true,
+      storageDir: tempDir,
+      taskRunner: mockRunner,
+    });
+
+    try {
+      const { id } = await orchestrator.start(
+        {
+          agents: [
+            {
+              id: 'worker',
+              role: 'implementation',
+              provider: 'codex',
+              modelLevel: 'level2',
+              timeout: 0,
+              prompt: 'Implement the issue.',
+              triggers: [{ topic: 'ISSUE_OPENED', action: 'execute_task' }],
+            },
+          ],
+        },
+        { text: 'Add a file' }
+      );
+      const cluster = orchestrator.getCluster(id);
+
+      let tokenUsage = null;
+      for (let i = 0; i < 100 && !tokenUsage; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        tokenUsage = cluster.messageBus.findLast({ cluster_id: id, topic: 'TOKEN_USAGE' });
+      }
+      assert.ok(tokenUsage, 'no TOKEN_USAGE published');
+      assert.strictEqual(tokenUsage.content.data.provider, 'codex');
+      assert.strictEqual(tokenUsage.content.data.model, 'gpt-5-codex');
+      assert.strictEqual(tokenUsage.content.data.costSource, 'catalog');
+      assert.strictEqual(tokenUsage.content.data.totalCostUsd, 2.25);
+
+      const totals = cluster.messageBus.getTokensByRole(id);
+      assert.strictEqual(totals.implementation.totalCostUsd, 2.25);
+      assert.strictEqual(totals._total.unpricedCount, 0);
+    } finally {
+      orchestrator.close();
+    }
+  });
+});
+
+describe('Provider token usage', function () {
+  it('reads tokens, cache and cost from provider output', function () {
+    assert.deepStrictEqual(
+      codexParser.parseEvent(
+        JSON.stringify({
+          type: 'turn.completed',
+          usage: { input_tokens: 100, cached_input_tokens: 60, output_tokens: 5 },
+        })
+      ),
+      { type: 'result', success: true, inputTokens: 40, outputTokens: 5, cacheReadInputTokens: 60 }
+    );
+
+    assert.deepStrictEqual(
+      opencodeParser.parsePart({
+        type: 'step-finish',
+        tokens: { input: 10, output: 4, reasoning: 0, cache: { read: 7, write: 0 } },
+        cost: 0.0021,
+      }),
+      {
+        type: 'result',
+        success: true,
+        inputTokens: 10,
+        outputTokens: 4,
+        cacheReadInputTokens: 7,
+        cost: 0.0021,
+      }
+    );
+
+    const events = geminiParser.parseChunk(
+      [
+        JSON.stringify({ type: 'init', session_id: 's', model: 'gemini-2.5-flash' }),
+        JSON.stringify({
+          type: 'result',
+          status: 'success',
+          stats: { input_tokens: 12, output_tokens: 3, duration_ms: 900 },
+        }),
+      ].join('\n')
+    );
+    assert.strictEqual(events[0].model, 'gemini-2.5-flash');
+    assert.strictEqual(events[0].inputTokens, 12);
+    assert.strictEqual(events[0].outputTokens, 3);
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * Tests for provider failover (fallbackProviders)
+ *
+ * Covers:
+ * - Classifying task failures another provider could get past, from the
+ *   provider's own error output only
+ * - Picking the equivalent model level on the fallback provider
+ * - An agent rerunning its task on the next provider and the ledger record
+ * - fallbackProviders validation
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Orchestrator = require('../src/orchestrator');
+const MockTaskRunner = require('./helpers/mock-task-runner');
+const { validateConfig } = require('../src/config-validator');
+const {
+  classifyProviderFailure,
+  getProviderErrorText,
+  resolveEquivalentModelSpec,
+} = require('../src/agent/provider-failover');
+
+// Claude CLI result event for an API error
+const overloaded = `[1760000000000]${JSON.stringify({
+  type: 'result',
+  subtype: 'error',
+  is_error: true,
+  result: 'API Error: 529 {"type":"overloaded_error"}',
+})}`;
+
+// A task that failed on its own merits: the agent's messages and final
+// result mention auth, quotas, 50x and connection errors
+const taskFailure = [
+  `[1760000000000]${JSON.stringify({
+    type: 'assistant',
+    message: {
+      content: [{ type: 'text', text: 'The auth test gets a 401, then 503 and ECONNREFUSED' }],
+    },
+  })}`,
+  `[1760000000001]${JSON.stringify({
+    type: 'result',
+    subtype: 'success',
+    is_error: false,
+    result: 'Task failed: expected 403 for an expired quota',
+  })}`,
+  '='.repeat(50),
+  'Finished: 2026-10-19T10:00:00.503Z',
+  'Exit code: 1, Signal: null',
+].join('\n');
+
+const worker = {
+  id: 'worker',
+  role: 'implementation',
+  provider: 'claude',
+  modelLevel: 'level3',
+  timeout: 0,
+  prompt: 'Implement the issue.',
+  triggers: [{ topic: 'ISSUE_OPENED', action: 'execute_task' }],
+  hooks: {
+    onComplete: {
+      action: 'publish_message',
+      config: { topic: 'IMPLEMENTATION_READY', content: { text: 'done' } },
+    },
+  },
+};
+
+describe('Provider failover', function () {
+  let storageDir;
+  let originalSettingsFile;
+
+  beforeEach(function () {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zeroshot-failover-'));
+    originalSettingsFile = process.env.ZEROSHOT_SETTINGS_FILE;
+    process.env.ZEROSHOT_SETTINGS_FILE = path.join(storageDir, 'settings.json');
+  });
+
+  afterEach(function () {
+    if (originalSettingsFile === undefined) {
+      delete process.env.ZEROSHOT_SETTINGS_FILE;
+    } else {
+      process.env.ZEROSHOT_SETTINGS_FILE = originalSettingsFile;
+    }
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  it('classifies rate limits, overloads, auth errors and outages', function () {
+    assert.strictEqual(classifyProviderFailure('API Error: 429 rate_limit_error'), 'rate_limit');
+    assert.strictEqual(
+      classifyProviderFailure('Rate limit exceeded. Retry after 30 seconds.'),
+      'rate_limit'
+    );
+    assert.strictEqual(
+      classifyProviderFailure('API Error: 529 {"type":"overloaded_error"}'),
+      'overloaded'
+    );
+    assert.strictEqual(classifyProviderFailure('Invalid API key · Please run /login'), 'auth');
+    assert.strictEqual(classifyProviderFailure('503 Service Unavailable'), 'outage');
+    assert.strictEqual(classifyProviderFailure('connect ECONNREFUSED 127.0.0.1:443'), 'outage');
+    assert.strictEqual(classifyProviderFailure('Tests failed: 3 assertions'), null);
+    assert.strictEqual(classifyProviderFailure(null), null);
+  });
+
+  it('classifies the provider error output, not the transcript', function () {
+    assert.strictEqual(getProviderErrorText('claude', taskFailure), 'Exit code: 1, Signal: null');
+    assert.strictEqual(classifyProviderFailure(getProviderErrorText('claude', taskFailure)), null);
+
+    // Result-event errors and stderr lines are what gets classified
+    assert.strictEqual(
+      classifyProviderFailure(getProviderErrorText('claude', `${taskFailure}\n${overloaded}`)),
+      'overloaded'
+    );
+    assert.strictEqual(
+      classifyProviderFailure(
+        getProviderErrorText(
+          'claude',
+          `${taskFailure}\n[1760000000002]Error: 429 Too Many Requests`
+        )
+      ),
+      'rate_limit'
+    );
+  });
+
+  it('moves to the equivalent level on the fallback provider', function () {
+    assert.strictEqual(
+      resolveEquivalentModelSpec('claude', { level: 'level3', model: 'opus' }, 'codex').level,
+      'level3'
+    );
+    // Pinned models use their catalog rank
+    assert.strictEqual(
+      resolveEquivalentModelSpec('claude', { level: 'custom', model: 'haiku' }, 'gemini').level,
+      'level1'
+    );
+
+    fs.writeFileSync(
+      process.env.ZEROSHOT_SETTINGS_FILE,
+      JSON.stringify({
+        providerSettings: {
+          codex: {
+            maxLevel: 'level2',
+            levelOverrides: { level2: { model: 'codex-mid', reasoningEffort: 'low' } },
+          },
+        },
+      })
+    );
+    assert.deepStrictEqual(
+      resolveEquivalentModelSpec('claude', { level: 'level3', model: 'opus' }, 'codex'),
+      { level: 'level2', model: 'codex-mid', reasoningEffort: 'low' }
+    );
+  });
+
+  it('reruns a task on the next provider and records the switch', async function () {
+    this.timeout(20000);
+    const mockRunner = new MockTaskRunner();
+    const calls = [];
+    mockRunner.when('worker').calls((context, options) => {
+      calls.push({ provider: options.provider, level: options.modelSpec.level, context });
+      if (options.provider === 'codex') {
+        return { success: true, output: '{}', error: null };
+      }
+      return { success: false, output: overloaded, error: 'Task failed' };
+    });
+    const orchestrator = new Orchestrator({
+      quiet: true,
+      skipLoad: true,
+      storageDir,
+      taskRunner: mockRunner,
+    });
+
+    try {
+      const config = {
+        fallbackProviders: ['gemini'],
+        agents: [{ ...worker, fallbackProviders: ['claude', 'openai', 'gemini'] }],
+      };
+      const { id } = await orchestrator.start(config, { text: 'Add a file' });
+      const cluster = orchestrator.getCluster(id);
+
+      let ready = null;
+      for (let i = 0; i < 100 && !ready; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        ready = cluster.messageBus.findLast({ cluster_id: id, topic: 'IMPLEMENTATION_READY' });
+      }
+      assert.ok(ready, 'worker never completed');
+
+      // The agent's own list wins; its own provider is skipped and aliases resolve
+      assert.deepStrictEqual(
+        calls.map((call) => [call.provider, call.level]),
+        [
+          ['claude', 'level3'],
+          ['codex', 'level3'],
+        ]
+      );
+      assert.strictEqual(calls[1].context, calls[0].context);
+
+      const failover = cluster.messageBus
+        .query({ cluster_id: id, topic: 'AGENT_LIFECYCLE' })
+        .find((message) => message.content.data.event === 'PROVIDER_FAILOVER');
+      assert.ok(failover, 'failover not recorded');
+      assert.strictEqual(failover.content.data.fromProvider, 'claude');
+      assert.strictEqual(failover.content.data.toProvider, 'codex');
+      assert.strictEqual(failover.content.data.reason, 'overloaded');
+      assert.match(failover.content.data.error, /529/);
+    } finally {
+      orchestrator.close();
+    }
+  });
+
+  it('validates fallbackProviders', function () {
+    const config = {
+      fallbackProviders: 'codex',
+      agents: [{ ...worker, fallbackProviders: ['codex', 'nope'] }],
+    };
+    const { errors } = validateConfig(config);
+    assert.ok(errors.includes('Cluster fallbackProviders must be an array of provider names'));
+    assert.ok(errors.includes('Agent "worker" lists unknown fallback provider "nope"'));
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Tests for third-party provider plugins (settings.providerPlugins)
+ *
+ * Covers:
+ * - Loading a plugin from a path relative to the settings file
+ * - Finding packages next to the settings file but never in the working directory
+ * - Plugin providers in the registry, capabilities, settings and config validation
+ * - Rejecting plugins that are not providers, are incomplete or reuse a name
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getProvider,
+  listProviders,
+  isPluginProvider,
+  parseChunkWithProvider,
+} = require('../src/providers');
+const { getCapabilities, checkCapability } = require('../src/providers/capabilities');
+const { loadProviderPlugins, resetProviderPlugins } = require('../src/providers/plugins');
+const { loadSettings, validateSetting } = require('../lib/settings');
+const { validateConfig } = require('../src/config-validator');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'provider-plugins', 'echo-provider.js');
+
+describe('Provider plugins', function () {
+  let dir;
+  let originalSettingsFile;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zeroshot-provider-plugins-'));
+    fs.copyFileSync(FIXTURE, path.join(dir, 'echo-provider.js'));
+    originalSettingsFile = process.env.ZEROSHOT_SETTINGS_FILE;
+    process.env.ZEROSHOT_SETTINGS_FILE = path.join(dir, 'settings.json');
+    resetProviderPlugins();
+  });
+
+  afterEach(function () {
+    if (originalSettingsFile === undefined) {
+      delete process.env.ZEROSHOT_SETTINGS_FILE;
+    } else {
+      process.env.ZEROSHOT_SETTINGS_FILE = originalSettingsFile;
+    }
+    resetProviderPlugins();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function writeSettings(settings) {
+    fs.writeFileSync(process.env.ZEROSHOT_SETTINGS_FILE, JSON.stringify(settings));
+    resetProviderPlugins();
+  }
+
+  function writePlugin(name, source) {
+    fs.writeFileSync(path.join(dir, name), source);
+    return `./${name}`;
+  }
+
+  it('registers plugins declared in settings next to the built-in providers', function () {
+    assert.ok(!listProviders().includes('echo'));
+    writeSettings({ providerPlugins: ['./echo-provider.js'] });
+
+    assert.deepStrictEqual(listProviders(), [
+      'claude',
+      'codex',
+      'gemini',
+      'opencode',
+      'api',
+      'echo',
+    ]);
+    assert.ok(isPluginProvider('echo'));
+    assert.ok(!isPluginProvider('claude'));
+
+    const provider = getProvider('echo');
+    assert.strictEqual(provider.displayName, 'Echo');
+    const modelSpec = provider.resolveModelSpec('level2');
+    const command = provider.buildCommand('Fix the bug', { modelSpec });
+    assert.strictEqual(command.binary, 'echo');
+    assert.deepStrictEqual(parseChunkWithProvider(provider, `${command.args[0]}\n`), [
+      { type: 'text', text: 'Fix the bug' },
+    ]);
+
+    assert.strictEqual(getCapabilities('echo').streamJson, true);
+    assert.strictEqual(getCapabilities('echo').dockerIsolation, false);
+    assert.ok(checkCapability('echo', 'reasoningEffort'));
+    assert.strictEqual(getCapabilities('nope'), null);
+  });
+
+  it('accepts plugin providers in settings and cluster configs', function () {
+    writeSettings({ providerPlugins: ['./echo-provider.js'], defaultProvider: 'echo' });
+
+    assert.strictEqual(validateSetting('defaultProvider', 'echo'), null);
+    const settings = loadSettings();
+    assert.strictEqual(settings.defaultProvider, 'echo');
+    // Level bounds default to the ends of the plugin's level mapping
+    assert.deepStrictEqual(settings.providerSettings.echo, {
+      maxLevel: 'level2',
+      minLevel: 'level1',
+      defaultLevel: 'level1',
+      levelOverrides: {},
+    });
+
+    const config = {
+      agents: [
+        {
+          id: 'worker',
+          role: 'implementation',
+          provider: 'echo',
+          modelLevel: 'level2',
+          prompt: 'Do it',
+          triggers: [{ topic: 'ISSUE_OPENED', action: 'stop_cluster' }],
+        },
+      ],
+    };
+    const { errors } = validateConfig(config);
+    assert.ok(!errors.some((e) => e.includes('provider')), errors.join('\n'));
+  });
+
+  it('rejects modules that are not complete providers', function () {
+    const notProvider = writePlugin('not-provider.js', 'module.exports = { name: "x" };');
+    const incomplete = writePlugin(
+      'incomplete.js',
+      `module.exports = ({ BaseProvider }) => class extends BaseProvider {
+        constructor() { super({ name: 'half' }); }
+        buildCommand() { return { binary: 'half', args: [] }; }
+      };`
+    );
+    const builtinName = writePlugin(
+      'builtin-name.js',
+      `const Echo = require(${JSON.stringify(FIXTURE)});
+      module.exports = (api) => class extends Echo(api) {
+        constructor() { super(); this.name = 'openai'; }
+      };`
+    );
+
+    const { plugins, errors } = loadProviderPlugins(
+      [notProvider, incomplete, builtinName, './echo-provider.js', './echo-provider.js'],
+      dir
+    );
+    assert.deepStrictEqual(
+      plugins.map((plugin) => plugin.name),
+      ['echo']
+    );
+    assert.match(errors[0], /must export a BaseProvider subclass/);
+    assert.match(errors[1], /does not implement isAvailable, getCliPath/);
+    assert.match(errors[2], /name of built-in provider 'openai'/);
+    assert.match(errors[3], /already taken by \.\/echo-provider\.js/);
+
+    assert.match(validateSetting('providerPlugins', [incomplete]), /does not implement/);
+    assert.match(validateSetting('providerPlugins', 'echo'), /must be an array/);
+    assert.strictEqual(validateSetting('providerPlugins', ['./echo-provider.js']), null);
+  });
+
+  it('never resolves packages from the working directory', function () {
+    const installPackage = (root) => {
+      const pkgDir = path.join(root, 'node_modules', 'zeroshot-provider-echo');
+      fs.mkdirSync(pkgDir, { recursive: true });
+      fs.copyFileSync(FIXTURE, path.join(pkgDir, 'index.js'));
+    };
+    const settingsDir = path.join(dir, 'settings');
+    const project = path.join(dir, 'project');
+    fs.mkdirSync(settingsDir);
+    installPackage(project);
+
+    const originalCwd = process.cwd();
+    process.chdir(project);
+    try {
+      const fromProject = loadProviderPlugins(['zeroshot-provider-echo'], settingsDir);
+      assert.strictEqual(fromProject.plugins.length, 0);
+      assert.match(fromProject.errors[0], /Cannot find module 'zeroshot-provider-echo'/);
+
+      installPackage(settingsDir);
+      const { plugins } = loadProviderPlugins(['zeroshot-provider-echo'], settingsDir);
+      assert.strictEqual(plugins[0].name, 'echo');
+    } finally {
+      process.chdir(originalCwd);
+    }
+  });
+
+  it('skips plugins that fail to load', function () {
+    writeSettings({ providerPlugins: ['./missing.js', './echo-provider.js'] });
+    const warnings = [];
+    const originalWarn = console.warn;
+    console.warn = (message) => warnings.push(message);
+    try {
+      assert.ok(listProviders().includes('echo'));
+    } finally {
+      console.warn = originalWarn;
+    }
+    assert.strictEqual(warnings.length, 1);
+    assert.match(warnings[0], /Could not load provider plugin: Cannot find module/);
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * Tests for ledger replay (`zeroshot replay`)
+ *
+ * Covers:
+ * - Re-evaluating trigger scripts against the recorded history
+ * - Replaying onComplete hooks with the recorded output instead of a provider call
+ * - Flagging divergences when a different config is replayed
+ * - --until by message id and timestamp
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const Ledger = require('../src/ledger.js');
+const { replayCluster, resolveUntil } = require('../src/replay.js');
+
+const CLUSTER_ID = 'replay-test';
+
+function buildConfig({ rejectScript = 'return message.content.data.approved === false;' } = {}) {
+  return {
+    agents: [
+      {
+        id: 'worker',
+        role: 'implementation',
+        triggers: [
+          { topic: 'ISSUE_OPENED', action: 'execute_task' },
+          {
+            topic: 'VALIDATION_RESULT',
+            action: 'execute_task',
+            logic: { engine: 'javascript', script: rejectScript },
+          },
+        ],
+        hooks: {
+          onComplete: {
+            action: 'publish_message',
+            config: { topic: 'IMPLEMENTATION_READY', content: { text: '{{result.summary}}' } },
+          },
+        },
+      },
+      {
+        id: 'validator',
+        role: 'validator',
+        triggers: [{ topic: 'IMPLEMENTATION_READY', action: 'execute_task' }],
+        hooks: {
+          onComplete: {
+            action: 'publish_message',
+            transform: {
+              engine: 'javascript',
+              script:
+                'return { topic: "VALIDATION_RESULT", content: { text: result.summary, data: { approved: result.approved } } };',
+            },
+          },
+        },
+      },
+    ],
+  };
+}
+
+/**
+ * Record a run where the validator rejects once and the worker starts iteration 2
+ * @returns {Array<Object>} The recorded messages
+ */
+function writeRecording(storageDir, { saveConfig = true, workerOutput } = {}) {
+  const ledger = new Ledger(path.join(storageDir, `${CLUSTER_ID}.db`));
+  const publish = (topic, sender, content) =>
+    ledger.append({ cluster_id: CLUSTER_ID, topic, sender, content });
+  const lifecycle = (sender, data) => publish('AGENT_LIFECYCLE', sender, { data });
+  const runTask = (sender, { iteration, trigger, output }) => {
+    lifecycle(sender, {
+      event: 'TASK_STARTED',
+      iteration,
+      provider: 'claude',
+      triggeredBy: trigger.topic,
+      triggerFrom: trigger.sender,
+    });
+    publish('AGENT_OUTPUT', sender, { text: output, data: { line: output, iteration } });
+    lifecycle(sender, {
+      event: 'TASK_COMPLETED',
+      iteration,
+      success: true,
+      taskId: `${sender}-t${iteration}`,
+    });
+    publish('TOKEN_USAGE', sender, { data: { inputTokens: 10, outputTokens: 5 } });
+  };
+
+  lifecycle('worker', { event: 'STARTED' });
+  lifecycle('validator', { event: 'STARTED' });
+  publish('ISSUE_OPENED', 'system', { text: 'Add login' });
+  runTask('worker', {
+    iteration: 1,
+    trigger: { topic: 'ISSUE_OPENED', sender: 'system' },
+    output: workerOutput || '{"summary":"Added login form"}',
+  });
+  publish('IMPLEMENTATION_READY', 'worker', { text: 'Added login form' });
+  runTask('validator', {
+    iteration: 1,
+    trigger: { topic: 'IMPLEMENTATION_READY', sender: 'worker' },
+    output: '{"approved":false,"summary":"Missing tests"}',
+  });
+  publish('VALIDATION_RESULT', 'validator', {
+    text: 'Missing tests',
+    data: { approved: false },
+  });
+  lifecycle('worker', {
+    event: 'TASK_STARTED',
+    iteration: 2,
+    provider: 'claude',
+    triggeredBy: 'VALIDATION_RESULT',
+    triggerFrom: 'validator',
+  });
+
+  const messages = ledger.getAll(CLUSTER_ID);
+  ledger.close();
+
+  if (saveConfig) {
+    fs.writeFileSync(
+      path.join(storageDir, 'clusters.json'),
+      JSON.stringify({ [CLUSTER_ID]: { id: CLUSTER_ID, config: buildConfig(), createdAt: 1 } })
+    );
+  }
+  return messages;
+}
+
+function findEvaluation(report, topic, agent) {
+  const step = report.steps.find((s) => s.message.topic === topic);
+  return step && step.evaluations.find((e) => e.agent === agent);
+}
+
+describe('Replay', function () {
+  let storageDir;
+
+  beforeEach(function () {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zeroshot-replay-'));
+  });
+
+  afterEach(function () {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  it('reproduces the recorded trigger decisions and hook messages', async function () {
+    writeRecording(storageDir);
+
+    const report = await replayCluster({ storageDir, clusterId: CLUSTER_ID });
+
+    assert.strictEqual(report.replayed, report.total);
+    assert.strictEqual(report.summary.divergences, 0);
+
+    const worker = findEvaluation(report, 'ISSUE_OPENED', 'worker');
+    assert.strictEqual(worker.fired, true);
+    assert.strictEqual(worker.recordedFired, true);
+    assert.strictEqual(worker.hook.topic, 'IMPLEMENTATION_READY');
+    assert.strictEqual(worker.hook.matchesRecorded, true);
+
+    const validator = findEvaluation(report, 'IMPLEMENTATION_READY', 'validator');
+    assert.strictEqual(validator.hook.topic, 'VALIDATION_RESULT');
+    assert.strictEqual(validator.hook.matchesRecorded, true);
+
+    const rejection = findEvaluation(report, 'VALIDATION_RESULT', 'worker');
+    assert.strictEqual(rejection.fired, true);
+    assert.strictEqual(rejection.recordedFired, true);
+    assert.deepStrictEqual(rejection.hook, { skipped: 'recorded task did not complete' });
+  });
+
+  it('flags divergences when replayed against a different config', async function () {
+    writeRecording(storageDir);
+
+    const report = await replayCluster({
+      storageDir,
+      clusterId: CLUSTER_ID,
+      config: buildConfig({ rejectScript: 'return message.content.data.approved === "false";' }),
+    });
+
+    const rejection = findEvaluation(report, 'VALIDATION_RESULT', 'worker');
+    assert.strictEqual(rejection.fired, false);
+    assert.strictEqual(rejection.recordedFired, true);
+    assert.strictEqual(rejection.diverged, true);
+    assert.strictEqual(report.summary.divergences, 1);
+  });
+
+  it('reports trigger script errors as not fired', async function () {
+    writeRecording(storageDir);
+
+    const report = await replayCluster({
+      storageDir,
+      clusterId: CLUSTER_ID,
+      config: buildConfig({ rejectScript: 'return message.content.data.missing.field;' }),
+    });
+
+    const rejection = findEvaluation(report, 'VALIDATION_RESULT', 'worker');
+    assert.strictEqual(rejection.fired, false);
+    assert.match(rejection.error, /reading 'field'/);
+  });
+
+  it('fails the hook instead of reformatting output without a JSON block', async function () {
+    writeRecording(storageDir, { workerOutput: 'I added the login form.' });
+
+    const report = await replayCluster({ storageDir, clusterId: CLUSTER_ID });
+
+    const worker = findEvaluation(report, 'ISSUE_OPENED', 'worker');
+    assert.match(worker.hook.error, /no JSON block/);
+    assert.strictEqual(worker.diverged, true);
+  });
+
+  it('stops at --until', async function () {
+    const messages = writeRecording(storageDir);
+    const implementation = messages.find((m) => m.topic === 'IMPLEMENTATION_READY');
+
+    const report = await replayCluster({
+      storageDir,
+      clusterId: CLUSTER_ID,
+      until: implementation.id,
+    });
+
+    assert.strictEqual(report.until.id, implementation.id);
+    assert.strictEqual(report.replayed, messages.indexOf(implementation) + 1);
+    assert.strictEqual(findEvaluation(report, 'VALIDATION_RESULT', 'worker'), undefined);
+    // The validator's decision is still evaluated against the full recording
+    assert.strictEqual(findEvaluation(report, 'IMPLEMENTATION_READY', 'validator').fired, true);
+  });
+
+  it('resolves --until timestamps and rejects anything else', function () {
+    const messages = [
+      { id: 'a', timestamp: 1000 },
+      { id: 'b', timestamp: 2000 },
+      { id: 'c', timestamp: 3000 },
+    ];
+
+    assert.strictEqual(resolveUntil(messages), 3);
+    assert.strictEqual(resolveUntil(messages, 'b'), 2);
+    assert.strictEqual(resolveUntil(messages, '2500'), 2);
+    assert.strictEqual(resolveUntil(messages, new Date(1000).toISOString()), 1);
+    assert.throws(() => resolveUntil(messages, 'not-a-message'), /message id or a timestamp/);
+  });
+
+  it('requires --config when the cluster config was not saved', async function () {
+    writeRecording(storageDir, { saveConfig: false });
+
+    await assert.rejects(replayCluster({ storageDir, clusterId: CLUSTER_ID }), /--config/);
+  });
+});
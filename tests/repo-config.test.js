@@ -0,0 +1,125 @@
+/**
+ * Tests for repository-local .zeroshot/ discovery
+ *
+ * Covers:
+ * - Finding .zeroshot/ up to the repository root (never ~/.zeroshot)
+ * - Repo templates and agents shadowing the bundled ones
+ * - Routing tables from .zeroshot/config-router.json
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  findRepoConfigDir,
+  loadRepoSettings,
+  createTemplateResolver,
+  listConfigs,
+  findConfigFile,
+} = require('../src/repo-config.js');
+const { getConfig, loadRoutingTables } = require('../src/config-router.js');
+
+describe('Repo config discovery', function () {
+  let repo;
+
+  function writeJson(relativePath, value) {
+    const file = path.join(repo, relativePath);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(value));
+    return file;
+  }
+
+  beforeEach(function () {
+    repo = fs.mkdtempSync(path.join(os.tmpdir(), 'zeroshot-repo-'));
+    fs.mkdirSync(path.join(repo, '.git'));
+    fs.mkdirSync(path.join(repo, 'packages', 'api'), { recursive: true });
+  });
+
+  afterEach(function () {
+    fs.rmSync(repo, { recursive: true, force: true });
+  });
+
+  it('finds .zeroshot/ from nested directories, but not above the repo root', function () {
+    const nested = path.join(repo, 'packages', 'api');
+    assert.strictEqual(findRepoConfigDir(nested), null);
+    assert.deepStrictEqual(loadRepoSettings(nested), {});
+
+    fs.mkdirSync(path.join(repo, '.zeroshot'));
+    assert.strictEqual(findRepoConfigDir(nested), path.join(repo, '.zeroshot'));
+
+    // A .zeroshot/ outside the repository does not apply to it
+    fs.mkdirSync(path.join(nested, '.git'));
+    assert.strictEqual(findRepoConfigDir(nested), null);
+  });
+
+  it('reads repo settings and rejects unknown keys', function () {
+    writeJson('.zeroshot/config.json', { defaultConfig: 'house-workflow' });
+    assert.deepStrictEqual(loadRepoSettings(repo), { defaultConfig: 'house-workflow' });
+
+    writeJson('.zeroshot/config.json', { defaultConfg: 'typo' });
+    assert.throws(() => loadRepoSettings(repo), /Unknown keys in .*config.json: defaultConfg/);
+  });
+
+  it('lets repo templates and agents shadow the bundled ones', function () {
+    writeJson('.zeroshot/agents/house-validator.json', {
+      id: 'validator-house',
+      role: 'validator',
+      prompt: { system: 'Check the house rules for {{complexity}} work.' },
+    });
+    writeJson('.zeroshot/templates/full-workflow.json', {
+      extends: 'full-workflow',
+      overrides: { add: [{ fragment: 'house-validator' }] },
+    });
+    writeJson('.zeroshot/templates/house-workflow.json', {
+      name: 'House',
+      agents: [{ id: 'worker', role: 'implementation' }],
+    });
+
+    const configs = listConfigs(repo);
+    assert.deepStrictEqual(
+      configs.filter((entry) => entry.source === 'repo').map((e) => [e.name, e.shadows]),
+      [
+        ['full-workflow', true],
+        ['house-workflow', false],
+      ]
+    );
+    assert.ok(configs.some((entry) => entry.name === 'conductor-bootstrap'));
+    assert.strictEqual(
+      findConfigFile('house-workflow.json', repo),
+      path.join(repo, '.zeroshot', 'templates', 'house-workflow.json')
+    );
+
+    // The conductor's { base: 'full-workflow' } now picks up the house validator
+    const resolver = createTemplateResolver(repo);
+    const resolved = resolver.resolve('full-workflow', { task_type: 'TASK' });
+    const house = resolved.agents.find((agent) => agent.id === 'validator-house');
+    assert.strictEqual(house.prompt.system, 'Check the house rules for STANDARD work.');
+    assert.ok(resolved.agents.some((agent) => agent.id === 'adversarial-tester'));
+    assert.ok(resolver.listTemplates().includes('house-workflow'));
+  });
+
+  it('routes through the repo routing table before the built-in one', function () {
+    const tables = (settings) => loadRoutingTables({ cwd: repo, settings });
+    assert.deepStrictEqual(
+      tables({}).map((t) => t.source),
+      ['built-in']
+    );
+
+    writeJson('.zeroshot/config-router.json', {
+      routes: [{ when: { complexity: 'STANDARD' }, base: 'house-workflow' }],
+    });
+    const routing = { rules: [{ when: { labels: 'hotfix' }, set: { complexity: 'SIMPLE' } }] };
+    assert.deepStrictEqual(
+      tables({ routing }).map((t) => t.source),
+      ['.zeroshot/config-router.json', 'settings.routing', 'built-in']
+    );
+    assert.strictEqual(
+      getConfig('STANDARD', 'TASK', { cwd: repo, tables: tables({}) }).base,
+      'house-workflow'
+    );
+
+    writeJson('.zeroshot/config-router.json', { routes: { STANDARD: {} } });
+    assert.throws(() => tables({}), /config-router.json.routes must be an array/);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Tests for template condition expressions
+ *
+ * Covers:
+ * - Precedence, parentheses, in-lists, arithmetic and string methods
+ * - Syntax errors with positions, and unknown params
+ * - TemplateResolver and config-validator using the parser
+ */
+
+const assert = require('assert');
+const {
+  evaluateExpression,
+  validateExpression,
+  expressionNames,
+  parseExpression,
+} = require('../src/template-expression.js');
+const { validateConfig } = require('../src/config-validator.js');
+const TemplateResolver = require('../src/template-resolver.js');
+
+describe('Template expressions', function () {
+  const params = { complexity: 'CRITICAL', task_type: 'DEBUG', validator_count: 3, flag: false };
+
+  it('evaluates grouping, in-lists, arithmetic and string methods', function () {
+    const cases = [
+      // The old textual split read this as flag || (task_type... && complexity...)
+      ["(flag || task_type == 'DEBUG') && complexity == 'SIMPLE'", false],
+      ["flag || task_type == 'DEBUG' && complexity == 'CRITICAL'", true],
+      ["task_type in ['TASK', 'DEBUG'] && !(complexity in ['TRIVIAL'])", true],
+      ['{{validator_count}} * 2 - 1 >= 5 && validator_count % 2 == 1', true],
+      ["complexity.toLowerCase().startsWith('crit') && 'DEBUGGING'.includes(task_type)", true],
+      ["'EBU' in task_type && complexity + '!' == 'CRITICAL!'", true],
+      ['missing == null && !missing', true],
+      // Only the params' own keys are names
+      ['constructor == null && __proto__ == null && toString == null', true],
+      ['\'a == b\' == "a == b"', true],
+    ];
+    for (const [source, expected] of cases) {
+      assert.strictEqual(evaluateExpression(source, params), expected, source);
+    }
+    assert.deepStrictEqual(
+      expressionNames(parseExpression("{{complexity}} in [task_type, 'X'] && a.includes(b)")),
+      ['complexity', 'task_type', 'a', 'b']
+    );
+  });
+
+  it('reports syntax errors with their position', function () {
+    const cases = [
+      ["complexity = 'CRITICAL'", /'=' is not an operator \(use ==\) at position 12/],
+      ['(a || b', /expected '\)' but found end of expression at position 8/],
+      ['a < b < c', /comparisons cannot be chained/],
+      ['name.trim()', /unknown method 'trim'/],
+      ["name.startsWith('a', 'b')", /startsWith\(\) takes 1 argument/],
+      ["task_type == 'DEBUG", /unterminated string at position 14/],
+      ['a &&', /unexpected end of expression/],
+      ['', /empty expression/],
+    ];
+    for (const [source, pattern] of cases) {
+      assert.throws(() => parseExpression(source), pattern, source);
+      assert.strictEqual(validateExpression(source).length, 1, source);
+    }
+    assert.throws(() => evaluateExpression('complexity - 1 > 0', params), /'-' needs numbers/);
+    assert.deepStrictEqual(validateExpression("complexty == 'X'", ['complexity']), [
+      `Expression "complexty == 'X'" uses unknown param 'complexty' (declared: complexity)`,
+    ]);
+  });
+
+  it('filters agents and {{#if}} blocks through the parser', function () {
+    const template = {
+      name: 'Conditions',
+      params: { mode: { default: 'fast' }, count: { default: 2 } },
+      agents: [
+        {
+          id: 'worker',
+          role: 'implementation',
+          prompt: "Go{{#if mode in ['fast', 'faster']}} quickly{{/if}} with {{count}}",
+        },
+        { id: 'extra', role: 'validator', condition: "{{mode}} == 'fast' && {{count}} > 1" },
+        { id: 'never', role: 'validator', condition: "mode.startsWith('slow')" },
+      ],
+    };
+    const resolver = new TemplateResolver(__dirname);
+    const resolved = resolver.resolveTemplate(template, {}, __dirname);
+    assert.deepStrictEqual(
+      resolved.agents.map((agent) => agent.id),
+      ['worker', 'extra']
+    );
+    assert.strictEqual(resolved.agents[0].prompt, 'Go quickly with 2');
+    assert.strictEqual(resolved.agents[1].condition, undefined);
+
+    template.agents[2].condition = "mode.startsWith('slow'";
+    assert.throws(
+      () => resolver.resolveTemplate(template, {}, __dirname),
+      /Invalid expression "mode.startsWith\('slow'": expected '\)'/
+    );
+  });
+
+  it('reports invalid conditions and undeclared params when validating', function () {
+    const config = {
+      params: { complexity: { default: 'STANDARD' } },
+      agents: [
+        {
+          id: 'worker',
+          role: 'implementation',
+          condition: "complexity == 'CRITICAL' ||",
+          prompt: "{{#if complexty == 'CRITICAL'}}Be careful.{{/if}}",
+          triggers: [{ topic: 'ISSUE_OPENED', action: 'execute_task' }],
+        },
+      ],
+    };
+    const { errors } = validateConfig(config);
+    assert.ok(
+      errors.includes(
+        `Agent 'worker': Invalid expression "complexity == 'CRITICAL' ||": ` +
+          'unexpected end of expression at position 28'
+      ),
+      errors.join('\n')
+    );
+    assert.ok(
+      errors.some((e) => e.includes("uses unknown param 'complexty' (declared: complexity)")),
+      errors.join('\n')
+    );
+  });
+});
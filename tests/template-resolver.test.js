@@ -3,7 +3,11 @@
  */
 
 const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { validateConfig } = require('../src/config-validator');
+const router = require('../src/config-router');
 const TemplateResolver = require('../src/template-resolver');
 const { DEFAULT_MAX_ITERATIONS } = require('../src/agent/agent-config');
 
@@ -157,6 +161,124 @@ describe('TemplateResolver', function () {
   });
 });
 
+describe('Template composition', function () {
+  const resolver = new TemplateResolver(path.join(__dirname, '..', 'cluster-templates'));
+  let tempDir;
+
+  function writeJson(relativePath, value) {
+    const file = path.join(tempDir, relativePath);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(value));
+    return file;
+  }
+
+  beforeEach(function () {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zeroshot-templates-'));
+    writeJson('fragments/perf-validator.json', {
+      id: 'validator-perf',
+      role: 'validator',
+      modelLevel: '{{validator_level}}',
+      prompt: { system: 'Check performance for a {{complexity}} task.' },
+      triggers: [{ topic: 'IMPLEMENTATION_READY', action: 'execute_task' }],
+      hooks: {
+        onComplete: {
+          action: 'publish_message',
+          config: { topic: 'VALIDATION_RESULT', content: { data: { approved: true } } },
+        },
+      },
+    });
+  });
+
+  afterEach(function () {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('extends a base template with a fragment validator and patches', function () {
+    const file = writeJson('perf-workflow.json', {
+      extends: 'full-workflow',
+      name: 'Perf Workflow',
+      params: { task_type: { default: 'TASK' }, validator_count: { default: 1 } },
+      overrides: {
+        remove: ['adversarial-tester'],
+        patch: {
+          worker: { prompt: { initial: { $append: '\nProfile first.' } }, maxRetries: null },
+        },
+        add: [
+          { fragment: 'perf-validator', timeout: 600 },
+          {
+            id: 'completion-detector',
+            role: 'orchestrator',
+            triggers: [{ topic: 'VALIDATION_RESULT', action: 'stop_cluster' }],
+          },
+        ],
+      },
+    });
+
+    const config = resolver.loadFile(file);
+
+    assert.strictEqual(config.name, 'Perf Workflow');
+    assert.deepStrictEqual(
+      config.agents.map((a) => a.id),
+      ['planner', 'worker', 'validator-requirements', 'validator-perf', 'completion-detector']
+    );
+    const worker = config.agents.find((a) => a.id === 'worker');
+    assert.ok(worker.prompt.initial.endsWith('\nProfile first.'));
+    assert.ok(!('maxRetries' in worker));
+    const perf = config.agents.find((a) => a.id === 'validator-perf');
+    assert.strictEqual(perf.timeout, 600);
+    assert.strictEqual(perf.prompt.system, 'Check performance for a STANDARD task.');
+    assert.deepStrictEqual(validateConfig(config).errors, []);
+  });
+
+  it('replaces agents and extends templates by relative path', function () {
+    const base = writeJson('base.json', {
+      params: { level: { default: 'level1' } },
+      agents: [
+        { id: 'worker', role: 'implementation', modelLevel: '{{level}}' },
+        { id: 'reviewer', role: 'validator' },
+      ],
+    });
+    writeJson('nested/child.json', {
+      extends: '../base.json',
+      params: { level: { default: 'level3' } },
+      overrides: { replace: [{ id: 'reviewer', role: 'validator', modelLevel: 'level2' }] },
+    });
+
+    const config = resolver.loadFile(path.join(tempDir, 'nested', 'child.json'));
+
+    assert.deepStrictEqual(config.agents, [
+      { id: 'worker', role: 'implementation', modelLevel: 'level3' },
+      { id: 'reviewer', role: 'validator', modelLevel: 'level2' },
+    ]);
+    assert.strictEqual(resolver.loadFile(base).params.level.default, 'level1');
+  });
+
+  it('rejects unknown agents, cycles and agents next to extends', function () {
+    const load = (value) => resolver.loadFile(writeJson('t.json', value));
+
+    assert.throws(
+      () => load({ extends: 'full-workflow', overrides: { patch: { ghost: {} } } }),
+      /overrides.patch: no agent with id 'ghost'/
+    );
+    assert.throws(
+      () => load({ extends: 'full-workflow', overrides: { add: [{ id: 'worker' }] } }),
+      /overrides.add: an agent with id 'worker' already exists/
+    );
+    assert.throws(
+      () => load({ extends: 'full-workflow', overrides: { rename: {} } }),
+      /Unknown overrides: rename/
+    );
+    assert.throws(() => load({ extends: 'full-workflow', agents: [] }), /use overrides/);
+    assert.throws(() => load({ agents: [{ fragment: 'nope' }] }), /Agent fragment not found/);
+    writeJson('a.json', { extends: './b.json' });
+    writeJson('b.json', { extends: './a.json' });
+    assert.throws(
+      () => resolver.loadFile(path.join(tempDir, 'a.json')),
+      /Template extends cycle: a.json → b.json → a.json/
+    );
+  });
+});
+
 describe('2D Classification Routing', function () {
   let resolver;
 
@@ -177,6 +299,13 @@ describe('2D Classification Routing', function () {
           assert.ok(resolved.agents, `${key}: No agents`);
           assert.ok(resolved.agents.length > 0, `${key}: Empty agents array`);
         });
+
+        it(`should route ${key} the same through the built-in routing table`, function () {
+          const routed = router.getConfig(complexity, taskType, {
+            tables: [{ source: 'built-in', table: router.DEFAULT_ROUTING_TABLE }],
+          });
+          assert.deepStrictEqual(routed, getConfig(complexity, taskType));
+        });
       }
     }
   });
@@ -227,12 +356,13 @@ describe('2D Classification Routing', function () {
 
       const worker = resolved.agents.find((a) => a.id === 'worker');
       const rejectionTrigger = worker.triggers.find(
-        (t) => t.topic === 'VALIDATION_RESULT' && t.logic
+        (t) => t.topic === 'VALIDATION_RESULT' && t.condition
       );
 
       assert.ok(rejectionTrigger, 'Worker should have rejection trigger');
-      assert.ok(
-        rejectionTrigger.logic.script.includes('approved === false'),
+      assert.deepStrictEqual(
+        rejectionTrigger.condition.where,
+        { approved: false },
         'Trigger should check for rejection'
       );
     });
@@ -243,7 +373,7 @@ describe('2D Classification Routing', function () {
 
       const fixer = resolved.agents.find((a) => a.id === 'fixer');
       const rejectionTrigger = fixer.triggers.find(
-        (t) => t.topic === 'VALIDATION_RESULT' && t.logic
+        (t) => t.topic === 'VALIDATION_RESULT' && t.condition
       );
 
       assert.ok(rejectionTrigger, 'Fixer should have rejection trigger');
@@ -255,12 +385,12 @@ describe('2D Classification Routing', function () {
 
       const worker = resolved.agents.find((a) => a.id === 'worker');
       const rejectionTrigger = worker.triggers.find(
-        (t) => t.topic === 'VALIDATION_RESULT' && t.logic
+        (t) => t.topic === 'VALIDATION_RESULT' && t.condition
       );
 
       assert.ok(rejectionTrigger, 'Worker should have rejection trigger');
       assert.ok(
-        rejectionTrigger.logic.script.includes('getAgentsByRole'),
+        rejectionTrigger.condition.allOf.some((c) => c.from === 'role:validator'),
         'Should check all validators'
       );
     });
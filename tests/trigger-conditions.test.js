@@ -0,0 +1,211 @@
+/**
+ * Tests for declarative trigger conditions
+ *
+ * Covers:
+ * - Evaluating clauses against a real ledger through LogicEngine
+ * - Structural validation and config-level reference checks
+ * - The English explanation shown by `zeroshot config show`
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Ledger = require('../src/ledger.js');
+const MessageBus = require('../src/message-bus.js');
+const LogicEngine = require('../src/logic-engine.js');
+const { evaluateTrigger } = require('../src/agent/agent-trigger-evaluator.js');
+const { validateCondition, explainCondition } = require('../src/trigger-conditions.js');
+const { validateBasicStructure, validateTriggerConditions } = require('../src/config-validator.js');
+
+const CLUSTER_ID = 'conditions-test';
+
+const consensus = {
+  latest: 'VALIDATION_RESULT',
+  since: 'IMPLEMENTATION_READY',
+  from: 'role:validator',
+  where: { approved: true },
+};
+
+describe('Trigger conditions', function () {
+  let tempDir;
+  let ledger;
+  let messageBus;
+  let logicEngine;
+  const agent = { id: 'worker', role: 'implementation', cluster_id: CLUSTER_ID };
+
+  function publish(topic, sender, data) {
+    return messageBus.publish({ cluster_id: CLUSTER_ID, topic, sender, content: { data } });
+  }
+
+  function evaluate(condition, message = null) {
+    return logicEngine.evaluateCondition(condition, agent, message);
+  }
+
+  beforeEach(function () {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zeroshot-conditions-'));
+    ledger = new Ledger(path.join(tempDir, 'test.db'));
+    messageBus = new MessageBus(ledger);
+    logicEngine = new LogicEngine(messageBus, {
+      agents: [
+        { id: 'worker', role: 'implementation' },
+        { id: 'validator-1', role: 'validator' },
+        { id: 'validator-2', role: 'validator' },
+      ],
+    });
+  });
+
+  afterEach(function () {
+    ledger.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('evaluation', function () {
+    it('requires the latest result of every agent in a role to match', function () {
+      assert.strictEqual(evaluate(consensus), false, 'no IMPLEMENTATION_READY yet');
+
+      publish('IMPLEMENTATION_READY', 'worker', {});
+      publish('VALIDATION_RESULT', 'validator-1', { approved: true });
+      assert.strictEqual(evaluate(consensus), false, 'validator-2 has not answered');
+
+      publish('VALIDATION_RESULT', 'validator-2', { approved: 'true' });
+      assert.strictEqual(evaluate(consensus), true, 'string "true" from templates matches');
+
+      publish('VALIDATION_RESULT', 'validator-1', { approved: 'false' });
+      assert.strictEqual(evaluate(consensus), false, 'only the latest result counts');
+    });
+
+    it('ignores messages before the since topic', function () {
+      publish('IMPLEMENTATION_READY', 'worker', {});
+      publish('VALIDATION_RESULT', 'validator-1', { approved: false });
+      const rejected = {
+        any: 'VALIDATION_RESULT',
+        since: 'IMPLEMENTATION_READY',
+        where: { approved: false },
+      };
+      assert.strictEqual(evaluate(rejected), true);
+
+      publish('IMPLEMENTATION_READY', 'worker', {});
+      assert.strictEqual(evaluate(rejected), false);
+      assert.strictEqual(
+        evaluate({ none: 'VALIDATION_RESULT', since: 'IMPLEMENTATION_READY' }),
+        true
+      );
+    });
+
+    it('combines clauses and matches the triggering message', function () {
+      const message = publish('WORKER_PROGRESS', 'worker', { status: { canValidate: false } });
+
+      assert.strictEqual(evaluate({ message: { from: 'worker' } }, message), true);
+      assert.strictEqual(evaluate({ message: { from: 'role:validator' } }, message), false);
+      assert.strictEqual(
+        evaluate({ message: { where: { 'status.canValidate': [false, null] } } }, message),
+        true
+      );
+      assert.strictEqual(
+        evaluate(
+          { anyOf: [{ not: { message: { from: 'worker' } } }, { any: 'WORKER_PROGRESS' }] },
+          message
+        ),
+        true
+      );
+      assert.strictEqual(
+        evaluate({ allOf: [{ any: 'WORKER_PROGRESS' }, { any: 'VALIDATION_RESULT' }] }, message),
+        false
+      );
+    });
+
+    it('is used by evaluateTrigger instead of a logic script', function () {
+      publish('IMPLEMENTATION_READY', 'worker', {});
+      publish('VALIDATION_RESULT', 'validator-1', { approved: true });
+      publish('VALIDATION_RESULT', 'validator-2', { approved: true });
+
+      const trigger = { topic: 'VALIDATION_RESULT', condition: consensus };
+      assert.strictEqual(evaluateTrigger({ trigger, message: null, agent, logicEngine }), true);
+    });
+  });
+});
+
+describe('Trigger condition validation', function () {
+  it('rejects malformed conditions with their location', function () {
+    assert.deepStrictEqual(validateCondition(consensus, 'c'), []);
+    assert.match(validateCondition({}, 'c')[0], /exactly one of/);
+    assert.match(validateCondition({ latest: 'A', any: 'B' }, 'c')[0], /found latest, any/);
+    assert.match(validateCondition({ allOf: [] }, 'c')[0], /c\.allOf must be a non-empty array/);
+    assert.match(validateCondition({ any: 'A', sinse: 'B' }, 'c')[0], /unknown key 'sinse'/);
+    assert.match(
+      validateCondition({ not: { latest: 'A', where: { approved: { eq: true } } } }, 'c')[0],
+      /c\.not\.where\.approved must be/
+    );
+    assert.match(validateCondition({ message: { from: 'role:' } }, 'c')[0], /c\.message\.from/);
+  });
+
+  it('reports invalid conditions and mixed logic in config validation', function () {
+    const config = {
+      agents: [
+        {
+          id: 'worker',
+          role: 'implementation',
+          triggers: [
+            { topic: 'ISSUE_OPENED', action: 'execute_task' },
+            {
+              topic: 'VALIDATION_RESULT',
+              condition: { latest: 'VALIDATION_RESULT' },
+              logic: { engine: 'javascript', script: 'return true;' },
+            },
+            { topic: 'WORKER_PROGRESS', condition: { newest: 'WORKER_PROGRESS' } },
+          ],
+        },
+      ],
+    };
+
+    const { errors } = validateBasicStructure(config);
+    assert(errors.some((e) => e.includes('triggers[1] cannot have both logic and condition')));
+    assert(errors.some((e) => e.includes('triggers[2].condition must have exactly one of')));
+  });
+
+  it('warns about roles, agents and topics that do not exist', function () {
+    const config = {
+      agents: [
+        {
+          id: 'worker',
+          role: 'implementation',
+          triggers: [
+            {
+              topic: 'VALIDATION_RESULT',
+              condition: {
+                allOf: [
+                  { latest: 'VALIDATION_RESULT', from: 'role:reviewer' },
+                  { none: 'PLAN_REJECTED', from: 'planner' },
+                ],
+              },
+            },
+          ],
+          hooks: { onComplete: { config: { topic: 'IMPLEMENTATION_READY' } } },
+        },
+      ],
+    };
+
+    const { warnings } = validateTriggerConditions(config);
+    assert(warnings.some((w) => w.includes("role 'reviewer'")));
+    assert(warnings.some((w) => w.includes("unknown agent 'planner'")));
+    assert(warnings.some((w) => w.includes("topic 'PLAN_REJECTED'")));
+    assert.strictEqual(validateTriggerConditions(config, true).warnings.length, 0);
+  });
+
+  it('explains conditions in plain English', function () {
+    assert.strictEqual(
+      explainCondition(consensus),
+      "every validator agent's latest VALIDATION_RESULT since the last IMPLEMENTATION_READY has approved = true"
+    );
+    assert.strictEqual(
+      explainCondition({
+        anyOf: [
+          { message: { from: 'worker' } },
+          { allOf: [{ none: 'PLAN_READY' }, { not: { any: 'X', where: { n: [1, 2] } } }] },
+        ],
+      }),
+      'the triggering message is from worker OR (no PLAN_READY exists AND NOT some X has n in [1, 2])'
+    );
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Tests for trigger evaluation tracing (`zeroshot why`)
+ *
+ * Covers:
+ * - Recording outcomes and ledger queries in the trace side table
+ * - Explaining per message why an agent did or did not wake up
+ * - Falling back to lifecycle events when the cluster was not traced
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Ledger = require('../src/ledger.js');
+const MessageBus = require('../src/message-bus.js');
+const LogicEngine = require('../src/logic-engine.js');
+const { evaluateTriggerTraced } = require('../src/agent/agent-trigger-evaluator.js');
+const { whyAgent } = require('../src/trigger-trace.js');
+
+const CLUSTER_ID = 'trace-test';
+
+const config = {
+  agents: [
+    {
+      id: 'worker',
+      role: 'implementation',
+      triggers: [
+        { topic: 'ISSUE_OPENED', action: 'execute_task' },
+        {
+          topic: 'VALIDATION_RESULT',
+          action: 'execute_task',
+          condition: { latest: 'VALIDATION_RESULT', where: { approved: false } },
+        },
+      ],
+    },
+    {
+      id: 'validator',
+      role: 'validator',
+      triggers: [{ topic: 'IMPLEMENTATION_READY', action: 'execute_task' }],
+    },
+  ],
+};
+
+describe('Trigger tracing', function () {
+  let tempDir;
+  let ledger;
+  let messageBus;
+  let logicEngine;
+  const agent = { id: 'worker', role: 'implementation', cluster_id: CLUSTER_ID };
+
+  function publish(topic, sender, data = {}) {
+    return messageBus.publish({ cluster_id: CLUSTER_ID, topic, sender, content: { data } });
+  }
+
+  function evaluate(trigger, message) {
+    return evaluateTriggerTraced({ trigger, message, agent, logicEngine, messageBus });
+  }
+
+  function saveCluster(fields) {
+    fs.writeFileSync(
+      path.join(tempDir, 'clusters.json'),
+      JSON.stringify({ [CLUSTER_ID]: { config, ...fields } })
+    );
+  }
+
+  beforeEach(function () {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zeroshot-trace-'));
+    ledger = new Ledger(path.join(tempDir, `${CLUSTER_ID}.db`));
+    messageBus = new MessageBus(ledger);
+    logicEngine = new LogicEngine(messageBus, config);
+  });
+
+  afterEach(function () {
+    ledger.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('records outcomes and queries without publishing anything', function () {
+    const scriptTrigger = {
+      topic: 'VALIDATION_RESULT',
+      logic: {
+        engine: 'javascript',
+        script: 'return ledger.count({ topic: "VALIDATION_RESULT" }) > 1;',
+      },
+    };
+    const first = publish('VALIDATION_RESULT', 'validator', { approved: true });
+
+    assert.strictEqual(evaluate(scriptTrigger, first), false);
+    assert.strictEqual(ledger.getTriggerEvaluations({ cluster_id: CLUSTER_ID }).length, 0);
+
+    messageBus.setTriggerTracing(true);
+    assert.strictEqual(evaluate(scriptTrigger, first), false);
+    assert.strictEqual(evaluate(config.agents[0].triggers[1], first), false);
+    const broken = { topic: 'X', logic: { engine: 'javascript', script: 'return nope.x;' } };
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      assert.strictEqual(evaluate(broken, first), false);
+    } finally {
+      console.error = originalError;
+    }
+
+    const [rejected, condition, errored] = ledger.getTriggerEvaluations({
+      cluster_id: CLUSTER_ID,
+      agent_id: 'worker',
+    });
+    assert.strictEqual(rejected.outcome, 'rejected');
+    assert.strictEqual(rejected.message_id, first.id);
+    assert.deepStrictEqual(rejected.queries, [
+      { method: 'count', criteria: { topic: 'VALIDATION_RESULT' }, result: 1 },
+    ]);
+    assert.strictEqual(typeof rejected.duration_ms, 'number');
+    assert.deepStrictEqual(condition.queries, [
+      { method: 'findLast', criteria: { topic: 'VALIDATION_RESULT' }, result: first.id },
+    ]);
+    assert.strictEqual(errored.outcome, 'error');
+    assert.match(errored.error, /nope is not defined/);
+    assert.strictEqual(messageBus.count({ cluster_id: CLUSTER_ID }), 1);
+  });
+
+  it('explains each matching message from the trace', function () {
+    saveCluster({ traceTriggers: true });
+    messageBus.setTriggerTracing(true);
+    publish('AGENT_LIFECYCLE', 'worker', { event: 'STARTED' });
+    const issue = publish('ISSUE_OPENED', 'system');
+    evaluate(config.agents[0].triggers[0], issue);
+    publish('IMPLEMENTATION_READY', 'worker');
+    const approved = publish('VALIDATION_RESULT', 'validator', { approved: true });
+    evaluate(config.agents[0].triggers[1], approved);
+    const rejected = publish('VALIDATION_RESULT', 'validator', { approved: false });
+    messageBus.recordTriggerEvaluation({
+      cluster_id: CLUSTER_ID,
+      agent_id: 'worker',
+      trigger_topic: 'VALIDATION_RESULT',
+      message: rejected,
+      outcome: 'dropped_busy',
+      error: 'state=executing_task',
+    });
+    publish('PLAN_READY', 'planner');
+
+    const report = whyAgent({ storageDir: tempDir, clusterId: CLUSTER_ID, agentId: 'worker' });
+
+    assert.strictEqual(report.traced, true);
+    assert.deepStrictEqual(
+      report.entries.map((e) => [e.message.topic, e.verdict]),
+      [
+        ['ISSUE_OPENED', 'fired'],
+        ['VALIDATION_RESULT', 'condition was false'],
+        ['VALIDATION_RESULT', 'dropped: agent was busy (state=executing_task)'],
+      ]
+    );
+    assert.match(report.entries[1].logic, /the latest VALIDATION_RESULT has approved = false/);
+    assert.deepStrictEqual(report.unmatched, { PLAN_READY: 1 });
+
+    assert.strictEqual(
+      whyAgent({ storageDir: tempDir, clusterId: CLUSTER_ID, agentId: 'worker', last: 1 }).entries
+        .length,
+      1
+    );
+    assert.throws(
+      () => whyAgent({ storageDir: tempDir, clusterId: CLUSTER_ID, agentId: 'ghost' }),
+      /Agent ghost is not in cluster trace-test \(agents: worker, validator\)/
+    );
+  });
+
+  it('falls back to lifecycle events without a trace', function () {
+    saveCluster({});
+    const issue = publish('ISSUE_OPENED', 'system');
+    publish('AGENT_LIFECYCLE', 'worker', {
+      event: 'TASK_STARTED',
+      triggeredBy: issue.topic,
+      triggerFrom: issue.sender,
+    });
+    publish('VALIDATION_RESULT', 'validator', { approved: true });
+
+    const report = whyAgent({ storageDir: tempDir, clusterId: CLUSTER_ID, agentId: 'worker' });
+
+    assert.strictEqual(report.traced, false);
+    assert.deepStrictEqual(
+      report.entries.map((e) => e.verdict),
+      [
+        'fired (from the agent lifecycle)',
+        'did not fire (no trace - run with --trace-triggers to see why)',
+      ]
+    );
+  });
+});
@@ -2,18 +2,24 @@
  * Test: CLI Input Detection
  *
  * Verifies the input detection logic in cli/index.js
- * Tests: GitHub issue URL, issue number, org/repo#123, markdown files, plain text
+ * Tests: GitHub issue URL, issue number, org/repo#123, source refs, markdown files, plain text
  */
 
 const assert = require('assert');
+const { parseInputRef } = require('../../src/input-sources');
 
 // Mock the CLI input detection logic
 // This mirrors the logic in cli/index.js lines 497-516
 function detectInputType(inputArg) {
   const input = {};
+  const sourceRef = parseInputRef(inputArg);
 
+  // Check if it's a registered input source (gitlab:, jira:, linear:)
+  if (sourceRef) {
+    input.source = sourceRef;
+  }
   // Check if it's a GitHub issue URL
-  if (inputArg.match(/^https?:\/\/github\.com\/[\w-]+\/[\w-]+\/issues\/\d+/)) {
+  else if (inputArg.match(/^https?:\/\/github\.com\/[\w-]+\/[\w-]+\/issues\/\d+/)) {
     input.issue = inputArg;
   }
   // Check if it's a GitHub issue number (just digits)
@@ -63,6 +69,33 @@ describe('CLI Input Detection', function () {
     });
   });
 
+  describe('Input source detection', function () {
+    it('should detect gitlab:group/project#12', function () {
+      const input = detectInputType('gitlab:group/sub/project#12');
+
+      assert.deepStrictEqual(input.source, { type: 'gitlab', ref: 'group/sub/project#12' });
+      assert.strictEqual(input.issue, undefined);
+    });
+
+    it('should detect jira:PROJ-123 and linear:ENG-42', function () {
+      assert.deepStrictEqual(detectInputType('jira:PROJ-123').source, {
+        type: 'jira',
+        ref: 'PROJ-123',
+      });
+      assert.deepStrictEqual(detectInputType('linear:ENG-42').source, {
+        type: 'linear',
+        ref: 'ENG-42',
+      });
+    });
+
+    it('should treat unknown prefixes as plain text', function () {
+      const input = detectInputType('todo: fix login');
+
+      assert.strictEqual(input.source, undefined);
+      assert.strictEqual(input.text, 'todo: fix login');
+    });
+  });
+
   describe('Markdown file detection', function () {
     it('should detect .md file', function () {
       const input = detectInputType('feature.md');